@@ -1,11 +1,60 @@
 // src/App.jsx
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Users, Plus, Trash2, Settings, Share2, UserCheck, Clock, Eye, Edit3, Copy, Check, X, Lock, Facebook, Twitter, Linkedin, Mail, Share, UserPlus, LogIn } from 'lucide-react';
+import { Users, Plus, Trash2, Settings, Share2, UserCheck, Clock, Eye, Edit3, Copy, Check, X, Lock, Facebook, Twitter, Linkedin, Mail, Share, UserPlus, LogIn, Inbox, Send, ChevronLeft, ChevronRight, ChevronUp, ChevronDown, Paperclip, Upload, Download, Undo, Redo, MessageSquare } from 'lucide-react';
 import io from 'socket.io-client';
+import { checkPattern, normalizeFieldValue, validateFieldValue, validateResponse, getDefaultValues, isMultiSelect, formatFieldValue, resolveFieldStates, CONDITION_OPERATORS, isLayoutField, applyGroupAction, GROUP_CHILD_FIELD_TYPES, resolveAssignments, isAssignedTo } from './formRules.mjs'; // Same rules the server enforces
+import { isCollaborativeText, diffToOperation, applyOperation, transform, compose, transformIndex, isNoop } from './textOps.mjs'; // Character-level co-editing of text fields
+import { saveFormCopy, findFormCopyByCode } from './offlineStore.mjs'; // Copies of opened forms for filling them offline
+
+const LOCK_HEARTBEAT_MS = 5000; // Keeps held field locks alive; must stay well below the server's lock TTL
+const TEXT_REVISION_GAP_MS = 3000; // How long a text change waits for an earlier revision before the field is reloaded
+const UNDO_LIMIT = 100; // Undo steps kept per user in the form view and in the builder
+const BUILDER_UNDO_MERGE_MS = 1000; // Builder edits closer together than this (e.g. typing a label) undo as one step
+const TEXT_FIELD_TYPES = ['text', 'textarea', 'email', 'url', 'tel']; // Types that accept maxLength and pattern
+const COMMENT_MAX_LENGTH = 2000; // Same limit as the server's
+
+// Caret colors of co-authors in shared text fields; each user keeps the same color
+const REMOTE_CARET_COLORS = ['#e11d48', '#7c3aed', '#0891b2', '#16a34a', '#d97706', '#db2777', '#2563eb'];
+const caretColor = (userId) => REMOTE_CARET_COLORS[[...String(userId)].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 0) % REMOTE_CARET_COLORS.length];
+
+// Moves co-authors' carets (socketId -> { start, end, ... }) through an edit of the field's text
+const shiftSelections = (selections, ops) => Object.fromEntries(Object.entries(selections).map(([socketId, selection]) => (
+  [socketId, { ...selection, start: transformIndex(ops, selection.start), end: transformIndex(ops, selection.end) }]
+)));
+
+// Drops the carets of sockets that are no longer in the form
+const keepSelectionsOf = (selections, activeUsers) => {
+  const socketIds = new Set(activeUsers.flatMap(activeUser => activeUser.socketIds));
+  return Object.fromEntries(Object.entries(selections).map(([fieldId, bySocket]) => (
+    [fieldId, Object.fromEntries(Object.entries(bySocket).filter(([socketId]) => socketIds.has(socketId)))]
+  )));
+};
+
+// Name shown for a participant; when someone else in the form uses the same name, the start of the participant ID tells them apart
+const participantLabel = (activeUsers, userId, userName) => {
+  const namesake = activeUsers.some(other => other.userId !== userId && other.userName.trim().toLowerCase() === userName.trim().toLowerCase());
+  return namesake ? `${userName} #${String(userId).slice(0, 4)}` : userName;
+};
+
+// Key of a lock in lockedFields / lockHeartbeats: the field ID, or field ID and row ID for a row of a group field
+const lockKey = (fieldId, rowId = null) => rowId ? `${fieldId}:${rowId}` : fieldId;
+
+// Human-readable size of an uploaded file
+const formatFileSize = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Splits a form's fields into pages at each page break; the break's label is the title of the page that follows it
+const splitIntoPages = (fields) => {
+  const pages = [{ title: null, fields: [] }];
+  for (const field of fields || []) {
+    if (field.type === 'pageBreak') pages.push({ title: field.label, fields: [] });
+    else pages[pages.length - 1].fields.push(field);
+  }
+  return pages;
+};
 
 const CollaborativeFormSystem = () => {
   const [currentView, setCurrentView] = useState('home'); // 'home', 'admin', 'form'
-  // User state no longer includes 'token'
+  // Admin JWTs live in authTokens (below), not in user state
   const [user, setUser] = useState({ id: '', name: '', role: 'user' }); 
   const [socket, setSocket] = useState(null);
   const [forms, setForms] = useState([]); // List of forms for admin dashboard
@@ -15,13 +64,21 @@ const CollaborativeFormSystem = () => {
   const [lockedFields, setLockedFields] = useState({}); // Fields locked by other users
   const [typingUsers, setTypingUsers] = useState({}); // Users currently typing in a field
   const [joinCode, setJoinCode] = useState(''); // State for user-entered join code
-  const [userName, setUserName] = useState(''); // State for user-entered name
+  const [userName, setUserName] = useState(() => localStorage.getItem('participantName') || ''); // State for user-entered name, prefilled from the last visit
   const [isConnected, setIsConnected] = useState(false); // Socket connection status
   const [editingForm, setEditingForm] = useState(null); // Form being edited in the builder
   const [copiedCode, setCopiedCode] = useState(''); // For copy-to-clipboard feedback
   const [showDeleteModal, setShowDeleteModal] = useState(null); // Form object for delete confirmation
   const [showShareModal, setShowShareModal] = useState(null); // Form object for share modal
   const [newFormTitle, setNewFormTitle] = useState(''); // Input for new form title
+  const [newFormMode, setNewFormMode] = useState('collaborative'); // 'collaborative' or 'individual' for new forms
+  const [submissionsModal, setSubmissionsModal] = useState(null); // { form, submissions, pagination, selected } for the admin submissions browser
+  const [submissionResult, setSubmissionResult] = useState(null); // Confirmation details after an individual submission
+  const [submissionError, setSubmissionError] = useState(null); // { message, missingFields } when an individual submission is rejected
+  const [isSubmitting, setIsSubmitting] = useState(false); // Individual submission request in progress
+  const [uploadingFields, setUploadingFields] = useState({}); // fieldId -> true while a file upload is in progress
+  const [importErrors, setImportErrors] = useState(null); // { message, errors } when a form definition file is rejected
+  const [versionsModal, setVersionsModal] = useState(null); // { form, versions, currentVersion, comparison, error } for the admin version browser
   // Admin credentials for login/registration
   const [adminCredentials, setAdminCredentials] = useState({ username: '', password: '' }); 
   const [adminError, setAdminError] = useState(''); // Admin login/registration error message
@@ -29,8 +86,54 @@ const CollaborativeFormSystem = () => {
   // 'landing', 'user-join', 'admin-login', 'admin-register'
   const [currentPage, setCurrentPage] = useState('landing'); 
   const typingTimers = useRef({}); // Ref to manage typing timeouts
+  const lockHeartbeats = useRef({}); // lockKey -> interval renewing the lock we hold on that field or group row
+  const authTokens = useRef({ accessToken: '', refreshToken: '' }); // Admin JWT pair sent as a Bearer header
+  const participantToken = useRef(localStorage.getItem('participantToken') || ''); // Signed participant ID, kept across reloads
+  const uploadToken = useRef(null); // { formId, token }: short-lived token for file uploads to an individual form
   const [showSavedMessage, setShowSavedMessage] = useState(false); // State for "Saved!" message
-
+  const fieldVersions = useRef({}); // Last known server version of each field (sent as expectedVersion)
+  const pendingUpdates = useRef({}); // fieldId -> { inFlight, hasQueued, queuedValue } while an update awaits its ack
+  const [conflicts, setConflicts] = useState({}); // fieldId -> rejected update details awaiting the user's choice
+  const [fieldErrors, setFieldErrors] = useState({}); // fieldId -> validation errors ({ code, message }) shown under the field
+  const [responseStatus, setResponseStatus] = useState({ status: 'open', finalizedBy: null, finalizedAt: null }); // Lifecycle of the shared response
+  const [finalizeError, setFinalizeError] = useState(null); // { message, missingFields } when finalizing is refused
+  const [reopenReason, setReopenReason] = useState(''); // Admin's reason for reopening a finalized response
+  const [formPage, setFormPage] = useState(0); // Index of the page shown in a multi-page form
+  const [structureNotice, setStructureNotice] = useState(null); // Form version the admin switched to while this form was open
+  const [editStacks, setEditStacks] = useState({ undo: [], redo: [] }); // Our own edits as { fieldId, firstChangeId, lastChangeId, version }
+  const builderHistory = useRef({ past: [], future: [], last: null, lastAt: 0, skip: false }); // Field snapshots for undo/redo in the form builder
+  const [historyPanel, setHistoryPanel] = useState(null); // { changes, nextBefore, loading, error, notice } while the history sidebar is open
+  const textSync = useRef({}); // fieldId -> { serverText, outstanding, buffer } while our text operations await the server
+  const textRevisions = useRef({}); // fieldId -> { waiting: Map(revision -> apply), timer } of text changes that arrived early
+  const offlineEdits = useRef({}); // fieldId -> { value, baseValue, baseVersion, inFlight } of edits not saved when the connection dropped
+  const offlineGroupChanges = useRef([]); // { fieldId, action, params } of group row changes made while disconnected, in order
+  const [offlineEditCount, setOfflineEditCount] = useState(0); // Fields and row changes waiting for the connection to come back
+  const lastSocketId = useRef(null); // Our connection before a drop, so the server can tell our own lost writes from others'
+  const connectionHandlers = useRef({}); // Latest onConnect/onDisconnect (and text revision handlers) of this render, called by the socket's listeners
+  const [resyncRequest, setResyncRequest] = useState(null); // { previousSocketId } once the open form should rejoin and catch up
+  const [openedOffline, setOpenedOffline] = useState(null); // savedAt of the device copy the form was opened from without a connection
+  const [syncNotice, setSyncNotice] = useState(null); // { saved, conflicts, lost } after edits made offline were synced
+  const [joinError, setJoinError] = useState(''); // Why the form code could not be opened
+  const pendingCarets = useRef({}); // fieldId -> { start, end } to restore once a co-author's edit has re-rendered the field we type in
+  const [remoteSelections, setRemoteSelections] = useState({}); // fieldId -> socketId -> { userId, userName, start, end } of co-authors
+  const [comments, setComments] = useState([]); // Every comment of the form, oldest first; parentId links replies to their thread
+  const [commentField, setCommentField] = useState(null); // Field whose comment threads are open
+  const [commentDrafts, setCommentDrafts] = useState({}); // fieldId (new thread) or `reply-${threadId}` -> text being written
+  const [commentError, setCommentError] = useState(null); // Why the last comment could not be posted
+  const [mentionNotice, setMentionNotice] = useState(null); // { comment, fieldLabel } of the latest comment that mentions us
+  const [assignments, setAssignments] = useState({}); // fieldId -> { assigneeName, assigneeId, assignedBy, assignedAt } of assigned fields and sections
+  const [assigningField, setAssigningField] = useState(null); // { fieldId, name, error } while an assignee is being picked
+  const [showAssignedToMe, setShowAssignedToMe] = useState(false); // Only show the fields assigned to us
+  const [assignmentNotice, setAssignmentNotice] = useState(null); // { fieldLabel, assigned, changedBy } when someone changed our assignments
+  // Respondents of individual-mode forms edit a private copy: no socket updates, locks or typing indicators
+  const isIndividualRespondent = currentForm?.mode === 'individual' && user.role !== 'admin';
+  // Visibility and requirement of each field, re-evaluated from the conditional rules as answers change
+  const fieldStates = currentForm ? resolveFieldStates(currentForm.fields, formResponse) : {};
+  const formPages = splitIntoPages(currentForm?.fields);
+  const pageIndex = Math.min(formPage, formPages.length - 1); // The admin may remove pages while we are on one
+  // Assignee of each field, directly or through its section, and whether it is us
+  const assignedFields = currentForm ? resolveAssignments(currentForm.fields, assignments) : {};
+  const isMine = (assignment) => isAssignedTo(assignment, { userId: user.id, userName: user.name });
 
   // Initialize socket connection on component mount
   useEffect(() => {
@@ -41,11 +144,13 @@ const CollaborativeFormSystem = () => {
     newSocket.on('connect', () => {
       setIsConnected(true);
       console.log('Socket Connected!');
+      connectionHandlers.current.onConnect?.();
     });
     
     newSocket.on('disconnect', () => {
       setIsConnected(false);
       console.log('Socket Disconnected!');
+      connectionHandlers.current.onDisconnect?.();
     });
 
     // Clean up socket connection on component unmount
@@ -57,26 +162,161 @@ const CollaborativeFormSystem = () => {
     if (!socket) return;
 
     socket.on('userJoined', ({ activeUsers }) => { setActiveUsers(activeUsers); });
-    socket.on('userLeft', ({ activeUsers }) => { setActiveUsers(activeUsers); });
-    socket.on('activeUsers', ({ activeUsers }) => { setActiveUsers(activeUsers); });
+    socket.on('userLeft', ({ activeUsers }) => {
+      setActiveUsers(activeUsers);
+      setRemoteSelections(prev => keepSelectionsOf(prev, activeUsers));
+    });
+    socket.on('activeUsers', ({ activeUsers }) => {
+      setActiveUsers(activeUsers);
+      setRemoteSelections(prev => keepSelectionsOf(prev, activeUsers));
+    });
+
+    // Applies an edit the server has made to a text field on top of our own edits it has not acknowledged yet,
+    // keeping our caret and the co-authors' carets on the same characters. Runs in revision order (applyTextRevision).
+    const applyServerTextOperation = (fieldId, ops) => {
+      const sync = textSync.current[fieldId];
+      let localOps = ops;
+      if (sync) {
+        try {
+          sync.serverText = applyOperation(sync.serverText, ops);
+          if (sync.outstanding) [sync.outstanding, localOps] = transform(sync.outstanding, localOps);
+          if (sync.buffer) [sync.buffer, localOps] = transform(sync.buffer, localOps);
+        } catch {
+          // Our copy of the server's text is out of step, so the operation does not fit it
+          connectionHandlers.current.reloadTextField(fieldId);
+          return;
+        }
+      }
+      const element = document.getElementById(`field-${fieldId}`);
+      if (element && document.activeElement === element) {
+        pendingCarets.current[fieldId] = { start: transformIndex(localOps, element.selectionStart), end: transformIndex(localOps, element.selectionEnd) };
+      }
+      setFormResponse(prev => {
+        const text = prev[fieldId] === undefined || prev[fieldId] === null ? '' : String(prev[fieldId]);
+        // If our copy no longer matches, our next edit is refused and the server sends its text
+        try { return { ...prev, [fieldId]: applyOperation(text, localOps) }; } catch { return prev; }
+      });
+      setRemoteSelections(prev => (prev[fieldId] ? { ...prev, [fieldId]: shiftSelections(prev[fieldId], localOps) } : prev));
+    };
+
+    // Comments of the form (sent when we join) and live changes to them
+    socket.on('commentSnapshot', ({ comments }) => { setComments(comments); });
+    socket.on('commentAdded', ({ comment }) => {
+      setComments(prev => (prev.some(c => c.id === comment.id) ? prev : [...prev, comment]));
+    });
+    socket.on('commentUpdated', ({ comment }) => {
+      setComments(prev => prev.map(c => (c.id === comment.id ? comment : c)));
+    });
+    socket.on('commentMention', ({ comment, fieldLabel }) => { setMentionNotice({ comment, fieldLabel }); });
+
+    // Field assignments (sent when we join) and live changes; we are notified when someone changes ours
+    socket.on('assignmentSnapshot', ({ assignments }) => {
+      setAssignments(Object.fromEntries(assignments.map(assignment => [assignment.fieldId, assignment])));
+    });
+    socket.on('assignmentUpdated', ({ fieldId, fieldLabel, assignment, previous, changedBy }) => {
+      setAssignments(prev => {
+        const updated = { ...prev };
+        if (assignment) { updated[fieldId] = assignment; } else { delete updated[fieldId]; }
+        return updated;
+      });
+      const me = { userId: user.id, userName: user.name };
+      const assigned = isAssignedTo(assignment, me);
+      if (changedBy !== user.name && assigned !== isAssignedTo(previous, me)) setAssignmentNotice({ fieldLabel, assigned, changedBy });
+    });
+
+    // A co-author typed in a text field
+    socket.on('textOp', ({ fieldId, ops, revision, timestamp }) => {
+      connectionHandlers.current.applyTextRevision(fieldId, revision, () => applyServerTextOperation(fieldId, ops));
+      setFormResponse(prev => ({ ...prev, lastUpdated: timestamp }));
+    });
+    // A co-author's caret moved, or they left the field (selection null)
+    socket.on('textSelection', ({ fieldId, socketId, userId, userName, selection }) => {
+      setRemoteSelections(prev => {
+        const bySocket = { ...prev[fieldId] };
+        if (selection) { bySocket[socketId] = { userId, userName, ...selection }; } else { delete bySocket[socketId]; }
+        return { ...prev, [fieldId]: bySocket };
+      });
+    });
     
-    socket.on('fieldUpdated', ({ fieldId, value, timestamp }) => {
+    socket.on('fieldUpdated', ({ fieldId, value: receivedValue, version, timestamp }) => {
+      const field = currentForm?.fields.find(f => f.id === fieldId);
+      // A cleared value arrives as null and becomes the empty value of the field's type ('', [] for groups and checkbox lists)
+      const value = receivedValue === null && field ? normalizeFieldValue(field, null) : receivedValue;
+      // A whole-value write (e.g. an undo) to a text field takes its place among the text operations;
+      // while we type in the field it is merged like a co-author's edit
+      if (isCollaborativeText(field) && (textSync.current[fieldId] || textRevisions.current[fieldId])) {
+        connectionHandlers.current.applyTextRevision(fieldId, version, () => {
+          const sync = textSync.current[fieldId];
+          if (sync) {
+            applyServerTextOperation(fieldId, diffToOperation(sync.serverText, String(value ?? '')));
+          } else {
+            setFormResponse(prev => ({ ...prev, [fieldId]: value }));
+          }
+        });
+        setFormResponse(prev => ({ ...prev, lastUpdated: timestamp }));
+        return;
+      }
+      // Text operations made before a write we already have are never applied after it
+      if (isCollaborativeText(field) && version <= (fieldVersions.current[fieldId] || 0)) return;
+      fieldVersions.current[fieldId] = version;
+      setFieldErrors(prev => ({ ...prev, [fieldId]: [] })); // The server only accepts valid values
+      const isGroup = field?.type === 'group';
       setFormResponse(prev => ({
         ...prev,
-        [fieldId]: value,
+        // Group rows we are editing (and hold the lock on) keep what we typed; other rows take the server's order and values
+        [fieldId]: isGroup && Array.isArray(prev[fieldId])
+          ? value.map(row => (lockHeartbeats.current[lockKey(fieldId, row.id)] && prev[fieldId].find(r => r.id === row.id)) || row)
+          : value,
         lastUpdated: timestamp 
       }));
       setShowSavedMessage(true);
       setTimeout(() => setShowSavedMessage(false), 2000);
     });
 
-    socket.on('fieldLocked', ({ fieldId, lockedBy, userId }) => {
-      setLockedFields(prev => ({ ...prev, [fieldId]: { lockedBy, userId } }));
+    // Our update was based on an outdated version: keep our value aside and let the user decide
+    socket.on('conflict', ({ fieldId, fieldLabel, currentValue, currentVersion, yourValue }) => {
+      const pending = pendingUpdates.current[fieldId];
+      fieldVersions.current[fieldId] = currentVersion;
+      setConflicts(prev => ({
+        ...prev,
+        [fieldId]: { fieldLabel, currentValue, yourValue: pending?.hasQueued ? pending.queuedValue : yourValue }
+      }));
+    });
+
+    // The server rejected our value because it breaks the field's rules
+    socket.on('validationError', ({ fieldId, errors }) => {
+      setFieldErrors(prev => ({ ...prev, [fieldId]: errors }));
+    });
+
+    socket.on('responseFinalized', ({ finalizedBy, finalizedAt }) => {
+      setResponseStatus({ status: 'finalized', finalizedBy, finalizedAt });
+      setFinalizeError(null);
+      setLockedFields({});
+    });
+    socket.on('responseReopened', () => {
+      setResponseStatus({ status: 'open', finalizedBy: null, finalizedAt: null });
+    });
+
+    socket.on('fieldLocked', ({ fieldId, rowId, lockedBy, userId }) => {
+      setLockedFields(prev => ({ ...prev, [lockKey(fieldId, rowId)]: { lockedBy, userId } }));
     });
-    socket.on('fieldUnlocked', ({ fieldId }) => {
+    // Locks held at the time we joined (sent by the server on joinForm)
+    socket.on('lockSnapshot', ({ locks }) => {
+      setLockedFields(Object.fromEntries(locks.map(({ fieldId, rowId, lockedBy, userId }) => [lockKey(fieldId, rowId), { lockedBy, userId }])));
+    });
+    // Someone else holds the lock: stop renewing ours and show theirs
+    const handleLockRefused = ({ fieldId, rowId, lockedBy, userId }) => {
+      const key = lockKey(fieldId, rowId);
+      clearInterval(lockHeartbeats.current[key]);
+      delete lockHeartbeats.current[key];
+      setLockedFields(prev => ({ ...prev, [key]: { lockedBy, userId } }));
+    };
+    socket.on('lockDenied', handleLockRefused);
+    socket.on('fieldLockRejected', handleLockRefused);
+    socket.on('fieldUnlocked', ({ fieldId, rowId }) => {
       setLockedFields(prev => {
         const updated = { ...prev };
-        delete updated[fieldId];
+        delete updated[lockKey(fieldId, rowId)];
         return updated;
       });
     });
@@ -90,16 +330,20 @@ const CollaborativeFormSystem = () => {
       });
     });
 
-    socket.on('userTypingUpdate', ({ fieldId, userName, isTyping }) => {
+    socket.on('userTypingUpdate', ({ fieldId, userId, userName, isTyping }) => {
       setTypingUsers(prev => {
         const updated = { ...prev };
-        if (isTyping) { updated[fieldId] = userName; } else { delete updated[fieldId]; }
+        if (isTyping) { updated[fieldId] = { userId, userName }; } else { delete updated[fieldId]; }
         return updated;
       });
     });
 
-    socket.on('formStructureUpdated', ({ fields }) => {
-      if (currentForm) { setCurrentForm(prev => ({ ...prev, fields })); }
+    // The admin saved or rolled back the form's fields; the version tells the server which structure we render
+    socket.on('formStructureUpdated', ({ fields, version }) => {
+      if (currentForm) {
+        setCurrentForm(prev => ({ ...prev, fields, version }));
+        if (version !== currentForm.version) setStructureNotice(version);
+      }
     });
 
     // Handle generic socket errors
@@ -112,25 +356,77 @@ const CollaborativeFormSystem = () => {
       socket.off('userJoined');
       socket.off('userLeft');
       socket.off('activeUsers');
+      socket.off('textOp');
+      socket.off('textSelection');
+      socket.off('commentSnapshot');
+      socket.off('commentAdded');
+      socket.off('commentUpdated');
+      socket.off('commentMention');
+      socket.off('assignmentSnapshot');
+      socket.off('assignmentUpdated');
       socket.off('fieldUpdated');
+      socket.off('conflict');
+      socket.off('validationError');
+      socket.off('responseFinalized');
+      socket.off('responseReopened');
       socket.off('fieldLocked');
+      socket.off('lockSnapshot');
+      socket.off('lockDenied');
+      socket.off('fieldLockRejected');
       socket.off('fieldUnlocked');
       socket.off('unlockAllFieldsForUser');
       socket.off('userTypingUpdate');
       socket.off('formStructureUpdated');
       socket.off('error'); // Clean up custom error listener
     };
-  }, [socket, currentForm]);
-
-  // Utility function to generate a unique user ID for session (for non-admin users)
-  const generateUserId = () => {
-    return Math.random().toString(36).substring(2, 9);
-  };
+  }, [socket, currentForm, user.id, user.name]);
 
   // ----------------------
-  // 🔑 Admin Authentication Functions (Simplified - No JWT)
+  // 🔑 Admin Authentication Functions (JWT)
   // ----------------------
 
+  // Exchanges the refresh token for a new token pair; ends the admin session if that is no longer possible
+  const refreshAdminTokens = useCallback(async () => {
+    const refreshResponse = await fetch('http://localhost:3001/api/admin/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: authTokens.current.refreshToken })
+    });
+    const refreshData = await refreshResponse.json();
+    if (refreshData.success) {
+      authTokens.current = { accessToken: refreshData.accessToken, refreshToken: refreshData.refreshToken };
+      return true;
+    }
+    // Refresh token is no longer valid: end the admin session
+    authTokens.current = { accessToken: '', refreshToken: '' };
+    setUser({ id: '', name: '', role: 'user' });
+    setCurrentView('home');
+    setCurrentPage('admin-login');
+    setAdminError('Your session has expired. Please log in again.');
+    return false;
+  }, []);
+
+  // Sends an admin request with the Bearer token, refreshing it once if the access token has expired
+  const authFetch = useCallback(async (url, options = {}) => {
+    const send = () => fetch(url, {
+      ...options,
+      headers: { ...(options.headers || {}), Authorization: `Bearer ${authTokens.current.accessToken}` }
+    });
+
+    let response = await send();
+    if (response.status === 401 && authTokens.current.refreshToken && await refreshAdminTokens()) {
+      response = await send();
+    }
+    return response;
+  }, [refreshAdminTokens]);
+
+  // Access token for joining a form's socket room as the admin; the server checks it once, on joinForm
+  const adminSocketToken = async () => {
+    const { exp } = JSON.parse(atob(authTokens.current.accessToken.split('.')[1]));
+    if (exp * 1000 < Date.now() + 10000) await refreshAdminTokens();
+    return authTokens.current.accessToken;
+  };
+
   // Function to register a new admin
   const registerAdmin = async () => {
     if (!adminCredentials.username.trim() || !adminCredentials.password.trim()) {
@@ -147,7 +443,8 @@ const CollaborativeFormSystem = () => {
       const data = await response.json();
       if (data.success && data.admin) { // Backend should return the admin ID on success
         console.log("Admin registered successfully. Logging in...");
-        // Directly set user state and navigate to admin view
+        // Store the issued tokens, set user state and navigate to admin view
+        authTokens.current = { accessToken: data.accessToken, refreshToken: data.refreshToken };
         setUser({ id: data.admin.id, name: data.admin.username, role: 'admin' });
         setCurrentView('admin'); // Navigate to admin dashboard
         setCurrentPage(''); // Clear landing page state
@@ -176,7 +473,8 @@ const CollaborativeFormSystem = () => {
       });
       const data = await response.json();
       if (data.success && data.admin) { // Backend should return admin details on success
-        // Directly set user state without a token
+        // Store the issued tokens and set user state
+        authTokens.current = { accessToken: data.accessToken, refreshToken: data.refreshToken };
         setUser({ id: data.admin.id, name: data.admin.username, role: 'admin' });
         setCurrentView('admin'); // Navigate to admin dashboard
         setCurrentPage(''); // Clear landing page state
@@ -192,6 +490,7 @@ const CollaborativeFormSystem = () => {
 
   // Admin Logout function
   const adminLogout = () => {
+    authTokens.current = { accessToken: '', refreshToken: '' }; // Drop the session tokens
     setUser({ id: '', name: '', role: 'user' }); // Reset user state
     setCurrentView('home'); // Go back to home view
     setCurrentPage('landing'); // Go back to landing page
@@ -199,7 +498,7 @@ const CollaborativeFormSystem = () => {
   };
 
   // ----------------------
-  // 📝 Form Management Functions (Admin-only, now passing adminId directly)
+  // 📝 Form Management Functions (Admin-only, authenticated with the access token)
   // ----------------------
 
   const createForm = async () => {
@@ -213,11 +512,10 @@ const CollaborativeFormSystem = () => {
       return;
     }
     try {
-      const response = await fetch('http://localhost:3001/api/forms', {
+      const response = await authFetch('http://localhost:3001/api/forms', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        // Pass adminId directly in the body
-        body: JSON.stringify({ title: newFormTitle, fields: [], adminId: user.id }) 
+        body: JSON.stringify({ title: newFormTitle, fields: [], mode: newFormMode })
       });
       
       const data = await response.json();
@@ -226,6 +524,7 @@ const CollaborativeFormSystem = () => {
           ...data.form,
           createdAt: data.form.created_at || data.form.createdAt, 
           activeUsers: 0,
+          submissionCount: 0,
           response: data.response ? { // Ensure response object from backend is used
             data: data.response.data || {},
             contributors: data.response.contributors || [],
@@ -233,6 +532,7 @@ const CollaborativeFormSystem = () => {
           } : { data: {}, contributors: [], lastUpdated: data.form.created_at }
         }]);
         setNewFormTitle('');
+        setNewFormMode('collaborative');
         setShowCreateFormModal(false);
       } else {
         console.error('Failed to create form:', data.error || 'Unknown error');
@@ -249,8 +549,7 @@ const CollaborativeFormSystem = () => {
       return;
     }
     try {
-      // Pass adminId as a query parameter for DELETE request
-      const response = await fetch(`http://localhost:3001/api/forms/${formId}?adminId=${user.id}`, {
+      const response = await authFetch(`http://localhost:3001/api/forms/${formId}`, {
         method: 'DELETE',
       });
       
@@ -270,8 +569,7 @@ const CollaborativeFormSystem = () => {
   const loadAdminForms = useCallback(async () => {
     if (!user.id || user.role !== 'admin') return; // Only load if admin is logged in
     try {
-      // Pass adminId as a query parameter for GET request
-      const response = await fetch(`http://localhost:3001/api/admin/forms?adminId=${user.id}`);
+      const response = await authFetch('http://localhost:3001/api/admin/forms');
       const data = await await response.json(); // Double await just in case
       console.log("Forms data received for admin:", data); // Log the raw data received
 
@@ -285,8 +583,11 @@ const CollaborativeFormSystem = () => {
           response: form.response ? {
             data: form.response.data || {}, // Ensure data is an object
             contributors: form.response.contributors || [], // Ensure contributors is an array
-            lastUpdated: form.response.lastUpdated || form.created_at // Ensure lastUpdated is available
-          } : { data: {}, contributors: [], lastUpdated: form.created_at } // Fallback for forms without response
+            lastUpdated: form.response.lastUpdated || form.created_at, // Ensure lastUpdated is available
+            status: form.response.status || 'open',
+            finalizedBy: form.response.finalizedBy,
+            finalizedAt: form.response.finalizedAt
+          } : { data: {}, contributors: [], lastUpdated: form.created_at, status: 'open' } // Fallback for forms without response
         }));
         console.log("Formatted forms for admin dashboard:", formattedForms); // Log formatted data
         setForms(formattedForms);
@@ -296,7 +597,7 @@ const CollaborativeFormSystem = () => {
     } catch (error) {
       console.error('Error loading admin forms:', error);
     }
-  }, [user.id, user.role]); // Dependency: user.id and user.role
+  }, [user.id, user.role, authFetch]); // Dependency: user.id, user.role and the authenticated fetch helper
 
   // Effect to load admin forms when admin dashboard is active and user ID changes
   useEffect(() => {
@@ -315,201 +616,1512 @@ const CollaborativeFormSystem = () => {
       console.warn('Please enter your name and the form code.');
       return;
     }
+    setJoinError('');
     try {
       const response = await fetch(`http://localhost:3001/api/forms/${code}`);
       const data = await response.json();
       
       if (data.success) {
-        const userId = generateUserId();
-        setUser({ id: userId, name: userName, role: 'user' }); // Regular users don't have tokens
+        // Collaborators are identified by a participant ID; the token we keep from earlier visits makes us the same participant again
+        const identityResponse = await fetch('http://localhost:3001/api/participants', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: userName, participantToken: participantToken.current || undefined })
+        });
+        const identity = await identityResponse.json();
+        if (!identity.success) {
+          console.warn('Could not set up participant identity:', identity.error);
+          return;
+        }
+        participantToken.current = identity.participantToken;
+        localStorage.setItem('participantToken', identity.participantToken);
+        localStorage.setItem('participantName', identity.participant.name);
+        setUser({ id: identity.participant.id, name: identity.participant.name, role: 'user' });
+
+        // Answers and edits this device kept without saving them (offline, or before a reload) come first;
+        // the copy is opened with the current form definition and synced like after a reconnect
+        const copy = await findFormCopyByCode(code).catch(() => null);
+        if (copy && copy.formId === data.form.id && copy.userId === identity.participant.id && hasUnsavedWork(copy, data.form)) {
+          openFormCopy({ ...copy, form: { ...data.form, createdAt: data.form.created_at } });
+          return;
+        }
         
         setCurrentForm({
           ...data.form,
           createdAt: data.form.created_at
         });
-        setFormResponse(data.response.data || {});
+        // Individual respondents start from the field defaults; the shared response already has them
+        setFormResponse(data.form.mode === 'individual' ? getDefaultValues(data.form.fields) : data.response.data || {});
+        fieldVersions.current = data.response.field_versions || {};
+        textSync.current = {};
+        clearTextRevisions();
+        offlineEdits.current = {};
+        offlineGroupChanges.current = [];
+        setOfflineEditCount(0);
+        setOpenedOffline(null);
+        setRemoteSelections({});
+        setFieldErrors({});
+        setSubmissionResult(null);
+        setSubmissionError(null);
+        setResponseStatus({ status: data.response.status || 'open', finalizedBy: data.response.finalized_by, finalizedAt: data.response.finalized_at });
         
-        socket.emit('joinForm', {
-          formId: data.form.id,
-          userId: userId,
-          userName: userName
-        });
+        // Individual-mode respondents fill their own copy, so there is no shared room to join
+        if (data.form.mode !== 'individual') {
+          socket.emit('joinForm', {
+            formId: data.form.id,
+            participantToken: identity.participantToken
+          });
+        }
         
+        setFormPage(0);
         setCurrentView('form');
         setCurrentPage('');
       } else {
         console.warn('Form not found or inactive:', data.error);
+        setJoinError(data.error || 'Form not found or inactive.');
       }
     }
     catch (error) {
       console.error('Error joining form:', error);
+      // No connection: open the copy this device kept of the form, if it was opened here before
+      const copy = await findFormCopyByCode(code).catch(() => null);
+      if (!copy) {
+        setJoinError('You are offline and this form has not been opened on this device before.');
+        return;
+      }
+      openFormCopy(copy);
+      setOpenedOffline(copy.savedAt);
     }
   };
 
   const updateField = (fieldId, value) => {
     setFormResponse(prev => ({ ...prev, [fieldId]: value }));
+    const field = currentForm.fields.find(f => f.id === fieldId);
+    const { required } = resolveFieldStates(currentForm.fields, { ...formResponse, [fieldId]: value })[fieldId];
+    const { errors } = validateFieldValue(field, value, { required });
+    setFieldErrors(prev => ({ ...prev, [fieldId]: errors }));
+    if (isIndividualRespondent) return; // Kept locally until the respondent submits
+    const pending = pendingUpdates.current[fieldId];
+    // Values the server would reject are not sent; an empty required field is still saved as a draft
+    if (errors.some(error => error.code !== 'required')) {
+      if (pending) pending.hasQueued = false;
+      return;
+    }
+    if (!socket.connected || offlineEdits.current[fieldId]) {
+      holdOfflineEdit(fieldId, value, isCollaborativeText(field) ? String(formResponse[fieldId] ?? '') : null);
+      return;
+    }
+    if (pending?.inFlight) {
+      // Only the latest value matters; it is sent once the in-flight update has been acknowledged
+      pending.hasQueued = true;
+      pending.queuedValue = value;
+      return;
+    }
+    sendFieldUpdate(fieldId, value);
+  };
+
+  // Sends one update per field at a time so each carries the version returned by the previous ack
+  const sendFieldUpdate = (fieldId, value) => {
+    pendingUpdates.current[fieldId] = { inFlight: true, value, hasQueued: false, queuedValue: null };
     socket.emit('updateField', {
       formId: currentForm.id,
       fieldId,
       value,
-      userId: user.id,
-      userName: user.name
+      expectedVersion: fieldVersions.current[fieldId] || 0,
+      formVersion: currentForm.version
+    }, (result) => {
+      const pending = pendingUpdates.current[fieldId];
+      delete pendingUpdates.current[fieldId];
+      // We rendered an outdated form; the server has sent the current fields, so the user can check and retype
+      if (result?.staleForm) setFieldErrors(prev => ({ ...prev, [fieldId]: [{ fieldId, code: 'staleForm', message: result.error }] }));
+      if (!result?.success) return; // Conflicts and rule violations are reported through their own events
+
+      fieldVersions.current[fieldId] = result.version;
+      recordOwnEdit(fieldId, result.changeId, result.version);
+      setFormResponse(prev => ({ ...prev, lastUpdated: result.timestamp }));
+      setShowSavedMessage(true);
+      setTimeout(() => setShowSavedMessage(false), 2000);
+      if (pending?.hasQueued) sendFieldUpdate(fieldId, pending.queuedValue);
     });
   };
 
-  const handleFieldFocus = (fieldId) => {
-    socket.emit('lockField', { formId: currentForm.id, fieldId, userId: user.id, userName: user.name });
-  };
-  const handleFieldBlur = (fieldId) => {
-    socket.emit('unlockField', { formId: currentForm.id, fieldId, userId: user.id });
-  };
-  const handleTyping = (fieldId, isTyping) => {
-    socket.emit('userTyping', { fieldId, userName: user.name, isTyping, formId: currentForm.id });
+  // Typing in a text or textarea field of a shared response. The edit is sent as a text operation (see textOps.mjs),
+  // so several people can write in the same field at once without locking it. One operation per field is in flight;
+  // edits typed meanwhile are composed into a buffer that is sent once the server has acknowledged it.
+  const editText = (field, value) => {
+    const previous = formResponse[field.id] === undefined || formResponse[field.id] === null ? '' : String(formResponse[field.id]);
+    const ops = diffToOperation(previous, value);
+    if (isNoop(ops)) return;
+    setFormResponse(prev => ({ ...prev, [field.id]: value }));
+    const { required } = resolveFieldStates(currentForm.fields, { ...formResponse, [field.id]: value })[field.id];
+    setFieldErrors(prev => ({ ...prev, [field.id]: validateFieldValue(field, value, { required }).errors }));
+    setRemoteSelections(prev => (prev[field.id] ? { ...prev, [field.id]: shiftSelections(prev[field.id], ops) } : prev));
+    if (!socket.connected || offlineEdits.current[field.id]) {
+      holdOfflineEdit(field.id, value, previous);
+      return;
+    }
+
+    const sync = textSync.current[field.id];
+    if (sync) {
+      sync.buffer = sync.buffer ? compose(sync.buffer, ops) : ops;
+      return;
+    }
+    textSync.current[field.id] = { serverText: previous, outstanding: ops, buffer: null };
+    sendTextOperation(field.id, ops);
   };
 
-  // ----------------------
-  // 🎨 UI/Helper Functions
-  // ----------------------
+  // Sends our outstanding operation on a text field, based on the last field version we know
+  const sendTextOperation = (fieldId, ops) => {
+    socket.emit('textOp', {
+      formId: currentForm.id,
+      fieldId,
+      ops,
+      revision: fieldVersions.current[fieldId] || 0,
+      formVersion: currentForm.version
+    }, (result) => {
+      if (!result?.success) {
+        // The server could not apply the edit; we start over from its text, so what we typed since is dropped too
+        delete textSync.current[fieldId];
+        if (result?.resync) {
+          dropTextRevisions(fieldId, result.revision);
+          fieldVersions.current[fieldId] = result.revision;
+          setFormResponse(prev => ({ ...prev, [fieldId]: result.value }));
+        }
+        if (result?.error) setFieldErrors(prev => ({ ...prev, [fieldId]: result.errors || [{ fieldId, code: result.staleForm ? 'staleForm' : 'text', message: result.error }] }));
+        return;
+      }
 
-  const copyToClipboard = async (text) => {
-    try {
-      await navigator.clipboard.writeText(text);
-      setCopiedCode(text);
-      setTimeout(() => setCopiedCode(''), 2000);
-    } catch (err) {
-      console.error('Failed to copy using clipboard API:', err);
-      const textArea = document.createElement("textarea");
-      textArea.value = text;
-      textArea.style.position = "fixed"; textArea.style.left = "-999999px";
-      document.body.appendChild(textArea);
-      textArea.focus(); textArea.select();
-      try { document.execCommand('copy'); setCopiedCode(text); setTimeout(() => setCopiedCode(''), 2000); } 
-      catch (copyErr) { console.error('Fallback: Oops, unable to copy text', copyErr); }
-      finally { document.body.removeChild(textArea); }
+      recordOwnEdit(fieldId, result.changeId, result.revision);
+      setFormResponse(prev => ({ ...prev, lastUpdated: result.timestamp }));
+      setShowSavedMessage(true);
+      setTimeout(() => setShowSavedMessage(false), 2000);
+      // Co-authors' operations the server applied before ours may still be on their way
+      applyTextRevision(fieldId, result.revision, () => {
+        const sync = textSync.current[fieldId];
+        if (!sync) return;
+        sync.serverText = applyOperation(sync.serverText, sync.outstanding);
+        sync.outstanding = sync.buffer;
+        sync.buffer = null;
+        if (sync.outstanding) { sendTextOperation(fieldId, sync.outstanding); } else { delete textSync.current[fieldId]; }
+      });
+    });
+  };
+
+  // Server changes to a text field are applied in revision order. With several server instances, a co-author's
+  // operation can arrive after a later one, or after the acknowledgement of our own later operation; it then waits
+  // for the revisions before it. Revisions we already have are ignored, and if a missing one does not arrive within
+  // TEXT_REVISION_GAP_MS, the field is reloaded from the server.
+  const applyTextRevision = (fieldId, revision, apply) => {
+    const queue = textRevisions.current[fieldId] || { waiting: new Map(), timer: null };
+    textRevisions.current[fieldId] = queue;
+    if (revision > (fieldVersions.current[fieldId] || 0)) queue.waiting.set(revision, apply);
+    let next = (fieldVersions.current[fieldId] || 0) + 1;
+    while (queue.waiting.has(next)) {
+      const applyNext = queue.waiting.get(next);
+      queue.waiting.delete(next);
+      fieldVersions.current[fieldId] = next; // Set first: our next operation is sent on top of this revision
+      applyNext();
+      next = (fieldVersions.current[fieldId] || 0) + 1;
+    }
+    dropTextRevisions(fieldId, fieldVersions.current[fieldId] || 0);
+    if (textRevisions.current[fieldId] && !queue.timer) {
+      queue.timer = setTimeout(() => reloadTextField(fieldId), TEXT_REVISION_GAP_MS);
     }
   };
 
-  const shareForm = (form) => {
-    const formUrl = `${window.location.origin}?join=${form.code}`;
-    const shareData = { title: form.title, text: `Join me in filling out the form: ${form.title}`, url: formUrl };
-    if (navigator.share) { navigator.share(shareData).catch(console.error); } else { copyToClipboard(formUrl); }
+  // Forgets the waiting text changes of a field up to a revision (all of them when called without one)
+  const dropTextRevisions = (fieldId, upToRevision = Infinity) => {
+    const queue = textRevisions.current[fieldId];
+    if (!queue) return;
+    [...queue.waiting.keys()].filter(revision => revision <= upToRevision).forEach(revision => queue.waiting.delete(revision));
+    if (queue.waiting.size > 0) return;
+    clearTimeout(queue.timer);
+    delete textRevisions.current[fieldId];
   };
 
-  const handleSocialShare = (platform, form) => {
-    const formUrl = encodeURIComponent(`${window.location.origin}?join=${form.code}`);
-    const title = encodeURIComponent(`Join me in filling out: ${form.title}`);
-    let url = '';
-    switch(platform) {
-      case 'facebook': url = `https://www.facebook.com/sharer/sharer.php?u=${formUrl}`; break;
-      case 'twitter': url = `https://twitter.com/intent/tweet?text=${title}&url=${formUrl}`; break;
-      case 'linkedin': url = `https://www.linkedin.com/shareArticle?mini=true&url=${formUrl}&title=${title}`; break;
-      case 'whatsapp': url = `https://wa.me/?text=${title} ${formUrl}`; break;
-      case 'email': url = `mailto:?subject=${title}&body=${title}%0D%0A${formUrl}`; break;
-      default: return;
-    }
-    window.open(url, '_blank');
+  // Drops every waiting text change, e.g. when another form is opened or the connection dropped
+  const clearTextRevisions = () => {
+    Object.keys(textRevisions.current).forEach(fieldId => dropTextRevisions(fieldId));
   };
 
-  // ----------------------
-  // 🛠️ Form Builder Functions (Admin-only)
-  // ----------------------
+  // A revision of a text field never arrived (or an operation did not fit our text): we start over from the server's
+  // text, like when the server cannot apply our edit, so what we typed and the server has not confirmed is dropped
+  const reloadTextField = (fieldId) => {
+    dropTextRevisions(fieldId);
+    socket.emit('resyncResponse', { formId: currentForm.id, fieldVersions: fieldVersions.current, formVersion: currentForm.version }, (result) => {
+      const change = result?.success && result.changes.find(c => c.fieldId === fieldId);
+      if (!change) return;
+      delete textSync.current[fieldId];
+      fieldVersions.current[fieldId] = change.version;
+      setFormResponse(prev => ({ ...prev, [fieldId]: change.value ?? '' }));
+    });
+  };
 
-  const addField = () => {
-    const newField = { id: `field_${Date.now()}`, type: 'text', label: 'New Field', required: false, options: [] };
-    setEditingForm(prev => ({ ...prev, fields: [...prev.fields, newField] }));
+  // Puts our caret back on the same characters after a co-author's edit re-rendered the text field we type in
+  useEffect(() => {
+    Object.entries(pendingCarets.current).forEach(([fieldId, { start, end }]) => {
+      document.getElementById(`field-${fieldId}`)?.setSelectionRange(start, end);
+    });
+    pendingCarets.current = {};
+  });
+
+  // Tells co-authors where our caret is in a text field, or that we left it (element null)
+  const shareTextSelection = (fieldId, element) => {
+    socket.emit('textSelection', {
+      formId: currentForm.id,
+      fieldId,
+      selection: element ? { start: element.selectionStart, end: element.selectionEnd } : null
+    });
   };
-  const updateFormField = (fieldId, updates) => {
-    setEditingForm(prev => ({
-      ...prev,
-      fields: prev.fields.map(field => field.id === fieldId ? { ...field, ...updates } : field)
-    }));
+
+  // Posts a comment on a field, or a reply to one of its threads. Collaborators in the form named as @Name are mentioned.
+  const addComment = (fieldId, parentId = null) => {
+    const draftKey = parentId ? `reply-${parentId}` : fieldId;
+    const body = (commentDrafts[draftKey] || '').trim();
+    if (!body) return;
+    const mentions = activeUsers
+      .filter(activeUser => activeUser.userId !== user.id && body.includes(`@${activeUser.userName}`))
+      .map(activeUser => activeUser.userId);
+    socket.emit('addComment', { formId: currentForm.id, fieldId, parentId, body, mentions }, (result) => {
+      if (!result?.success) {
+        setCommentError(result?.error || 'Failed to add the comment.');
+        return;
+      }
+      setComments(prev => (prev.some(c => c.id === result.comment.id) ? prev : [...prev, result.comment]));
+      setCommentDrafts(prev => ({ ...prev, [draftKey]: '' }));
+      setCommentError(null);
+    });
   };
-  const removeField = (fieldId) => {
-    setEditingForm(prev => ({ ...prev, fields: prev.fields.filter(field => field.id !== fieldId) }));
+
+  // Resolves a thread, or reopens a resolved one
+  const resolveThread = (thread) => {
+    socket.emit('resolveComment', { formId: currentForm.id, commentId: thread.id, resolved: !thread.resolved }, (result) => {
+      if (!result?.success) {
+        setCommentError(result?.error || 'Failed to update the thread.');
+        return;
+      }
+      setComments(prev => prev.map(c => (c.id === result.comment.id ? result.comment : c)));
+      setCommentError(null);
+    });
   };
-  const saveFormStructure = async () => {
-    if (!user.id) {
-      console.error('Admin ID not available for saving form structure.');
-      adminLogout();
+
+  // Opens a field's comment threads, switching to the page of a multi-page form the field is on
+  const openComments = (fieldId) => {
+    const page = formPages.findIndex(formPage => formPage.fields.some(f => f.id === fieldId));
+    if (page >= 0 && page !== pageIndex) goToPage(page);
+    setCommentField(fieldId);
+    setCommentError(null);
+  };
+
+  // Assigns a field or section to a participant, or removes its assignee (empty name). A name that matches a user
+  // in the form also sends their ID. Admins go through the REST API, collaborators through the socket.
+  const assignField = async (fieldId, name) => {
+    const participant = activeUsers.find(activeUser => activeUser.userName.trim().toLowerCase() === name.trim().toLowerCase());
+    const assignee = { assigneeName: name, assigneeId: participant?.userId || null };
+    const done = (result) => {
+      if (result?.success) {
+        setAssigningField(null);
+      } else {
+        setAssigningField(prev => prev && ({ ...prev, error: result?.error || 'Failed to update the assignment.' }));
+      }
+    };
+    if (user.role !== 'admin') {
+      socket.emit('assignField', { formId: currentForm.id, fieldId, ...assignee }, done);
       return;
     }
     try {
-      // Pass adminId directly in the body
-      const response = await fetch(`http://localhost:3001/api/forms/${editingForm.id}/fields`, {
+      const response = await authFetch(`http://localhost:3001/api/forms/${currentForm.id}/assignments/${fieldId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ fields: editingForm.fields, adminId: user.id }) 
+        body: JSON.stringify(assignee)
       });
-      const data = await response.json();
-      if (data.success) {
-        setEditingForm(null);
-        loadAdminForms();
-      } else {
-        console.error('Failed to save form structure:', data.error);
-      }
+      done(await response.json());
     } catch (error) {
-      console.error('Error saving form structure:', error);
+      console.error('Error assigning field:', error);
+      done({ success: false, error: 'Network error or server unreachable while assigning.' });
     }
   };
-  const addFieldOption = (fieldId) => {
-    setEditingForm(prev => ({
-      ...prev,
-      fields: prev.fields.map(field => 
-        field.id === fieldId ? { ...field, options: [...(field.options || []), 'New Option'] } : field
-      )
-    }));
+
+  // Collaborators in the form whose names complete the @mention typed at the end of a comment draft
+  const mentionSuggestions = (draft) => {
+    const match = /@([^\s@]*)$/.exec(draft);
+    if (!match) return [];
+    const query = match[1].toLowerCase();
+    return activeUsers.filter(activeUser => activeUser.userId !== user.id && activeUser.userName.toLowerCase().startsWith(query));
   };
-  const updateFieldOption = (fieldId, optionIndex, value) => {
-    setEditingForm(prev => ({
-      ...prev,
-      fields: prev.fields.map(field => 
-        field.id === fieldId ? { ...field, options: field.options.map((option, index) => index === optionIndex ? value : option) } : field
-      )
-    }));
+
+  // Pushes one of our acknowledged writes onto the undo stack. Consecutive writes to the same field with nobody
+  // else's in between (the version went up by exactly one) are merged, so undo reverts a whole typing run at once.
+  const recordOwnEdit = (fieldId, changeId, version) => setEditStacks(prev => {
+    const last = prev.undo[prev.undo.length - 1];
+    if (last && last.fieldId === fieldId && version === last.version + 1) {
+      return { undo: [...prev.undo.slice(0, -1), { ...last, lastChangeId: changeId, version }], redo: [] };
+    }
+    return { undo: [...prev.undo, { fieldId, firstChangeId: changeId, lastChangeId: changeId, version }].slice(-UNDO_LIMIT), redo: [] };
+  });
+
+  // Undoes our latest edit, or redoes the latest undo. The server only reverts our own changes; if someone else
+  // has changed the field since, it answers with a 'conflict' event and the usual conflict prompt appears instead.
+  const revertEdit = (direction) => {
+    const entry = editStacks[direction][editStacks[direction].length - 1];
+    // Wait until our own writes are acknowledged (or replayed after a reconnect), otherwise the revert would conflict with them
+    if (!entry || !socket.connected || Object.keys(pendingUpdates.current).length > 0 || Object.keys(textSync.current).length > 0 || offlineEditCount > 0) return;
+    setEditStacks(prev => ({ ...prev, [direction]: prev[direction].slice(0, -1) }));
+    const { fieldId, firstChangeId, lastChangeId } = entry;
+    socket.emit('revertEdit', {
+      formId: currentForm.id,
+      formVersion: currentForm.version,
+      fieldId,
+      firstChangeId,
+      lastChangeId,
+      direction
+    }, (result) => {
+      if (!result?.success) {
+        if (result?.error && !result.conflict) setFieldErrors(prev => ({ ...prev, [fieldId]: result.errors || [{ fieldId, code: direction, message: result.error }] }));
+        return;
+      }
+      fieldVersions.current[fieldId] = result.version;
+      setFormResponse(prev => ({ ...prev, [fieldId]: result.value, lastUpdated: result.timestamp }));
+      setFieldErrors(prev => ({ ...prev, [fieldId]: [] }));
+      // The revert is itself a change of ours, which the opposite stack can revert again
+      const reverse = { fieldId, firstChangeId: result.changeId, lastChangeId: result.changeId, version: result.version };
+      const opposite = direction === 'undo' ? 'redo' : 'undo';
+      setEditStacks(prev => ({ ...prev, [opposite]: [...prev[opposite], reverse].slice(-UNDO_LIMIT) }));
+    });
   };
-  const removeFieldOption = (fieldId, optionIndex) => {
-    setEditingForm(prev => ({
-      ...prev,
-      fields: prev.fields.map(field => 
-        field.id === fieldId 
-          ? { ...field, options: field.options.filter((_, index) => index !== optionIndex) }
-          : field
-      )
-    }));
+
+  // Adds, removes, moves or edits a row of a group field. Individual respondents only change their local draft;
+  // on shared responses the server applies the operation to the latest rows and broadcasts the result.
+  const changeGroup = (field, action, params = {}) => {
+    const rows = Array.isArray(formResponse[field.id]) ? formResponse[field.id] : [];
+    const result = applyGroupAction(field, rows, { ...params, action, newRowId: crypto.randomUUID() });
+    setFieldErrors(prev => ({ ...prev, [field.id]: result.errors || (result.error ? [{ fieldId: field.id, code: 'group', message: result.error }] : []) }));
+    // A cell keeps what was typed even while it is invalid, so the input does not jump back
+    const nextRows = action === 'updateCell'
+      ? rows.map(row => (row.id === params.rowId ? { ...row, values: { ...row.values, [params.childId]: params.value } } : row))
+      : result.rows;
+    // Shared responses wait for the server to name a new row
+    if (nextRows && (action !== 'addRow' || isIndividualRespondent)) setFormResponse(prev => ({ ...prev, [field.id]: nextRows }));
+    if (isIndividualRespondent) return;
+    if (!socket.connected || offlineGroupChanges.current.length > 0) {
+      // Replayed in order once we are back; new rows only appear then, when the server has named them
+      if (!result.error) {
+        offlineGroupChanges.current.push({ fieldId: field.id, action, params });
+        setOfflineEditCount(Object.keys(offlineEdits.current).length + offlineGroupChanges.current.length);
+      }
+      return;
+    }
+
+    if (action !== 'updateCell') {
+      if (!result.error) sendGroupChange(field.id, action, params);
+      return;
+    }
+    // Like updateField: one update per cell in flight, only the latest value is sent after it
+    const cellKey = `${field.id}:${params.rowId}:${params.childId}`;
+    const pending = pendingUpdates.current[cellKey];
+    if (result.error) {
+      if (pending) pending.hasQueued = false;
+      return;
+    }
+    if (pending?.inFlight) {
+      pending.hasQueued = true;
+      pending.queuedValue = params.value;
+      return;
+    }
+    sendGroupChange(field.id, action, params);
   };
 
-  // Auto-join from URL parameter
+  const sendGroupChange = (fieldId, action, params) => {
+    const cellKey = action === 'updateCell' ? `${fieldId}:${params.rowId}:${params.childId}` : null;
+    if (cellKey) pendingUpdates.current[cellKey] = { inFlight: true, hasQueued: false, queuedValue: null };
+    socket.emit('updateGroup', { formId: currentForm.id, formVersion: currentForm.version, fieldId, action, ...params }, (result) => {
+      const pending = cellKey ? pendingUpdates.current[cellKey] : null;
+      if (cellKey) delete pendingUpdates.current[cellKey];
+      if (!result?.success) {
+        // Rule violations and row locks are reported through their own events
+        if (result?.error && !result.errors?.length) setFieldErrors(prev => ({ ...prev, [fieldId]: [{ fieldId, code: 'group', message: result.error }] }));
+        return;
+      }
+
+      fieldVersions.current[fieldId] = result.version;
+      // The row being typed in keeps its local values, as in the fieldUpdated handler
+      setFormResponse(prev => ({
+        ...prev,
+        [fieldId]: cellKey && Array.isArray(prev[fieldId]) ? result.value.map(row => prev[fieldId].find(r => r.id === row.id && r.id === params.rowId) || row) : result.value,
+        lastUpdated: result.timestamp
+      }));
+      setShowSavedMessage(true);
+      setTimeout(() => setShowSavedMessage(false), 2000);
+      if (pending?.hasQueued) sendGroupChange(fieldId, action, { ...params, value: pending.queuedValue });
+    });
+  };
+
+  // ----------------------
+  // 💾 Offline Copies (forms kept in IndexedDB so they open and stay fillable without a connection)
+  // ----------------------
+
+  // Keeps the open form, our answers and the edits not saved yet on this device. Admins always work online.
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    // Corrected: Use urlParams.get instead of a potentially undefined 'url.get'
-    const joinCodeFromUrl = urlParams.get('join'); 
-    if (joinCodeFromUrl && !sessionStorage.getItem('hasAutoJoined')) {
-      setJoinCode(joinCodeFromUrl);
-      sessionStorage.setItem('hasAutoJoined', 'true'); 
-    }
-  }, []);
+    if (!currentForm || user.role === 'admin') return;
+    saveFormCopy({
+      formId: currentForm.id,
+      code: currentForm.code,
+      form: currentForm,
+      // A submitted individual response is not kept; the next visit starts a new one
+      response: isIndividualRespondent && submissionResult ? null : formResponse,
+      fieldVersions: fieldVersions.current,
+      responseStatus,
+      offlineEdits: offlineEdits.current,
+      offlineGroupChanges: offlineGroupChanges.current,
+      userId: user.id,
+      userName: user.name
+    }).catch(error => console.warn('Could not keep an offline copy of the form:', error));
+  }, [currentForm, formResponse, responseStatus, offlineEditCount, submissionResult, isIndividualRespondent, user.role, user.id, user.name]);
+
+  // Whether a copy holds work the server does not have: held edits, or answers of an individual response not submitted yet
+  const hasUnsavedWork = (copy, form) => (
+    Object.keys(copy.offlineEdits || {}).length > 0 || (copy.offlineGroupChanges || []).length > 0 || (form.mode === 'individual' && !!copy.response)
+  );
+
+  // Opens a form from its device copy. Shared forms then rejoin and sync the held edits as soon as the socket is connected.
+  const openFormCopy = (copy) => {
+    setUser({ id: copy.userId, name: copy.userName, role: 'user' });
+    setCurrentForm(copy.form);
+    setFormResponse(copy.response || getDefaultValues(copy.form.fields));
+    fieldVersions.current = copy.fieldVersions || {};
+    offlineEdits.current = copy.offlineEdits || {};
+    offlineGroupChanges.current = copy.offlineGroupChanges || [];
+    setOfflineEditCount(Object.keys(offlineEdits.current).length + offlineGroupChanges.current.length);
+    textSync.current = {};
+    clearTextRevisions();
+    pendingUpdates.current = {};
+    setOpenedOffline(null);
+    setRemoteSelections({});
+    setFieldErrors({});
+    setSubmissionResult(null);
+    setSubmissionError(null);
+    setResponseStatus(copy.responseStatus || { status: 'open', finalizedBy: null, finalizedAt: null });
+    if (copy.form.mode !== 'individual') setResyncRequest({ previousSocketId: null }); // None of our writes can be told apart
+    setFormPage(0);
+    setCurrentView('form');
+    setCurrentPage('');
+  };
 
   // ----------------------
-  // 🖥️ Render Modals
+  // 🔁 Reconnect & Resync (edits made while the connection was down)
   // ----------------------
 
-  const renderFormBuilder = () => {
-    if (!editingForm) return null;
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 font-inter">
-        <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
-          <div className="p-6 border-b border-gray-200 flex justify-between items-center flex-shrink-0">
-            <h2 className="text-2xl font-bold text-gray-800">Edit Form: <span className="text-blue-600">{editingForm.title}</span></h2>
-            <div className="flex space-x-3">
-              <button onClick={saveFormStructure} className="bg-green-600 text-white px-5 py-2 rounded-lg hover:bg-green-700 flex items-center space-x-2 transition duration-200 shadow-md">
-                <Check size={18} /><span className="font-semibold">Save Changes</span>
-              </button>
-              <button onClick={() => setEditingForm(null)} className="bg-gray-500 text-white px-5 py-2 rounded-lg hover:bg-gray-600 flex items-center space-x-2 transition duration-200 shadow-md">
-                <X size={18} /><span className="font-semibold">Cancel</span>
-              </button>
+  // Keeps an edit made while disconnected; only the latest value per field is replayed, on top of the version
+  // (and, for text fields, the text) it was based on
+  const holdOfflineEdit = (fieldId, value, baseValue = null) => {
+    const held = offlineEdits.current[fieldId];
+    offlineEdits.current[fieldId] = held ? { ...held, value } : { value, baseValue, baseVersion: fieldVersions.current[fieldId] || 0, inFlight: false };
+    setOfflineEditCount(Object.keys(offlineEdits.current).length + offlineGroupChanges.current.length);
+  };
+
+  // The connection dropped: acknowledgements of writes still in flight will never arrive, so they are held as offline
+  // edits. Whether the server applied them is only known after the resync.
+  const holdUnsavedEdits = () => {
+    Object.entries(textSync.current).forEach(([fieldId, sync]) => {
+      const typed = [sync.outstanding, sync.buffer].filter(Boolean).reduce((text, ops) => applyOperation(text, ops), sync.serverText);
+      offlineEdits.current[fieldId] = { value: typed, baseValue: sync.serverText, baseVersion: fieldVersions.current[fieldId] || 0, inFlight: true };
+    });
+    Object.entries(pendingUpdates.current).forEach(([key, pending]) => {
+      if (!currentForm?.fields.some(f => f.id === key)) return; // Group cells show the server's rows after the resync
+      offlineEdits.current[key] = { value: pending.hasQueued ? pending.queuedValue : pending.value, baseValue: null, baseVersion: fieldVersions.current[key] || 0, inFlight: true };
+    });
+    textSync.current = {};
+    clearTextRevisions();
+    pendingUpdates.current = {};
+    setOfflineEditCount(Object.keys(offlineEdits.current).length + offlineGroupChanges.current.length);
+  };
+
+  // Saves one held edit after the resync. change is the server's newer version of the field, if it has one.
+  // Text fields are merged with text operations; other fields only overwrite what nobody else changed meanwhile,
+  // otherwise the conflict prompt lets the user decide. Returns 'saved', 'conflict' or 'skipped'.
+  const replayOfflineEdit = (fieldId, edit, change) => {
+    const field = currentForm.fields.find(f => f.id === fieldId);
+    if (!field) return 'skipped'; // The admin removed the field meanwhile
+    const serverValue = change ? change.value : null;
+    const serverVersion = change ? change.version : edit.baseVersion;
+    const showConflict = () => {
+      fieldVersions.current[fieldId] = serverVersion;
+      setConflicts(prev => ({ ...prev, [fieldId]: { fieldLabel: field.label, currentValue: serverValue, yourValue: edit.value } }));
+      return 'conflict';
+    };
+
+    if (isCollaborativeText(field) && edit.baseValue !== null) {
+      // Whether an unacknowledged operation was applied before others' edits is unknown, so that case is left to the user
+      if (change?.changedByOthers && edit.inFlight) return showConflict();
+      const serverText = serverValue === null || serverValue === undefined ? '' : String(serverValue);
+      // Our own lost write is part of the server's text, so only what we typed after it is sent
+      const baseText = change && !change.changedByOthers ? serverText : edit.baseValue;
+      const [ours] = transform(diffToOperation(baseText, String(edit.value ?? '')), diffToOperation(baseText, change ? serverText : baseText));
+      fieldVersions.current[fieldId] = serverVersion;
+      setFormResponse(prev => ({ ...prev, [fieldId]: applyOperation(change ? serverText : baseText, ours) }));
+      if (isNoop(ours)) return 'saved';
+      textSync.current[fieldId] = { serverText: change ? serverText : baseText, outstanding: ours, buffer: null };
+      sendTextOperation(fieldId, ours);
+      return 'saved';
+    }
+
+    const sameValue = JSON.stringify(serverValue) === JSON.stringify(edit.value);
+    if (change?.changedByOthers && !sameValue) return showConflict();
+    fieldVersions.current[fieldId] = serverVersion;
+    if (change && sameValue) {
+      setFormResponse(prev => ({ ...prev, [fieldId]: serverValue }));
+      return 'saved';
+    }
+    sendFieldUpdate(fieldId, edit.value);
+    return 'saved';
+  };
+
+  // Applies the resync result: fields we did not touch take the server's value, held edits are replayed
+  const applyResync = (result) => {
+    const held = offlineEdits.current;
+    const groupChanges = offlineGroupChanges.current;
+    offlineEdits.current = {};
+    offlineGroupChanges.current = [];
+    setOfflineEditCount(0);
+    setOpenedOffline(null);
+    setResponseStatus({ status: result.status, finalizedBy: result.finalizedBy, finalizedAt: result.finalizedAt });
+
+    const changes = Object.fromEntries(result.changes.map(change => [change.fieldId, change]));
+    const finalized = result.status !== 'open';
+    const untouched = result.changes.filter(change => finalized || !held[change.fieldId]);
+    untouched.forEach(({ fieldId, version }) => { fieldVersions.current[fieldId] = version; });
+    setFormResponse(prev => ({ ...prev, ...Object.fromEntries(untouched.map(({ fieldId, value }) => [fieldId, value])) }));
+
+    if (finalized) {
+      // The response became read-only while we were away; nothing can be saved any more
+      const lost = [...Object.keys(held), ...groupChanges.map(change => change.fieldId)];
+      setFieldErrors(prev => ({ ...prev, ...Object.fromEntries(lost.map(fieldId => [fieldId, [{ fieldId, code: 'offline', message: 'The response was finalized while you were offline, so this edit was not saved.' }]])) }));
+      if (lost.length > 0) setSyncNotice({ saved: 0, conflicts: [], lost: lost.length });
+      return;
+    }
+    const outcomes = Object.entries(held).map(([fieldId, edit]) => [fieldId, replayOfflineEdit(fieldId, edit, changes[fieldId])]);
+    groupChanges.forEach(({ fieldId, action, params }) => sendGroupChange(fieldId, action, params));
+    if (outcomes.length + groupChanges.length > 0) {
+      setSyncNotice({
+        saved: outcomes.filter(([, outcome]) => outcome === 'saved').length + groupChanges.length,
+        conflicts: outcomes.filter(([, outcome]) => outcome === 'conflict').map(([fieldId]) => fieldId),
+        lost: 0
+      });
+    }
+  };
+
+  // Every (re)connect: if we are in a shared form, join it again and catch up (a form opened offline joins for the first time)
+  const rejoinAfterReconnect = () => {
+    const previousSocketId = lastSocketId.current;
+    lastSocketId.current = socket.id;
+    if (currentForm && !isIndividualRespondent) setResyncRequest({ previousSocketId });
+  };
+
+  // Joins the open form with our identity and catches up from the field versions we last saw. Locks are not
+  // restored; the heartbeat of a focused field takes its lock again.
+  const rejoinAndResync = async (previousSocketId) => {
+    const identity = user.role === 'admin' ? { accessToken: await adminSocketToken() } : { participantToken: participantToken.current };
+    socket.emit('joinForm', { formId: currentForm.id, ...identity }, (joined) => {
+      if (!joined?.success) return;
+      socket.emit('resyncResponse', {
+        formId: currentForm.id,
+        fieldVersions: fieldVersions.current,
+        formVersion: currentForm.version,
+        previousSocketId
+      }, (result) => {
+        if (result?.success) applyResync(result);
+      });
+    });
+  };
+
+  // The socket's listeners (registered once) always call the handlers of the latest render
+  useEffect(() => {
+    connectionHandlers.current = { onConnect: rejoinAfterReconnect, onDisconnect: holdUnsavedEdits, resync: rejoinAndResync, applyTextRevision, reloadTextField };
+  });
+
+  // Runs after the render that opened the form, so the resync sees its state; waits for the connection if needed
+  useEffect(() => {
+    if (!resyncRequest || !isConnected) return;
+    setResyncRequest(null);
+    connectionHandlers.current.resync(resyncRequest.previousSocketId);
+  }, [resyncRequest, isConnected]);
+
+  // Freezes the shared response; admins go through the REST API, collaborators through the socket
+  const finalizeSharedResponse = async () => {
+    setFinalizeError(null);
+    if (user.role === 'admin') {
+      try {
+        const response = await authFetch(`http://localhost:3001/api/forms/${currentForm.id}/finalize`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) {
+          setFinalizeError({ message: data.error || 'Failed to finalize the response.', missingFields: data.missingFields || [] });
+          setFieldErrors(prev => ({ ...prev, ...(data.errors || {}) }));
+        }
+      } catch (error) {
+        console.error('Error finalizing response:', error);
+        setFinalizeError({ message: 'Network error or server unreachable while finalizing.', missingFields: [] });
+      }
+      return;
+    }
+    socket.emit('finalizeResponse', { formId: currentForm.id }, (result) => {
+      if (!result?.success) {
+        setFinalizeError({ message: result?.error || 'Failed to finalize the response.', missingFields: result?.missingFields || [] });
+        setFieldErrors(prev => ({ ...prev, ...(result?.errors || {}) }));
+      }
+    });
+  };
+
+  const reopenSharedResponse = async () => {
+    try {
+      const response = await authFetch(`http://localhost:3001/api/forms/${currentForm.id}/reopen`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: reopenReason })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setReopenReason('');
+      } else {
+        console.error('Failed to reopen response:', data.error);
+      }
+    } catch (error) {
+      console.error('Error reopening response:', error);
+    }
+  };
+
+  // Loads a page of the shared response's edit history, newest first; `before` continues from an older page
+  const loadHistory = useCallback(async (before = null) => {
+    setHistoryPanel(prev => ({ changes: [], nextBefore: null, ...prev, loading: true, error: null }));
+    const showPage = (result) => setHistoryPanel(prev => prev && ({
+      changes: before ? [...prev.changes, ...result.changes] : result.changes,
+      nextBefore: result.nextBefore,
+      loading: false,
+      error: null
+    }));
+    const showError = (message) => setHistoryPanel(prev => prev && ({ ...prev, loading: false, error: message }));
+
+    if (user.role === 'admin') {
+      try {
+        const response = await authFetch(`http://localhost:3001/api/forms/${currentForm.id}/history${before ? `?before=${before}` : ''}`);
+        const data = await response.json();
+        if (data.success) {
+          showPage(data);
+        } else {
+          showError(data.error || 'Failed to load the edit history.');
+        }
+      } catch (error) {
+        console.error('Error loading edit history:', error);
+        showError('Network error or server unreachable while loading the history.');
+      }
+      return;
+    }
+    socket.emit('getHistory', { formId: currentForm.id, before }, (result) => {
+      if (result?.success) {
+        showPage(result);
+      } else {
+        showError(result?.error || 'Failed to load the edit history.');
+      }
+    });
+  }, [user.role, currentForm, socket, authFetch]);
+
+  // Load the history when the sidebar opens and keep it current as edits come in
+  const isHistoryOpen = historyPanel !== null;
+  useEffect(() => {
+    if (isHistoryOpen) loadHistory();
+  }, [isHistoryOpen, formResponse.lastUpdated, loadHistory]);
+
+  const toggleHistory = () => setHistoryPanel(prev => (prev ? null : { changes: [], nextBefore: null, loading: true, error: null }));
+
+  // Puts the response back to how it was right after the given change (Admin only); the restore is itself logged
+  const restoreToChange = async (change) => {
+    try {
+      const response = await authFetch(`http://localhost:3001/api/forms/${currentForm.id}/history/restore`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changeId: change.id })
+      });
+      const data = await response.json();
+      if (data.success) {
+        await loadHistory();
+        // Fields someone was editing, or whose old value the current rules reject, keep their value
+        if (data.skippedFields.length > 0) {
+          setHistoryPanel(prev => prev && ({ ...prev, notice: `Not restored: ${data.skippedFields.map(skipped => skipped.message).join(' ')}` }));
+        }
+      } else {
+        setHistoryPanel(prev => prev && ({ ...prev, error: data.error || 'Failed to restore the response.' }));
+      }
+    } catch (error) {
+      console.error('Error restoring response:', error);
+      setHistoryPanel(prev => prev && ({ ...prev, error: 'Network error or server unreachable while restoring.' }));
+    }
+  };
+
+  // Sends the respondent's own answers for an individual-mode form
+  const submitIndividualResponse = async () => {
+    setSubmissionError(null);
+    const data = Object.fromEntries(currentForm.fields.filter(field => formResponse[field.id] !== undefined).map(field => [field.id, formResponse[field.id]]));
+    // --- Validation: Check every answer before sending, the server repeats the same checks ---
+    const { errors } = validateResponse(currentForm.fields, data);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setSubmissionError({ message: 'Some answers are missing or invalid.', missingFields: [] });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(`http://localhost:3001/api/forms/${currentForm.code}/submissions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data, respondentName: user.name })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setSubmissionResult(result.submission);
+      } else {
+        setSubmissionError({ message: result.error || 'Failed to submit your response.', missingFields: result.missingFields || [] });
+        setFieldErrors(result.errors || {});
+      }
+    } catch (error) {
+      console.error('Error submitting response:', error);
+      setSubmissionError({ message: 'Network error or server unreachable while submitting.', missingFields: [] });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const startNewSubmission = () => {
+    setFormResponse(getDefaultValues(currentForm.fields));
+    setFieldErrors({});
+    setSubmissionResult(null);
+    setSubmissionError(null);
+  };
+
+  // Loads the saved versions of a form's structure into the admin versions modal
+  const loadVersions = async (form) => {
+    try {
+      const response = await authFetch(`http://localhost:3001/api/forms/${form.id}/versions`);
+      const data = await response.json();
+      if (data.success) {
+        setVersionsModal({ form, versions: data.versions, currentVersion: data.currentVersion, comparison: null, error: null });
+      } else {
+        console.error('Failed to load form versions:', data.error);
+      }
+    } catch (error) {
+      console.error('Error loading form versions:', error);
+    }
+  };
+
+  // Shows what changed from an older version to the current one
+  const compareVersion = async (version) => {
+    const { form, currentVersion } = versionsModal;
+    try {
+      const response = await authFetch(`http://localhost:3001/api/forms/${form.id}/versions/compare?from=${version}&to=${currentVersion}`);
+      const data = await response.json();
+      if (data.success) {
+        setVersionsModal(prev => ({ ...prev, comparison: { from: data.from, to: data.to, diff: data.diff }, error: null }));
+      } else {
+        setVersionsModal(prev => ({ ...prev, error: data.error || 'Failed to compare the versions.' }));
+      }
+    } catch (error) {
+      console.error('Error comparing form versions:', error);
+      setVersionsModal(prev => ({ ...prev, error: 'Network error or server unreachable while comparing.' }));
+    }
+  };
+
+  // Makes an older structure current again; the rollback is saved as a new version
+  const rollbackVersion = async (version) => {
+    const { form } = versionsModal;
+    try {
+      const response = await authFetch(`http://localhost:3001/api/forms/${form.id}/versions/${version}/rollback`, { method: 'POST' });
+      const data = await response.json();
+      if (data.success) {
+        loadVersions({ ...form, ...data.form });
+        loadAdminForms();
+      } else {
+        setVersionsModal(prev => ({ ...prev, error: data.error || 'Failed to roll back the form.' }));
+      }
+    } catch (error) {
+      console.error('Error rolling back form version:', error);
+      setVersionsModal(prev => ({ ...prev, error: 'Network error or server unreachable while rolling back.' }));
+    }
+  };
+
+  // Loads one page of an individual-mode form's submissions into the admin submissions modal
+  const loadSubmissions = async (form, page = 1) => {
+    try {
+      const response = await authFetch(`http://localhost:3001/api/forms/${form.id}/submissions?page=${page}&pageSize=10`);
+      const data = await response.json();
+      if (data.success) {
+        setSubmissionsModal({ form, submissions: data.submissions, pagination: data.pagination, selected: null });
+      } else {
+        console.error('Failed to load submissions:', data.error);
+      }
+    } catch (error) {
+      console.error('Error loading submissions:', error);
+    }
+  };
+
+  // Uploads a file for a 'file' field; on collaborative forms the server stores it as the field's value and broadcasts it
+  const uploadFile = async (field, file) => {
+    const mimeType = file.type || 'application/octet-stream';
+    const { errors } = validateFieldValue(field, { fileId: 'pending', name: file.name, size: file.size, mimeType });
+    setFieldErrors(prev => ({ ...prev, [field.id]: errors }));
+    if (errors.length > 0) return;
+
+    // Respondents of an individual form upload with an upload token, fetched on the first upload and again once it expired
+    const getUploadToken = async () => {
+      if (uploadToken.current?.formId !== currentForm.id) {
+        const response = await fetch(`http://localhost:3001/api/forms/${currentForm.code}/upload-token`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+        uploadToken.current = { formId: currentForm.id, token: data.uploadToken };
+      }
+      return uploadToken.current.token;
+    };
+    const sendFile = async () => {
+      const body = new FormData();
+      body.append('file', file);
+      if (isIndividualRespondent) {
+        body.append('uploadToken', await getUploadToken());
+      } else {
+        body.append('participantToken', participantToken.current);
+        body.append('expectedVersion', String(fieldVersions.current[field.id] || 0));
+      }
+      const response = await fetch(`http://localhost:3001/api/forms/${currentForm.id}/fields/${field.id}/files`, { method: 'POST', body });
+      return response.json();
+    };
+    setUploadingFields(prev => ({ ...prev, [field.id]: true }));
+    try {
+      let result = await sendFile();
+      if (result.uploadTokenExpired) {
+        uploadToken.current = null;
+        result = await sendFile();
+      }
+      if (!result.success) {
+        if (result.conflict) fieldVersions.current[field.id] = result.currentVersion;
+        setFieldErrors(prev => ({ ...prev, [field.id]: result.errors || [{ fieldId: field.id, code: 'upload', message: result.error || 'Failed to upload the file.' }] }));
+        return;
+      }
+      setFormResponse(prev => ({ ...prev, [field.id]: result.file }));
+      if (result.version) {
+        fieldVersions.current[field.id] = result.version;
+        setShowSavedMessage(true);
+        setTimeout(() => setShowSavedMessage(false), 2000);
+      }
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      setFieldErrors(prev => ({ ...prev, [field.id]: [{ fieldId: field.id, code: 'upload', message: 'Network error or server unreachable while uploading.' }] }));
+    } finally {
+      setUploadingFields(prev => {
+        const updated = { ...prev };
+        delete updated[field.id];
+        return updated;
+      });
+    }
+  };
+
+  // Downloads an uploaded file with the admin's token (a plain link could not send the Authorization header)
+  // Saves the body of an authenticated API response as a file in the browser
+  const saveDownload = async (url, fileName, description) => {
+    try {
+      const response = await authFetch(url);
+      if (!response.ok) {
+        console.error(`Failed to download ${description}:`, (await response.json()).error);
+        return;
+      }
+      const blobUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      console.error(`Error downloading ${description}:`, error);
+    }
+  };
+
+  const downloadFile = (formId, file) => saveDownload(`http://localhost:3001/api/forms/${formId}/files/${file.fileId}`, file.name, 'file');
+
+  // Downloads a form's shared response and submissions as 'csv', 'json' or 'xlsx'
+  const exportResponses = (form, format) => saveDownload(
+    `http://localhost:3001/api/forms/${form.id}/export?format=${format}`,
+    `${form.title.replace(/[^\w-]+/g, '_') || 'form'}-responses.${format}`,
+    'responses'
+  );
+
+  // Downloads a form's structure as a definition file that can be imported again
+  const exportFormDefinition = (form) => saveDownload(
+    `http://localhost:3001/api/forms/${form.id}/definition`,
+    `${form.title.replace(/[^\w-]+/g, '_') || 'form'}-definition.json`,
+    'form definition'
+  );
+
+  // Creates a new form from a definition file chosen by the admin
+  const importFormDefinition = async (file) => {
+    setImportErrors(null);
+    let definition;
+    try {
+      definition = JSON.parse(await file.text());
+    } catch {
+      setImportErrors({ message: `${file.name} is not a valid JSON file.`, errors: [] });
+      return;
+    }
+    try {
+      const response = await authFetch('http://localhost:3001/api/forms/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(definition)
+      });
+      const data = await response.json();
+      if (data.success) {
+        loadAdminForms();
+      } else {
+        setImportErrors({ message: data.error || 'Failed to import the form.', errors: data.errors || [] });
+      }
+    } catch (error) {
+      console.error('Error importing form:', error);
+      setImportErrors({ message: 'Network error or server unreachable while importing.', errors: [] });
+    }
+  };
+
+  // Resolves a rejected update: 'theirs' keeps the server value, 'mine' overwrites it, 'merge' appends ours to theirs
+  const resolveConflict = (fieldId, choice) => {
+    const conflict = conflicts[fieldId];
+    if (!conflict) return;
+    setConflicts(prev => {
+      const updated = { ...prev };
+      delete updated[fieldId];
+      return updated;
+    });
+
+    const theirs = conflict.currentValue ?? '';
+    if (choice === 'mine') {
+      updateField(fieldId, conflict.yourValue);
+    } else if (choice === 'merge') {
+      const separator = currentForm.fields.find(f => f.id === fieldId)?.type === 'textarea' ? '\n' : ' ';
+      updateField(fieldId, theirs ? `${theirs}${separator}${conflict.yourValue}` : conflict.yourValue);
+    } else {
+      setFormResponse(prev => ({ ...prev, [fieldId]: theirs }));
+      setFieldErrors(prev => ({ ...prev, [fieldId]: [] }));
+    }
+  };
+
+  // Moves to another page of a multi-page form and lets the other collaborators know where we are
+  const goToPage = (index) => {
+    setFormPage(index);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    if (!isIndividualRespondent) socket.emit('changePage', { formId: currentForm.id, page: index });
+  };
+
+  // rowId is set when a cell of a group field gets focus: the lock then covers that row only
+  const handleFieldFocus = (fieldId, rowId = null) => {
+    if (isIndividualRespondent) return;
+    const lockRequest = { formId: currentForm.id, fieldId, rowId };
+    const key = lockKey(fieldId, rowId);
+    socket.emit('lockField', lockRequest);
+    clearInterval(lockHeartbeats.current[key]);
+    lockHeartbeats.current[key] = setInterval(() => socket.emit('lockHeartbeat', lockRequest), LOCK_HEARTBEAT_MS);
+  };
+  const handleFieldBlur = (fieldId, rowId = null) => {
+    if (isIndividualRespondent) return;
+    const key = lockKey(fieldId, rowId);
+    clearInterval(lockHeartbeats.current[key]);
+    delete lockHeartbeats.current[key];
+    socket.emit('unlockField', { formId: currentForm.id, fieldId, rowId });
+  };
+  const handleTyping = (fieldId, isTyping) => {
+    if (isIndividualRespondent) return;
+    socket.emit('userTyping', { fieldId, isTyping, formId: currentForm.id });
+  };
+
+  // ----------------------
+  // 🎨 UI/Helper Functions
+  // ----------------------
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopiedCode(text);
+      setTimeout(() => setCopiedCode(''), 2000);
+    } catch (err) {
+      console.error('Failed to copy using clipboard API:', err);
+      const textArea = document.createElement("textarea");
+      textArea.value = text;
+      textArea.style.position = "fixed"; textArea.style.left = "-999999px";
+      document.body.appendChild(textArea);
+      textArea.focus(); textArea.select();
+      try { document.execCommand('copy'); setCopiedCode(text); setTimeout(() => setCopiedCode(''), 2000); } 
+      catch (copyErr) { console.error('Fallback: Oops, unable to copy text', copyErr); }
+      finally { document.body.removeChild(textArea); }
+    }
+  };
+
+  const shareForm = (form) => {
+    const formUrl = `${window.location.origin}?join=${form.code}`;
+    const shareData = { title: form.title, text: `Join me in filling out the form: ${form.title}`, url: formUrl };
+    if (navigator.share) { navigator.share(shareData).catch(console.error); } else { copyToClipboard(formUrl); }
+  };
+
+  const handleSocialShare = (platform, form) => {
+    const formUrl = encodeURIComponent(`${window.location.origin}?join=${form.code}`);
+    const title = encodeURIComponent(`Join me in filling out: ${form.title}`);
+    let url = '';
+    switch(platform) {
+      case 'facebook': url = `https://www.facebook.com/sharer/sharer.php?u=${formUrl}`; break;
+      case 'twitter': url = `https://twitter.com/intent/tweet?text=${title}&url=${formUrl}`; break;
+      case 'linkedin': url = `https://www.linkedin.com/shareArticle?mini=true&url=${formUrl}&title=${title}`; break;
+      case 'whatsapp': url = `https://wa.me/?text=${title} ${formUrl}`; break;
+      case 'email': url = `mailto:?subject=${title}&body=${title}%0D%0A${formUrl}`; break;
+      default: return;
+    }
+    window.open(url, '_blank');
+  };
+
+  // ----------------------
+  // 🛠️ Form Builder Functions (Admin-only)
+  // ----------------------
+
+  const addField = () => {
+    const newField = { id: `field_${Date.now()}`, type: 'text', label: 'New Field', required: false, options: [] };
+    setEditingForm(prev => ({ ...prev, fields: [...prev.fields, newField] }));
+  };
+  const updateFormField = (fieldId, updates) => {
+    setEditingForm(prev => ({
+      ...prev,
+      fields: prev.fields.map(field => field.id === fieldId ? { ...field, ...updates } : field)
+    }));
+  };
+  // Switching type drops the constraints and default that only made sense for the old type
+  const changeFieldType = (fieldId, type) => {
+    const isLayout = isLayoutField({ type });
+    updateFormField(fieldId, {
+      type,
+      options: (type === 'select' || type === 'radio') ? ['Option 1'] : [],
+      multiple: undefined, min: undefined, max: undefined, step: undefined,
+      maxLength: undefined, pattern: undefined, patternMessage: undefined, defaultValue: undefined,
+      allowedTypes: undefined, maxSizeMb: undefined, minRows: undefined, maxRows: undefined,
+      fields: type === 'group' ? [{ id: `col_${Date.now()}`, type: 'text', label: 'Column 1', required: false }] : undefined,
+      // Layout fields hold no answer, so they cannot be required
+      ...(isLayout ? { required: false, requiredWhen: undefined, placeholder: undefined } : {}),
+      ...(type === 'pageBreak' ? { visibleWhen: undefined } : {}),
+      content: type === 'description' ? 'Add your text here' : undefined
+    });
+  };
+  // Keeps a choice field's default in line with its options after they are edited
+  const withValidDefault = (field) => {
+    if (isMultiSelect(field) && Array.isArray(field.defaultValue)) {
+      return { ...field, defaultValue: field.defaultValue.filter(option => field.options.includes(option)) };
+    }
+    if ((field.type === 'select' || field.type === 'radio') && !field.options.includes(field.defaultValue)) {
+      return { ...field, defaultValue: undefined };
+    }
+    return field;
+  };
+  const removeField = (fieldId) => {
+    // Conditions that referenced the removed field are dropped with it
+    const withoutReferences = (rule) => {
+      const conditions = rule?.conditions?.filter(condition => condition.fieldId !== fieldId);
+      return conditions?.length ? { ...rule, conditions } : undefined;
+    };
+    setEditingForm(prev => ({
+      ...prev,
+      fields: prev.fields
+        .filter(field => field.id !== fieldId)
+        .map(field => ({ ...field, visibleWhen: withoutReferences(field.visibleWhen), requiredWhen: withoutReferences(field.requiredWhen) }))
+    }));
+  };
+  // Adds, changes (updates is an object) or removes (updates is null) one column of a group field
+  const updateGroupColumn = (fieldId, childId, updates) => {
+    setEditingForm(prev => ({
+      ...prev,
+      fields: prev.fields.map(field => {
+        if (field.id !== fieldId) return field;
+        if (!childId) return { ...field, fields: [...field.fields, { id: `col_${Date.now()}`, type: 'text', label: `Column ${field.fields.length + 1}`, required: false }] };
+        if (!updates) return { ...field, fields: field.fields.filter(child => child.id !== childId) };
+        return { ...field, fields: field.fields.map(child => child.id === childId ? { ...child, ...updates } : child) };
+      })
+    }));
+  };
+  // Adds, changes or removes one condition of a field's visibleWhen / requiredWhen rule
+  const updateFieldRule = (fieldId, ruleKey, updateConditions, match) => {
+    setEditingForm(prev => ({
+      ...prev,
+      fields: prev.fields.map(field => {
+        if (field.id !== fieldId) return field;
+        const rule = field[ruleKey] || { match: 'all', conditions: [] };
+        const conditions = updateConditions(rule.conditions);
+        return { ...field, [ruleKey]: conditions.length ? { match: match || rule.match, conditions } : undefined };
+      })
+    }));
+  };
+  // Records builder edits for undo/redo; changes made by undo/redo themselves are skipped
+  useEffect(() => {
+    const history = builderHistory.current;
+    const fields = editingForm?.fields;
+    if (!fields) {
+      builderHistory.current = { past: [], future: [], last: null, lastAt: 0, skip: false };
+      return;
+    }
+    if (history.last && fields !== history.last && !history.skip) {
+      if (Date.now() - history.lastAt > BUILDER_UNDO_MERGE_MS) history.past = [...history.past, history.last].slice(-UNDO_LIMIT);
+      history.future = [];
+    }
+    history.skip = false;
+    history.last = fields;
+    history.lastAt = Date.now();
+  }, [editingForm?.fields]);
+
+  const undoBuilderEdit = () => {
+    const history = builderHistory.current;
+    if (history.past.length === 0) return;
+    history.future = [...history.future, editingForm.fields];
+    history.skip = true;
+    const fields = history.past[history.past.length - 1];
+    history.past = history.past.slice(0, -1);
+    setEditingForm(prev => ({ ...prev, fields }));
+  };
+  const redoBuilderEdit = () => {
+    const history = builderHistory.current;
+    if (history.future.length === 0) return;
+    history.past = [...history.past, editingForm.fields];
+    history.skip = true;
+    const fields = history.future[history.future.length - 1];
+    history.future = history.future.slice(0, -1);
+    setEditingForm(prev => ({ ...prev, fields }));
+  };
+
+  // Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes, in the builder or else in a shared response
+  useEffect(() => {
+    const canRevertResponse = currentView === 'form' && currentForm && !isIndividualRespondent && user.role !== 'admin';
+    if (!editingForm && !canRevertResponse) return;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const key = event.key.toLowerCase();
+      const isRedo = key === 'y' || (key === 'z' && event.shiftKey);
+      if (key !== 'z' && key !== 'y') return;
+      event.preventDefault();
+      if (editingForm) {
+        if (isRedo) { redoBuilderEdit(); } else { undoBuilderEdit(); }
+      } else {
+        revertEdit(isRedo ? 'redo' : 'undo');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const saveFormStructure = async () => {
+    if (!user.id) {
+      console.error('Admin ID not available for saving form structure.');
+      adminLogout();
+      return;
+    }
+    try {
+      const response = await authFetch(`http://localhost:3001/api/forms/${editingForm.id}/fields`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        // Refused if the form was saved from another window since this copy was opened
+        body: JSON.stringify({ fields: editingForm.fields, expectedVersion: editingForm.version })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setEditingForm(null);
+        loadAdminForms();
+      } else {
+        console.error('Failed to save form structure:', data.error);
+        setEditingForm(prev => ({ ...prev, saveError: data.error || 'Failed to save the form.' }));
+      }
+    } catch (error) {
+      console.error('Error saving form structure:', error);
+      setEditingForm(prev => ({ ...prev, saveError: 'Network error or server unreachable while saving.' }));
+    }
+  };
+  const addFieldOption = (fieldId) => {
+    setEditingForm(prev => ({
+      ...prev,
+      fields: prev.fields.map(field => 
+        field.id === fieldId ? { ...field, options: [...(field.options || []), 'New Option'] } : field
+      )
+    }));
+  };
+  const updateFieldOption = (fieldId, optionIndex, value) => {
+    setEditingForm(prev => ({
+      ...prev,
+      fields: prev.fields.map(field => 
+        field.id === fieldId ? withValidDefault({ ...field, options: field.options.map((option, index) => index === optionIndex ? value : option) }) : field
+      )
+    }));
+  };
+  const removeFieldOption = (fieldId, optionIndex) => {
+    setEditingForm(prev => ({
+      ...prev,
+      fields: prev.fields.map(field => 
+        field.id === fieldId 
+          ? withValidDefault({ ...field, options: field.options.filter((_, index) => index !== optionIndex) })
+          : field
+      )
+    }));
+  };
+
+  // Auto-join from URL parameter
+  useEffect(() => {
+    const urlParams = new URLSearchParams(window.location.search);
+    // Corrected: Use urlParams.get instead of a potentially undefined 'url.get'
+    const joinCodeFromUrl = urlParams.get('join'); 
+    if (joinCodeFromUrl && !sessionStorage.getItem('hasAutoJoined')) {
+      setJoinCode(joinCodeFromUrl);
+      sessionStorage.setItem('hasAutoJoined', 'true'); 
+    }
+  }, []);
+
+  // ----------------------
+  // 🖥️ Render Modals
+  // ----------------------
+
+  // Presentation, default value and constraints of one field in the builder
+  const renderFieldSettings = (field) => {
+    const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200";
+    const isTextType = TEXT_FIELD_TYPES.includes(field.type);
+    const toNumber = (value) => value === '' ? undefined : Number(value);
+    const patternProblem = field.pattern ? checkPattern(field.pattern) : null;
+    // Same check the server runs on save, so a bad default is visible before saving
+    const defaultErrors = field.defaultValue !== undefined && field.defaultValue !== ''
+      ? validateFieldValue(field, field.defaultValue).errors.filter(error => error.code !== 'required')
+      : [];
+
+    return (
+      <div className="mt-5 p-4 border border-gray-100 rounded-md bg-gray-50 grid grid-cols-1 md:grid-cols-2 gap-4">
+        {(isTextType || field.type === 'number' || field.type === 'select') && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Placeholder</label>
+            <input type="text" value={field.placeholder || ''} onChange={(e) => updateFormField(field.id, { placeholder: e.target.value || undefined })}
+              className={inputClass} placeholder={`Enter ${field.label.toLowerCase()}`} />
+          </div>
+        )}
+        {field.type === 'description' && (
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Text</label>
+            <textarea value={field.content || ''} onChange={(e) => updateFormField(field.id, { content: e.target.value })} rows={3} className={inputClass} />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Help Text</label>
+          <input type="text" value={field.helpText || ''} onChange={(e) => updateFormField(field.id, { helpText: e.target.value || undefined })}
+            className={inputClass} placeholder="Shown under the label" />
+        </div>
+
+        {(isTextType || field.type === 'number' || field.type === 'date') && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Default Value</label>
+            <input type={field.type === 'number' || field.type === 'date' ? field.type : 'text'} value={field.defaultValue || ''}
+              onChange={(e) => updateFormField(field.id, { defaultValue: e.target.value || undefined })} className={inputClass} />
+          </div>
+        )}
+        {(field.type === 'select' || field.type === 'radio') && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Default Value</label>
+            <select value={field.defaultValue || ''} onChange={(e) => updateFormField(field.id, { defaultValue: e.target.value || undefined })} className={`${inputClass} bg-white`}>
+              <option value="">No default</option>
+              {field.options?.map(option => (<option key={option} value={option}>{option}</option>))}
+            </select>
+          </div>
+        )}
+        {field.type === 'checkbox' && !isMultiSelect(field) && (
+          <label className="flex items-center space-x-2 cursor-pointer self-end pb-2">
+            <input type="checkbox" checked={field.defaultValue === 'true'} onChange={(e) => updateFormField(field.id, { defaultValue: e.target.checked ? 'true' : undefined })}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-5 w-5 transition duration-200" />
+            <span className="text-sm text-gray-700">Checked by default</span>
+          </label>
+        )}
+
+        {field.type === 'number' && (
+          <div className="grid grid-cols-3 gap-2">
+            {['min', 'max', 'step'].map(key => (
+              <div key={key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">{key}</label>
+                <input type="number" value={field[key] ?? ''} onChange={(e) => updateFormField(field.id, { [key]: toNumber(e.target.value) })} className={inputClass} />
+              </div>
+            ))}
+          </div>
+        )}
+        {field.type === 'date' && (
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Earliest Date</label>
+              <input type="date" value={field.min || ''} onChange={(e) => updateFormField(field.id, { min: e.target.value || undefined })} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Latest Date</label>
+              <input type="date" value={field.max || ''} onChange={(e) => updateFormField(field.id, { max: e.target.value || undefined })} className={inputClass} />
+            </div>
+          </div>
+        )}
+        {isTextType && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Max Length</label>
+              <input type="number" min="1" value={field.maxLength ?? ''} onChange={(e) => updateFormField(field.id, { maxLength: toNumber(e.target.value) })} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Pattern (regular expression)</label>
+              <input type="text" value={field.pattern || ''} onChange={(e) => updateFormField(field.id, { pattern: e.target.value || undefined })}
+                className={`${inputClass} font-mono ${patternProblem ? 'border-red-400' : ''}`} placeholder="e.g., [A-Z]{3}-\d{4}" />
+              {patternProblem && (<p className="mt-1 text-xs text-red-600">{patternProblem}</p>)}
+            </div>
+            {field.pattern && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Pattern Error Message</label>
+                <input type="text" value={field.patternMessage || ''} onChange={(e) => updateFormField(field.id, { patternMessage: e.target.value || undefined })}
+                  className={inputClass} placeholder={`${field.label} is not in the expected format.`} />
+              </div>
+            )}
+          </>
+        )}
+
+        {field.type === 'group' && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              {[['minRows', 'Min Rows'], ['maxRows', 'Max Rows']].map(([key, label]) => (
+                <div key={key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input type="number" min="0" step="1" value={field[key] ?? ''} onChange={(e) => updateFormField(field.id, { [key]: toNumber(e.target.value) })} className={inputClass} />
+                </div>
+              ))}
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Columns</label>
+              <div className="space-y-2">
+                {field.fields.map(child => (
+                  <div key={child.id} className="flex flex-wrap items-center gap-2">
+                    <input type="text" value={child.label} onChange={(e) => updateGroupColumn(field.id, child.id, { label: e.target.value })} className={`${inputClass} flex-1 min-w-[8rem]`} />
+                    <select value={child.type} className={`${inputClass} w-36 bg-white`}
+                      onChange={(e) => updateGroupColumn(field.id, child.id, { type: e.target.value, options: ['select', 'radio'].includes(e.target.value) ? ['Option 1'] : undefined })}>
+                      {GROUP_CHILD_FIELD_TYPES.map(type => (<option key={type} value={type}>{type}</option>))}
+                    </select>
+                    {(child.type === 'select' || child.type === 'radio') && (
+                      <input type="text" value={(child.options || []).join(', ')} className={`${inputClass} flex-1 min-w-[8rem]`} placeholder="Options, comma separated"
+                        onChange={(e) => updateGroupColumn(field.id, child.id, { options: e.target.value.split(',').map(option => option.trim()).filter(Boolean) })} />
+                    )}
+                    <label className="flex items-center space-x-1 text-sm text-gray-700">
+                      <input type="checkbox" checked={!!child.required} onChange={(e) => updateGroupColumn(field.id, child.id, { required: e.target.checked })}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500" /><span>Required</span>
+                    </label>
+                    <button onClick={() => updateGroupColumn(field.id, child.id, null)} disabled={field.fields.length === 1}
+                      className="text-red-500 hover:text-red-700 disabled:opacity-40 p-1 rounded-full hover:bg-red-50" title="Remove Column"><X size={16} /></button>
+                  </div>
+                ))}
+              </div>
+              <button onClick={() => updateGroupColumn(field.id, null)} className="mt-2 text-blue-600 hover:text-blue-800 text-sm flex items-center space-x-1 font-semibold transition duration-200">
+                <Plus size={14} /><span>Add Column</span>
+              </button>
+            </div>
+          </>
+        )}
+
+        {field.type === 'file' && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Allowed File Types</label>
+              <input type="text" value={(field.allowedTypes || []).join(', ')}
+                onChange={(e) => {
+                  const allowedTypes = e.target.value.split(',').map(type => type.trim()).filter(Boolean);
+                  updateFormField(field.id, { allowedTypes: allowedTypes.length ? allowedTypes : undefined });
+                }}
+                className={inputClass} placeholder="e.g., application/pdf, image/*" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Max Size (MB)</label>
+              <input type="number" min="0.1" step="0.1" value={field.maxSizeMb ?? ''} onChange={(e) => updateFormField(field.id, { maxSizeMb: toNumber(e.target.value) })} className={inputClass} />
+            </div>
+          </>
+        )}
+
+        {defaultErrors.length > 0 && (
+          <p className="md:col-span-2 text-xs text-red-600">Default value: {defaultErrors.map(error => error.message).join(' ')}</p>
+        )}
+      </div>
+    );
+  };
+
+  // Editor for a visibleWhen / requiredWhen rule; conditions can only reference earlier fields
+  const renderRuleEditor = (field, index, ruleKey, title) => {
+    const previousFields = editingForm.fields.slice(0, index).filter(f => !isLayoutField(f));
+    if (previousFields.length === 0) return null;
+    const rule = field[ruleKey];
+    const operatorLabels = { equals: 'equals', notEquals: 'does not equal', contains: 'contains', greaterThan: 'is greater than', lessThan: 'is less than', isEmpty: 'is empty', isNotEmpty: 'is not empty' };
+    const inputClass = "px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm bg-white";
+
+    return (
+      <div className="mt-4">
+        <div className="flex items-center space-x-2 mb-2">
+          <span className="text-sm font-medium text-gray-700">{title}</span>
+          {rule?.conditions.length > 1 && (
+            <select value={rule.match} onChange={(e) => updateFieldRule(field.id, ruleKey, conditions => conditions, e.target.value)} className={inputClass}>
+              <option value="all">all conditions match</option>
+              <option value="any">any condition matches</option>
+            </select>
+          )}
+        </div>
+        <div className="space-y-2">
+          {rule?.conditions.map((condition, conditionIndex) => {
+            const updateCondition = (updates) => updateFieldRule(field.id, ruleKey, conditions => conditions.map((c, i) => i === conditionIndex ? { ...c, ...updates } : c));
+            const needsValue = condition.operator !== 'isEmpty' && condition.operator !== 'isNotEmpty';
+            return (
+              <div key={conditionIndex} className="flex flex-wrap gap-2 items-center">
+                <select value={condition.fieldId} onChange={(e) => updateCondition({ fieldId: e.target.value })} className={inputClass}>
+                  {previousFields.map(f => (<option key={f.id} value={f.id}>{f.label}</option>))}
+                </select>
+                <select value={condition.operator} onChange={(e) => updateCondition({ operator: e.target.value })} className={inputClass}>
+                  {CONDITION_OPERATORS.map(operator => (<option key={operator} value={operator}>{operatorLabels[operator]}</option>))}
+                </select>
+                {needsValue && (
+                  <input type="text" value={condition.value ?? ''} onChange={(e) => updateCondition({ value: e.target.value })} className={inputClass} placeholder="Value" />
+                )}
+                <button onClick={() => updateFieldRule(field.id, ruleKey, conditions => conditions.filter((_, i) => i !== conditionIndex))}
+                  className="text-red-500 hover:text-red-700 transition duration-200 p-1 rounded-full hover:bg-red-100" title="Remove Condition">
+                  <X size={16} />
+                </button>
+              </div>
+            );
+          })}
+          <button onClick={() => updateFieldRule(field.id, ruleKey, conditions => [...conditions, { fieldId: previousFields[0].id, operator: 'equals', value: '' }])}
+            className="text-blue-600 hover:text-blue-800 text-sm flex items-center space-x-1 transition duration-200 px-3 py-1 rounded-md hover:bg-blue-100">
+            <Plus size={14} /><span>Add Condition</span>
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderFormBuilder = () => {
+    if (!editingForm) return null;
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 font-inter">
+        <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+          <div className="p-6 border-b border-gray-200 flex justify-between items-center flex-shrink-0">
+            <h2 className="text-2xl font-bold text-gray-800">Edit Form: <span className="text-blue-600">{editingForm.title}</span></h2>
+            <div className="flex space-x-3">
+              <button onClick={undoBuilderEdit} title="Undo (Ctrl+Z)"
+                className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-100 transition duration-200">
+                <Undo size={18} />
+              </button>
+              <button onClick={redoBuilderEdit} title="Redo (Ctrl+Shift+Z)"
+                className="border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-100 transition duration-200">
+                <Redo size={18} />
+              </button>
+              <button onClick={saveFormStructure} className="bg-green-600 text-white px-5 py-2 rounded-lg hover:bg-green-700 flex items-center space-x-2 transition duration-200 shadow-md">
+                <Check size={18} /><span className="font-semibold">Save Changes</span>
+              </button>
+              <button onClick={() => setEditingForm(null)} className="bg-gray-500 text-white px-5 py-2 rounded-lg hover:bg-gray-600 flex items-center space-x-2 transition duration-200 shadow-md">
+                <X size={18} /><span className="font-semibold">Cancel</span>
+              </button>
             </div>
           </div>
           <div className="p-6 overflow-y-auto flex-grow">
+            {editingForm.saveError && (
+              <div className="mb-5 p-4 border border-red-200 bg-red-50 rounded-lg text-sm text-red-700">{editingForm.saveError}</div>
+            )}
             <div className="space-y-6">
               {editingForm.fields?.length === 0 && (<div className="text-center py-10 text-gray-500 text-lg">No fields added yet. Click "Add New Field" to start!</div>)}
               {editingForm.fields?.map((field, index) => (
@@ -527,7 +2139,7 @@ const CollaborativeFormSystem = () => {
                     </div>
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Field Type</label>
-                      <select value={field.type} onChange={(e) => updateFormField(field.id, { type: e.target.value, options: (e.target.value === 'select' || e.target.value === 'radio') ? ['Option 1'] : [] })}
+                      <select value={field.type} onChange={(e) => changeFieldType(field.id, e.target.value)}
                         className="w-full px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200 bg-white"
                       >
                         <option value="text">Text Input</option>
@@ -540,17 +2152,37 @@ const CollaborativeFormSystem = () => {
                         <option value="date">Date Picker</option>
                         <option value="tel">Phone Number</option>
                         <option value="url">URL</option>
+                        <option value="file">File Upload</option>
+                        <option value="group">Repeating Group (Table)</option>
+                        <optgroup label="Layout">
+                          <option value="section">Section Header</option>
+                          <option value="description">Description Block</option>
+                          <option value="pageBreak">Page Break</option>
+                        </optgroup>
                       </select>
                     </div>
                   </div>
-                  <div className="mt-4 flex items-center">
-                    <label className="flex items-center space-x-2 cursor-pointer">
-                      <input type="checkbox" checked={field.required} onChange={(e) => updateFormField(field.id, { required: e.target.checked })}
-                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-5 w-5 transition duration-200"
-                      /><span className="text-sm text-gray-700">Required field</span>
-                    </label>
-                  </div>
-                  {(field.type === 'select' || field.type === 'radio') && (
+                  {!isLayoutField(field) && (
+                    <div className="mt-4 flex items-center">
+                      <label className="flex items-center space-x-2 cursor-pointer">
+                        <input type="checkbox" checked={field.required} onChange={(e) => updateFormField(field.id, { required: e.target.checked })}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-5 w-5 transition duration-200"
+                        /><span className="text-sm text-gray-700">Required field</span>
+                      </label>
+                      {field.type === 'checkbox' && (
+                        <label className="flex items-center space-x-2 cursor-pointer ml-6">
+                          <input type="checkbox" checked={isMultiSelect(field)}
+                            onChange={(e) => updateFormField(field.id, { multiple: e.target.checked || undefined, options: e.target.checked ? ['Option 1'] : [], defaultValue: undefined })}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-5 w-5 transition duration-200"
+                          /><span className="text-sm text-gray-700">Allow multiple selections (checkbox group)</span>
+                        </label>
+                      )}
+                    </div>
+                  )}
+                  {renderFieldSettings(field)}
+                  {field.type !== 'pageBreak' && renderRuleEditor(field, index, 'visibleWhen', 'Show this field only when')}
+                  {!field.required && !isLayoutField(field) && renderRuleEditor(field, index, 'requiredWhen', 'Make this field required when')}
+                  {(field.type === 'select' || field.type === 'radio' || isMultiSelect(field)) && (
                     <div className="mt-5 p-4 border border-gray-100 rounded-md bg-gray-50">
                       <label className="block text-sm font-medium text-gray-700 mb-3">Options</label>
                       <div className="space-y-3">
@@ -560,6 +2192,16 @@ const CollaborativeFormSystem = () => {
                               className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200"
                               placeholder={`Option ${optionIndex + 1}`}
                             />
+                            {isMultiSelect(field) && (
+                              <label className="flex items-center space-x-1 text-xs text-gray-600 cursor-pointer">
+                                <input type="checkbox" checked={(field.defaultValue || []).includes(option)}
+                                  onChange={(e) => updateFormField(field.id, {
+                                    defaultValue: e.target.checked ? [...(field.defaultValue || []), option] : (field.defaultValue || []).filter(value => value !== option)
+                                  })}
+                                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-4 w-4"
+                                /><span>Default</span>
+                              </label>
+                            )}
                             <button onClick={() => removeFieldOption(field.id, optionIndex)} className="text-red-500 hover:text-red-700 transition duration-200 p-1 rounded-full hover:bg-red-100" title="Remove Option">
                               <X size={16} />
                             </button>
@@ -583,174 +2225,718 @@ const CollaborativeFormSystem = () => {
     );
   };
 
-  const renderDeleteModal = (form) => {
-    if (!form) return null;
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
-        <div className="bg-white rounded-xl shadow-2xl p-7 w-full max-w-md scale-animation">
-          <div className="flex justify-between items-center mb-5 border-b pb-3 border-gray-100">
-            <h3 className="text-xl font-bold text-gray-800">Confirm Deletion</h3>
-            <button onClick={() => setShowDeleteModal(null)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
-              <X size={20} />
-            </button>
-          </div>
-          <p className="text-gray-700 mb-7 text-center leading-relaxed">
-            Are you sure you want to delete form <br/><strong className="text-red-600">"{form.title}"</strong>? 
-            This action cannot be undone and all data will be lost.
-          </p>
-          <div className="flex justify-end space-x-4">
-            <button onClick={() => setShowDeleteModal(null)}
-              className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 transition duration-200 font-medium">Cancel</button>
-            <button onClick={() => deleteForm(form.id)}
-              className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition duration-200 font-semibold shadow-md">
-              Delete Permanently
+  const renderDeleteModal = (form) => {
+    if (!form) return null;
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
+        <div className="bg-white rounded-xl shadow-2xl p-7 w-full max-w-md scale-animation">
+          <div className="flex justify-between items-center mb-5 border-b pb-3 border-gray-100">
+            <h3 className="text-xl font-bold text-gray-800">Confirm Deletion</h3>
+            <button onClick={() => setShowDeleteModal(null)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
+              <X size={20} />
+            </button>
+          </div>
+          <p className="text-gray-700 mb-7 text-center leading-relaxed">
+            Are you sure you want to delete form <br/><strong className="text-red-600">"{form.title}"</strong>? 
+            This action cannot be undone and all data will be lost.
+          </p>
+          <div className="flex justify-end space-x-4">
+            <button onClick={() => setShowDeleteModal(null)}
+              className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 transition duration-200 font-medium">Cancel</button>
+            <button onClick={() => deleteForm(form.id)}
+              className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition duration-200 font-semibold shadow-md">
+              Delete Permanently
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderShareModal = (form) => {
+    if (!form) return null;
+    const formUrl = `${window.location.origin}?join=${form.code}`;
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
+        <div className="bg-white rounded-xl shadow-2xl p-7 w-full max-w-md scale-animation">
+          <div className="flex justify-between items-center mb-5 border-b pb-3 border-gray-100">
+            <h3 className="text-xl font-bold text-gray-800">Share Form: <span className="text-blue-600">{form.title}</span></h3>
+            <button onClick={() => setShowShareModal(null)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
+              <X size={20} />
+            </button>
+          </div>
+          <div className="mb-6">
+            <div className="flex items-center justify-between mb-3">
+              <span className="text-base font-medium text-gray-700">Direct Share Link:</span>
+              <button onClick={() => copyToClipboard(formUrl)}
+                className="text-blue-600 hover:text-blue-800 flex items-center space-x-1 transition duration-200 text-sm font-semibold">
+                {copiedCode === formUrl ? (<><Check size={16} className="text-green-500" /><span>Copied!</span></>) : (<><Copy size={16} /><span>Copy Link</span></>)}
+              </button>
+            </div>
+            <div className="bg-gray-100 p-4 rounded-lg text-gray-700 text-base break-all font-mono border border-gray-200">{formUrl}</div>
+          </div>
+          <div className="mb-7">
+            <h4 className="text-base font-medium text-gray-700 mb-3">Share via Social Media:</h4>
+            <div className="flex justify-center space-x-5">
+              <button onClick={() => handleSocialShare('facebook', form)}
+                className="w-14 h-14 rounded-full bg-blue-600 text-white flex items-center justify-center hover:bg-blue-700 transition duration-200 shadow-md hover:scale-105" title="Share on Facebook">
+                <Facebook size={24} />
+              </button>
+              <button onClick={() => handleSocialShare('twitter', form)}
+                className="w-14 h-14 rounded-full bg-blue-400 text-white flex items-center justify-center hover:bg-blue-500 transition duration-200 shadow-md hover:scale-105" title="Share on X (Twitter)">
+                <Twitter size={24} />
+              </button>
+              <button onClick={() => handleSocialShare('linkedin', form)}
+                className="w-14 h-14 rounded-full bg-blue-700 text-white flex items-center justify-center hover:bg-blue-800 transition duration-200 shadow-md hover:scale-105" title="Share on LinkedIn">
+                <Linkedin size={24} />
+              </button>
+              <button onClick={() => handleSocialShare('whatsapp', form)}
+                className="w-14 h-14 rounded-full bg-green-500 text-white flex items-center justify-center hover:bg-green-600 transition duration-200 shadow-md hover:scale-105" title="Share on WhatsApp">
+                <Share size={24} />
+              </button>
+              <button onClick={() => handleSocialShare('email', form)}
+                className="w-14 h-14 rounded-full bg-gray-500 text-white flex items-center justify-center hover:bg-gray-600 transition duration-200 shadow-md hover:scale-105" title="Share via Email">
+                <Mail size={24} />
+              </button>
+            </div>
+          </div>
+          <button onClick={() => shareForm(form)}
+            className="w-full py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center justify-center space-x-2 transition duration-200 font-semibold shadow-md">
+            <Share2 size={18} /><span>Share via Device (Native Share)</span>
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderCreateFormModal = () => {
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
+        <div className="bg-white rounded-xl shadow-2xl p-7 w-full max-w-md scale-animation">
+          <div className="flex justify-between items-center mb-5 border-b pb-3 border-gray-100">
+            <h3 className="text-xl font-bold text-gray-800">Create New Form</h3>
+            <button onClick={() => setShowCreateFormModal(false)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
+              <X size={20} />
+            </button>
+          </div>
+          
+          <div className="mb-6">
+            <label htmlFor="newFormTitle" className="block text-base font-medium text-gray-700 mb-2">
+              Form Title
+            </label>
+            <input
+              type="text" id="newFormTitle" value={newFormTitle} onChange={(e) => setNewFormTitle(e.target.value)}
+              placeholder="e.g., Team Project Feedback"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-800 transition duration-200"
+            />
+          </div>
+
+          <div className="mb-6">
+            <span className="block text-base font-medium text-gray-700 mb-2">Responses</span>
+            <div className="space-y-2">
+              <label className="flex items-start space-x-2 cursor-pointer">
+                <input type="radio" name="newFormMode" value="collaborative" checked={newFormMode === 'collaborative'} onChange={(e) => setNewFormMode(e.target.value)}
+                  className="mt-1 h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500" />
+                <span className="text-sm text-gray-700"><span className="font-semibold">Collaborative</span> - everyone fills one shared response in real time</span>
+              </label>
+              <label className="flex items-start space-x-2 cursor-pointer">
+                <input type="radio" name="newFormMode" value="individual" checked={newFormMode === 'individual'} onChange={(e) => setNewFormMode(e.target.value)}
+                  className="mt-1 h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500" />
+                <span className="text-sm text-gray-700"><span className="font-semibold">Individual</span> - each participant submits their own response</span>
+              </label>
+            </div>
+          </div>
+          
+          <div className="flex justify-end space-x-4">
+            <button onClick={() => setShowCreateFormModal(false)}
+              className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 transition duration-200 font-medium">Cancel</button>
+            <button onClick={createForm} disabled={!newFormTitle.trim()}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition duration-200 font-semibold shadow-md">
+              Create Form
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderSubmissionsModal = () => {
+    if (!submissionsModal) return null;
+    const { form, submissions, pagination, selected } = submissionsModal;
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+          <div className="p-6 border-b border-gray-100 flex justify-between items-center flex-shrink-0">
+            <h3 className="text-xl font-bold text-gray-800">Submissions: <span className="text-blue-600">{form.title}</span></h3>
+            <button onClick={() => setSubmissionsModal(null)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
+              <X size={20} />
+            </button>
+          </div>
+          <div className="p-6 overflow-y-auto flex-grow">
+            {selected ? (
+              <div>
+                <button onClick={() => setSubmissionsModal(prev => ({ ...prev, selected: null }))}
+                  className="text-blue-600 hover:text-blue-800 text-sm flex items-center space-x-1 mb-4 font-semibold">
+                  <ChevronLeft size={16} /><span>Back to list</span>
+                </button>
+                <p className="text-gray-600 mb-4">
+                  <span className="font-semibold">{selected.respondentName || 'Anonymous'}</span> - {new Date(selected.submittedAt).toLocaleString()}
+                </p>
+                <dl className="space-y-3">
+                  {form.fields.filter(field => !isLayoutField(field) && resolveFieldStates(form.fields, selected.data)[field.id].visible).map(field => (
+                    <div key={field.id} className="border-b border-gray-100 pb-2">
+                      <dt className="text-sm font-medium text-gray-500">{field.label}</dt>
+                      <dd className="text-base text-gray-800 flex items-center space-x-3">
+                        <span className="whitespace-pre-line">{formatFieldValue(field, selected.data[field.id]) || '-'}</span>
+                        {field.type === 'file' && selected.data[field.id]?.fileId && (
+                          <button onClick={() => downloadFile(form.id, selected.data[field.id])}
+                            className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800 font-semibold">
+                            <Download size={14} /><span>Download</span>
+                          </button>
+                        )}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            ) : submissions.length === 0 ? (
+              <div className="text-center py-10 text-gray-500 text-lg">No submissions yet.</div>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {submissions.map(submission => (
+                  <li key={submission.id}>
+                    <button onClick={() => setSubmissionsModal(prev => ({ ...prev, selected: submission }))}
+                      className="w-full text-left py-3 px-2 hover:bg-gray-50 rounded-md flex justify-between items-center transition duration-200">
+                      <span className="font-medium text-gray-800">{submission.respondentName || 'Anonymous'}</span>
+                      <span className="text-sm text-gray-500">{new Date(submission.submittedAt).toLocaleString()}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          {!selected && (
+            <div className="p-4 border-t border-gray-100 flex justify-between items-center flex-shrink-0 text-sm text-gray-600">
+              <span>{pagination.total} total</span>
+              <div className="flex items-center space-x-3">
+                <button onClick={() => loadSubmissions(form, pagination.page - 1)} disabled={pagination.page <= 1}
+                  className="p-1.5 rounded-md border border-gray-300 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"><ChevronLeft size={16} /></button>
+                <span>Page {pagination.page} of {pagination.totalPages}</span>
+                <button onClick={() => loadSubmissions(form, pagination.page + 1)} disabled={pagination.page >= pagination.totalPages}
+                  className="p-1.5 rounded-md border border-gray-300 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"><ChevronRight size={16} /></button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderVersionsModal = () => {
+    if (!versionsModal) return null;
+    const { form, versions, currentVersion, comparison, error } = versionsModal;
+    const summarizeDiff = (diff) => [
+      diff.added.length > 0 && `${diff.added.length} added`,
+      diff.removed.length > 0 && `${diff.removed.length} removed`,
+      diff.changed.length > 0 && `${diff.changed.length} changed`,
+      diff.reordered && 'reordered'
+    ].filter(Boolean).join(', ') || 'No field changes';
+    const describe = (value) => (value === null ? '(none)' : JSON.stringify(value));
+    return (
+      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+          <div className="p-6 border-b border-gray-100 flex justify-between items-center flex-shrink-0">
+            <h3 className="text-xl font-bold text-gray-800">Versions: <span className="text-blue-600">{form.title}</span></h3>
+            <button onClick={() => setVersionsModal(null)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
+              <X size={20} />
+            </button>
+          </div>
+          <div className="p-6 overflow-y-auto flex-grow">
+            {error && (
+              <div className="mb-4 p-3 border border-red-200 bg-red-50 rounded-lg text-sm text-red-700">{error}</div>
+            )}
+            {comparison ? (
+              <div>
+                <button onClick={() => setVersionsModal(prev => ({ ...prev, comparison: null }))}
+                  className="text-blue-600 hover:text-blue-800 text-sm flex items-center space-x-1 mb-4 font-semibold">
+                  <ChevronLeft size={16} /><span>Back to versions</span>
+                </button>
+                <p className="text-gray-600 mb-4">Changes from version {comparison.from} to version {comparison.to}: {summarizeDiff(comparison.diff)}</p>
+                <ul className="space-y-2 text-sm">
+                  {comparison.diff.added.map(field => (
+                    <li key={`added-${field.id}`} className="text-green-700">+ {field.label} <span className="text-gray-500">({field.type})</span></li>
+                  ))}
+                  {comparison.diff.removed.map(field => (
+                    <li key={`removed-${field.id}`} className="text-red-700">- {field.label} <span className="text-gray-500">({field.type}, answers are archived)</span></li>
+                  ))}
+                  {comparison.diff.changed.map(field => (
+                    <li key={`changed-${field.id}`} className="text-gray-800">
+                      ~ {field.label}
+                      <ul className="ml-5 mt-1 space-y-0.5 text-gray-600">
+                        {field.changes.map(change => (
+                          <li key={change.property} className="break-words">
+                            <span className="font-mono">{change.property}</span>: {describe(change.from)} → {describe(change.to)}
+                          </li>
+                        ))}
+                      </ul>
+                    </li>
+                  ))}
+                  {comparison.diff.reordered && <li className="text-gray-800">Fields were reordered</li>}
+                </ul>
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {versions.map(version => (
+                  <li key={version.version} className="py-3 flex justify-between items-center gap-4">
+                    <div>
+                      <p className="font-medium text-gray-800">
+                        Version {version.version}
+                        {version.version === currentVersion && <span className="ml-2 bg-green-100 text-green-800 px-2 py-0.5 rounded-full text-xs font-semibold">Current</span>}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {version.createdAt ? new Date(version.createdAt).toLocaleString() : 'Before versioning'}
+                        {version.createdBy && ` by ${version.createdBy}`} - {version.fieldCount} fields
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {version.rolledBackFrom ? `Rolled back to version ${version.rolledBackFrom}` : version.diff ? summarizeDiff(version.diff) : 'Initial version'}
+                      </p>
+                    </div>
+                    {version.version !== currentVersion && (
+                      <div className="flex space-x-2 flex-shrink-0">
+                        <button onClick={() => compareVersion(version.version)}
+                          className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-100 font-semibold">Compare</button>
+                        <button onClick={() => rollbackVersion(version.version)}
+                          className="px-3 py-1.5 bg-amber-500 text-white rounded-md text-sm hover:bg-amber-600 font-semibold">Roll back</button>
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Sidebar listing who changed which field of the shared response, with before/after values
+  const renderHistorySidebar = () => {
+    if (!historyPanel) return null;
+    const { changes, nextBefore, loading, error, notice } = historyPanel;
+    // Removed fields are no longer in the form, so their values are shown as stored
+    const describeValue = (change, value) => {
+      const field = currentForm?.fields.find(f => f.id === change.fieldId);
+      const text = field ? formatFieldValue(field, value) : (value === null || value === undefined ? '' : JSON.stringify(value));
+      return text || '(empty)';
+    };
+    const actionLabels = { edit: 'edited', group: 'edited', upload: 'uploaded a file to', restore: 'restored', archive: 'archived the answer to', unarchive: 'brought back the answer to', default: 'set the default value of', text: 'typed in', undo: 'undid an edit to', redo: 'redid an edit to' };
+    return (
+      <aside className="fixed top-0 right-0 h-full w-full max-w-sm bg-white shadow-2xl border-l border-gray-200 z-40 flex flex-col font-inter">
+        <div className="p-5 border-b border-gray-100 flex justify-between items-center flex-shrink-0">
+          <h3 className="text-lg font-bold text-gray-800 flex items-center space-x-2"><Clock size={18} /><span>Edit History</span></h3>
+          <div className="flex items-center space-x-2">
+            <button onClick={() => loadHistory()} disabled={loading}
+              className="text-sm text-blue-600 hover:text-blue-800 font-semibold disabled:opacity-40">Refresh</button>
+            <button onClick={() => setHistoryPanel(null)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+        <div className="p-5 overflow-y-auto flex-grow">
+          {error && (
+            <div className="mb-4 p-3 border border-red-200 bg-red-50 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+          {notice && (
+            <div className="mb-4 p-3 border border-amber-200 bg-amber-50 rounded-lg text-sm text-amber-900">{notice}</div>
+          )}
+          {changes.length === 0 ? (
+            <div className="text-center py-10 text-gray-500">{loading ? 'Loading history...' : 'No changes yet.'}</div>
+          ) : (
+            <ul className="space-y-4">
+              {changes.map(change => (
+                <li key={change.id} className="border-b border-gray-100 pb-3">
+                  <p className="text-sm text-gray-800">
+                    <span className="font-semibold">{change.userName || 'Someone'}</span> {actionLabels[change.changeType] || 'edited'}{' '}
+                    <span className="font-semibold">{change.fieldLabel || change.fieldId}</span>
+                  </p>
+                  <p className="text-xs text-gray-500 mb-1">{new Date(change.createdAt).toLocaleString()}</p>
+                  <div className="text-sm">
+                    <p className="text-red-700 line-through whitespace-pre-line break-words">{describeValue(change, change.oldValue)}</p>
+                    <p className="text-green-700 whitespace-pre-line break-words">{describeValue(change, change.newValue)}</p>
+                  </div>
+                  {user.role === 'admin' && responseStatus.status === 'open' && (
+                    <button onClick={() => restoreToChange(change)}
+                      className="mt-1 text-xs text-blue-600 hover:text-blue-800 font-semibold">
+                      Restore to this point
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {nextBefore && (
+            <button onClick={() => loadHistory(nextBefore)} disabled={loading}
+              className="mt-4 w-full py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-40">
+              Load older changes
+            </button>
+          )}
+        </div>
+      </aside>
+    );
+  };
+
+  // One cell of a group row; radio columns use a dropdown so each row stays compact
+  const renderGroupCell = (field, row, child, disabled) => {
+    const cellValue = row.values?.[child.id];
+    const value = cellValue !== undefined && cellValue !== null ? cellValue : '';
+    const setCell = (newValue) => changeGroup(field, 'updateCell', { rowId: row.id, childId: child.id, value: newValue });
+    const inputProps = {
+      disabled,
+      onFocus: () => handleFieldFocus(field.id, row.id),
+      onBlur: () => handleFieldBlur(field.id, row.id),
+      className: `w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200 ${disabled ? 'bg-gray-100 cursor-not-allowed' : 'bg-white'}`
+    };
+
+    if (isMultiSelect(child)) {
+      const selected = Array.isArray(cellValue) ? cellValue : [];
+      return (
+        <div className="space-y-1">
+          {child.options?.map(option => (
+            <label key={option} className="flex items-center space-x-1 text-sm text-gray-800">
+              <input type="checkbox" checked={selected.includes(option)} disabled={disabled}
+                onChange={(e) => setCell(e.target.checked ? [...selected, option] : selected.filter(selectedOption => selectedOption !== option))}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500" /><span>{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+    if (child.type === 'checkbox') {
+      return (
+        <input type="checkbox" checked={value === 'true'} disabled={disabled} onChange={(e) => setCell(e.target.checked ? 'true' : 'false')}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-5 w-5 mt-1.5 transition duration-200" />
+      );
+    }
+    if (child.type === 'select' || child.type === 'radio') {
+      return (
+        <select value={value} onChange={(e) => setCell(e.target.value)} {...inputProps}>
+          <option value="">{child.placeholder || 'Select'}</option>
+          {child.options?.map(option => (<option key={option} value={option}>{option}</option>))}
+        </select>
+      );
+    }
+    if (child.type === 'textarea') {
+      return (<textarea value={value} rows={2} maxLength={child.maxLength} placeholder={child.placeholder} onChange={(e) => setCell(e.target.value)} {...inputProps} />);
+    }
+    return (
+      <input type={child.type} value={value} min={child.min} max={child.max} step={child.step} maxLength={child.maxLength} placeholder={child.placeholder}
+        onChange={(e) => setCell(e.target.value)} {...inputProps} />
+    );
+  };
+
+  // Rows of a group field as a table; a row is locked for the others while one of its cells has focus
+  const renderGroupRows = (field, isReadOnly) => {
+    const rows = Array.isArray(formResponse[field.id]) ? formResponse[field.id] : [];
+    const canAddRow = !(Number(field.maxRows) > 0 && rows.length >= Number(field.maxRows));
+    const rowButtonClass = "p-1 rounded-md text-gray-500 hover:text-gray-800 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent transition duration-200";
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="w-full text-left">
+          <thead>
+            <tr className="text-xs uppercase tracking-wide text-gray-500">
+              {field.fields.map(child => (
+                <th key={child.id} className="px-2 py-1 font-semibold">{child.label}{child.required && <span className="text-red-500 ml-1">*</span>}</th>
+              ))}
+              {!isReadOnly && <th className="w-28" />}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => {
+              const rowLock = lockedFields[lockKey(field.id, row.id)];
+              const lockedByOther = !!rowLock && rowLock.userId !== user.id;
+              return (
+                <tr key={row.id} className={`border-t border-gray-100 align-top ${lockedByOther ? 'bg-yellow-50' : ''}`}>
+                  {field.fields.map(child => (
+                    <td key={child.id} className="px-2 py-2">{renderGroupCell(field, row, child, isReadOnly || lockedByOther)}</td>
+                  ))}
+                  {!isReadOnly && (
+                    <td className="px-2 py-2 whitespace-nowrap text-right">
+                      <button onClick={() => changeGroup(field, 'moveRow', { rowId: row.id, toIndex: index - 1 })} disabled={index === 0} className={rowButtonClass} title="Move Up"><ChevronUp size={16} /></button>
+                      <button onClick={() => changeGroup(field, 'moveRow', { rowId: row.id, toIndex: index + 1 })} disabled={index === rows.length - 1} className={rowButtonClass} title="Move Down"><ChevronDown size={16} /></button>
+                      {lockedByOther ? (
+                        <span className="inline-flex items-center space-x-1 ml-1 text-xs font-semibold text-yellow-800" title={`${participantLabel(activeUsers, rowLock.userId, rowLock.lockedBy)} is editing this row`}>
+                          <Lock size={12} /><span>{participantLabel(activeUsers, rowLock.userId, rowLock.lockedBy)}</span>
+                        </span>
+                      ) : (
+                        <button onClick={() => changeGroup(field, 'removeRow', { rowId: row.id })} className={`${rowButtonClass} hover:text-red-600`} title="Remove Row"><Trash2 size={16} /></button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {rows.length === 0 && (<p className="px-2 py-2 text-sm text-gray-500">No rows yet.</p>)}
+        {!isReadOnly && (
+          <button onClick={() => changeGroup(field, 'addRow')} disabled={!canAddRow}
+            className="mt-2 flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800 font-semibold disabled:opacity-50 transition duration-200">
+            <Plus size={14} /><span>Add Row</span>
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  // Assignee badge of a field or section (fields may inherit it from their section), or the box to pick an assignee
+  const renderAssignment = (field) => {
+    if (currentForm.mode === 'individual') return null;
+    const own = assignments[field.id];
+    if (assigningField?.fieldId === field.id) {
+      return (
+        <div className="flex flex-col items-end gap-1 text-sm">
+          <div className="flex items-center gap-2">
+            <input list="assignee-options" value={assigningField.name} autoFocus placeholder="Participant name"
+              onChange={(e) => setAssigningField(prev => ({ ...prev, name: e.target.value, error: null }))}
+              onKeyDown={(e) => { if (e.key === 'Enter' && assigningField.name.trim()) assignField(field.id, assigningField.name); }}
+              className="w-40 px-2 py-1 border border-gray-300 rounded-md text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200"
+            />
+            <button onClick={() => assignField(field.id, assigningField.name)} disabled={!assigningField.name.trim()}
+              className="px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition duration-200 font-medium">Assign</button>
+            {own && (
+              <button onClick={() => assignField(field.id, '')}
+                className="px-2 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 transition duration-200 font-medium">Unassign</button>
+            )}
+            <button onClick={() => setAssigningField(null)} className="text-gray-500 hover:text-gray-700 p-1 rounded-full hover:bg-gray-100 transition duration-200">
+              <X size={14} />
             </button>
           </div>
+          {assigningField.error && (<span className="text-xs text-red-600">{assigningField.error}</span>)}
         </div>
-      </div>
+      );
+    }
+
+    const assignment = own || assignedFields[field.id];
+    const mine = isMine(assignment);
+    return (
+      <button onClick={() => setAssigningField({ fieldId: field.id, name: own?.assigneeName || '', error: null })}
+        title={assignment ? `Assigned to ${assignment.assigneeName}${own ? ` by ${own.assignedBy}` : ' through its section'}. Click to change.` : `Assign this ${field.type === 'section' ? 'section' : 'field'}`}
+        className={`flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-semibold transition duration-200 ${mine ? 'bg-green-100 text-green-800 hover:bg-green-200' : assignment ? 'bg-indigo-100 text-indigo-800 hover:bg-indigo-200' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'}`}>
+        <UserCheck size={14} /><span>{assignment ? (mine ? 'You' : assignment.assigneeName) : 'Assign'}</span>
+      </button>
     );
   };
 
-  const renderShareModal = (form) => {
-    if (!form) return null;
-    const formUrl = `${window.location.origin}?join=${form.code}`;
+  // A comment's text with the mentioned collaborators highlighted
+  const renderCommentBody = (comment) => {
+    const names = comment.mentions.map(mention => `@${mention.userName}`);
+    if (names.length === 0) return comment.body;
+    const pattern = new RegExp(`(${names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`);
+    return comment.body.split(pattern).map((part, index) => (
+      names.includes(part) ? <span key={index} className="font-semibold text-blue-700">{part}</span> : part
+    ));
+  };
+
+  // Text box for a new thread on a field (parentId null) or a reply, with @mention suggestions
+  const renderCommentInput = (fieldId, parentId = null) => {
+    const draftKey = parentId ? `reply-${parentId}` : fieldId;
+    const draft = commentDrafts[draftKey] || '';
+    const suggestions = mentionSuggestions(draft);
     return (
-      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
-        <div className="bg-white rounded-xl shadow-2xl p-7 w-full max-w-md scale-animation">
-          <div className="flex justify-between items-center mb-5 border-b pb-3 border-gray-100">
-            <h3 className="text-xl font-bold text-gray-800">Share Form: <span className="text-blue-600">{form.title}</span></h3>
-            <button onClick={() => setShowShareModal(null)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
-              <X size={20} />
-            </button>
-          </div>
-          <div className="mb-6">
-            <div className="flex items-center justify-between mb-3">
-              <span className="text-base font-medium text-gray-700">Direct Share Link:</span>
-              <button onClick={() => copyToClipboard(formUrl)}
-                className="text-blue-600 hover:text-blue-800 flex items-center space-x-1 transition duration-200 text-sm font-semibold">
-                {copiedCode === formUrl ? (<><Check size={16} className="text-green-500" /><span>Copied!</span></>) : (<><Copy size={16} /><span>Copy Link</span></>)}
-              </button>
-            </div>
-            <div className="bg-gray-100 p-4 rounded-lg text-gray-700 text-base break-all font-mono border border-gray-200">{formUrl}</div>
-          </div>
-          <div className="mb-7">
-            <h4 className="text-base font-medium text-gray-700 mb-3">Share via Social Media:</h4>
-            <div className="flex justify-center space-x-5">
-              <button onClick={() => handleSocialShare('facebook', form)}
-                className="w-14 h-14 rounded-full bg-blue-600 text-white flex items-center justify-center hover:bg-blue-700 transition duration-200 shadow-md hover:scale-105" title="Share on Facebook">
-                <Facebook size={24} />
-              </button>
-              <button onClick={() => handleSocialShare('twitter', form)}
-                className="w-14 h-14 rounded-full bg-blue-400 text-white flex items-center justify-center hover:bg-blue-500 transition duration-200 shadow-md hover:scale-105" title="Share on X (Twitter)">
-                <Twitter size={24} />
-              </button>
-              <button onClick={() => handleSocialShare('linkedin', form)}
-                className="w-14 h-14 rounded-full bg-blue-700 text-white flex items-center justify-center hover:bg-blue-800 transition duration-200 shadow-md hover:scale-105" title="Share on LinkedIn">
-                <Linkedin size={24} />
-              </button>
-              <button onClick={() => handleSocialShare('whatsapp', form)}
-                className="w-14 h-14 rounded-full bg-green-500 text-white flex items-center justify-center hover:bg-green-600 transition duration-200 shadow-md hover:scale-105" title="Share on WhatsApp">
-                <Share size={24} />
-              </button>
-              <button onClick={() => handleSocialShare('email', form)}
-                className="w-14 h-14 rounded-full bg-gray-500 text-white flex items-center justify-center hover:bg-gray-600 transition duration-200 shadow-md hover:scale-105" title="Share via Email">
-                <Mail size={24} />
-              </button>
-            </div>
-          </div>
-          <button onClick={() => shareForm(form)}
-            className="w-full py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center justify-center space-x-2 transition duration-200 font-semibold shadow-md">
-            <Share2 size={18} /><span>Share via Device (Native Share)</span>
+      <div className="relative flex-1">
+        <div className="flex gap-2">
+          <input type="text" value={draft} maxLength={COMMENT_MAX_LENGTH}
+            onChange={(e) => setCommentDrafts(prev => ({ ...prev, [draftKey]: e.target.value }))}
+            onKeyDown={(e) => { if (e.key === 'Enter') addComment(fieldId, parentId); }}
+            placeholder={parentId ? 'Reply...' : 'Add a comment (type @ to mention someone)'}
+            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200"
+          />
+          <button onClick={() => addComment(fieldId, parentId)} disabled={!draft.trim()}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition duration-200 font-medium">
+            {parentId ? 'Reply' : 'Comment'}
           </button>
         </div>
+        {suggestions.length > 0 && (
+          <ul className="absolute z-10 mt-1 min-w-[10rem] bg-white border border-gray-200 rounded-md shadow-lg">
+            {suggestions.map(activeUser => (
+              <li key={activeUser.userId}>
+                <button onClick={() => setCommentDrafts(prev => ({ ...prev, [draftKey]: draft.replace(/@[^\s@]*$/, `@${activeUser.userName} `) }))}
+                  className="block w-full text-left px-3 py-1.5 hover:bg-blue-50 transition duration-200">@{activeUser.userName}</button>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
     );
   };
 
-  const renderCreateFormModal = () => {
+  // Comment threads of a field: each thread with its replies, a reply box and resolve/reopen
+  const renderCommentThreads = (field) => {
+    const threads = comments.filter(c => c.fieldId === field.id && c.parentId === null);
     return (
-      <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4 font-inter">
-        <div className="bg-white rounded-xl shadow-2xl p-7 w-full max-w-md scale-animation">
-          <div className="flex justify-between items-center mb-5 border-b pb-3 border-gray-100">
-            <h3 className="text-xl font-bold text-gray-800">Create New Form</h3>
-            <button onClick={() => setShowCreateFormModal(false)} className="text-gray-500 hover:text-gray-700 transition duration-200 p-1 rounded-full hover:bg-gray-100">
-              <X size={20} />
-            </button>
-          </div>
-          
-          <div className="mb-6">
-            <label htmlFor="newFormTitle" className="block text-base font-medium text-gray-700 mb-2">
-              Form Title
-            </label>
-            <input
-              type="text" id="newFormTitle" value={newFormTitle} onChange={(e) => setNewFormTitle(e.target.value)}
-              placeholder="e.g., Team Project Feedback"
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-800 transition duration-200"
-            />
-          </div>
-          
-          <div className="flex justify-end space-x-4">
-            <button onClick={() => setShowCreateFormModal(false)}
-              className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 transition duration-200 font-medium">Cancel</button>
-            <button onClick={createForm} disabled={!newFormTitle.trim()}
-              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition duration-200 font-semibold shadow-md">
-              Create Form
-            </button>
-          </div>
+      <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-3 text-sm">
+        <div className="flex justify-between items-center">
+          <p className="font-semibold text-gray-700">Comments on {field.label}</p>
+          <button onClick={() => setCommentField(null)} className="text-gray-500 hover:text-gray-700 p-1 rounded-full hover:bg-gray-200 transition duration-200">
+            <X size={14} />
+          </button>
         </div>
+        {threads.length === 0 && (<p className="text-gray-500">No comments yet. Ask a question or leave a note for your collaborators.</p>)}
+        {threads.map(thread => (
+          <div key={thread.id} className={`p-3 bg-white border rounded-lg ${thread.resolved ? 'border-gray-200 opacity-75' : 'border-blue-200'}`}>
+            {[thread, ...comments.filter(c => c.parentId === thread.id)].map(comment => (
+              <div key={comment.id} className={comment.parentId ? 'ml-4 mt-2 pl-3 border-l-2 border-gray-200' : ''}>
+                <p className="text-xs text-gray-500">
+                  <span className="font-semibold text-gray-800">{comment.authorName}</span> · {new Date(comment.createdAt).toLocaleString()}
+                </p>
+                <p className="text-gray-800 whitespace-pre-line break-words">{renderCommentBody(comment)}</p>
+              </div>
+            ))}
+            <div className="mt-3 flex items-center gap-2">
+              {thread.resolved
+                ? (<span className="flex-1 text-xs text-green-700">Resolved by {thread.resolvedBy}</span>)
+                : renderCommentInput(field.id, thread.id)}
+              <button onClick={() => resolveThread(thread)}
+                className="px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 transition duration-200 font-medium">
+                {thread.resolved ? 'Reopen' : 'Resolve'}
+              </button>
+            </div>
+          </div>
+        ))}
+        {renderCommentInput(field.id)}
+        {commentError && (<p className="text-red-600">{commentError}</p>)}
       </div>
     );
   };
 
+  // Carets and selections of co-authors, drawn on an invisible copy of the text laid out exactly like the field below it
+  const renderRemoteSelections = (field, text) => Object.entries(remoteSelections[field.id] || {}).map(([socketId, selection]) => {
+    const color = caretColor(selection.userId);
+    const start = Math.min(selection.start, text.length);
+    const end = Math.min(selection.end, text.length);
+    return (
+      <div key={socketId} data-remote-selection aria-hidden="true"
+        className={`absolute inset-0 px-4 py-2 border border-transparent rounded-lg overflow-hidden pointer-events-none text-transparent ${field.type === 'textarea' ? 'whitespace-pre-wrap break-words' : 'whitespace-pre'}`}>
+        {text.slice(0, start)}
+        <span style={{ backgroundColor: `${color}33` }}>{text.slice(start, end)}</span>
+        <span className="relative">
+          <span className="absolute top-0 bottom-0 -left-px border-l-2" style={{ borderColor: color }} />
+          <span className="absolute -top-3 left-0 px-1 rounded text-[10px] leading-3 text-white whitespace-nowrap" style={{ backgroundColor: color }}>{participantLabel(activeUsers, selection.userId, selection.userName)}</span>
+          {'\u200b'}
+        </span>
+        {text.slice(end)}
+      </div>
+    );
+  });
+
+  // Keeps the co-authors' carets over the right characters while a text field is scrolled
+  const syncSelectionScroll = (element) => element.parentElement.querySelectorAll('[data-remote-selection]').forEach(mirror => {
+    mirror.scrollTop = element.scrollTop;
+    mirror.scrollLeft = element.scrollLeft;
+  });
+
   const renderField = (field) => {
+    // Layout fields only structure the page
+    if (field.type === 'section') {
+      return (
+        <div key={field.id} className="pt-4 pb-2 border-b-2 border-blue-100">
+          <div className="flex justify-between items-center gap-3">
+            <h2 className="text-2xl font-semibold text-gray-800">{field.label}</h2>
+            {renderAssignment(field)}
+          </div>
+          {field.helpText && (<p className="mt-1 text-gray-500">{field.helpText}</p>)}
+        </div>
+      );
+    }
+    if (field.type === 'description') {
+      return (
+        <div key={field.id} className="px-5 py-4 bg-blue-50 border border-blue-100 rounded-lg text-gray-700 whitespace-pre-line">
+          {field.content}
+        </div>
+      );
+    }
+
     const isLocked = lockedFields[field.id] && lockedFields[field.id].userId !== user.id;
     const lockInfo = lockedFields[field.id];
     const typingUser = typingUsers[field.id];
     const isAdmin = user.role === 'admin';
+    const conflict = conflicts[field.id];
+    const errors = fieldErrors[field.id] || [];
+    const isReadOnly = isLocked || isAdmin || !!conflict || responseStatus.status === 'finalized';
+    const canMerge = field.type === 'text' || field.type === 'textarea';
+    const openThreadCount = comments.filter(c => c.fieldId === field.id && c.parentId === null && !c.resolved).length;
+    // Text fields of a shared response are co-edited character by character instead of being locked
+    const usesTextOperations = !isIndividualRespondent && isCollaborativeText(field);
+    const textEditProps = usesTextOperations ? {
+      onChange: (e) => editText(field, e.target.value),
+      onFocus: undefined,
+      onBlur: () => shareTextSelection(field.id, null),
+      onSelect: (e) => shareTextSelection(field.id, e.target),
+      onScroll: (e) => syncSelectionScroll(e.target)
+    } : {};
 
     // Determine the actual value to display in the field
     const displayValue = formResponse[field.id] !== undefined && formResponse[field.id] !== null
       ? String(formResponse[field.id])
       : '';
+    const selectedOptions = Array.isArray(formResponse[field.id]) ? formResponse[field.id] : []; // Checkbox groups
+    const fileValue = field.type === 'file' && formResponse[field.id]?.fileId ? formResponse[field.id] : null;
+    const isUploading = !!uploadingFields[field.id];
+    const placeholder = field.placeholder || `Enter ${field.label.toLowerCase()}`;
 
     return (
       <div key={field.id} className="mb-6 bg-white p-5 rounded-lg shadow-sm border border-gray-100 relative group transition-all duration-200">
-        <label htmlFor={`field-${field.id}`} className="block text-base font-medium text-gray-700 mb-2">
-          {field.label} {field.required && <span className="text-red-500 ml-1">*</span>}
-        </label>
+        <div className="flex justify-between items-start gap-3 mb-2">
+          <label htmlFor={`field-${field.id}`} className="block text-base font-medium text-gray-700">
+            {field.label} {fieldStates[field.id]?.required && <span className="text-red-500 ml-1">*</span>}
+          </label>
+          <div className="flex items-center gap-1">
+            {renderAssignment(field)}
+            {currentForm.mode !== 'individual' && (
+              <button onClick={() => (commentField === field.id ? setCommentField(null) : openComments(field.id))}
+                title={openThreadCount ? `${openThreadCount} open comment thread${openThreadCount === 1 ? '' : 's'}` : 'Comment on this field'}
+                className={`flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-semibold transition duration-200 ${openThreadCount ? 'bg-amber-100 text-amber-800 hover:bg-amber-200' : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'}`}>
+                <MessageSquare size={14} />{openThreadCount > 0 && (<span>{openThreadCount}</span>)}
+              </button>
+            )}
+          </div>
+        </div>
+        {field.helpText && (<p className="-mt-1 mb-2 text-sm text-gray-500">{field.helpText}</p>)}
         
         <div className="relative">
           {field.type === 'text' || field.type === 'email' || field.type === 'url' || field.type === 'tel' ? (
-            <input id={`field-${field.id}`} type={field.type} value={displayValue} onChange={(e) => updateField(field.id, e.target.value)}
+            <input id={`field-${field.id}`} type={field.type} value={displayValue} onChange={(e) => updateField(field.id, e.target.value)} maxLength={field.maxLength}
               onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)}
               onKeyDown={() => { handleTyping(field.id, true); clearTimeout(typingTimers.current[field.id]); typingTimers.current[field.id] = setTimeout(() => { handleTyping(field.id, false); }, 1000); }}
-              disabled={isLocked || isAdmin}
+              {...textEditProps}
+              disabled={isReadOnly}
               className={`w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-800 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200 ${ (isLocked || isAdmin) ? 'bg-gray-100 cursor-not-allowed' : '' }`}
-              placeholder={`Enter ${field.label.toLowerCase()}`}
+              placeholder={placeholder}
             />
           ) : field.type === 'number' ? (
-            <input id={`field-${field.id}`} type="number" value={displayValue} onChange={(e) => updateField(field.id, e.target.value)}
-              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} disabled={isLocked || isAdmin}
+            <input id={`field-${field.id}`} type="number" value={displayValue} onChange={(e) => updateField(field.id, e.target.value)} min={field.min} max={field.max} step={field.step}
+              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} disabled={isReadOnly}
               className={`w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-800 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200 ${ (isLocked || isAdmin) ? 'bg-gray-100 cursor-not-allowed' : '' }`}
-              placeholder={`Enter ${field.label.toLowerCase()}`}
+              placeholder={placeholder}
             />
           ) : field.type === 'date' ? (
-            <input id={`field-${field.id}`} type="date" value={displayValue} onChange={(e) => updateField(field.id, e.target.value)}
-              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} disabled={isLocked || isAdmin}
+            <input id={`field-${field.id}`} type="date" value={displayValue} onChange={(e) => updateField(field.id, e.target.value)} min={field.min} max={field.max}
+              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} disabled={isReadOnly}
               className={`w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-800 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200 ${ (isLocked || isAdmin) ? 'bg-gray-100 cursor-not-allowed' : '' }`}
             />
           ) : field.type === 'textarea' ? (
-            <textarea id={`field-${field.id}`} value={displayValue} onChange={(e) => updateField(field.id, e.target.value)}
-              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} disabled={isLocked || isAdmin} rows={4}
+            <textarea id={`field-${field.id}`} value={displayValue} onChange={(e) => updateField(field.id, e.target.value)} maxLength={field.maxLength}
+              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} {...textEditProps} disabled={isReadOnly} rows={4}
               className={`w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-800 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200 ${ (isLocked || isAdmin) ? 'bg-gray-100 cursor-not-allowed' : '' }`}
-              placeholder={`Enter detailed ${field.label.toLowerCase()}`}
+              placeholder={field.placeholder || `Enter detailed ${field.label.toLowerCase()}`}
             />
           ) : field.type === 'select' ? (
             <select id={`field-${field.id}`} value={displayValue} onChange={(e) => updateField(field.id, e.target.value)} 
-              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} disabled={isLocked || isAdmin}
+              onFocus={() => handleFieldFocus(field.id)} onBlur={() => handleFieldBlur(field.id)} disabled={isReadOnly}
               className={`w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-200 bg-white ${ (isLocked || isAdmin) ? 'bg-gray-100 cursor-not-allowed' : '' }`}
             >
-              <option value="">Select an option</option>
+              <option value="">{field.placeholder || 'Select an option'}</option>
               {field.options?.map(option => (<option key={option} value={option}>{option}</option>))}
             </select>
           ) : field.type === 'radio' ? (
@@ -758,32 +2944,104 @@ const CollaborativeFormSystem = () => {
               {field.options?.map(option => (
                 <label key={option} className="flex items-center space-x-2 cursor-pointer">
                   <input type="radio" name={field.id} value={option} checked={displayValue === option} // Use displayValue here
-                    onChange={(e) => updateField(field.id, e.target.value)} disabled={isLocked || isAdmin}
+                    onChange={(e) => updateField(field.id, e.target.value)} disabled={isReadOnly}
                     className="h-5 w-5 text-blue-600 border-gray-300 focus:ring-blue-500 transition duration-200"
                   /><span className="text-base text-gray-800">{option}</span>
                 </label>
               ))}
             </div>
+          ) : field.type === 'file' ? (
+            <div className="flex flex-wrap items-center gap-3 pt-1">
+              {fileValue ? (
+                <span className="flex items-center space-x-2 px-3 py-1.5 bg-gray-100 rounded-md text-sm text-gray-800">
+                  <Paperclip size={14} /><span>{fileValue.name}</span><span className="text-gray-500">({formatFileSize(fileValue.size)})</span>
+                </span>
+              ) : (
+                <span className="text-sm text-gray-500">No file uploaded</span>
+              )}
+              {isAdmin && fileValue && (
+                <button onClick={() => downloadFile(currentForm.id, fileValue)}
+                  className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800 font-semibold transition duration-200">
+                  <Download size={14} /><span>Download</span>
+                </button>
+              )}
+              {!isReadOnly && (
+                <label className={`flex items-center space-x-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 transition duration-200 ${isUploading ? 'opacity-50 cursor-wait' : 'cursor-pointer hover:bg-gray-100'}`}>
+                  <Upload size={14} /><span>{isUploading ? 'Uploading...' : fileValue ? 'Replace File' : 'Choose File'}</span>
+                  <input id={`field-${field.id}`} type="file" className="hidden" accept={field.allowedTypes?.join(',')} disabled={isUploading}
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      e.target.value = ''; // Allow choosing the same file again
+                      if (file) uploadFile(field, file);
+                    }}
+                  />
+                </label>
+              )}
+              {!isReadOnly && fileValue && !isUploading && (
+                <button onClick={() => updateField(field.id, '')} className="text-sm text-red-600 hover:text-red-800 transition duration-200">Remove</button>
+              )}
+            </div>
+          ) : isMultiSelect(field) ? (
+            <div className="space-y-3 pt-1">
+              {field.options?.map(option => (
+                <label key={option} className="flex items-center space-x-2 cursor-pointer">
+                  <input type="checkbox" checked={selectedOptions.includes(option)}
+                    onChange={(e) => updateField(field.id, e.target.checked ? [...selectedOptions, option] : selectedOptions.filter(value => value !== option))}
+                    disabled={isReadOnly}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-5 w-5 transition duration-200"
+                  /><span className="text-base text-gray-800">{option}</span>
+                </label>
+              ))}
+            </div>
           ) : field.type === 'checkbox' ? (
             <label className="flex items-center space-x-2 cursor-pointer pt-1">
               <input type="checkbox" checked={displayValue === 'true'} // Use displayValue here
-                onChange={(e) => updateField(field.id, e.target.checked ? 'true' : 'false')} disabled={isLocked || isAdmin}
+                onChange={(e) => updateField(field.id, e.target.checked ? 'true' : 'false')} disabled={isReadOnly}
                 className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 h-5 w-5 transition duration-200"
               /><span className="text-base text-gray-800">Check this box</span>
             </label>
+          ) : field.type === 'group' ? (
+            renderGroupRows(field, isReadOnly)
           ) : null}
+          {usesTextOperations && renderRemoteSelections(field, displayValue)}
           
           {isLocked && (<div className="absolute top-1/2 right-3 -translate-y-1/2 bg-yellow-100 text-yellow-800 px-3 py-1 rounded-full text-xs font-semibold flex items-center space-x-1 shadow-sm opacity-90">
-              <Lock size={14} /><span>{lockInfo.lockedBy} editing</span>
+              <Lock size={14} /><span>{participantLabel(activeUsers, lockInfo.userId, lockInfo.lockedBy)} editing</span>
             </div>)}
           {isAdmin && (<div className="absolute top-1/2 right-3 -translate-y-1/2 bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-xs font-semibold shadow-sm opacity-90">
               Admin View Only
             </div>)}
         </div>
+
+        {errors.length > 0 && !isAdmin && (
+          <ul className="mt-2 space-y-1 text-sm text-red-600">
+            {errors.map(error => (<li key={`${error.code}-${error.rowId || ''}-${error.childId || ''}`}>{error.message}</li>))}
+          </ul>
+        )}
+
+        {conflict && (
+          <div className="mt-3 p-4 border border-orange-200 bg-orange-50 rounded-lg text-sm text-orange-900">
+            <p className="font-semibold mb-2">Someone else changed this field before your edit was saved.</p>
+            <p className="mb-1">Current value: <span className="font-mono">{formatFieldValue(field, conflict.currentValue) || '(empty)'}</span></p>
+            <p className="mb-3">Your value: <span className="font-mono">{formatFieldValue(field, conflict.yourValue) || '(empty)'}</span></p>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => resolveConflict(field.id, 'theirs')}
+                className="px-3 py-1.5 bg-white border border-orange-300 rounded-md hover:bg-orange-100 transition duration-200 font-medium">Keep theirs</button>
+              <button onClick={() => resolveConflict(field.id, 'mine')}
+                className="px-3 py-1.5 bg-orange-600 text-white rounded-md hover:bg-orange-700 transition duration-200 font-medium">Keep mine</button>
+              {canMerge && (
+                <button onClick={() => resolveConflict(field.id, 'merge')}
+                  className="px-3 py-1.5 bg-white border border-orange-300 rounded-md hover:bg-orange-100 transition duration-200 font-medium">Merge both</button>
+              )}
+            </div>
+          </div>
+        )}
         
-        {typingUser && typingUser !== user.name && !isAdmin && (
+        {commentField === field.id && renderCommentThreads(field)}
+        
+        {typingUser && typingUser.userId !== user.id && !isAdmin && (
             <div className="absolute -bottom-7 left-0 text-xs text-blue-600 font-medium px-2 py-1 bg-blue-50 rounded-md">
-              {typingUser} is typing...
+              {participantLabel(activeUsers, typingUser.userId, typingUser.userName)} is typing...
             </div>
           )}
       </div>
@@ -876,6 +3134,7 @@ const CollaborativeFormSystem = () => {
                 <Users size={18} />
                 <span>Join Form</span>
               </button>
+              {joinError && <p className="text-red-600 text-sm text-center">{joinError}</p>}
             </div>
           </div>
         </div>
@@ -1009,6 +3268,17 @@ const CollaborativeFormSystem = () => {
                   <Plus size={18} />
                   <span>New Form</span>
                 </button>
+                <label className="bg-white text-blue-700 border border-blue-200 px-5 py-2.5 rounded-lg hover:bg-blue-50 flex items-center space-x-2 transition duration-200 shadow-md font-semibold cursor-pointer">
+                  <Upload size={18} />
+                  <span>Import Form</span>
+                  <input type="file" accept="application/json,.json" className="hidden"
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      e.target.value = ''; // Allow choosing the same file again
+                      if (file) importFormDefinition(file);
+                    }}
+                  />
+                </label>
                 <button
                   onClick={adminLogout} // Calls the secure adminLogout function
                   className="bg-gray-600 text-white px-5 py-2.5 rounded-lg hover:bg-gray-700 transition duration-200 shadow-md font-semibold"
@@ -1021,6 +3291,19 @@ const CollaborativeFormSystem = () => {
         </div>
 
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-10">
+          {importErrors && (
+            <div className="mb-8 p-4 border border-red-200 bg-red-50 rounded-lg text-sm text-red-800 relative">
+              <button onClick={() => setImportErrors(null)} className="absolute top-3 right-3 text-red-500 hover:text-red-700" title="Dismiss"><X size={16} /></button>
+              <p className="font-semibold">{importErrors.message}</p>
+              {importErrors.errors.length > 0 && (
+                <ul className="mt-2 space-y-1 list-disc list-inside">
+                  {importErrors.errors.map((error, index) => (
+                    <li key={index}><span className="font-mono">{error.path || 'file'}</span>{error.fieldId && ` (${error.fieldId})`}: {error.message}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
           <div className="grid gap-8 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
             {forms.map(form => (
               <div key={form.id} className="bg-white p-7 rounded-xl shadow-lg border border-gray-100 relative transform hover:scale-[1.02] hover:shadow-xl transition duration-300">
@@ -1032,7 +3315,13 @@ const CollaborativeFormSystem = () => {
                   <Trash2 size={18} />
                 </button>
                 
-                <h3 className="text-xl font-bold text-blue-700 mb-3 pr-8">{form.title}</h3>
+                <h3 className="text-xl font-bold text-blue-700 mb-1 pr-8">{form.title}</h3>
+                <span className={`inline-block mb-3 px-2.5 py-0.5 rounded-full text-xs font-semibold ${form.mode === 'individual' ? 'bg-amber-100 text-amber-800' : 'bg-indigo-100 text-indigo-800'}`}>
+                  {form.mode === 'individual' ? 'Individual submissions' : 'Collaborative'}
+                </span>
+                {form.response?.status === 'finalized' && (
+                  <span className="inline-block mb-3 ml-2 px-2.5 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800">Finalized</span>
+                )}
                 
                 <div className="mb-5 border-t border-gray-100 pt-3">
                   <div className="flex items-center justify-between text-gray-600 mb-2">
@@ -1059,10 +3348,17 @@ const CollaborativeFormSystem = () => {
                     <Users size={16} className="text-blue-500" />
                     <span>{form.activeUsers} Active</span>
                   </div>
-                  <div className="flex items-center space-x-1">
-                    <UserCheck size={16} className="text-green-500" />
-                    <span>{form.response?.contributors?.length || 0} Contributors</span>
-                  </div>
+                  {form.mode === 'individual' ? (
+                    <div className="flex items-center space-x-1">
+                      <Inbox size={16} className="text-green-500" />
+                      <span>{form.submissionCount || 0} Submissions</span>
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-1">
+                      <UserCheck size={16} className="text-green-500" />
+                      <span>{form.response?.contributors?.length || 0} Contributors</span>
+                    </div>
+                  )}
                   <div className="flex items-center space-x-1">
                     <Clock size={16} className="text-purple-500" />
                     <span className="text-xs">Created: {new Date(form.createdAt).toLocaleDateString()}</span>
@@ -1077,19 +3373,50 @@ const CollaborativeFormSystem = () => {
                     <Edit3 size={16} />
                     <span>Edit Fields</span>
                   </button>
+
+                  {form.mode === 'individual' && (
+                    <button
+                      onClick={() => loadSubmissions(form)}
+                      className="w-full bg-amber-500 text-white px-4 py-2.5 rounded-lg text-base hover:bg-amber-600 flex items-center justify-center space-x-2 transition duration-200 font-semibold shadow-md"
+                    >
+                      <Inbox size={16} />
+                      <span>View Submissions</span>
+                    </button>
+                  )}
+
+                  <div className="flex items-center space-x-2 text-sm">
+                    <span className="flex items-center space-x-1 text-gray-500"><Download size={16} /><span>Export:</span></span>
+                    {['csv', 'xlsx', 'json'].map(format => (
+                      <button key={format} onClick={() => exportResponses(form, format)}
+                        className="flex-1 border border-gray-300 text-gray-700 px-3 py-1.5 rounded-md hover:bg-gray-100 transition duration-200 font-semibold uppercase">
+                        {format}
+                      </button>
+                    ))}
+                  </div>
+                  <button onClick={() => exportFormDefinition(form)}
+                    className="w-full border border-gray-300 text-gray-700 px-4 py-2 rounded-lg text-sm hover:bg-gray-100 flex items-center justify-center space-x-2 transition duration-200 font-semibold">
+                    <Download size={16} />
+                    <span>Export Form Definition</span>
+                  </button>
+                  <button onClick={() => loadVersions(form)}
+                    className="w-full border border-gray-300 text-gray-700 px-4 py-2 rounded-lg text-sm hover:bg-gray-100 flex items-center justify-center space-x-2 transition duration-200 font-semibold">
+                    <Clock size={16} />
+                    <span>Versions (current: {form.version || 1})</span>
+                  </button>
                   
                   <div className="flex space-x-3">
                     <button
-                      onClick={() => {
+                      onClick={async () => {
                         console.log('Admin View Form Clicked. Form fields from "forms" state:', form.fields); 
                         console.log('Admin View Form Clicked. Form response data from "forms" state:', form.response?.data);
                         setCurrentForm(form);
                         setFormResponse(form.response?.data || {}); // Load existing response data
+                        setResponseStatus({ status: form.response?.status || 'open', finalizedBy: form.response?.finalizedBy, finalizedAt: form.response?.finalizedAt });
+                        setFormPage(0);
                         setCurrentView('form');
                         socket.emit('joinForm', { // Join the form's socket room
                           formId: form.id,
-                          userId: user.id,
-                          userName: user.name
+                          accessToken: await adminSocketToken()
                         });
                       }}
                       className="flex-1 bg-green-500 text-white px-4 py-2.5 rounded-lg text-base hover:bg-green-600 flex items-center justify-center space-x-2 transition duration-200 font-semibold shadow-md"
@@ -1129,6 +3456,8 @@ const CollaborativeFormSystem = () => {
         {showDeleteModal && renderDeleteModal(showDeleteModal)}
         {showShareModal && renderShareModal(showShareModal)}
         {showCreateFormModal && renderCreateFormModal()}
+        {renderSubmissionsModal()}
+        {renderVersionsModal()}
       </div>
     );
   }
@@ -1148,6 +3477,7 @@ const CollaborativeFormSystem = () => {
                 <h1 className="text-3xl font-bold text-blue-700">{currentForm?.title}</h1>
                 <div className="flex items-center space-x-4 text-base text-gray-600 mt-1">
                   <span>Code: <span className="font-mono bg-gray-100 px-2.5 py-1 rounded-md text-sm font-semibold text-purple-700">{currentForm?.code}</span></span>
+                  <span className="text-sm text-gray-500">Version {currentForm?.version || 1}</span>
                   {user.role === 'admin' && (
                     <span className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-xs font-semibold">
                       Admin View
@@ -1160,6 +3490,9 @@ const CollaborativeFormSystem = () => {
                 <div className={`flex items-center space-x-2 px-3 py-1 rounded-full ${isConnected ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'} text-sm font-medium`}>
                   <div className={`w-2.5 h-2.5 rounded-full ${isConnected ? 'bg-green-500' : 'bg-red-500'}`}></div>
                   <span>{isConnected ? 'Connected' : 'Disconnected'}</span>
+                  {offlineEditCount > 0 && (
+                    <span className="text-xs opacity-75" title="Saved once the connection is back">· {offlineEditCount} unsaved</span>
+                  )}
                 </div>
                 
                 <div className="flex items-center space-x-2 text-gray-600">
@@ -1167,6 +3500,41 @@ const CollaborativeFormSystem = () => {
                   <span className="text-base">{activeUsers.length} Active</span>
                 </div>
 
+                {!isIndividualRespondent && user.role !== 'admin' && (
+                  <div className="flex items-center space-x-1">
+                    <button onClick={() => revertEdit('undo')} disabled={editStacks.undo.length === 0 || responseStatus.status !== 'open'} title="Undo your last edit (Ctrl+Z)"
+                      className="p-2.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition duration-200">
+                      <Undo size={18} />
+                    </button>
+                    <button onClick={() => revertEdit('redo')} disabled={editStacks.redo.length === 0 || responseStatus.status !== 'open'} title="Redo (Ctrl+Shift+Z)"
+                      className="p-2.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition duration-200">
+                      <Redo size={18} />
+                    </button>
+                  </div>
+                )}
+
+                {currentForm.mode !== 'individual' && (
+                  <button onClick={() => setShowAssignedToMe(prev => !prev)} title="Only show the fields assigned to you"
+                    className={`px-4 py-2.5 rounded-lg flex items-center space-x-2 transition duration-200 font-semibold shadow-md ${
+                      showAssignedToMe ? 'bg-green-600 text-white hover:bg-green-700' : 'bg-white text-green-700 border border-green-200 hover:bg-green-50'
+                    }`}>
+                    <UserCheck size={18} />
+                    <span>Assigned to me ({Object.values(assignedFields).filter(isMine).length})</span>
+                  </button>
+                )}
+
+                {!isIndividualRespondent && (
+                  <button
+                    onClick={toggleHistory}
+                    className={`px-5 py-2.5 rounded-lg flex items-center space-x-2 transition duration-200 font-semibold shadow-md ${
+                      historyPanel ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-white text-blue-700 border border-blue-200 hover:bg-blue-50'
+                    }`}
+                  >
+                    <Clock size={18} />
+                    <span>History</span>
+                  </button>
+                )}
+
                 {user.role === 'admin' && (
                   <button
                     onClick={() => setShowShareModal(currentForm)}
@@ -1181,9 +3549,8 @@ const CollaborativeFormSystem = () => {
                 <button
                   onClick={() => {
                     if (socket && currentForm) {
-                      socket.emit('leaveForm', { // Optional: notify backend user is leaving
-                        formId: currentForm.id,
-                        userId: user.id
+                      socket.emit('leaveForm', { // Releases our presence and locks in this form
+                        formId: currentForm.id
                       });
                     }
                     
@@ -1201,8 +3568,41 @@ const CollaborativeFormSystem = () => {
                     setCurrentForm(null);
                     setFormResponse({});
                     setActiveUsers([]);
+                    Object.values(lockHeartbeats.current).forEach(clearInterval);
+                    lockHeartbeats.current = {};
                     setLockedFields({});
                     setTypingUsers({});
+                    setConflicts({});
+                    setFieldErrors({});
+                    setSubmissionResult(null);
+                    setSubmissionError(null);
+                    setResponseStatus({ status: 'open', finalizedBy: null, finalizedAt: null });
+                    setFinalizeError(null);
+                    setReopenReason('');
+                    setFormPage(0);
+                    setStructureNotice(null);
+                    setEditStacks({ undo: [], redo: [] });
+                    setHistoryPanel(null);
+                    fieldVersions.current = {};
+                    pendingUpdates.current = {};
+                    textSync.current = {};
+                    clearTextRevisions();
+                    offlineEdits.current = {}; // Still kept in the device copy until synced
+                    offlineGroupChanges.current = [];
+                    setOfflineEditCount(0);
+                    setResyncRequest(null);
+                    setOpenedOffline(null);
+                    setSyncNotice(null);
+                    setRemoteSelections({});
+                    setComments([]);
+                    setCommentField(null);
+                    setCommentDrafts({});
+                    setCommentError(null);
+                    setMentionNotice(null);
+                    setAssignments({});
+                    setAssigningField(null);
+                    setShowAssignedToMe(false);
+                    setAssignmentNotice(null);
                   }}
                   className="bg-gray-600 text-white px-5 py-2.5 rounded-lg hover:bg-gray-700 transition duration-200 font-semibold shadow-md"
                 >
@@ -1214,72 +3614,257 @@ const CollaborativeFormSystem = () => {
         </div>
 
         <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-10">
-          <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100">
-            <div className="mb-8 pb-6 border-b border-gray-100">
-              <h2 className="text-xl font-semibold text-gray-700 mb-3">Active Collaborators</h2>
-              <div className="flex flex-wrap gap-3">
-                {activeUsers.map(activeUser => (
-                  <span
-                    key={`${activeUser.userId}-${activeUser.userName}`}
-                    className={`px-4 py-1.5 rounded-full text-sm flex items-center space-x-2 ${
-                      activeUser.userName === user.name
-                        ? 'bg-blue-100 text-blue-800 border border-blue-200' // Highlight current user
-                        : 'bg-gray-100 text-gray-700 border border-gray-200'
-                    } font-medium`}
-                  >
-                    <UserCheck size={16} />
-                    <span>
-                      {activeUser.userName}
-                      {activeUser.userName === user.name ? ' (You)' : ''}
-                    </span>
-                  </span>
-                ))}
+          {isIndividualRespondent && submissionResult ? (
+            <div className="bg-white p-10 rounded-xl shadow-lg border border-gray-100 text-center">
+              <div className="w-16 h-16 rounded-full bg-green-100 text-green-600 flex items-center justify-center mx-auto mb-5">
+                <Check size={32} />
               </div>
+              <h2 className="text-2xl font-bold text-gray-800 mb-2">Response submitted</h2>
+              <p className="text-gray-600 mb-1">Thank you, {user.name}! Your answers to "{currentForm?.title}" have been recorded.</p>
+              <p className="text-sm text-gray-500 mb-8">Submitted {new Date(submissionResult.submittedAt).toLocaleString()}</p>
+              <button onClick={startNewSubmission}
+                className="bg-blue-600 text-white px-6 py-2.5 rounded-lg hover:bg-blue-700 transition duration-200 font-semibold shadow-md">
+                Submit another response
+              </button>
             </div>
+          ) : (
+            <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100">
+              {!isIndividualRespondent && (
+                <div className="mb-8 pb-6 border-b border-gray-100">
+                  <h2 className="text-xl font-semibold text-gray-700 mb-3">Active Collaborators</h2>
+                  <div className="flex flex-wrap gap-3">
+                    {activeUsers.map(activeUser => (
+                      <span
+                        key={activeUser.userId}
+                        className={`px-4 py-1.5 rounded-full text-sm flex items-center space-x-2 ${
+                          activeUser.userId === user.id
+                            ? 'bg-blue-100 text-blue-800 border border-blue-200' // Highlight current user
+                            : 'bg-gray-100 text-gray-700 border border-gray-200'
+                        } font-medium`}
+                      >
+                        <UserCheck size={16} />
+                        <span>
+                          {participantLabel(activeUsers, activeUser.userId, activeUser.userName)}
+                          {activeUser.userId === user.id ? ' (You)' : ''}
+                        </span>
+                        {activeUser.connections > 1 && (
+                          <span className="text-xs opacity-75" title="Open in several tabs or windows">{activeUser.connections} tabs</span>
+                        )}
+                        {formPages.length > 1 && (
+                          <span className="text-xs opacity-75">Page {Math.min(activeUser.page || 0, formPages.length - 1) + 1}</span>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
 
-            {currentForm?.fields?.length > 0 ? (
-              <div className="space-y-6">
-                {currentForm.fields.map(field => renderField(field))}
-              </div>
-            ) : (
-              <div className="text-center py-12 bg-gray-50 rounded-lg border border-dashed border-gray-200 text-gray-500">
-                <p className="text-lg mb-2">No fields added to this form yet</p>
-                {user.role === 'admin' && (
-                  <p className="text-sm">
-                    Go back to the admin dashboard to add fields
+              {assignmentNotice && (
+                <div className="mb-6 p-4 border border-green-200 bg-green-50 rounded-lg text-green-900 flex justify-between items-center gap-3">
+                  <span>
+                    {assignmentNotice.changedBy} {assignmentNotice.assigned ? 'assigned you to' : 'removed your assignment for'} "{assignmentNotice.fieldLabel}".
+                  </span>
+                  <button onClick={() => setAssignmentNotice(null)} className="text-green-700 hover:text-green-900 p-1 rounded-full hover:bg-green-100">
+                    <X size={16} />
+                  </button>
+                </div>
+              )}
+
+              {mentionNotice && (
+                <div className="mb-6 p-4 border border-amber-200 bg-amber-50 rounded-lg text-amber-900 flex justify-between items-center gap-3">
+                  <span><span className="font-semibold">{mentionNotice.comment.authorName}</span> mentioned you on "{mentionNotice.fieldLabel}": {mentionNotice.comment.body}</span>
+                  <div className="flex items-center gap-2">
+                    <button onClick={() => { openComments(mentionNotice.comment.fieldId); setMentionNotice(null); }}
+                      className="px-3 py-1.5 bg-white border border-amber-300 rounded-md hover:bg-amber-100 transition duration-200 font-medium">View</button>
+                    <button onClick={() => setMentionNotice(null)} className="text-amber-700 hover:text-amber-900 p-1 rounded-full hover:bg-amber-100">
+                      <X size={16} />
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {!isConnected && (
+                <div className="mb-6 p-4 border border-amber-200 bg-amber-50 rounded-lg text-amber-900">
+                  <p className="font-semibold">You are offline.</p>
+                  <p className="text-sm mt-1">
+                    {isIndividualRespondent
+                      ? 'You can keep filling in the form; your answers are kept on this device. Submit once you are back online.'
+                      : `You can keep filling in the form; your edits are kept on this device and synced when the connection is back${offlineEditCount > 0 ? ` (${offlineEditCount} waiting)` : ''}.`}
                   </p>
-                )}
-              </div>
-            )}
+                  {openedOffline && (
+                    <p className="text-sm mt-1 opacity-75">Opened from the copy saved on this device at {new Date(openedOffline).toLocaleString()}; others' changes since then appear once you are online.</p>
+                  )}
+                </div>
+              )}
 
-            <div className="mt-8 pt-6 border-t border-gray-200">
-              <div className="flex items-center justify-between text-base text-gray-500">
-                <span>
-                  {user.role === 'admin' 
-                    ? 'Admin view - responses are read-only' 
-                    : 'Collaborative response - all changes are saved automatically'
-                  }
-                </span>
-                <div className="flex items-center space-x-2">
-                  <Clock size={16} />
-                  <span>
-                    Last updated: {' '}
-                    {/* Display actual last updated timestamp from formResponse state, or initial form creation time */}
-                    {currentForm && (formResponse?.lastUpdated || currentForm.createdAt) ? (
-                      new Date(formResponse.lastUpdated || currentForm.createdAt).toLocaleString()
-                    ) : (
-                      'N/A'
+              {syncNotice && (
+                <div className={`mb-6 p-4 border rounded-lg flex justify-between items-start ${syncNotice.conflicts.length > 0 || syncNotice.lost > 0 ? 'border-amber-200 bg-amber-50 text-amber-900' : 'border-green-200 bg-green-50 text-green-900'}`}>
+                  <div>
+                    <p className="font-semibold">
+                      {syncNotice.lost > 0
+                        ? `${syncNotice.lost} edit${syncNotice.lost === 1 ? '' : 's'} made offline could not be saved because the response was finalized.`
+                        : `Back online: ${syncNotice.saved} edit${syncNotice.saved === 1 ? '' : 's'} made offline synced.`}
+                    </p>
+                    {syncNotice.conflicts.length > 0 && (
+                      <div className="mt-2 text-sm">
+                        <span>Others changed these fields meanwhile; choose which answer to keep:</span>
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {syncNotice.conflicts.map(fieldId => {
+                            const page = formPages.findIndex(formPage => formPage.fields.some(f => f.id === fieldId));
+                            return (
+                              <button key={fieldId} onClick={() => { if (page >= 0 && page !== pageIndex) goToPage(page); }} className="px-2 py-1 bg-white border border-amber-300 rounded hover:bg-amber-100">
+                                {currentForm.fields.find(f => f.id === fieldId)?.label || fieldId}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
                     )}
-                  </span>
-                  {showSavedMessage && ( // "Saved!" indicator
-                    <span className="text-green-600 ml-2 font-semibold animate-pulse">Saved!</span>
+                  </div>
+                  <button onClick={() => setSyncNotice(null)} className="p-1 rounded-full hover:bg-white/60">
+                    <X size={16} />
+                  </button>
+                </div>
+              )}
+
+              {structureNotice && (
+                <div className="mb-6 p-4 border border-blue-200 bg-blue-50 rounded-lg text-blue-900 flex justify-between items-center">
+                  <span>The admin updated this form (now version {structureNotice}). Please check your answers against the current fields.</span>
+                  <button onClick={() => setStructureNotice(null)} className="text-blue-700 hover:text-blue-900 p-1 rounded-full hover:bg-blue-100">
+                    <X size={16} />
+                  </button>
+                </div>
+              )}
+
+              {!isIndividualRespondent && responseStatus.status === 'finalized' && (
+                <div className="mb-6 p-4 border border-green-200 bg-green-50 rounded-lg text-green-900">
+                  <p className="font-semibold">
+                    Finalized by {responseStatus.finalizedBy}{responseStatus.finalizedAt ? ` on ${new Date(responseStatus.finalizedAt).toLocaleString()}` : ''}. This response is read-only.
+                  </p>
+                  {user.role === 'admin' && (
+                    <div className="mt-3 flex flex-wrap gap-2">
+                      <input type="text" value={reopenReason} onChange={(e) => setReopenReason(e.target.value)} placeholder="Reason for reopening (optional)"
+                        className="flex-1 min-w-[12rem] px-3 py-1.5 border border-green-300 rounded-md text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-green-500" />
+                      <button onClick={reopenSharedResponse}
+                        className="px-4 py-1.5 bg-white border border-green-400 rounded-md text-sm font-semibold hover:bg-green-100 transition duration-200">Reopen</button>
+                    </div>
                   )}
                 </div>
-              </div>
+              )}
+
+              {currentForm?.fields?.length > 0 ? (
+                <div className="space-y-6">
+                  {formPages.length > 1 && (
+                    <div className="flex flex-wrap gap-2 pb-4 border-b border-gray-100">
+                      {formPages.map((page, index) => (
+                        <button key={index} onClick={() => goToPage(index)}
+                          className={`px-3 py-1.5 rounded-full text-sm font-medium transition duration-200 ${index === pageIndex ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}>
+                          {index + 1}. {page.title || page.fields.find(field => field.type === 'section')?.label || `Page ${index + 1}`}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {showAssignedToMe && !formPages[pageIndex].fields.some(field => isMine(assignedFields[field.id])) && (
+                    <p className="text-gray-500">Nothing on this page is assigned to you.</p>
+                  )}
+                  {formPages[pageIndex].fields
+                    .filter(field => fieldStates[field.id]?.visible)
+                    .filter(field => !showAssignedToMe || isMine(assignedFields[field.id]) || (field.type === 'section' && isMine(assignments[field.id])))
+                    .map(field => renderField(field))}
+                  <datalist id="assignee-options">
+                    {[...new Set(activeUsers.map(activeUser => activeUser.userName))].map(name => (<option key={name} value={name} />))}
+                  </datalist>
+                  {formPages.length > 1 && (
+                    <div className="flex items-center justify-between pt-2">
+                      <button onClick={() => goToPage(pageIndex - 1)} disabled={pageIndex === 0}
+                        className="flex items-center space-x-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition duration-200">
+                        <ChevronLeft size={16} /><span>Previous</span>
+                      </button>
+                      <span className="text-sm text-gray-500">Page {pageIndex + 1} of {formPages.length}</span>
+                      <button onClick={() => goToPage(pageIndex + 1)} disabled={pageIndex === formPages.length - 1}
+                        className="flex items-center space-x-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition duration-200">
+                        <span>Next</span><ChevronRight size={16} />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="text-center py-12 bg-gray-50 rounded-lg border border-dashed border-gray-200 text-gray-500">
+                  <p className="text-lg mb-2">No fields added to this form yet</p>
+                  {user.role === 'admin' && (
+                    <p className="text-sm">
+                      Go back to the admin dashboard to add fields
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {isIndividualRespondent ? (
+                <div className="mt-8 pt-6 border-t border-gray-200">
+                  {submissionError && (
+                    <div className="mb-4 p-4 border border-red-200 bg-red-50 rounded-lg text-sm text-red-700">
+                      <p className="font-semibold">{submissionError.message}</p>
+                      {submissionError.missingFields.length > 0 && (
+                        <p className="mt-1">Missing: {submissionError.missingFields.map(field => field.label).join(', ')}</p>
+                      )}
+                    </div>
+                  )}
+                  <div className="flex items-center justify-between text-base text-gray-500">
+                    <span>Individual response - only you can see your answers until you submit</span>
+                    <button onClick={submitIndividualResponse} disabled={isSubmitting || !currentForm?.fields?.length}
+                      className="bg-blue-600 text-white px-6 py-2.5 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center space-x-2 transition duration-200 font-semibold shadow-md">
+                      <Send size={18} /><span>{isSubmitting ? 'Submitting...' : 'Submit Response'}</span>
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="mt-8 pt-6 border-t border-gray-200">
+                  <div className="flex items-center justify-between text-base text-gray-500">
+                    <span>
+                      {user.role === 'admin' 
+                        ? 'Admin view - responses are read-only' 
+                        : 'Collaborative response - all changes are saved automatically'
+                      }
+                    </span>
+                    <div className="flex items-center space-x-2">
+                      <Clock size={16} />
+                      <span>
+                        Last updated: {' '}
+                        {/* Display actual last updated timestamp from formResponse state, or initial form creation time */}
+                        {currentForm && (formResponse?.lastUpdated || currentForm.createdAt) ? (
+                          new Date(formResponse.lastUpdated || currentForm.createdAt).toLocaleString()
+                        ) : (
+                          'N/A'
+                        )}
+                      </span>
+                      {showSavedMessage && ( // "Saved!" indicator
+                        <span className="text-green-600 ml-2 font-semibold animate-pulse">Saved!</span>
+                      )}
+                    </div>
+                  </div>
+                  {responseStatus.status === 'open' && currentForm?.fields?.length > 0 && (
+                    <div className="mt-5 flex flex-col items-end">
+                      {finalizeError && (
+                        <div className="mb-3 w-full p-4 border border-red-200 bg-red-50 rounded-lg text-sm text-red-700">
+                          <p className="font-semibold">{finalizeError.message}</p>
+                          {finalizeError.missingFields.length > 0 && (
+                            <p className="mt-1">Missing: {finalizeError.missingFields.map(field => field.label).join(', ')}</p>
+                          )}
+                        </div>
+                      )}
+                      <button onClick={finalizeSharedResponse}
+                        className="bg-green-600 text-white px-6 py-2.5 rounded-lg hover:bg-green-700 flex items-center space-x-2 transition duration-200 font-semibold shadow-md">
+                        <Check size={18} /><span>Finalize Response</span>
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
-          </div>
+          )}
         </div>
         
+        {renderHistorySidebar()}
         {showShareModal && renderShareModal(showShareModal)}
       </div>
     );
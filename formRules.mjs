@@ -0,0 +1,622 @@
+// formRules.mjs
+// Field value rules shared by the backend (server.js, loaded with a dynamic import) and the frontend (App.jsx).
+// Keeping them in one module guarantees that inline errors in the browser match what the server enforces.
+
+export const MAX_TEXT_LENGTH = 10000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TEL_PATTERN = /^\+?[0-9\s\-().]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Admins write the pattern of a field, and it runs on every answer (on the server too). Patterns that can backtrack
+// catastrophically are refused on save, and longer answers are not matched at all.
+export const MAX_PATTERN_LENGTH = 500;
+export const MAX_PATTERN_INPUT_LENGTH = 250;
+
+// Characters the pieces of a pattern are tried on, to tell whether two repeats can match the same text
+const PATTERN_SAMPLE_CHARS = [...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)), 'é', 'ß', 'Ж', '中', '\u00a0', '\u2028'];
+const CHECKED_PATTERNS_LIMIT = 200;
+const checkedPatterns = new Map(); // pattern -> checkPattern's result
+
+// Non-input field types that only structure the form; no value is stored for them
+export const LAYOUT_FIELD_TYPES = ['section', 'description', 'pageBreak'];
+
+// Field types a group (repeating rows) may contain as its columns
+export const GROUP_CHILD_FIELD_TYPES = ['text', 'textarea', 'number', 'email', 'url', 'tel', 'date', 'select', 'radio', 'checkbox'];
+
+// Row operations accepted by applyGroupAction (and the 'updateGroup' socket event)
+export const GROUP_ACTIONS = ['addRow', 'removeRow', 'moveRow', 'updateCell'];
+
+// Operators available in visibleWhen / requiredWhen conditions
+export const CONDITION_OPERATORS = ['equals', 'notEquals', 'contains', 'greaterThan', 'lessThan', 'isEmpty', 'isNotEmpty'];
+
+/**
+ * Tells whether a field is a layout element (section header, description block or page break) rather than a question.
+ * @param {object} field - The field definition.
+ * @returns {boolean} True for layout field types.
+ */
+export function isLayoutField(field) {
+  return LAYOUT_FIELD_TYPES.includes(field.type);
+}
+
+/**
+ * Tells whether a field is a checkbox group whose value is a list of the selected options.
+ * @param {object} field - The field definition.
+ * @returns {boolean} True for checkbox fields with the multiple flag.
+ */
+export function isMultiSelect(field) {
+  return field.type === 'checkbox' && field.multiple === true;
+}
+
+/**
+ * Tells whether a value counts as "not filled in" for a field.
+ * @param {object} field - The field definition.
+ * @param {*} value - The stored or submitted value.
+ * @returns {boolean} True if the value is empty.
+ */
+export function isEmptyValue(field, value) {
+  if (value === undefined || value === null) return true;
+  if (field.type === 'file') return typeof value !== 'object' || !value.fileId;
+  if (field.type === 'group') return !Array.isArray(value) || value.length === 0;
+  if (isMultiSelect(field)) return !Array.isArray(value) || value.length === 0;
+  if (field.type === 'checkbox') return value !== 'true';
+  return String(value).trim() === '';
+}
+
+/**
+ * Parses a 'YYYY-MM-DD' string into a UTC timestamp, or NaN if it is not a real calendar date.
+ * @param {string} value - The date string.
+ * @returns {number} Milliseconds since epoch, or NaN.
+ */
+export function parseDate(value) {
+  if (!DATE_PATTERN.test(value)) return NaN;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().startsWith(value) ? time : NaN;
+}
+
+/**
+ * Checks that a string is an absolute http(s) URL.
+ * @param {string} value - The URL to check.
+ * @returns {boolean} True if the URL is usable as a link.
+ */
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads the quantifier (*, +, ?, {n}, {n,} or {n,m}) starting at a position of a pattern.
+ * @param {string} pattern - The regular expression source.
+ * @param {number} index - Where the quantifier would start.
+ * @returns {{length: number, min: number, max: number}|null} The quantifier's length and minimum and maximum
+ *   repetitions, or null if there is none.
+ */
+function readQuantifier(pattern, index) {
+  const char = pattern[index];
+  if (char === '*') return { length: 1, min: 0, max: Infinity };
+  if (char === '+') return { length: 1, min: 1, max: Infinity };
+  if (char === '?') return { length: 1, min: 0, max: 1 };
+  const braces = char === '{' && /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  if (!braces) return null;
+  const max = braces[2] === undefined ? Number(braces[1]) : braces[3] === '' ? Infinity : Number(braces[3]);
+  return { length: braces[0].length, min: Number(braces[1]), max };
+}
+
+/**
+ * Tells how many characters the escape sequence starting at a position of a pattern takes.
+ * @param {string} pattern - The regular expression source (without the u flag).
+ * @param {number} index - Where the backslash is.
+ * @returns {number} The length of the escape, backslash included.
+ */
+function escapeLength(pattern, index) {
+  const rest = pattern.slice(index + 1);
+  if (/^u[0-9a-fA-F]{4}/.test(rest)) return 6;
+  if (/^x[0-9a-fA-F]{2}/.test(rest)) return 4;
+  if (/^c[a-zA-Z]/.test(rest)) return 3;
+  return 2;
+}
+
+/**
+ * Tells which of PATTERN_SAMPLE_CHARS a single character, escape, character class or '.' of a pattern matches.
+ * @param {string} source - The piece of the pattern.
+ * @returns {Array<boolean>} One entry per sample character.
+ */
+function matchedChars(source) {
+  const regex = new RegExp(`^(?:${source})$`);
+  return PATTERN_SAMPLE_CHARS.map(char => regex.test(char));
+}
+
+const sharesChars = (chars, otherChars) => Boolean(chars && otherChars) && chars.some((matches, index) => matches && otherChars[index]);
+const mergeChars = (chars, otherChars) => (chars && otherChars ? chars.map((matches, index) => matches || otherChars[index]) : chars || otherChars);
+
+/**
+ * Splits a pattern (or the rest of a group, up to its ')') into its alternatives, each a list of pieces.
+ * A piece is { chars } for a character, escape, class or '.', { content } for a group (its own alternatives),
+ * or { assertion: true } for anchors, word boundaries and lookarounds; each has the min and max of its quantifier.
+ * @param {string} pattern - A valid regular expression source.
+ * @param {{index: number}} position - Where to start; moved past what was read.
+ * @returns {Array<Array<object>>} The alternatives.
+ */
+function parseAlternatives(pattern, position) {
+  const alternatives = [[]];
+  while (position.index < pattern.length && pattern[position.index] !== ')') {
+    const start = position.index;
+    const char = pattern[start];
+    let piece;
+    if (char === '|') {
+      alternatives.push([]);
+      position.index++;
+      continue;
+    } else if (char === '(') {
+      const lookaround = /^\(\?<?[=!]/.exec(pattern.slice(start));
+      const prefix = lookaround || /^\(\?(:|<[^>]+>)/.exec(pattern.slice(start));
+      position.index += prefix ? prefix[0].length : 1;
+      piece = { content: parseAlternatives(pattern, position), assertion: Boolean(lookaround) };
+      position.index++; // The group's ')'
+    } else if (char === '^' || char === '$' || (char === '\\' && /[bB]/.test(pattern[start + 1]))) {
+      position.index += char === '\\' ? 2 : 1;
+      piece = { assertion: true };
+    } else {
+      if (char === '\\') {
+        position.index += escapeLength(pattern, start);
+      } else if (char === '[') {
+        position.index++;
+        while (pattern[position.index] !== ']') position.index += pattern[position.index] === '\\' ? 2 : 1;
+        position.index++;
+      } else {
+        position.index++;
+      }
+      piece = { chars: matchedChars(pattern.slice(start, position.index)) };
+    }
+
+    const quantifier = readQuantifier(pattern, position.index);
+    if (quantifier) {
+      position.index += quantifier.length;
+      if (pattern[position.index] === '?') position.index++; // Lazy quantifier
+    }
+    alternatives[alternatives.length - 1].push({ ...piece, min: quantifier ? quantifier.min : 1, max: quantifier ? quantifier.max : 1 });
+  }
+  return alternatives;
+}
+
+/**
+ * Looks for ways of matching the same text that multiply with its length: repeated groups that contain a repeat
+ * (like (a+)+), alternatives (like (a|aa)+), nothing (like (a?){9}) or a variable part that runs into their next
+ * repetition (like (\w{1,9}){9}), and three or more repeats in a row over shared characters (like \w*\w*\w*).
+ * @param {Array<Array<object>>} alternatives - The alternatives of a pattern or group, from parseAlternatives.
+ * @returns {object} { problem } for an unsafe pattern, otherwise what the surrounding sequence needs to know: the
+ *   characters matched (chars), those that can start a match (first) and those of a variable part left open at its
+ *   end (last), whether it always matches something (required), contains a repeat (unbounded) or alternatives
+ *   (alternation), and its longest run of repeats (chain).
+ */
+function analyseAlternatives(alternatives) {
+  const summary = { chars: null, first: null, last: null, required: true, unbounded: false, alternation: alternatives.length > 1, chain: 0 };
+  for (const pieces of alternatives) {
+    let open = null; // Characters of the last variable-length piece that the following pieces can still run into
+    let chain = 0; // Repeats over shared characters in a row
+    let required = false;
+    for (const piece of pieces) {
+      const info = piece.content ? analyseAlternatives(piece.content) : { chars: piece.chars, first: piece.chars, last: null, required: true, chain: 0 };
+      if (info.problem) return info;
+      if (piece.assertion) continue; // Anchors and lookarounds match no characters
+
+      if (piece.content && piece.max > 1) {
+        if (info.unbounded) {
+          return { problem: 'Patterns cannot repeat a group that contains *, + or {n,} (e.g. (a+)+), as they can be extremely slow to match.' };
+        }
+        if (info.alternation) {
+          return { problem: 'Patterns cannot repeat a group with alternatives (e.g. (a|aa)+), as they can be extremely slow to match. Use a character class like [ab]+ instead.' };
+        }
+        if (!info.required || sharesChars(info.last, info.first)) {
+          return { problem: 'Patterns cannot repeat a group that can match nothing or be split up in several ways (e.g. (a?){9} or (\\w{1,9}){9}), as they can be extremely slow to match.' };
+        }
+      }
+
+      const runsInto = sharesChars(open, info.chars);
+      const repeats = piece.max === Infinity ? Math.max(info.chain, 1) : info.chain;
+      const pieceRequired = piece.min > 0 && info.required;
+      if (repeats > 0) {
+        chain = runsInto ? chain + repeats : repeats;
+        if (chain >= 3) {
+          return { problem: 'Patterns cannot have three or more repeats in a row that match the same characters (e.g. \\w*\\w*\\w*), as they can be extremely slow to match.' };
+        }
+      } else if (pieceRequired && !runsInto) {
+        chain = 0;
+      }
+      if (piece.min !== piece.max || info.last) {
+        open = piece.min !== piece.max ? info.chars : info.last;
+      } else if (pieceRequired && !runsInto) {
+        open = null;
+      }
+
+      if (!required) summary.first = mergeChars(summary.first, info.first);
+      summary.chars = mergeChars(summary.chars, info.chars);
+      summary.unbounded ||= piece.max === Infinity || Boolean(info.unbounded);
+      summary.alternation ||= Boolean(info.alternation);
+      summary.chain = Math.max(summary.chain, chain);
+      required ||= pieceRequired;
+    }
+    summary.last = mergeChars(summary.last, open);
+    summary.required &&= required;
+  }
+  return summary;
+}
+
+/**
+ * Checks a field's pattern before it is saved. Besides being a valid regular expression of at most
+ * MAX_PATTERN_LENGTH characters without back-references, it must not be able to match the same text in a number of
+ * ways that grows with the text (see analyseAlternatives): matching those can take exponential time.
+ * Every answer is checked against the pattern again, so the results are kept.
+ * @param {string} pattern - The regular expression source written by the admin.
+ * @returns {string|null} Why the pattern cannot be used, or null if it can.
+ */
+export function checkPattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) return `Patterns can be at most ${MAX_PATTERN_LENGTH} characters long.`;
+  if (checkedPatterns.has(pattern)) return checkedPatterns.get(pattern);
+  let problem = null;
+  try {
+    new RegExp(pattern);
+  } catch {
+    problem = 'Pattern is not a valid regular expression.';
+  }
+  if (!problem && /\\([1-9]|k<)/.test(pattern.replace(/\\\\/g, ''))) problem = 'Patterns cannot use back-references.';
+  if (!problem) problem = analyseAlternatives(parseAlternatives(pattern, { index: 0 })).problem || null;
+
+  if (checkedPatterns.size >= CHECKED_PATTERNS_LIMIT) checkedPatterns.clear();
+  checkedPatterns.set(pattern, problem);
+  return problem;
+}
+
+/**
+ * Tells whether a MIME type is allowed by an entry like 'application/pdf' or 'image/*'.
+ * @param {string} allowed - The allowed type, possibly with a '*' subtype.
+ * @param {string} mimeType - The uploaded file's MIME type.
+ * @returns {boolean} True if the file type matches.
+ */
+export function matchesMimeType(allowed, mimeType) {
+  const [type, subtype] = String(allowed).toLowerCase().split('/');
+  const [fileType, fileSubtype] = String(mimeType).toLowerCase().split('/');
+  return type === fileType && (subtype === '*' || subtype === fileSubtype);
+}
+
+/**
+ * Normalizes a value according to its field type, without judging it.
+ * @param {object} field - The field definition.
+ * @param {*} rawValue - The value sent by the client.
+ * @returns {string|Array<string>|object} The value as it should be stored
+ *   (a list of options for checkbox groups, { fileId, name, size, mimeType } for files,
+ *   a list of { id, values } rows for groups).
+ */
+export function normalizeFieldValue(field, rawValue) {
+  if (field.type === 'group') {
+    if (!Array.isArray(rawValue)) return [];
+    return rawValue
+      .filter(row => row && typeof row === 'object' && row.id)
+      .map(row => {
+        const values = {};
+        for (const child of field.fields || []) {
+          const cell = row.values?.[child.id];
+          if (cell !== undefined && cell !== null) values[child.id] = normalizeFieldValue(child, cell);
+        }
+        return { id: String(row.id), values };
+      });
+  }
+  if (field.type === 'file') {
+    if (!rawValue || typeof rawValue !== 'object' || !rawValue.fileId) return '';
+    return { fileId: String(rawValue.fileId), name: String(rawValue.name || ''), size: Number(rawValue.size) || 0, mimeType: String(rawValue.mimeType || '') };
+  }
+  if (isMultiSelect(field)) {
+    const selected = Array.isArray(rawValue) ? rawValue : (rawValue === undefined || rawValue === null || rawValue === '' ? [] : [rawValue]);
+    return [...new Set(selected.map(String))];
+  }
+  if (rawValue === undefined || rawValue === null) return '';
+  const value = String(rawValue);
+  switch (field.type) {
+    case 'number': return value.trim();
+    case 'email': return value.toLowerCase().trim();
+    case 'checkbox': return value === 'true' ? 'true' : 'false';
+    case 'url':
+    case 'tel':
+    case 'date': return value.trim();
+    default: return value;
+  }
+}
+
+/**
+ * Validates a single value against the rules of its field definition:
+ * required, type format (number, email, URL, tel, date), min/max, step, min/max length, pattern, allowed options
+ * and, for files, allowed MIME types and maximum size.
+ * Group values are checked against minRows/maxRows and each cell against its column's rules; cell errors carry
+ * the rowId and childId they belong to.
+ * @param {object} field - The field definition.
+ * @param {*} rawValue - The value sent by the client.
+ * @param {object} [options] - { required } overrides field.required (used when a requiredWhen rule applies).
+ * @returns {{value: string|Array<string>|object, errors: Array<{fieldId: string, code: string, message: string}>}}
+ *   The normalized value and every rule it breaks (empty when valid).
+ */
+export function validateFieldValue(field, rawValue, { required = field.required } = {}) {
+  const value = normalizeFieldValue(field, rawValue);
+  const errors = [];
+  const fail = (code, message) => errors.push({ fieldId: field.id, code, message });
+
+  if (field.type === 'group') {
+    if (required && value.length === 0) fail('required', `${field.label} needs at least one row.`);
+    if (Number(field.minRows) > 0 && value.length > 0 && value.length < Number(field.minRows)) fail('minRows', `${field.label} needs at least ${field.minRows} rows.`);
+    if (Number(field.maxRows) > 0 && value.length > Number(field.maxRows)) fail('maxRows', `${field.label} can have at most ${field.maxRows} rows.`);
+    value.forEach((row, index) => {
+      for (const child of field.fields || []) {
+        for (const error of validateFieldValue(child, row.values[child.id]).errors) {
+          errors.push({ ...error, fieldId: field.id, rowId: row.id, childId: child.id, message: `Row ${index + 1}: ${error.message}` });
+        }
+      }
+    });
+    return { value, errors };
+  }
+
+  if (isEmptyValue(field, value)) {
+    if (required) fail('required', `${field.label} is required.`);
+    return { value, errors };
+  }
+
+  if (field.type === 'file') {
+    const allowedTypes = field.allowedTypes || [];
+    if (allowedTypes.length > 0 && !allowedTypes.some(allowed => matchesMimeType(allowed, value.mimeType))) {
+      fail('fileType', `${field.label} must be a file of type ${allowedTypes.join(', ')}.`);
+    }
+    if (Number(field.maxSizeMb) > 0 && value.size > Number(field.maxSizeMb) * 1024 * 1024) {
+      fail('fileSize', `${field.label} must be at most ${field.maxSizeMb} MB.`);
+    }
+    return { value, errors };
+  }
+
+  if (isMultiSelect(field)) {
+    if (value.some(option => !(field.options || []).includes(option))) fail('option', `${field.label} must only contain the listed options.`);
+    return { value, errors };
+  }
+  // Single checkbox values are normalized to 'true'/'false' and have no further rules
+  if (field.type === 'checkbox') return { value, errors };
+
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      fail('type', `${field.label} must be a number.`);
+    } else {
+      if (field.min !== undefined && field.min !== '' && number < Number(field.min)) fail('min', `${field.label} must be at least ${field.min}.`);
+      if (field.max !== undefined && field.max !== '' && number > Number(field.max)) fail('max', `${field.label} must be at most ${field.max}.`);
+      if (Number(field.step) > 0) {
+        // Steps are counted from min (or 0), with some tolerance for floating point steps like 0.1
+        const steps = (number - (Number(field.min) || 0)) / Number(field.step);
+        if (Math.abs(steps - Math.round(steps)) > 1e-9) fail('step', `${field.label} must be in steps of ${field.step}.`);
+      }
+    }
+  } else if (field.type === 'date') {
+    const time = parseDate(value);
+    if (Number.isNaN(time)) {
+      fail('type', `${field.label} must be a valid date (YYYY-MM-DD).`);
+    } else {
+      if (field.min && time < parseDate(field.min)) fail('min', `${field.label} must be on or after ${field.min}.`);
+      if (field.max && time > parseDate(field.max)) fail('max', `${field.label} must be on or before ${field.max}.`);
+    }
+  } else if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+    fail('type', `${field.label} must be a valid email address.`);
+  } else if (field.type === 'url' && !isHttpUrl(value)) {
+    fail('type', `${field.label} must be a valid URL starting with http:// or https://.`);
+  } else if (field.type === 'tel' && (!TEL_PATTERN.test(value) || value.replace(/\D/g, '').length < 5)) {
+    fail('type', `${field.label} must be a valid phone number.`);
+  } else if ((field.type === 'select' || field.type === 'radio') && !(field.options || []).includes(value)) {
+    fail('option', `${field.label} must be one of the listed options.`);
+  }
+
+  const maxLength = Math.min(Number(field.maxLength) || MAX_TEXT_LENGTH, MAX_TEXT_LENGTH);
+  if (value.length > maxLength) fail('maxLength', `${field.label} must be at most ${maxLength} characters.`);
+  if (field.minLength && value.length < Number(field.minLength)) fail('minLength', `${field.label} must be at least ${field.minLength} characters.`);
+
+  // An invalid or unsafe pattern is rejected when the form is saved (checkPattern); ignore it here
+  if (field.pattern && checkPattern(field.pattern) === null) {
+    const pattern = new RegExp(`^(?:${field.pattern})$`);
+    if (value.length > MAX_PATTERN_INPUT_LENGTH || !pattern.test(value)) {
+      fail('pattern', field.patternMessage || `${field.label} is not in the expected format.`);
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Applies one row operation to the rows of a group field and returns the new rows, without modifying the old ones.
+ * The server runs it on the stored rows; individual respondents' browsers run it on their local draft.
+ * @param {object} field - The group field definition.
+ * @param {Array<object>} rows - The current rows ({ id, values }).
+ * @param {object} change - { action, rowId, toIndex, childId, value, newRowId }; newRowId names the row created by 'addRow'.
+ * @returns {{rows?: Array<object>, error?: string, errors?: Array<object>}} The new rows, or why the change was refused.
+ */
+export function applyGroupAction(field, rows, { action, rowId, toIndex, childId, value, newRowId }) {
+  const index = rows.findIndex(row => row.id === rowId);
+  switch (action) {
+    case 'addRow': {
+      if (Number(field.maxRows) > 0 && rows.length >= Number(field.maxRows)) {
+        return { error: `${field.label} can have at most ${field.maxRows} rows.` };
+      }
+      return { rows: [...rows, { id: String(newRowId), values: getDefaultValues(field.fields) }] };
+    }
+    case 'removeRow': {
+      if (index === -1) return { error: 'Row not found.' };
+      return { rows: rows.filter(row => row.id !== rowId) };
+    }
+    case 'moveRow': {
+      if (index === -1) return { error: 'Row not found.' };
+      if (!Number.isInteger(toIndex) || toIndex < 0 || toIndex >= rows.length) return { error: 'Invalid row position.' };
+      const moved = [...rows];
+      moved.splice(toIndex, 0, ...moved.splice(index, 1));
+      return { rows: moved };
+    }
+    case 'updateCell': {
+      const child = (field.fields || []).find(f => f.id === childId);
+      if (index === -1 || !child) return { error: 'Row or column not found.' };
+      // As for top-level fields, an empty required cell is accepted in a draft and reported on submit/finalize
+      const { value: cellValue, errors } = validateFieldValue(child, value);
+      const blockingErrors = errors
+        .filter(error => error.code !== 'required')
+        .map(error => ({ ...error, fieldId: field.id, rowId, childId, message: `Row ${index + 1}: ${error.message}` }));
+      if (blockingErrors.length > 0) return { error: blockingErrors[0].message, errors: blockingErrors };
+      return { rows: rows.map(row => (row.id === rowId ? { ...row, values: { ...row.values, [childId]: cellValue } } : row)) };
+    }
+    default:
+      return { error: 'Unknown group action.' };
+  }
+}
+
+/**
+ * Tests one condition against the current value of the field it references.
+ * @param {object} condition - { fieldId, operator, value }.
+ * @param {object} sourceField - The referenced field definition.
+ * @param {*} sourceValue - The referenced field's current value.
+ * @returns {boolean} True if the condition holds.
+ */
+function evaluateCondition(condition, sourceField, sourceValue) {
+  const expected = condition.value === undefined || condition.value === null ? '' : String(condition.value);
+  const empty = isEmptyValue(sourceField, sourceValue);
+  const actual = empty ? '' : sourceValue;
+
+  switch (condition.operator) {
+    case 'isEmpty': return empty;
+    case 'isNotEmpty': return !empty;
+    case 'equals':
+    case 'notEquals': {
+      const equal = Array.isArray(actual) ? actual.length === 1 && actual[0] === expected : String(actual) === expected;
+      return condition.operator === 'equals' ? equal : !equal;
+    }
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.includes(expected)
+        : String(actual).toLowerCase().includes(expected.toLowerCase());
+    case 'greaterThan':
+    case 'lessThan': {
+      if (empty) return false;
+      // Dates compare as 'YYYY-MM-DD' strings, everything else as numbers
+      const [left, right] = sourceField.type === 'date' ? [String(actual), expected] : [Number(actual), Number(expected)];
+      if (sourceField.type !== 'date' && (!Number.isFinite(left) || !Number.isFinite(right) || expected.trim() === '')) return false;
+      return condition.operator === 'greaterThan' ? left > right : left < right;
+    }
+    default: return false;
+  }
+}
+
+/**
+ * Works out which fields are currently visible and required, from their visibleWhen / requiredWhen rules.
+ * A rule is { match: 'all' | 'any', conditions: [{ fieldId, operator, value }] } and may only reference earlier fields,
+ * so one pass in form order is enough. A hidden field counts as empty for the rules that reference it.
+ * @param {Array<object>} fields - The form's field definitions, in order.
+ * @param {object} data - Current values keyed by field ID.
+ * @returns {object} fieldId -> { visible, required }.
+ */
+export function resolveFieldStates(fields, data) {
+  const states = {};
+  const fieldsById = new Map();
+  const ruleHolds = (rule) => {
+    const results = (rule.conditions || []).map(condition => {
+      const source = fieldsById.get(condition.fieldId);
+      if (!source) return false;
+      return evaluateCondition(condition, source, states[source.id].visible ? data[source.id] : undefined);
+    });
+    return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  };
+
+  for (const field of fields || []) {
+    const visible = field.visibleWhen ? ruleHolds(field.visibleWhen) : true;
+    const required = visible && !isLayoutField(field) && (!!field.required || (field.requiredWhen ? ruleHolds(field.requiredWhen) : false));
+    states[field.id] = { visible, required };
+    fieldsById.set(field.id, field);
+  }
+  return states;
+}
+
+/**
+ * Works out who is assigned to each field of a shared response. A field assigned directly keeps its assignee;
+ * the other fields take the assignee of the section they are in (from the section up to the next section or page break).
+ * @param {Array<object>} fields - The form's field definitions, in order.
+ * @param {object} assignments - fieldId -> { assigneeName, assigneeId, ... } for assigned fields and sections.
+ * @returns {object} fieldId -> assignment, for the fields that hold an answer and have an assignee.
+ */
+export function resolveAssignments(fields, assignments) {
+  const resolved = {};
+  let sectionAssignment = null;
+  for (const field of fields || []) {
+    if (field.type === 'section' || field.type === 'pageBreak') {
+      sectionAssignment = field.type === 'section' ? assignments[field.id] || null : null;
+      continue;
+    }
+    if (isLayoutField(field)) continue;
+    const assignment = assignments[field.id] || sectionAssignment;
+    if (assignment) resolved[field.id] = assignment;
+  }
+  return resolved;
+}
+
+/**
+ * Tells whether an assignment is for a participant: by their ID, or by their name (ignoring case and surrounding spaces).
+ * @param {object|null} assignment - { assigneeName, assigneeId }.
+ * @param {{userId: string, userName: string}} participant - The participant.
+ * @returns {boolean} True if the participant is the assignee.
+ */
+export function isAssignedTo(assignment, { userId, userName }) {
+  if (!assignment) return false;
+  if (assignment.assigneeId && assignment.assigneeId === userId) return true;
+  return assignment.assigneeName.trim().toLowerCase() === String(userName || '').trim().toLowerCase();
+}
+
+/**
+ * Validates a whole response against a form definition.
+ * Hidden fields (see resolveFieldStates) and layout fields are neither checked nor kept.
+ * @param {Array<object>} fields - The form's field definitions.
+ * @param {object} data - Values keyed by field ID. Keys without a matching field are dropped.
+ * @returns {{data: object, errors: object}} The normalized values and a map of fieldId -> errors (empty when valid).
+ */
+export function validateResponse(fields, data) {
+  const values = {};
+  const errors = {};
+  const states = resolveFieldStates(fields, data);
+  for (const field of fields || []) {
+    if (!states[field.id].visible || isLayoutField(field)) continue;
+    const { value, errors: fieldErrors } = validateFieldValue(field, data[field.id], { required: states[field.id].required });
+    if (data[field.id] !== undefined && data[field.id] !== null) values[field.id] = value;
+    if (fieldErrors.length > 0) errors[field.id] = fieldErrors;
+  }
+  return { data: values, errors };
+}
+
+/**
+ * Collects the default values of a form's fields, as they should be stored in a new response.
+ * @param {Array<object>} fields - The form's field definitions.
+ * @returns {object} Normalized default values keyed by field ID, for fields that have one.
+ */
+export function getDefaultValues(fields) {
+  const defaults = {};
+  for (const field of fields || []) {
+    if (isLayoutField(field) || field.defaultValue === undefined || field.defaultValue === null || field.defaultValue === '') continue;
+    defaults[field.id] = normalizeFieldValue(field, field.defaultValue);
+  }
+  return defaults;
+}
+
+/**
+ * Formats a stored value for display (checkbox groups are listed with commas, files by name,
+ * group rows one per line with their cells separated by ' | ').
+ * @param {object} field - The field definition.
+ * @param {*} value - The stored value.
+ * @returns {string} The value as text, or an empty string if there is none.
+ */
+export function formatFieldValue(field, value) {
+  if (value === undefined || value === null) return '';
+  if (field.type === 'file') return value.name || '';
+  if (field.type === 'group') {
+    return (Array.isArray(value) ? value : [])
+      .map(row => (field.fields || []).map(child => formatFieldValue(child, row.values?.[child.id])).join(' | '))
+      .join('\n');
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
@@ -0,0 +1,67 @@
+// offlineStore.mjs
+// Copies of the forms a collaborator opened, kept in the browser's IndexedDB (frontend only, used by App.jsx).
+// They let a form open and stay fillable without a connection, and keep the edits made offline across reloads
+// until they have been synced through the socket.
+// One record per form: { formId, code, form, response, fieldVersions, responseStatus, offlineEdits,
+// offlineGroupChanges, userId, userName, savedAt }.
+
+const DB_NAME = 'collaborative-forms';
+const DB_VERSION = 1;
+const STORE_NAME = 'forms';
+
+let databasePromise = null;
+
+/**
+ * Opens the database, creating the store (keyed by form ID, indexed by share code) on first use.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'formId' });
+        store.createIndex('code', 'code', { unique: false });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null; // Try again next time (e.g. storage was blocked)
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs one request against the store in its own transaction.
+ * @param {'readonly'|'readwrite'} mode - The transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request.
+ * @returns {Promise<*>} The request's result.
+ */
+async function runRequest(mode, makeRequest) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Stores (or replaces) the copy of a form.
+ * @param {object} copy - The record; formId and code are required.
+ * @returns {Promise<void>} Resolves once it is written.
+ */
+export async function saveFormCopy(copy) {
+  await runRequest('readwrite', store => store.put({ ...copy, savedAt: new Date().toISOString() }));
+}
+
+/**
+ * Finds the copy of a form by its share code.
+ * @param {string} code - The form's share code.
+ * @returns {Promise<object|null>} The stored record, or null if this device has none.
+ */
+export async function findFormCopyByCode(code) {
+  return (await runRequest('readonly', store => store.index('code').get(code.trim().toUpperCase()))) || null;
+}
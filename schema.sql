@@ -0,0 +1,220 @@
+-- schema.sql
+-- Database schema of the backend, the same statements as in README.md (Backend Setup, step 4).
+-- Every statement is idempotent, so it can be re-run, e.g. by the tests against their database.
+
+-- Create the 'admins' table
+CREATE TABLE IF NOT EXISTS admins (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    username VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create the 'participants' table (collaborators without an admin account, identified by a signed token)
+CREATE TABLE IF NOT EXISTS participants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    display_name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create the 'forms' table
+CREATE TABLE IF NOT EXISTS forms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(6) UNIQUE NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    fields JSONB DEFAULT '[]'::jsonb,
+    admin_id UUID NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE,
+    mode VARCHAR(20) DEFAULT 'collaborative' CHECK (mode IN ('collaborative', 'individual')),
+    version INTEGER NOT NULL DEFAULT 1 -- Current version of the field structure (see form_versions)
+);
+
+-- Databases created before individual forms and form versions get the columns here
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS mode VARCHAR(20) DEFAULT 'collaborative' CHECK (mode IN ('collaborative', 'individual'));
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Create the 'form_responses' table
+CREATE TABLE IF NOT EXISTS form_responses (
+    form_id UUID PRIMARY KEY REFERENCES forms(id) ON DELETE CASCADE,
+    data JSONB DEFAULT '{}'::jsonb,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    contributors TEXT[] DEFAULT '{}', -- Participant or admin IDs of everyone who edited the response
+    version INTEGER DEFAULT 0, -- For optimistic concurrency control
+    field_versions JSONB DEFAULT '{}'::jsonb, -- Per-field versions: { fieldId: version }
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'finalized')),
+    finalized_by VARCHAR(255),
+    finalized_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Databases created before per-field versions and finalizing get the columns here
+ALTER TABLE form_responses ADD COLUMN IF NOT EXISTS field_versions JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE form_responses ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'finalized'));
+ALTER TABLE form_responses ADD COLUMN IF NOT EXISTS finalized_by VARCHAR(255);
+ALTER TABLE form_responses ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP WITH TIME ZONE;
+
+-- Create the 'form_response_events' table (audit log of finalize/reopen actions)
+CREATE TABLE IF NOT EXISTS form_response_events (
+    id BIGSERIAL PRIMARY KEY,
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL, -- 'finalized' or 'reopened'
+    actor VARCHAR(255) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create the 'form_submissions' table (one row per respondent for 'individual' mode forms)
+CREATE TABLE IF NOT EXISTS form_submissions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    respondent_name VARCHAR(255),
+    data JSONB DEFAULT '{}'::jsonb,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_form_submissions_form ON form_submissions (form_id, submitted_at DESC);
+
+-- Create the 'form_files' table (metadata of files uploaded to 'file' fields; the files themselves live in UPLOAD_DIR)
+CREATE TABLE IF NOT EXISTS form_files (
+    id UUID PRIMARY KEY,
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    field_id VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(255) NOT NULL,
+    size INTEGER NOT NULL,
+    storage_key TEXT NOT NULL,
+    uploaded_by VARCHAR(255),
+    submission_id UUID REFERENCES form_submissions(id) ON DELETE SET NULL, -- Individual forms: the submission using the file
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases created before uploads were claimed by submissions get the column here
+ALTER TABLE form_files ADD COLUMN IF NOT EXISTS submission_id UUID REFERENCES form_submissions(id) ON DELETE SET NULL;
+
+-- Create the 'form_response_changes' table (append-only change log of the collaborative response)
+CREATE TABLE IF NOT EXISTS form_response_changes (
+    id BIGSERIAL PRIMARY KEY,
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    field_id VARCHAR(255) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    user_id VARCHAR(255),
+    user_name VARCHAR(255),
+    socket_id VARCHAR(255),
+    change_type VARCHAR(20) NOT NULL DEFAULT 'edit', -- 'edit', 'upload', 'group', 'restore', 'archive', 'unarchive', 'default', 'undo', 'redo' or 'text'
+    field_version INTEGER,
+    text_ops JSONB, -- Character-level operation of a 'text' change (see textOps.mjs)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases created before text co-editing get the column here
+ALTER TABLE form_response_changes ADD COLUMN IF NOT EXISTS text_ops JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_form_response_changes_form ON form_response_changes (form_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_form_response_changes_field ON form_response_changes (form_id, field_id, id DESC);
+
+-- Create the 'form_versions' table (every saved field structure of a form, with the diff to the previous one)
+CREATE TABLE IF NOT EXISTS form_versions (
+    id BIGSERIAL PRIMARY KEY,
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    fields JSONB NOT NULL,
+    diff JSONB, -- { added, removed, changed, reordered }; NULL for the first version
+    created_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    rolled_back_from INTEGER, -- Set when this version is a rollback to an earlier one
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (form_id, version)
+);
+
+-- Create the 'form_archived_values' table (answers of fields removed from a form, kept instead of deleted)
+CREATE TABLE IF NOT EXISTS form_archived_values (
+    id BIGSERIAL PRIMARY KEY,
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    field_id VARCHAR(255) NOT NULL,
+    field JSONB, -- The field definition the answer was given for
+    value JSONB,
+    form_version INTEGER NOT NULL, -- The form version that removed the field
+    archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_form_archived_values_field ON form_archived_values (form_id, field_id, id DESC);
+
+-- Create the 'form_assignments' table (who should fill which field or section of a shared response)
+CREATE TABLE IF NOT EXISTS form_assignments (
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    field_id VARCHAR(255) NOT NULL, -- A field, or a section (covering the fields up to the next section or page break)
+    assignee_name VARCHAR(255) NOT NULL,
+    assignee_id VARCHAR(255), -- Set when the assignee was picked from the participants in the form
+    assigned_by VARCHAR(255),
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (form_id, field_id)
+);
+
+-- Create the 'form_comments' table (discussion threads anchored to fields)
+CREATE TABLE IF NOT EXISTS form_comments (
+    id BIGSERIAL PRIMARY KEY,
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    field_id VARCHAR(255) NOT NULL,
+    parent_id BIGINT REFERENCES form_comments(id) ON DELETE CASCADE, -- Thread the comment replies to; NULL for a new thread
+    author_id VARCHAR(255) NOT NULL,
+    author_name VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    mentions JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ userId, userName }] of the collaborators mentioned with @
+    resolved_at TIMESTAMP WITH TIME ZONE, -- Set while a thread is resolved
+    resolved_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_form_comments_form ON form_comments (form_id, id);
+
+-- Create the 'presence_sessions' and 'field_locks' tables (shared presence of all backend instances, used with SOCKET_ADAPTER=postgres)
+CREATE TABLE IF NOT EXISTS presence_sessions (
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    socket_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    user_name VARCHAR(255) NOT NULL,
+    joined_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    page INTEGER NOT NULL DEFAULT 0, -- Page of a multi-page form the user is looking at
+    page_changed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    instance_id UUID NOT NULL, -- Backend instance the socket is connected to
+    refreshed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP, -- Kept fresh by that instance while it runs
+    PRIMARY KEY (form_id, socket_id)
+);
+
+CREATE TABLE IF NOT EXISTS field_locks (
+    form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+    lock_key VARCHAR(255) NOT NULL, -- The field ID, or field ID and row ID for one row of a group field
+    field_id VARCHAR(255) NOT NULL,
+    row_id VARCHAR(255),
+    user_id VARCHAR(255) NOT NULL,
+    user_name VARCHAR(255) NOT NULL,
+    socket_id VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY (form_id, lock_key)
+);
+
+-- Create the 'socket_io_attachments' table (broadcasts too large for NOTIFY, used by @socket.io/postgres-adapter)
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    payload BYTEA
+);
+
+-- Add an index for faster lookups by form code
+CREATE INDEX IF NOT EXISTS idx_forms_code ON forms (code);
+
+-- Update updated_at timestamp automatically on form changes
+CREATE OR REPLACE FUNCTION update_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE TRIGGER update_forms_updated_at
+BEFORE UPDATE ON forms
+FOR EACH ROW
+EXECUTE FUNCTION update_timestamp();
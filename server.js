@@ -5,9 +5,15 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
 const { Pool } = require('pg');
+const { createAdapter: createPostgresAdapter } = require('@socket.io/postgres-adapter'); // Room broadcasts across instances
 const bcrypt = require('bcrypt'); // For password hashing
+const jwt = require('jsonwebtoken'); // For signing admin session tokens
+const multer = require('multer'); // For multipart file uploads
+const ExcelJS = require('exceljs'); // For XLSX exports
+const fs = require('fs');
+const path = require('path');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,11 +27,16 @@ const io = socketIo(server, {
 app.use(cors());
 app.use(express.json());
 
+// Field value rules (formRules.mjs) and text operations (textOps.mjs) shared with the frontend.
+// They are ES modules, so they are loaded with import() before the server starts listening.
+let formRules = null;
+let textOps = null;
+
 // ----------------------
 // 📌 PostgreSQL Database Configuration
-// Using your provided credentials. In production, always use environment variables.
+// DATABASE_URL (e.g. from .env) takes precedence; otherwise the local development credentials are used.
 // ----------------------
-const pool = new Pool({
+const pool = new Pool(process.env.DATABASE_URL ? { connectionString: process.env.DATABASE_URL } : {
   user: 'postgres',
   host: 'localhost',
   database: 'collaborative_forms',
@@ -43,10 +54,371 @@ pool.on('error', (err) => {
   // In a real application, you might want to gracefully exit or retry connection
 });
 
-// In-memory store for active user sockets (volatile, not persisted in DB)
-// This map stores: formId -> Map<socketId, {userId, userName, joinedAt, socketId}>
+// ----------------------
+// 🔐 JWT Configuration
+// Access tokens are short-lived and sent as a Bearer header on every admin request.
+// Refresh tokens are long-lived and can only be exchanged for a new token pair.
+// Participant tokens identify a collaborator (guest) across reloads; socket events take the user from them.
+// Upload tokens let a respondent of an individual form upload files to that form for a short while.
+// ----------------------
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const PARTICIPANT_TOKEN_TTL = process.env.PARTICIPANT_TOKEN_TTL || '365d';
+const UPLOAD_TOKEN_TTL = process.env.UPLOAD_TOKEN_TTL || '2h';
+const PARTICIPANT_NAME_MAX_LENGTH = 100;
+
+// Tokens signed with a guessable secret could be forged, so the server does not start without its own secrets
+if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
+  console.error('❌ JWT_SECRET and JWT_REFRESH_SECRET must be set (e.g. in .env). Refusing to start.');
+  process.exit(1);
+}
+if (JWT_SECRET === JWT_REFRESH_SECRET) {
+  console.error('❌ JWT_REFRESH_SECRET must differ from JWT_SECRET, otherwise access and refresh tokens are interchangeable. Refusing to start.');
+  process.exit(1);
+}
+
+// ----------------------
+// 📁 File Storage (uploads of 'file' fields)
+// Files are stored under a key of the form `<formId>/<fileId>`; their metadata lives in the form_files table.
+// The local disk backend can be swapped for any object implementing the same FileStorage interface (e.g., S3).
+// ----------------------
+
+/**
+ * @typedef {object} FileStorage
+ * @property {(key: string, buffer: Buffer) => Promise<void>} save - Stores a file under a key.
+ * @property {(key: string) => import('stream').Readable} createReadStream - Streams a stored file.
+ * @property {(key: string) => Promise<void>} remove - Deletes one stored file.
+ * @property {(formId: string) => Promise<void>} removeForm - Deletes every file stored for a form.
+ */
+
+/**
+ * Creates a FileStorage that keeps files on the local disk, one directory per form.
+ * @param {string} rootDir - Directory under which the files are written.
+ * @returns {FileStorage} The storage backend.
+ */
+function createLocalDiskStorage(rootDir) {
+  const root = path.resolve(rootDir);
+  // Keys are built from IDs, but never let one point outside the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+    async removeForm(formId) {
+      await fs.promises.rm(resolveKey(formId), { recursive: true, force: true });
+    }
+  };
+}
+
+const fileStorage = createLocalDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+// Hard limit for any upload; a file field can set a lower maxSizeMb
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 10;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024, files: 1 } });
+// Files uploaded to an individual form are removed when no submission uses them this many hours after the upload
+const UNSUBMITTED_UPLOAD_TTL_HOURS = Number(process.env.UNSUBMITTED_UPLOAD_TTL_HOURS) || 24;
+const UNSUBMITTED_UPLOAD_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// ----------------------
+// 🛰️ Presence & Scaling (who is in which form, field locks, and broadcasts across server instances)
+// Presence sessions and field locks go through a PresenceStore. With SOCKET_ADAPTER=postgres, several instances can
+// run behind a load balancer on the same database: room broadcasts travel over Postgres LISTEN/NOTIFY
+// (@socket.io/postgres-adapter), and presence and locks live in the presence_sessions and field_locks tables.
+// The default, 'memory', keeps everything in this process, which is enough for a single instance.
+// ----------------------
+
+/**
+ * @typedef {object} PresenceStore
+ * A session is {userId, userName, joinedAt, socketId, page, pageChangedAt}; a lock is
+ * {formId, fieldId, rowId, userId, userName, socketId, expiresAt}, stored under lockKey(fieldId, rowId).
+ * Times are milliseconds since the epoch, except joinedAt (ISO string).
+ * @property {(formId: string, session: object) => Promise<void>} addSession - Records a socket that joined a form.
+ * @property {(formId: string, socketId: string, changes: {page: number, pageChangedAt: number}) => Promise<void>} updateSession - Moves a session to another page.
+ * @property {(formId: string, socketId: string) => Promise<void>} removeSession - Forgets a socket's session in a form.
+ * @property {(formId: string) => Promise<Array<object>>} listSessions - Every session in a form, on any instance.
+ * @property {() => Promise<number>} countSessions - The number of sessions in all forms.
+ * @property {(formId: string, key: string) => Promise<object|null>} getLock - The lock stored under a key, unless it expired.
+ * @property {(lock: object) => Promise<{acquired: boolean, lock: object|null}>} acquireLock - Stores the lock unless another user
+ *   holds an active one on the same key (the other user's lock is returned then, or null if the key kept changing hands).
+ *   Atomic across instances.
+ * @property {(formId: string, key: string, expiresAt: number) => Promise<void>} renewLock - Extends an active lock.
+ * @property {(formId: string, key: string) => Promise<void>} removeLock - Drops one lock.
+ * @property {(filter: {formId?: string, socketId?: string}) => Promise<Array<object>>} removeLocks - Drops the locks of a form
+ *   and/or of a socket, and returns them.
+ * @property {(formId: string) => Promise<Array<object>>} listLocks - The active locks of a form.
+ * @property {() => Promise<Array<object>>} removeExpiredLocks - Drops the expired locks of every form and returns them.
+ * @property {(formId: string) => Promise<void>} removeForm - Drops the sessions and locks of a deleted form.
+ * @property {() => Promise<Array<string>>} refresh - Called every PRESENCE_REFRESH_INTERVAL_MS: keeps this instance's sessions
+ *   alive and drops those of instances that stopped; returns the IDs of the forms that lost sessions.
+ */
+
+/**
+ * Creates a PresenceStore that keeps sessions and locks in this process.
+ * @returns {PresenceStore} The store.
+ */
+function createMemoryPresenceStore() {
+  const sessions = new Map(); // formId -> Map<socketId, session>
+  const locks = new Map(); // formId -> Map<lockKey, lock>
+  const activeLock = (formId, key) => {
+    const lock = locks.get(formId)?.get(key);
+    return lock && lock.expiresAt > Date.now() ? lock : null;
+  };
+  const removeLocksWhere = (predicate) => {
+    const removed = [];
+    for (const [formId, formLocks] of locks.entries()) {
+      for (const [key, lock] of formLocks.entries()) {
+        if (!predicate(lock)) continue;
+        formLocks.delete(key);
+        removed.push(lock);
+      }
+      if (formLocks.size === 0) locks.delete(formId);
+    }
+    return removed;
+  };
+
+  return {
+    async addSession(formId, session) {
+      if (!sessions.has(formId)) sessions.set(formId, new Map());
+      sessions.get(formId).set(session.socketId, { ...session });
+    },
+    async updateSession(formId, socketId, { page, pageChangedAt }) {
+      const session = sessions.get(formId)?.get(socketId);
+      if (session) Object.assign(session, { page, pageChangedAt });
+    },
+    async removeSession(formId, socketId) {
+      const formSessions = sessions.get(formId);
+      formSessions?.delete(socketId);
+      if (formSessions?.size === 0) sessions.delete(formId);
+    },
+    async listSessions(formId) {
+      return [...(sessions.get(formId)?.values() || [])].map(session => ({ ...session }));
+    },
+    async countSessions() {
+      return [...sessions.values()].reduce((sum, formSessions) => sum + formSessions.size, 0);
+    },
+    async getLock(formId, key) {
+      return activeLock(formId, key);
+    },
+    async acquireLock(lock) {
+      const key = lockKey(lock.fieldId, lock.rowId);
+      const existing = activeLock(lock.formId, key);
+      if (existing && existing.userId !== lock.userId) return { acquired: false, lock: existing };
+      if (!locks.has(lock.formId)) locks.set(lock.formId, new Map());
+      locks.get(lock.formId).set(key, lock);
+      return { acquired: true, lock };
+    },
+    async renewLock(formId, key, expiresAt) {
+      const lock = activeLock(formId, key);
+      if (lock) lock.expiresAt = expiresAt;
+    },
+    async removeLock(formId, key) {
+      const formLocks = locks.get(formId);
+      formLocks?.delete(key);
+      if (formLocks?.size === 0) locks.delete(formId);
+    },
+    async removeLocks({ formId = null, socketId = null }) {
+      return removeLocksWhere(lock => (!formId || lock.formId === formId) && (!socketId || lock.socketId === socketId));
+    },
+    async listLocks(formId) {
+      return [...(locks.get(formId)?.values() || [])].filter(lock => lock.expiresAt > Date.now());
+    },
+    async removeExpiredLocks() {
+      const now = Date.now();
+      return removeLocksWhere(lock => lock.expiresAt <= now);
+    },
+    async removeForm(formId) {
+      sessions.delete(formId);
+      locks.delete(formId);
+    },
+    async refresh() {
+      return []; // Every session belongs to this process
+    }
+  };
+}
+
+/**
+ * Creates a PresenceStore backed by the presence_sessions and field_locks tables, shared by every instance.
+ * Each instance marks its sessions with its instanceId and refreshes them; sessions of an instance that crashed
+ * (or was stopped without disconnecting its sockets) are dropped once they are staleAfterMs old.
+ * Lock expiry uses the instances' clocks, like the in-memory store.
+ * @param {object} db - The pg pool.
+ * @param {{instanceId: string, staleAfterMs: number}} options - This instance's ID and when sessions count as gone.
+ * @returns {PresenceStore} The store.
+ */
+function createPostgresPresenceStore(db, { instanceId, staleAfterMs }) {
+  const toSession = (row) => ({
+    userId: row.user_id,
+    userName: row.user_name,
+    joinedAt: row.joined_at.toISOString(),
+    socketId: row.socket_id,
+    page: row.page,
+    pageChangedAt: row.page_changed_at.getTime()
+  });
+  const toLock = (row) => ({
+    formId: row.form_id,
+    fieldId: row.field_id,
+    rowId: row.row_id,
+    userId: row.user_id,
+    userName: row.user_name,
+    socketId: row.socket_id,
+    expiresAt: row.expires_at.getTime()
+  });
+  const freshSince = () => new Date(Date.now() - staleAfterMs);
+
+  const store = {
+    async addSession(formId, session) {
+      await db.query(`
+        INSERT INTO presence_sessions (form_id, socket_id, user_id, user_name, joined_at, page, page_changed_at, instance_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (form_id, socket_id) DO UPDATE SET
+          user_id = EXCLUDED.user_id, user_name = EXCLUDED.user_name, joined_at = EXCLUDED.joined_at, page = EXCLUDED.page,
+          page_changed_at = EXCLUDED.page_changed_at, instance_id = EXCLUDED.instance_id, refreshed_at = NOW();
+      `, [formId, session.socketId, session.userId, session.userName, session.joinedAt, session.page, new Date(session.pageChangedAt), instanceId]);
+    },
+    async updateSession(formId, socketId, { page, pageChangedAt }) {
+      await db.query(
+        `UPDATE presence_sessions SET page = $3, page_changed_at = $4 WHERE form_id = $1 AND socket_id = $2;`,
+        [formId, socketId, page, new Date(pageChangedAt)]
+      );
+    },
+    async removeSession(formId, socketId) {
+      await db.query(`DELETE FROM presence_sessions WHERE form_id = $1 AND socket_id = $2;`, [formId, socketId]);
+    },
+    async listSessions(formId) {
+      const { rows } = await db.query(
+        `SELECT * FROM presence_sessions WHERE form_id = $1 AND refreshed_at > $2;`,
+        [formId, freshSince()]
+      );
+      return rows.map(toSession);
+    },
+    async countSessions() {
+      const { rows } = await db.query(`SELECT COUNT(*)::int AS count FROM presence_sessions WHERE refreshed_at > $1;`, [freshSince()]);
+      return rows[0].count;
+    },
+    async getLock(formId, key) {
+      const { rows } = await db.query(
+        `SELECT * FROM field_locks WHERE form_id = $1 AND lock_key = $2 AND expires_at > $3;`,
+        [formId, key, new Date()]
+      );
+      return rows[0] ? toLock(rows[0]) : null;
+    },
+    async acquireLock(lock, isRetry = false) {
+      const key = lockKey(lock.fieldId, lock.rowId);
+      // The row is only taken over from the same user or when it expired; otherwise nothing is returned
+      const { rows } = await db.query(`
+        INSERT INTO field_locks (form_id, lock_key, field_id, row_id, user_id, user_name, socket_id, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (form_id, lock_key) DO UPDATE SET
+          user_id = EXCLUDED.user_id, user_name = EXCLUDED.user_name, socket_id = EXCLUDED.socket_id, expires_at = EXCLUDED.expires_at
+        WHERE field_locks.user_id = EXCLUDED.user_id OR field_locks.expires_at <= $9
+        RETURNING *;
+      `, [lock.formId, key, lock.fieldId, lock.rowId, lock.userId, lock.userName, lock.socketId, new Date(lock.expiresAt), new Date()]);
+      if (rows[0]) return { acquired: true, lock: toLock(rows[0]) };
+      const existing = await store.getLock(lock.formId, key);
+      if (existing || isRetry) return { acquired: false, lock: existing };
+      // The other lock was released or expired in between; try once more
+      return store.acquireLock(lock, true);
+    },
+    async renewLock(formId, key, expiresAt) {
+      await db.query(
+        `UPDATE field_locks SET expires_at = $3 WHERE form_id = $1 AND lock_key = $2 AND expires_at > $4;`,
+        [formId, key, new Date(expiresAt), new Date()]
+      );
+    },
+    async removeLock(formId, key) {
+      await db.query(`DELETE FROM field_locks WHERE form_id = $1 AND lock_key = $2;`, [formId, key]);
+    },
+    async removeLocks({ formId = null, socketId = null }) {
+      const { rows } = await db.query(
+        `DELETE FROM field_locks WHERE ($1::uuid IS NULL OR form_id = $1) AND ($2::text IS NULL OR socket_id = $2) RETURNING *;`,
+        [formId, socketId]
+      );
+      return rows.map(toLock);
+    },
+    async listLocks(formId) {
+      const { rows } = await db.query(`SELECT * FROM field_locks WHERE form_id = $1 AND expires_at > $2;`, [formId, new Date()]);
+      return rows.map(toLock);
+    },
+    async removeExpiredLocks() {
+      const { rows } = await db.query(`DELETE FROM field_locks WHERE expires_at <= $1 RETURNING *;`, [new Date()]);
+      return rows.map(toLock);
+    },
+    async removeForm(formId) {
+      // The rows also go with the form (ON DELETE CASCADE); this drops them before the form itself is deleted
+      await db.query(`DELETE FROM presence_sessions WHERE form_id = $1;`, [formId]);
+      await db.query(`DELETE FROM field_locks WHERE form_id = $1;`, [formId]);
+    },
+    async refresh() {
+      await db.query(`UPDATE presence_sessions SET refreshed_at = NOW() WHERE instance_id = $1;`, [instanceId]);
+      const { rows } = await db.query(`DELETE FROM presence_sessions WHERE refreshed_at <= $1 RETURNING form_id;`, [freshSince()]);
+      return [...new Set(rows.map(row => row.form_id))];
+    }
+  };
+  return store;
+}
+
+// Each backend is a Socket.IO adapter (null for the built-in in-memory one) paired with the PresenceStore that
+// makes presence and locks as widely visible as the adapter makes broadcasts
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || 'memory';
+const INSTANCE_ID = uuidv4(); // Tells this instance's presence sessions from the other instances'
+const PRESENCE_REFRESH_INTERVAL_MS = 10000;
+const PRESENCE_STALE_MS = Number(process.env.PRESENCE_STALE_MS) || 30000;
+const SCALING_BACKENDS = {
+  memory: () => ({ adapter: null, presenceStore: createMemoryPresenceStore() }),
+  postgres: () => ({
+    adapter: createPostgresAdapter(pool),
+    presenceStore: createPostgresPresenceStore(pool, { instanceId: INSTANCE_ID, staleAfterMs: PRESENCE_STALE_MS })
+  })
+};
+if (!SCALING_BACKENDS[SOCKET_ADAPTER]) {
+  console.error(`❌ Unknown SOCKET_ADAPTER "${SOCKET_ADAPTER}". Use one of: ${Object.keys(SCALING_BACKENDS).join(', ')}.`);
+  process.exit(1);
+}
+const { adapter: socketAdapter, presenceStore } = SCALING_BACKENDS[SOCKET_ADAPTER]();
+if (socketAdapter) io.adapter(socketAdapter);
+
+// Sessions of the sockets connected to this instance (volatile); socket events look up their user here.
+// This map stores: formId -> Map<socketId, {userId, userName, joinedAt, socketId, page, pageChangedAt}>
+// The presence store has the sessions of every instance; listPresence() merges a user's tabs into one presence.
 const activeSessions = new Map();
 
+// A lock expires FIELD_LOCK_TTL_MS after the last lockField/lockHeartbeat/updateField from its owner
+const FIELD_LOCK_TTL_MS = Number(process.env.FIELD_LOCK_TTL_MS) || 15000;
+const FIELD_LOCK_SWEEP_INTERVAL_MS = 5000;
+
+// Text operations of one field are applied one at a time, in arrival order, so acknowledgements and
+// broadcasts go out in the order the field's versions were written. The queue is per instance; across
+// instances the row lock on form_responses keeps the writes in order.
+// This map stores: `${formId}:${fieldId}` -> promise of the last queued operation
+const textOperationQueues = new Map();
+
+// Rules a co-authored text may break while it is being written; they are enforced when the response is finalized
+const TEXT_DRAFT_ERROR_CODES = ['required', 'minLength', 'pattern'];
+
+// 'collaborative': one shared response edited in real time (form_responses)
+// 'individual': every respondent submits their own response (form_submissions)
+const FORM_MODES = ['collaborative', 'individual'];
+const SUBMISSIONS_MAX_PAGE_SIZE = 100;
+const HISTORY_MAX_PAGE_SIZE = 200;
+
+// Form definition files (see form-definition.schema.json); bump the version when their structure changes incompatibly
+const FORM_DEFINITION_FORMAT = 'collaborative-form-definition';
+const FORM_DEFINITION_SCHEMA_VERSION = 1;
+
 /**
  * Generates a short, random alphanumeric code for forms.
  * @returns {string} A 6-character uppercase alphanumeric string.
@@ -56,32 +428,813 @@ function generateFormCode() {
 }
 
 /**
- * Validates the structure and content of a form field object.
- * @param {object} field - The field object to validate.
- * @returns {boolean} True if the field is valid, false otherwise.
+ * Signs a new access/refresh token pair for an admin.
+ * @param {{id: string, username: string}} admin - The authenticated admin.
+ * @returns {{accessToken: string, refreshToken: string}} The signed tokens.
  */
-function validateField(field) {
-  const validTypes = ['text', 'email', 'number', 'textarea', 'select', 'radio', 'checkbox', 'date', 'tel', 'url'];
-  
-  if (!field.id || !field.label || !validTypes.includes(field.type)) {
-    console.warn(`Invalid field: missing id, label, or invalid type. Field: ${JSON.stringify(field)}`);
+function issueAdminTokens(admin) {
+  const accessToken = jwt.sign({ sub: admin.id, username: admin.username, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const refreshToken = jwt.sign({ sub: admin.id, username: admin.username, type: 'refresh' }, JWT_REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Signs the token a participant keeps (in the browser) to come back as the same person.
+ * @param {{id: string}} participant - The participant row.
+ * @returns {string} The signed participant token.
+ */
+function issueParticipantToken(participant) {
+  return jwt.sign({ sub: participant.id, type: 'participant' }, JWT_SECRET, { expiresIn: PARTICIPANT_TOKEN_TTL });
+}
+
+/**
+ * Signs the short-lived token a respondent of an individual form sends with its file uploads.
+ * @param {string} formId - The form the files may be uploaded to.
+ * @returns {string} The signed upload token.
+ */
+function issueUploadToken(formId) {
+  return jwt.sign({ sub: formId, type: 'upload' }, JWT_SECRET, { expiresIn: UPLOAD_TOKEN_TTL });
+}
+
+/**
+ * Checks an upload token sent by a client.
+ * @param {string} token - The token sent with the upload.
+ * @param {string} formId - The form the file is uploaded to.
+ * @returns {boolean} Whether the token is valid, unexpired and issued for this form.
+ */
+function isValidUploadToken(token, formId) {
+  try {
+    const payload = jwt.verify(token || '', JWT_SECRET);
+    return payload.type === 'upload' && payload.sub === formId;
+  } catch {
     return false;
   }
+}
+
+/**
+ * Works out who a client is from the token it sent: a participant token, or an admin access token.
+ * Display names come from the database or the admin token, never from the client's payload.
+ * @param {{participantToken?: string, accessToken?: string}} tokens - The tokens sent by the client.
+ * @returns {Promise<{userId: string, userName: string, isAdmin: boolean}|null>} The identity, or null if no valid token was sent.
+ */
+async function identifyClient({ participantToken, accessToken } = {}) {
+  let payload;
+  try {
+    payload = jwt.verify(accessToken || participantToken || '', JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (accessToken) {
+    return payload.type === 'access' ? { userId: payload.sub, userName: payload.username, isAdmin: true } : null;
+  }
+  if (payload.type !== 'participant') return null;
+
+  const { rows } = await pool.query(
+    `UPDATE participants SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id, display_name;`,
+    [payload.sub]
+  );
+  return rows[0] ? { userId: rows[0].id, userName: rows[0].display_name, isAdmin: false } : null;
+}
+
+/**
+ * Express middleware protecting admin routes.
+ * Verifies the `Authorization: Bearer <token>` header and exposes the admin as `req.admin`.
+ */
+function authenticateAdmin(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  // --- Validation: Check that a bearer token was sent ---
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid token type.' });
+    }
+    req.admin = { id: payload.sub, username: payload.username };
+    next();
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Session expired. Please refresh your token.' : 'Invalid authentication token.';
+    return res.status(401).json({ error: message });
+  }
+}
+
+/**
+ * Runs a unit of work inside a database transaction on a dedicated pool client.
+ * Commits if the callback resolves, rolls back if it throws.
+ * @param {function(object): Promise<*>} work - Receives the client and returns the transaction result.
+ * @returns {Promise<*>} Whatever the callback resolved with.
+ */
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Atomically writes a single field value of a form's collaborative response.
+ * Only the field's key in `data` is touched (via jsonb_set), the field version is bumped and the
+ * contributor is recorded in the same statement. The write only happens if the field is still at
+ * `expectedVersion`; otherwise the current value and version are returned for conflict reporting.
+ * Every applied write is appended to the response's change log (form_response_changes).
+ * @param {object} client - A pool client, usually inside withTransaction.
+ * @param {{formId: string, fieldId: string, value: *, userName: string, expectedVersion: number}} update
+ *   Optionally userId, socketId, changeType ('edit' by default) and the textOps of a 'text' change for the change log.
+ * Finalized (read-only) responses are never written.
+ * @returns {Promise<object>} { applied: true, version, lastUpdated, changeId } or { applied: false, finalized, currentValue, currentVersion }.
+ */
+async function applyFieldUpdate(client, { formId, fieldId, value, userName, expectedVersion, userId = null, socketId = null, changeType = 'edit', textOps = null }) {
+  // Make sure the response row exists (older forms may have been created without one)
+  await client.query(
+    `INSERT INTO form_responses (form_id) VALUES ($1) ON CONFLICT (form_id) DO NOTHING;`,
+    [formId]
+  );
+
+  // Row-level locking makes concurrent writers queue up; each one then reads the value it replaces
+  // (for the change log), re-evaluates the version predicate and applies jsonb_set on top of the latest committed data.
+  const { rows: previousRows } = await client.query(
+    `SELECT data->$2::text AS value FROM form_responses WHERE form_id = $1 FOR UPDATE;`,
+    [formId, fieldId]
+  );
+  const updateQuery = `
+    UPDATE form_responses
+    SET data = jsonb_set(COALESCE(data, '{}'::jsonb), ARRAY[$2::text], $3::jsonb),
+        field_versions = jsonb_set(COALESCE(field_versions, '{}'::jsonb), ARRAY[$2::text], to_jsonb($5::int + 1)),
+        contributors = CASE
+          WHEN $4::text = ANY(COALESCE(contributors, '{}')) THEN contributors
+          ELSE array_append(COALESCE(contributors, '{}'), $4::text)
+        END,
+        version = COALESCE(version, 0) + 1,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE form_id = $1 AND COALESCE((field_versions->>$2::text)::int, 0) = $5 AND status = 'open'
+    RETURNING last_updated;
+  `;
+  const { rows } = await client.query(updateQuery, [formId, fieldId, JSON.stringify(value), userId || userName, expectedVersion]);
+  if (rows[0]) {
+    const changeId = await recordResponseChange(client, {
+      formId, fieldId, oldValue: previousRows[0].value, newValue: value, userId, userName, socketId, changeType, version: expectedVersion + 1, textOps
+    });
+    return { applied: true, version: expectedVersion + 1, lastUpdated: rows[0].last_updated, changeId };
+  }
+
+  const { rows: currentRows } = await client.query(
+    `SELECT data->$2::text AS value, COALESCE((field_versions->>$2::text)::int, 0) AS version, status FROM form_responses WHERE form_id = $1;`,
+    [formId, fieldId]
+  );
+  return {
+    applied: false,
+    finalized: currentRows[0]?.status === 'finalized',
+    currentValue: currentRows[0]?.value ?? null,
+    currentVersion: currentRows[0]?.version || 0
+  };
+}
+
+/**
+ * Appends one entry to a response's change log. Entries are only ever added, never updated or deleted.
+ * @param {object} client - A pg client with an open transaction.
+ * @param {object} change - { formId, fieldId, oldValue, newValue, userId, userName, socketId, changeType, version },
+ *   and for a 'text' change the textOps operation that turned oldValue into newValue.
+ * @returns {Promise<number>} The ID of the new entry.
+ */
+async function recordResponseChange(client, { formId, fieldId, oldValue, newValue, userId, userName, socketId, changeType, version, textOps = null }) {
+  const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+  const { rows } = await client.query(
+    `INSERT INTO form_response_changes (form_id, field_id, old_value, new_value, user_id, user_name, socket_id, change_type, field_version, text_ops)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id;`,
+    [formId, fieldId, toJson(oldValue), toJson(newValue), userId, userName, socketId, changeType, version, toJson(textOps)]
+  );
+  return Number(rows[0].id);
+}
+
+/**
+ * Reverts a run of the user's own consecutive edits to one field (undo), or reverts an undo (redo).
+ * The field gets back the value it had before the first change of the run, but only if the user made every change
+ * in the run and nobody has written to the field since the last one; otherwise the current value is returned so
+ * the user can decide. The revert is an ordinary write, logged with changeType 'undo' or 'redo'.
+ * @param {object} client - A pg client with an open transaction.
+ * @param {{formId: string, field: object, firstChangeId: number, lastChangeId: number, userId: string, userName: string, socketId: string, direction: string}} revert
+ * @returns {Promise<object>} What applyFieldUpdate returned plus the reverted value, or { applied: false } with notFound, notOwn
+ *   or the rule errors of a value the field's current rules no longer accept.
+ */
+async function revertOwnEdit(client, { formId, field, firstChangeId, lastChangeId, userId, userName, socketId, direction }) {
+  const { rows } = await client.query(`
+    SELECT id, field_id, old_value, user_id, field_version FROM form_response_changes
+    WHERE form_id = $1 AND id = ANY($2::bigint[]);
+  `, [formId, [firstChangeId, lastChangeId]]);
+  const fieldId = field.id;
+  const first = rows.find(row => Number(row.id) === firstChangeId);
+  const last = rows.find(row => Number(row.id) === lastChangeId);
+  if (!first || !last || first.field_id !== fieldId || last.field_id !== fieldId || firstChangeId > lastChangeId) {
+    return { applied: false, notFound: true };
+  }
+
+  // Only the user's own edits can be reverted; a run that contains someone else's change is not theirs alone
+  const { rows: otherRows } = await client.query(`
+    SELECT 1 FROM form_response_changes
+    WHERE form_id = $1 AND field_id = $2 AND id BETWEEN $3 AND $4 AND user_id IS DISTINCT FROM $5
+    LIMIT 1;
+  `, [formId, fieldId, firstChangeId, lastChangeId, userId]);
+  if (last.user_id !== userId || otherRows.length > 0) return { applied: false, notOwn: true };
+
+  // The field's rules may have changed since the value was written
+  const blockingErrors = formRules.validateFieldValue(field, first.old_value).errors.filter(error => error.code !== 'required');
+  if (blockingErrors.length > 0) return { applied: false, errors: blockingErrors };
+
+  // The version check of applyFieldUpdate fails if anyone wrote to the field after the last change
+  const result = await applyFieldUpdate(client, {
+    formId, fieldId, value: first.old_value, userName, expectedVersion: last.field_version, userId, socketId, changeType: direction
+  });
+  return { ...result, value: first.old_value };
+}
+
+/**
+ * Applies a collaborator's character-level edit to a text or textarea field.
+ * The operation was made on the field's text at version `revision`; it is transformed against every change
+ * written since (their stored operations, or a replacement of the whole text for other writes), so edits typed at
+ * the same time by different people are all kept. The result is an ordinary write, logged with changeType 'text'.
+ * @param {object} client - A pg client with an open transaction.
+ * @param {{formId: string, field: object, revision: number, ops: Array<number|string>, userId: string, userName: string, socketId: string}} edit
+ * @returns {Promise<object>} What applyFieldUpdate returned plus the transformed ops, or { applied: false } with finalized,
+ *   or with currentValue and currentVersion (and the rule errors, if any) for a client that has to start over from the stored text.
+ */
+async function applyTextOperation(client, { formId, field, revision, ops, userId, userName, socketId }) {
+  await client.query(`INSERT INTO form_responses (form_id) VALUES ($1) ON CONFLICT (form_id) DO NOTHING;`, [formId]);
+  const { rows } = await client.query(
+    `SELECT data->$2::text AS value, COALESCE((field_versions->>$2::text)::int, 0) AS version, status FROM form_responses WHERE form_id = $1 FOR UPDATE;`,
+    [formId, field.id]
+  );
+  const current = rows[0];
+  if (current.status === 'finalized') return { applied: false, finalized: true };
+  const toText = (value) => (value === undefined || value === null ? '' : String(value));
+  const currentText = toText(current.value);
+  const resync = (extra = {}) => ({ applied: false, currentValue: currentText, currentVersion: current.version, ...extra });
+  if (revision > current.version) return resync();
+
+  // Every version after the client's revision must be in the change log to transform against it
+  const { rows: concurrentChanges } = await client.query(`
+    SELECT old_value, new_value, text_ops FROM form_response_changes
+    WHERE form_id = $1 AND field_id = $2 AND field_version > $3
+    ORDER BY id;
+  `, [formId, field.id, revision]);
+  if (concurrentChanges.length !== current.version - revision) return resync();
+
+  let transformed = ops;
+  let newText;
+  try {
+    for (const change of concurrentChanges) {
+      const appliedOps = change.text_ops || textOps.diffToOperation(toText(change.old_value), toText(change.new_value));
+      [transformed] = textOps.transform(transformed, appliedOps);
+    }
+    newText = textOps.applyOperation(currentText, transformed);
+  } catch {
+    return resync(); // The operation was not made for the text at its revision
+  }
+
+  const blockingErrors = formRules.validateFieldValue(field, newText).errors.filter(error => !TEXT_DRAFT_ERROR_CODES.includes(error.code));
+  if (blockingErrors.length > 0) return resync({ errors: blockingErrors });
+
+  const result = await applyFieldUpdate(client, {
+    formId, fieldId: field.id, value: newText, userName, expectedVersion: current.version, userId, socketId, changeType: 'text', textOps: transformed
+  });
+  return { ...result, ops: transformed };
+}
+
+/**
+ * Runs the processing of a text operation after the ones already queued for the same field.
+ * @param {string} key - `${formId}:${fieldId}`.
+ * @param {function} work - Async function that applies the operation and answers the client.
+ * @returns {Promise<void>} Settles when the work is done.
+ */
+function enqueueTextOperation(key, work) {
+  const next = (textOperationQueues.get(key) || Promise.resolve()).then(work).catch(error => {
+    console.error('Error in text operation queue:', error);
+  });
+  textOperationQueues.set(key, next);
+  next.then(() => {
+    if (textOperationQueues.get(key) === next) textOperationQueues.delete(key);
+  });
+  return next;
+}
+
+/**
+ * Lists entries of a response's change log, newest first.
+ * @param {string} formId - The form's ID.
+ * @param {object} options - { fieldId } to only list one field, { before } (a change ID) to page back, { limit }.
+ * @returns {Promise<Array<object>>} { id, fieldId, oldValue, newValue, userId, userName, socketId, changeType, version, createdAt }.
+ */
+async function listResponseChanges(formId, { fieldId = null, before = null, limit }) {
+  const { rows } = await pool.query(`
+    SELECT id, field_id, old_value, new_value, user_id, user_name, socket_id, change_type, field_version, created_at
+    FROM form_response_changes
+    WHERE form_id = $1 AND ($2::text IS NULL OR field_id = $2) AND ($3::bigint IS NULL OR id < $3)
+    ORDER BY id DESC
+    LIMIT $4;
+  `, [formId, fieldId, before, limit]);
+  return rows.map(row => ({
+    id: Number(row.id),
+    fieldId: row.field_id,
+    oldValue: row.old_value,
+    newValue: row.new_value,
+    userId: row.user_id,
+    userName: row.user_name,
+    socketId: row.socket_id,
+    changeType: row.change_type,
+    version: row.field_version,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Puts a collaborative response back to the state it had at a point in time: right after a given change
+ * ({ changeId }) or at a timestamp ({ at }). Every field changed since then gets the old value of its first later
+ * change. The restore is written to the change log like any other edit, so it can be undone the same way.
+ * Fields someone else holds a lock on, and old values the field's current rules no longer accept, are skipped.
+ * @param {object} client - A pg client with an open transaction.
+ * @param {{form: object, changeId?: number, at?: string, userId: string, userName: string}} restore - The form row,
+ *   the point in time and the admin restoring it.
+ * @returns {Promise<object>} { restored: true, fields: [{ fieldId, value, version }], skippedFields: [{ fieldId, reason, message }],
+ *   lastUpdated } or { restored: false, finalized: true }. A value of null means the field was cleared.
+ */
+async function restoreResponse(client, { form, changeId, at, userId, userName }) {
+  await client.query(`INSERT INTO form_responses (form_id) VALUES ($1) ON CONFLICT (form_id) DO NOTHING;`, [form.id]);
+  const { rows } = await client.query(`SELECT data, status, last_updated FROM form_responses WHERE form_id = $1 FOR UPDATE;`, [form.id]);
+  if (rows[0].status === 'finalized') return { restored: false, finalized: true };
+  const currentData = rows[0].data || {};
+
+  const { rows: firstLaterChanges } = await client.query(`
+    SELECT DISTINCT ON (field_id) field_id, old_value FROM form_response_changes
+    WHERE form_id = $1 AND ${changeId !== undefined ? 'id > $2::bigint' : 'created_at > $2::timestamptz'}
+    ORDER BY field_id, id;
+  `, [form.id, changeId !== undefined ? changeId : at]);
+
+  // Fields removed from the form since then are not brought back
+  const inputFields = new Map(form.fields.filter(field => !formRules.isLayoutField(field)).map(field => [field.id, field]));
+  // A lock on a field, or on one row of a group field, means someone is editing it right now
+  const lockedBy = new Map((await getLockSnapshot(form.id)).filter(lock => lock.userId !== userId).map(lock => [lock.fieldId, lock.lockedBy]));
+  const restoredFields = [];
+  const skippedFields = [];
+  let lastUpdated = rows[0].last_updated;
+  for (const { field_id: fieldId, old_value: oldValue } of firstLaterChanges) {
+    const field = inputFields.get(fieldId);
+    if (!field || JSON.stringify(currentData[fieldId] ?? null) === JSON.stringify(oldValue ?? null)) continue;
+    if (lockedBy.has(fieldId)) {
+      skippedFields.push({ fieldId, reason: 'locked', message: `${lockedBy.get(fieldId)} is editing ${field.label}.` });
+      continue;
+    }
+    // The field's rules may have changed since the value was written
+    const blockingErrors = formRules.validateFieldValue(field, oldValue).errors.filter(error => error.code !== 'required');
+    if (blockingErrors.length > 0) {
+      skippedFields.push({ fieldId, reason: 'invalid', message: blockingErrors[0].message });
+      continue;
+    }
+
+    // A field that had no value at that time loses its key again
+    const { rows: updatedRows } = await client.query(`
+      UPDATE form_responses
+      SET data = CASE WHEN $3::jsonb IS NULL THEN COALESCE(data, '{}'::jsonb) - $2::text
+                      ELSE jsonb_set(COALESCE(data, '{}'::jsonb), ARRAY[$2::text], $3::jsonb) END,
+          field_versions = jsonb_set(COALESCE(field_versions, '{}'::jsonb), ARRAY[$2::text], to_jsonb(COALESCE((field_versions->>$2::text)::int, 0) + 1)),
+          version = COALESCE(version, 0) + 1,
+          last_updated = CURRENT_TIMESTAMP
+      WHERE form_id = $1
+      RETURNING (field_versions->>$2::text)::int AS version, last_updated;
+    `, [form.id, fieldId, oldValue === null ? null : JSON.stringify(oldValue)]);
+
+    await recordResponseChange(client, {
+      formId: form.id, fieldId, oldValue: currentData[fieldId], newValue: oldValue, userId: null, userName, socketId: null,
+      changeType: 'restore', version: updatedRows[0].version
+    });
+    restoredFields.push({ fieldId, value: oldValue ?? null, version: updatedRows[0].version });
+    lastUpdated = updatedRows[0].last_updated;
+  }
+  return { restored: true, fields: restoredFields, skippedFields, lastUpdated };
+}
+
+/**
+ * Applies one row operation to a group field of a shared response inside a transaction.
+ * The response row is locked first, so row operations from different collaborators are applied one after
+ * another on the latest rows instead of conflicting with each other.
+ * @param {object} client - A pg client with an open transaction.
+ * @param {object} update - { formId, fieldId, userId, userName, socketId, change }; change(rows) returns { rows } or { error, errors }.
+ * @returns {Promise<object>} { applied: true, rows, version, lastUpdated },
+ *   or { applied: false, finalized } / { applied: false, error, errors } when the change was refused.
+ */
+async function applyGroupChange(client, { formId, fieldId, userId, userName, socketId, change }) {
+  await client.query(`INSERT INTO form_responses (form_id) VALUES ($1) ON CONFLICT (form_id) DO NOTHING;`, [formId]);
+  const { rows } = await client.query(
+    `SELECT data->$2::text AS value, COALESCE((field_versions->>$2::text)::int, 0) AS version, status FROM form_responses WHERE form_id = $1 FOR UPDATE;`,
+    [formId, fieldId]
+  );
+  if (rows[0].status === 'finalized') return { applied: false, finalized: true };
+
+  const result = change(Array.isArray(rows[0].value) ? rows[0].value : []);
+  if (result.error) return { applied: false, error: result.error, errors: result.errors };
+
+  const update = await applyFieldUpdate(client, {
+    formId, fieldId, value: result.rows, userName, expectedVersion: rows[0].version, userId, socketId, changeType: 'group'
+  });
+  return { ...update, rows: result.rows };
+}
+
+/**
+ * Marks a form's collaborative response as finalized (read-only) after checking its required fields.
+ * Records who finalized it in the response row and in the form_response_events log.
+ * @param {object} form - The form row (id, fields).
+ * @param {string} actor - Display name of the collaborator or admin finalizing the response.
+ * @returns {Promise<object>} { finalized: true, finalizedBy, finalizedAt } or { finalized: false, reason, missingFields, errors }.
+ */
+async function finalizeResponse(form, actor) {
+  return withTransaction(async (client) => {
+    await client.query(`INSERT INTO form_responses (form_id) VALUES ($1) ON CONFLICT (form_id) DO NOTHING;`, [form.id]);
+    // Lock the row so no field update can slip in between the required check and the status change
+    const { rows } = await client.query(`SELECT data, status FROM form_responses WHERE form_id = $1 FOR UPDATE;`, [form.id]);
+    const response = rows[0];
+
+    if (response.status === 'finalized') {
+      return { finalized: false, reason: 'This response has already been finalized.' };
+    }
+
+    const missingFields = findMissingRequiredFields(form.fields, response.data || {});
+    if (missingFields.length > 0) {
+      return { finalized: false, reason: 'Please fill in all required fields before finalizing.', missingFields };
+    }
+    // Values were checked when written, but the form's rules may have changed since
+    const { errors } = formRules.validateResponse(form.fields, response.data || {});
+    if (Object.keys(errors).length > 0) {
+      return { finalized: false, reason: 'Some answers are invalid. Please correct them before finalizing.', errors };
+    }
+
+    const { rows: updatedRows } = await client.query(`
+      UPDATE form_responses
+      SET status = 'finalized', finalized_by = $2, finalized_at = CURRENT_TIMESTAMP
+      WHERE form_id = $1
+      RETURNING finalized_by, finalized_at;
+    `, [form.id, actor]);
+    await client.query(
+      `INSERT INTO form_response_events (form_id, event_type, actor) VALUES ($1, 'finalized', $2);`,
+      [form.id, actor]
+    );
+    return { finalized: true, finalizedBy: updatedRows[0].finalized_by, finalizedAt: updatedRows[0].finalized_at };
+  });
+}
+
+/**
+ * Tells a client that its field update was based on an outdated version.
+ * @param {object} socket - The socket whose update was rejected.
+ * @param {object} conflict - fieldId, fieldLabel, currentValue, currentVersion and the rejected yourValue.
+ */
+function emitConflict(socket, conflict) {
+  socket.emit('conflict', conflict);
+  console.log(`⚠️ Conflict on field ${conflict.fieldId}: client is behind version ${conflict.currentVersion}`);
+}
+
+/**
+ * Rejects a write from a client that renders an older version of the form's structure and sends it the current one.
+ * Clients that do not say which version they render (formVersion undefined) are not checked.
+ * @param {object} socket - The socket that sent the write.
+ * @param {{fields: Array<object>, version: number}} form - The form row.
+ * @param {number|undefined} formVersion - The form version the client renders.
+ * @param {function} respond - The write's acknowledgement callback.
+ * @returns {boolean} True if the write was rejected.
+ */
+function rejectStaleFormVersion(socket, form, formVersion, respond) {
+  if (formVersion === undefined || formVersion === form.version) return false;
+  socket.emit('formStructureUpdated', { fields: form.fields, version: form.version });
+  respond({ success: false, staleForm: true, formVersion: form.version, error: 'This form was changed since you opened it. Check your answer against the updated form and try again.' });
+  return true;
+}
+
+/**
+ * Builds the key a lock is stored under: the field ID, or field ID and row ID for a row of a group field.
+ * @param {string} fieldId - The field's ID.
+ * @param {string|null} [rowId] - The group row's ID, for row-level locks.
+ * @returns {string} The lock key.
+ */
+function lockKey(fieldId, rowId = null) {
+  return rowId ? `${fieldId}:${rowId}` : fieldId;
+}
+
+/**
+ * Checks the target of a lock event sent by a client.
+ * @param {*} fieldId - Should be the field's ID.
+ * @param {*} rowId - Should be a group row's ID or null.
+ * @returns {boolean} True if both have the right type.
+ */
+function isLockTarget(fieldId, rowId) {
+  return typeof fieldId === 'string' && fieldId !== '' && (rowId === null || typeof rowId === 'string');
+}
+
+/**
+ * Returns the current (non-expired) lock on a field, or on one row of a group field, if any.
+ * @param {string} formId - The form's ID.
+ * @param {string} fieldId - The field's ID.
+ * @param {string|null} [rowId] - The group row's ID, for row-level locks.
+ * @returns {Promise<object|null>} The lock entry or null when the field is free.
+ */
+async function getActiveLock(formId, fieldId, rowId = null) {
+  return presenceStore.getLock(formId, lockKey(fieldId, rowId));
+}
+
+/**
+ * Takes or renews a field (or group row) lock for a user. Fails if another user holds an active lock.
+ * @param {string} formId - The form's ID.
+ * @param {string} fieldId - The field's ID.
+ * @param {{userId: string, userName: string, socketId: string}} owner - The requesting user.
+ * @param {string|null} [rowId] - The group row's ID, for row-level locks.
+ * @returns {Promise<{acquired: boolean, lock: object}>} The resulting lock (the other user's lock when not acquired).
+ */
+async function acquireFieldLock(formId, fieldId, owner, rowId = null) {
+  return presenceStore.acquireLock({ ...owner, formId, fieldId, rowId, expiresAt: Date.now() + FIELD_LOCK_TTL_MS });
+}
+
+/**
+ * Releases every lock held through a socket and notifies the form rooms.
+ * @param {string} socketId - The socket whose locks should be dropped.
+ * @param {string|null} [onlyFormId] - Only release the socket's locks in this form.
+ * @returns {Promise<void>} Resolves once the locks are released.
+ */
+async function releaseLocksForSocket(socketId, onlyFormId = null) {
+  const released = await presenceStore.removeLocks({ formId: onlyFormId, socketId });
+  released.forEach(lock => io.to(`form-${lock.formId}`).emit('fieldUnlocked', { fieldId: lock.fieldId, rowId: lock.rowId, userId: lock.userId }));
+}
+
+/**
+ * Lists the active locks of a form, in the shape sent to newly joined clients.
+ * @param {string} formId - The form's ID.
+ * @returns {Promise<Array<object>>} fieldId, rowId (null for whole fields), lockedBy, userId and expiresAt for each lock.
+ */
+async function getLockSnapshot(formId) {
+  const locks = await presenceStore.listLocks(formId);
+  return locks.map(lock => ({ fieldId: lock.fieldId, rowId: lock.rowId, lockedBy: lock.userName, userId: lock.userId, expiresAt: new Date(lock.expiresAt).toISOString() }));
+}
+
+/**
+ * Lists who is in a form: one entry per user, however many tabs (sockets) they have open, on any instance.
+ * @param {string} formId - The form's ID.
+ * @returns {Promise<Array<object>>} userId, userName, joinedAt (first connection), socketIds, connections and page
+ *   (of the connection that changed page last) for each user, in the order they joined.
+ */
+async function listPresence(formId) {
+  const users = new Map();
+  const sessions = (await presenceStore.listSessions(formId)).sort((a, b) => a.pageChangedAt - b.pageChangedAt);
+  for (const session of sessions) {
+    const entry = users.get(session.userId) || { userId: session.userId, userName: session.userName, joinedAt: session.joinedAt, socketIds: [] };
+    entry.socketIds.push(session.socketId);
+    if (session.joinedAt < entry.joinedAt) entry.joinedAt = session.joinedAt;
+    entry.page = session.page;
+    users.set(session.userId, entry);
+  }
+  return [...users.values()]
+    .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt))
+    .map(entry => ({ ...entry, connections: entry.socketIds.length }));
+}
+
+/**
+ * Counts the users in a form; several tabs of the same user count once.
+ * @param {string} formId - The form's ID.
+ * @returns {Promise<number>} The number of distinct users.
+ */
+async function countPresence(formId) {
+  return new Set((await presenceStore.listSessions(formId)).map(session => session.userId)).size;
+}
+
+/**
+ * Takes a socket out of a form: its session, its room and the locks it holds there.
+ * The others get 'userLeft' when this was the user's last connection to the form, or the updated
+ * 'activeUsers' when the user still has the form open in another tab.
+ * @param {object} socket - The leaving socket.
+ * @param {string} formId - The form's ID.
+ * @returns {Promise<object|null>} The session that ended, or null if the socket had not joined the form.
+ */
+async function leaveFormRoom(socket, formId) {
+  const sessions = activeSessions.get(formId);
+  const session = sessions?.get(socket.id);
+  if (!session) return null;
+
+  sessions.delete(socket.id);
+  if (sessions.size === 0) activeSessions.delete(formId);
+  socket.leave(`form-${formId}`);
+  await presenceStore.removeSession(formId, socket.id);
+  await releaseLocksForSocket(socket.id, formId);
+
+  const activeUsers = await listPresence(formId);
+  if (activeUsers.some(user => user.userId === session.userId)) {
+    io.to(`form-${formId}`).emit('activeUsers', { activeUsers });
+    return session;
+  }
+  io.to(`form-${formId}`).emit('userLeft', { userId: session.userId, userName: session.userName, activeUsers });
+  io.to(`form-${formId}`).emit('unlockAllFieldsForUser', { userId: session.userId });
+
+  pool.query(`SELECT title FROM forms WHERE id = $1;`, [formId])
+    .then(({ rows }) => console.log(`👋 ${session.userName} left form "${rows[0]?.title || 'Unknown Form'}"`))
+    .catch(error => console.error('Error fetching form title on leave:', error));
+  return session;
+}
+
+/**
+ * Lists the required fields that have no value in a response.
+ * Conditional rules apply: hidden fields are skipped and requiredWhen rules count as required.
+ * @param {Array<object>} fields - The form's field definitions.
+ * @param {object} data - Field values keyed by field ID.
+ * @returns {Array<{id: string, label: string}>} The required fields left empty.
+ */
+function findMissingRequiredFields(fields, data) {
+  const states = formRules.resolveFieldStates(fields, data);
+  return (fields || [])
+    .filter(field => states[field.id].required)
+    .filter(field => formRules.isEmptyValue(field, data[field.id]))
+    .map(field => ({ id: field.id, label: field.label }));
+}
+
+/**
+ * Validates a visibleWhen / requiredWhen rule of a field.
+ * Conditions may only reference fields that come before it, which rules out cycles.
+ * @param {object} rule - { match: 'all' | 'any', conditions: [{ fieldId, operator, value }] }.
+ * @param {Array<object>} previousFields - The fields that come before the field carrying the rule.
+ * @returns {boolean} True if the rule is valid, false otherwise.
+ */
+function validateFieldRule(rule, previousFields) {
+  if (!rule || typeof rule !== 'object' || !['all', 'any'].includes(rule.match || 'all')) return false;
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) return false;
+  return rule.conditions.every(condition =>
+    condition && previousFields.some(f => f.id === condition.fieldId && !formRules.isLayoutField(f)) &&
+    formRules.CONDITION_OPERATORS.includes(condition.operator) &&
+    (condition.value === undefined || ['string', 'number'].includes(typeof condition.value))
+  );
+}
+
+/**
+ * Checks the structure and content of a form field object.
+ * @param {object} field - The field object to check.
+ * @param {Array<object>} [previousFields] - The fields that come before it in the form (referenced by conditional rules).
+ * @returns {string|null} What is wrong with the field, or null if it is valid.
+ */
+function getFieldProblem(field, previousFields = []) {
+  const validTypes = ['text', 'email', 'number', 'textarea', 'select', 'radio', 'checkbox', 'date', 'tel', 'url', 'file', 'group', ...formRules.LAYOUT_FIELD_TYPES];
   
-  if ((field.type === 'select' || field.type === 'radio') && (!field.options || !Array.isArray(field.options) || field.options.length === 0)) {
-    console.warn(`Invalid field options for type ${field.type}. Field: ${JSON.stringify(field)}`);
-    return false;
+  if (!field || !field.id || !field.label || !validTypes.includes(field.type)) {
+    return 'Invalid field: missing id, label, or invalid type.';
+  }
+
+  // --- Layout fields (section header, description block, page break) hold no answer ---
+  if (formRules.isLayoutField(field)) {
+    const answerProperties = ['required', 'requiredWhen', 'defaultValue', 'placeholder', 'min', 'max', 'step', 'minLength', 'maxLength', 'pattern', 'patternMessage', 'multiple'];
+    if (answerProperties.some(key => field[key] !== undefined && field[key] !== null && field[key] !== false) || field.options?.length > 0) {
+      return 'Layout fields cannot have answer settings.';
+    }
+    if (field.type === 'description' && (typeof field.content !== 'string' || !field.content.trim() || field.content.length > 5000)) {
+      return 'Description blocks need content (at most 5000 characters).';
+    }
+    if (field.helpText !== undefined && field.helpText !== null && (typeof field.helpText !== 'string' || field.helpText.length > 1000)) {
+      return 'Invalid help text.';
+    }
+    // Page breaks always split the form; sections and descriptions may be shown conditionally
+    if (field.visibleWhen !== undefined && field.visibleWhen !== null &&
+        (field.type === 'pageBreak' || !validateFieldRule(field.visibleWhen, previousFields))) {
+      return 'Invalid visibleWhen rule.';
+    }
+    return null;
   }
   
-  return true;
+  const hasOptions = field.type === 'select' || field.type === 'radio' || formRules.isMultiSelect(field);
+  if (hasOptions && (!field.options || !Array.isArray(field.options) || field.options.length === 0)) {
+    return `Invalid field options for type ${field.type}.`;
+  }
+
+  // --- Optional presentation properties ---
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  if ((isSet(field.placeholder) && (typeof field.placeholder !== 'string' || field.placeholder.length > 255)) ||
+      (isSet(field.helpText) && (typeof field.helpText !== 'string' || field.helpText.length > 1000))) {
+    return 'Invalid placeholder or help text.';
+  }
+  if (field.multiple !== undefined && (typeof field.multiple !== 'boolean' || (field.multiple && field.type !== 'checkbox'))) {
+    return 'The multiple flag is only allowed on checkbox fields.';
+  }
+
+  // --- Optional constraints: each one only makes sense for some field types ---
+  if (isSet(field.min) || isSet(field.max) || isSet(field.step)) {
+    if (field.type === 'number') {
+      const bounds = [field.min, field.max].filter(isSet);
+      if (bounds.some(bound => typeof bound !== 'number' || !Number.isFinite(bound)) ||
+          (isSet(field.step) && (typeof field.step !== 'number' || !(field.step > 0)))) {
+        return 'Invalid number constraints.';
+      }
+    } else if (field.type === 'date') {
+      const bounds = [field.min, field.max].filter(isSet);
+      if (isSet(field.step) || bounds.some(bound => Number.isNaN(formRules.parseDate(String(bound))))) {
+        return 'Invalid date constraints.';
+      }
+    } else {
+      return 'min, max and step are only allowed on number and date fields.';
+    }
+    const min = field.type === 'date' ? formRules.parseDate(field.min) : field.min;
+    const max = field.type === 'date' ? formRules.parseDate(field.max) : field.max;
+    if (isSet(field.min) && isSet(field.max) && min > max) {
+      return 'min is greater than max.';
+    }
+  }
+  const isTextType = ['text', 'textarea', 'email', 'url', 'tel'].includes(field.type);
+  if (isSet(field.maxLength) && (!isTextType || !Number.isInteger(field.maxLength) || field.maxLength < 1 || field.maxLength > formRules.MAX_TEXT_LENGTH)) {
+    return 'Invalid maxLength.';
+  }
+  if (isSet(field.minLength) && (!isTextType || !Number.isInteger(field.minLength) || field.minLength < 0 ||
+      field.minLength > (isSet(field.maxLength) ? field.maxLength : formRules.MAX_TEXT_LENGTH))) {
+    return 'Invalid minLength.';
+  }
+  if (isSet(field.pattern) || isSet(field.patternMessage)) {
+    if (!isTextType || typeof field.pattern !== 'string' || (isSet(field.patternMessage) && typeof field.patternMessage !== 'string')) {
+      return 'Invalid pattern.';
+    }
+    const patternProblem = formRules.checkPattern(field.pattern);
+    if (patternProblem) return patternProblem;
+  }
+
+  // --- File fields: allowed MIME types (e.g. 'application/pdf', 'image/*') and a size limit ---
+  if (field.type === 'file') {
+    if (isSet(field.defaultValue) || (isSet(field.allowedTypes) && (!Array.isArray(field.allowedTypes) ||
+        !field.allowedTypes.every(type => typeof type === 'string' && /^[\w.+-]+\/([\w.+-]+|\*)$/.test(type))))) {
+      return 'Invalid file field settings.';
+    }
+    if (isSet(field.maxSizeMb) && (typeof field.maxSizeMb !== 'number' || !(field.maxSizeMb > 0) || field.maxSizeMb > MAX_UPLOAD_SIZE_MB)) {
+      return `maxSizeMb must be between 0 and ${MAX_UPLOAD_SIZE_MB}.`;
+    }
+  } else if (isSet(field.allowedTypes) || isSet(field.maxSizeMb)) {
+    return 'allowedTypes and maxSizeMb are only allowed on file fields.';
+  }
+
+  // --- Group fields: repeating rows made of child fields (the columns), with optional row limits ---
+  if (field.type === 'group') {
+    if (!Array.isArray(field.fields) || field.fields.length === 0 || isSet(field.defaultValue)) {
+      return 'Group fields need at least one child field and cannot have a default value.';
+    }
+    if (new Set(field.fields.map(child => child?.id)).size !== field.fields.length) {
+      return 'Group child fields need unique ids.';
+    }
+    for (const child of field.fields) {
+      if (!formRules.GROUP_CHILD_FIELD_TYPES.includes(child?.type) || child.visibleWhen || child.requiredWhen) {
+        return `Group child field ${child?.id || '(no id)'} must be an input field without conditional rules.`;
+      }
+      const childProblem = getFieldProblem(child);
+      if (childProblem) return `Group child field ${child.id}: ${childProblem}`;
+    }
+    const rowLimits = [field.minRows, field.maxRows].filter(isSet);
+    if (rowLimits.some(limit => !Number.isInteger(limit) || limit < 0) ||
+        (isSet(field.minRows) && isSet(field.maxRows) && field.minRows > field.maxRows)) {
+      return 'Invalid minRows/maxRows.';
+    }
+  } else if (isSet(field.fields) || isSet(field.minRows) || isSet(field.maxRows)) {
+    return 'fields, minRows and maxRows are only allowed on group fields.';
+  }
+
+  // --- Conditional rules: show/hide and require the field based on earlier answers ---
+  for (const ruleKey of ['visibleWhen', 'requiredWhen']) {
+    if (field[ruleKey] !== undefined && field[ruleKey] !== null && !validateFieldRule(field[ruleKey], previousFields)) {
+      return `Invalid ${ruleKey} rule.`;
+    }
+  }
+
+  // --- The default value has to satisfy the field's own rules (an empty default is fine) ---
+  if (isSet(field.defaultValue)) {
+    const validType = formRules.isMultiSelect(field) ? Array.isArray(field.defaultValue) : typeof field.defaultValue === 'string' || typeof field.defaultValue === 'number';
+    const { errors } = formRules.validateFieldValue(field, field.defaultValue);
+    if (!validType || errors.some(error => error.code !== 'required')) {
+      return "Default value does not satisfy the field's rules.";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates the structure and content of a form field object, logging what is wrong with an invalid one.
+ * @param {object} field - The field object to validate.
+ * @param {Array<object>} [previousFields] - The fields that come before it in the form (referenced by conditional rules).
+ * @returns {boolean} True if the field is valid, false otherwise.
+ */
+function validateField(field, previousFields = []) {
+  const problem = getFieldProblem(field, previousFields);
+  if (problem) console.warn(`${problem} Field: ${JSON.stringify(field)}`);
+  return !problem;
 }
 
 // ----------------------
-// 🔑 Admin Authentication & Authorization Endpoints (Simplified)
+// 🔑 Admin Authentication & Authorization Endpoints (JWT)
 // ----------------------
 
 // POST /api/admin/register: Register a new admin account
-// Stores hashed password. Returns new admin's ID and username.
+// Stores hashed password. Returns new admin's ID, username and a token pair.
 app.post('/api/admin/register', async (req, res) => {
   const { username, password } = req.body;
   // --- Validation: Check if username or password are missing ---
@@ -99,8 +1252,9 @@ app.post('/api/admin/register', async (req, res) => {
     const { rows } = await pool.query(insertQuery, [username, hashedPassword]);
     const newAdmin = rows[0];
     console.log(`✅ New admin registered: ${newAdmin.username} (ID: ${newAdmin.id})`);
-    // Return admin ID and username so frontend can set user context
-    res.status(201).json({ success: true, message: 'Admin registered successfully', admin: { id: newAdmin.id, username: newAdmin.username } });
+    // Return admin details and tokens so frontend can set user context
+    const tokens = issueAdminTokens(newAdmin);
+    res.status(201).json({ success: true, message: 'Admin registered successfully', admin: { id: newAdmin.id, username: newAdmin.username }, ...tokens });
   } catch (error) {
     console.error('Error registering admin:', error);
     if (error.code === '23505') { // PostgreSQL unique violation error code (username already exists)
@@ -112,7 +1266,7 @@ app.post('/api/admin/register', async (req, res) => {
 });
 
 // POST /api/admin/login: Authenticate admin
-// Checks username/password against database. Returns admin's ID and username on success.
+// Checks username/password against database. Returns admin's ID, username and a token pair on success.
 app.post('/api/admin/login', async (req, res) => {
   const { username, password } = req.body;
   // --- Validation: Check if username or password are missing ---
@@ -137,62 +1291,129 @@ app.post('/api/admin/login', async (req, res) => {
     }
 
     console.log(`✅ Admin logged in: ${admin.username} (ID: ${admin.id})`);
-    // Return admin ID and username for frontend state management
-    res.json({ success: true, message: 'Logged in successfully', admin: { id: admin.id, username: admin.username } });
+    // Return admin details and tokens for frontend state management
+    const tokens = issueAdminTokens(admin);
+    res.json({ success: true, message: 'Logged in successfully', admin: { id: admin.id, username: admin.username }, ...tokens });
   } catch (error) {
     console.error('Error logging in admin:', error);
     res.status(500).json({ error: 'Failed to log in. Please try again later.' });
   }
 });
 
+// POST /api/admin/refresh: Exchange a refresh token for a new token pair
+// Expects refreshToken in request body.
+app.post('/api/admin/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  // --- Validation: Check if refresh token is missing ---
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token. Please log in again.' });
+  }
+  if (payload.type !== 'refresh') {
+    return res.status(401).json({ error: 'Invalid token type.' });
+  }
+
+  try {
+    // --- Validation: Make sure the admin still exists before issuing new tokens ---
+    const { rows } = await pool.query('SELECT id, username FROM admins WHERE id = $1;', [payload.sub]);
+    const admin = rows[0];
+    if (!admin) {
+      return res.status(401).json({ error: 'Admin account no longer exists.' });
+    }
+
+    const tokens = issueAdminTokens(admin);
+    res.json({ success: true, admin: { id: admin.id, username: admin.username }, ...tokens });
+  } catch (error) {
+    console.error('Error refreshing admin token:', error);
+    res.status(500).json({ error: 'Failed to refresh session. Please try again later.' });
+  }
+});
 
 // ----------------------
-// 📌 REST API ENDPOINTS (Admin-specific routes now require explicit adminId)
+// 🪪 PARTICIPANT IDENTITIES (collaborators without an admin account)
 // ----------------------
 
-// POST /api/forms: Create a new form (Admin action)
-// Expects title, fields, and adminId in request body.
-app.post('/api/forms', async (req, res) => {
-  const { title, fields, adminId } = req.body;
-  // --- Validation: Check if title or adminId are missing ---
-  if (!title || !adminId) {
-    return res.status(400).json({ error: 'Form title and admin ID are required' });
+// POST /api/participants: Get a participant identity for joining forms (UNPROTECTED - accessible by any user)
+// Expects name and, when the browser already has one, participantToken. A valid token keeps its participant ID
+// (the display name is updated); otherwise a new participant is created. Returns the participant and a fresh token.
+app.post('/api/participants', async (req, res) => {
+  const { participantToken } = req.body;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  // --- Validation: Check that a usable display name was sent ---
+  if (!name || name.length > PARTICIPANT_NAME_MAX_LENGTH) {
+    return res.status(400).json({ error: `A name of 1 to ${PARTICIPANT_NAME_MAX_LENGTH} characters is required.` });
   }
 
-  // Optional: Verify if the adminId exists in the admins table (for better integrity)
-  try {
-    const adminExists = await pool.query('SELECT 1 FROM admins WHERE id = $1', [adminId]);
-    if (adminExists.rows.length === 0) {
-      return res.status(403).json({ error: 'Unauthorized: Invalid admin ID.' });
+  let participantId = null;
+  if (participantToken) {
+    try {
+      const payload = jwt.verify(participantToken, JWT_SECRET);
+      if (payload.type === 'participant') participantId = payload.sub;
+    } catch {
+      // An expired or foreign token just means a new identity
     }
-  } catch (error) {
-    console.error('Error verifying admin ID:', error);
-    return res.status(500).json({ error: 'Server error during admin verification.' });
   }
 
-  // --- Validation: Validate fields if provided using the helper function ---
-  if (fields && Array.isArray(fields)) {
-    for (const field of fields) {
-      if (!validateField(field)) {
-        return res.status(400).json({ error: `Invalid field structure: ${field.label || field.id || 'unknown'}` });
-      }
+  try {
+    let participant = null;
+    if (participantId) {
+      const { rows } = await pool.query(
+        `UPDATE participants SET display_name = $2, last_seen_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id, display_name;`,
+        [participantId, name]
+      );
+      participant = rows[0];
     }
+    if (!participant) {
+      const { rows } = await pool.query(`INSERT INTO participants (display_name) VALUES ($1) RETURNING id, display_name;`, [name]);
+      participant = rows[0];
+      console.log(`🪪 New participant: ${participant.display_name} (ID: ${participant.id})`);
+    }
+
+    res.json({ success: true, participant: { id: participant.id, name: participant.display_name }, participantToken: issueParticipantToken(participant) });
+  } catch (error) {
+    console.error('Error creating participant identity:', error);
+    res.status(500).json({ error: 'Failed to set up your identity. Please try again.' });
   }
+});
 
+
+// ----------------------
+// 📌 REST API ENDPOINTS (Admin-specific routes require a valid access token)
+// ----------------------
+
+/**
+ * Inserts a new form with a fresh ID and share code, its first version, and its initial response seeded with the fields' default values,
+ * in one transaction.
+ * @param {{adminId: string, title: string, fields: Array<object>, mode: string}} settings - The already validated form settings.
+ * @returns {Promise<{form: object, response: object}>} The inserted form and response rows.
+ */
+async function createForm({ adminId, title, fields, mode }) {
   const formId = uuidv4(); // Generate a unique ID for the new form
   const formCode = generateFormCode(); // Generate a short, shareable code
   const createdAt = new Date().toISOString();
 
-  try {
+  // The form, its first version and its response are written together, or not at all
+  return withTransaction(async (client) => {
     // Insert new form into the 'forms' table, linking it to the creating admin
     const formQuery = `
-      INSERT INTO forms (id, code, title, fields, admin_id, created_at, is_active)
-      VALUES ($1, $2, $3, $4, $5, $6, TRUE)
-      RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active;
+      INSERT INTO forms (id, code, title, fields, admin_id, created_at, is_active, mode)
+      VALUES ($1, $2, $3, $4, $5, $6, TRUE, $7)
+      RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active, mode, version;
     `;
-    const formValues = [formId, formCode, title.trim(), JSON.stringify(fields || []), adminId, createdAt]; 
-    const { rows: formRows } = await pool.query(formQuery, formValues);
-    const newForm = formRows[0];
+    const formValues = [formId, formCode, title.trim(), JSON.stringify(fields || []), adminId, createdAt, mode]; 
+    const { rows: formRows } = await client.query(formQuery, formValues);
+
+    // The initial structure is version 1 of the form
+    await client.query(
+      `INSERT INTO form_versions (form_id, version, fields, created_by, created_at) VALUES ($1, 1, $2, $3, $4);`,
+      [formId, JSON.stringify(fields || []), adminId, createdAt]
+    );
 
     // Create an initial empty response entry for the new form in 'form_responses'
     const responseQuery = `
@@ -200,9 +1421,49 @@ app.post('/api/forms', async (req, res) => {
       VALUES ($1, $2, $3, $4)
       RETURNING form_id, data, last_updated, contributors;
     `;
-    const responseValues = [formId, {}, createdAt, '{}']; 
-    const { rows: responseRows } = await pool.query(responseQuery, responseValues);
-    const newResponse = responseRows[0];
+    const responseValues = [formId, formRules.getDefaultValues(fields), createdAt, '{}']; 
+    const { rows: responseRows } = await client.query(responseQuery, responseValues);
+
+    return { form: formRows[0], response: responseRows[0] };
+  });
+}
+
+// POST /api/forms: Create a new form (Admin action)
+// Expects title, fields and an optional mode in request body; the admin is taken from the access token.
+app.post('/api/forms', authenticateAdmin, async (req, res) => {
+  const { title, fields, mode = 'collaborative' } = req.body;
+  const adminId = req.admin.id;
+  // --- Validation: Check if title is missing ---
+  if (!title) {
+    return res.status(400).json({ error: 'Form title is required' });
+  }
+  // --- Validation: Check the response mode ---
+  if (!FORM_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid form mode. Use one of: ${FORM_MODES.join(', ')}.` });
+  }
+
+  // Verify the admin from the token still exists (the account may have been removed since it was issued)
+  try {
+    const adminExists = await pool.query('SELECT 1 FROM admins WHERE id = $1', [adminId]);
+    if (adminExists.rows.length === 0) {
+      return res.status(403).json({ error: 'Unauthorized: Invalid admin ID.' });
+    }
+  } catch (error) {
+    console.error('Error verifying admin ID:', error);
+    return res.status(500).json({ error: 'Server error during admin verification.' });
+  }
+
+  // --- Validation: Validate fields if provided using the helper function ---
+  if (fields && Array.isArray(fields)) {
+    for (const [index, field] of fields.entries()) {
+      if (!validateField(field, fields.slice(0, index))) {
+        return res.status(400).json({ error: `Invalid field structure: ${field.label || field.id || 'unknown'}` });
+      }
+    }
+  }
+
+  try {
+    const { form: newForm, response: newResponse } = await createForm({ adminId, title, fields, mode });
 
     console.log(`📝 Form created: "${newForm.title}" (Code: ${newForm.code}) by admin ${adminId}`); 
     res.status(201).json({ success: true, form: newForm, shareCode: newForm.code, response: newResponse });
@@ -221,7 +1482,7 @@ app.get('/api/forms/:code', async (req, res) => {
   const { code } = req.params;
   try {
     const formQuery = `
-      SELECT id, code, title, fields, admin_id, created_at, updated_at, is_active FROM forms
+      SELECT id, code, title, fields, admin_id, created_at, updated_at, is_active, mode, version FROM forms
       WHERE code = $1 AND is_active = TRUE; -- SELECT query only returns active forms
     `;
     const { rows: formRows } = await pool.query(formQuery, [code.toUpperCase()]);
@@ -235,7 +1496,7 @@ app.get('/api/forms/:code', async (req, res) => {
 
     // Retrieve the associated form response data
     const responseQuery = `
-      SELECT form_id, data, last_updated, contributors FROM form_responses
+      SELECT form_id, data, last_updated, contributors, version, field_versions, status, finalized_by, finalized_at FROM form_responses
       WHERE form_id = $1;
     `;
     const { rows: responseRows } = await pool.query(responseQuery, [form.id]);
@@ -243,8 +1504,13 @@ app.get('/api/forms/:code', async (req, res) => {
       form_id: responseRows[0].form_id,
       data: responseRows[0].data || {},
       last_updated: responseRows[0].last_updated,
-      contributors: responseRows[0].contributors || []
-    } : { form_id: form.id, data: {}, last_updated: form.created_at, contributors: [] };
+      contributors: responseRows[0].contributors || [],
+      version: responseRows[0].version || 0,
+      field_versions: responseRows[0].field_versions || {},
+      status: responseRows[0].status || 'open',
+      finalized_by: responseRows[0].finalized_by,
+      finalized_at: responseRows[0].finalized_at
+    } : { form_id: form.id, data: {}, last_updated: form.created_at, contributors: [], version: 0, field_versions: {}, status: 'open', finalized_by: null, finalized_at: null };
 
     res.json({ success: true, form, response });
   } catch (error) {
@@ -254,18 +1520,13 @@ app.get('/api/forms/:code', async (req, res) => {
 });
 
 // GET /api/forms/id/:formId: Retrieve a form by its ID (Admin access)
-// Expects adminId as query parameter.
-app.get('/api/forms/id/:formId', async (req, res) => {
+// Requires a valid admin access token.
+app.get('/api/forms/id/:formId', authenticateAdmin, async (req, res) => {
   const { formId } = req.params;
-  const { adminId } = req.query; 
-  // --- Validation: Check if adminId is provided for this protected route ---
-  if (!adminId) {
-    return res.status(400).json({ error: 'Admin ID is required for this action.' });
-  }
-
+  const adminId = req.admin.id;
   try {
     const formQuery = `
-      SELECT id, code, title, fields, admin_id, created_at, updated_at, is_active FROM forms
+      SELECT id, code, title, fields, admin_id, created_at, updated_at, is_active, mode, version FROM forms
       WHERE id = $1;
     `;
     const { rows: formRows } = await pool.query(formQuery, [formId]);
@@ -283,7 +1544,7 @@ app.get('/api/forms/id/:formId', async (req, res) => {
 
     // Retrieve the associated form response data
     const responseQuery = `
-      SELECT form_id, data, last_updated, contributors FROM form_responses
+      SELECT form_id, data, last_updated, contributors, version, field_versions, status, finalized_by, finalized_at FROM form_responses
       WHERE form_id = $1;
     `;
     const { rows: responseRows } = await pool.query(responseQuery, [formId]);
@@ -291,8 +1552,13 @@ app.get('/api/forms/id/:formId', async (req, res) => {
       form_id: responseRows[0].form_id,
       data: responseRows[0].data || {},
       last_updated: responseRows[0].last_updated,
-      contributors: responseRows[0].contributors || []
-    } : { form_id: form.id, data: {}, last_updated: form.created_at, contributors: [] };
+      contributors: responseRows[0].contributors || [],
+      version: responseRows[0].version || 0,
+      field_versions: responseRows[0].field_versions || {},
+      status: responseRows[0].status || 'open',
+      finalized_by: responseRows[0].finalized_by,
+      finalized_at: responseRows[0].finalized_at
+    } : { form_id: form.id, data: {}, last_updated: form.created_at, contributors: [], version: 0, field_versions: {}, status: 'open', finalized_by: null, finalized_at: null };
 
     res.json({ success: true, form, response });
   } catch (error) {
@@ -302,19 +1568,15 @@ app.get('/api/forms/id/:formId', async (req, res) => {
 });
 
 // GET /api/admin/forms: List all forms created by a specific admin
-// Expects adminId as query parameter.
-app.get('/api/admin/forms', async (req, res) => {
-  const { adminId } = req.query; 
-  // --- Validation: Check if adminId is provided for this protected route ---
-  if (!adminId) {
-    return res.status(400).json({ error: 'Admin ID is required to list forms.' });
-  }
-
+// Requires a valid admin access token.
+app.get('/api/admin/forms', authenticateAdmin, async (req, res) => {
+  const adminId = req.admin.id;
   try {
     const formsQuery = `
       SELECT 
-        f.id, f.code, f.title, f.fields, f.admin_id, f.created_at, f.updated_at, f.is_active,
-        fr.data, fr.last_updated AS response_last_updated, fr.contributors
+        f.id, f.code, f.title, f.fields, f.admin_id, f.created_at, f.updated_at, f.is_active, f.mode, f.version,
+        fr.data, fr.last_updated AS response_last_updated, fr.contributors, fr.status, fr.finalized_by, fr.finalized_at,
+        (SELECT COUNT(*) FROM form_submissions fs WHERE fs.form_id = f.id)::int AS submission_count
       FROM forms f
       LEFT JOIN form_responses fr ON f.id = fr.form_id
       WHERE f.admin_id = $1 AND f.is_active = TRUE
@@ -324,7 +1586,7 @@ app.get('/api/admin/forms', async (req, res) => {
 
     console.log('Admin Forms raw data from DB:', JSON.stringify(adminForms, null, 2));
 
-    const formsWithActiveUsers = adminForms.map(f => ({
+    const formsWithActiveUsers = await Promise.all(adminForms.map(async f => ({
       id: f.id,
       code: f.code,
       title: f.title,
@@ -333,14 +1595,20 @@ app.get('/api/admin/forms', async (req, res) => {
       createdAt: f.created_at,
       updatedAt: f.updated_at,
       isActive: f.is_active,
+      mode: f.mode,
+      version: f.version,
+      submissionCount: f.submission_count,
       response: { 
         formId: f.id,
         data: f.data || {}, 
         contributors: f.contributors || [], 
-        lastUpdated: f.response_last_updated || f.created_at 
+        lastUpdated: f.response_last_updated || f.created_at,
+        status: f.status || 'open',
+        finalizedBy: f.finalized_by,
+        finalizedAt: f.finalized_at
       },
-      activeUsers: activeSessions.get(f.id)?.size || 0 
-    }));
+      activeUsers: await countPresence(f.id)
+    })));
     
     console.log('Admin Forms formatted for frontend:', JSON.stringify(formsWithActiveUsers, null, 2));
 
@@ -351,14 +1619,15 @@ app.get('/api/admin/forms', async (req, res) => {
   }
 });
 
-// PUT /api/forms/:formId: Update a form's basic information (e.g., title) (Admin action)
-// Expects title and adminId in request body.
-app.put('/api/forms/:formId', async (req, res) => {
+// PUT /api/forms/:formId: Update a form's basic information (title and/or mode) (Admin action)
+// Expects title and/or mode in request body. Requires a valid admin access token.
+app.put('/api/forms/:formId', authenticateAdmin, async (req, res) => {
   const { formId } = req.params;
-  const { title, adminId } = req.body; 
-  // --- Validation: Check if adminId is provided for this protected route ---
-  if (!adminId) {
-    return res.status(400).json({ error: 'Admin ID is required for this action.' });
+  const { title, mode } = req.body;
+  const adminId = req.admin.id;
+  // --- Validation: Check the response mode if one was sent ---
+  if (mode !== undefined && !FORM_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid form mode. Use one of: ${FORM_MODES.join(', ')}.` });
   }
 
   try {
@@ -370,20 +1639,21 @@ app.put('/api/forms/:formId', async (req, res) => {
     if (!formExists) return res.status(404).json({ error: 'Form not found.' });
     if (formExists.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to update this form.' });
 
-    if (title) {
+    if (title || mode) {
       const updateQuery = `
         UPDATE forms
-        SET title = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active;
+        SET title = COALESCE($1, title), mode = COALESCE($2, mode), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active, mode, version;
       `;
-      const { rows } = await pool.query(updateQuery, [title.trim(), formId]);
+      const { rows } = await pool.query(updateQuery, [title ? title.trim() : null, mode || null, formId]);
       const updatedForm = rows[0];
       
-      io.to(`form-${formId}`).emit('formTitleUpdated', { title: updatedForm.title });
+      if (title) io.to(`form-${formId}`).emit('formTitleUpdated', { title: updatedForm.title });
+      if (mode) io.to(`form-${formId}`).emit('formModeUpdated', { mode: updatedForm.mode });
       res.json({ success: true, form: updatedForm });
     } else {
-      res.json({ success: true, message: 'No title provided for update.' });
+      res.json({ success: true, message: 'No title or mode provided for update.' });
     }
   } catch (error) {
     console.error('Error updating form info:', error);
@@ -392,18 +1662,16 @@ app.put('/api/forms/:formId', async (req, res) => {
 });
 
 // PUT /api/forms/:formId/fields: Update a form's field structure (Admin action)
-// Expects fields and adminId in request body.
-app.put('/api/forms/:formId/fields', async (req, res) => {
+// Expects fields and optionally the expectedVersion of the form the admin edited in request body.
+// Saves the structure as a new form version; answers of removed fields are archived, not deleted.
+// Requires a valid admin access token.
+app.put('/api/forms/:formId/fields', authenticateAdmin, async (req, res) => {
   const { formId } = req.params;
-  const { fields, adminId } = req.body; 
-  // --- Validation: Check if adminId is provided for this protected route ---
-  if (!adminId) {
-    return res.status(400).json({ error: 'Admin ID is required for this action.' });
-  }
-
+  const { fields, expectedVersion } = req.body;
+  const adminId = req.admin.id;
   try {
-    // --- Authorization check: Verify admin ownership and retrieve current fields for validation/cleanup ---
-    const formCheckQuery = `SELECT admin_id, fields FROM forms WHERE id = $1;`;
+    // --- Authorization check: Verify admin ownership ---
+    const formCheckQuery = `SELECT admin_id FROM forms WHERE id = $1;`;
     const { rows: formCheckRows } = await pool.query(formCheckQuery, [formId]);
     const form = formCheckRows[0];
 
@@ -411,49 +1679,26 @@ app.put('/api/forms/:formId/fields', async (req, res) => {
     if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to modify this form structure.' });
 
     // --- Validation: Validate incoming field structures before updating ---
-    if (fields && Array.isArray(fields)) {
-      for (const field of fields) {
-        if (!validateField(field)) {
-          return res.status(400).json({ error: `Invalid field structure: ${field.label || field.id || 'unknown'}` });
-        }
+    if (!Array.isArray(fields)) {
+      return res.status(400).json({ error: 'fields must be an array.' });
+    }
+    for (const [index, field] of fields.entries()) {
+      if (!validateField(field, fields.slice(0, index))) {
+        return res.status(400).json({ error: `Invalid field structure: ${field?.label || field?.id || 'unknown'}` });
       }
     }
+    if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+      return res.status(400).json({ error: 'expectedVersion must be an integer.' });
+    }
 
-    const updateFormQuery = `
-      UPDATE forms
-      SET fields = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active;
-    `;
-    const { rows: updatedFormRows } = await pool.query(updateFormQuery, [JSON.stringify(fields || []), formId]);
-    const updatedForm = updatedFormRows[0];
-
-    // Clean up response data: remove data for fields that no longer exist in the updated schema
-    const getResponseQuery = `SELECT data FROM form_responses WHERE form_id = $1;`;
-    const { rows: responseRows } = await pool.query(getResponseQuery, [formId]);
-    const response = responseRows[0];
-
-    if (response) {
-      const validFieldIds = new Set(fields.map(f => f.id));
-      const cleanedData = {};
-      
-      Object.keys(response.data || {}).forEach(fieldId => {
-        if (validFieldIds.has(fieldId)) {
-          cleanedData[fieldId] = response.data[fieldId];
-        }
-      });
-      
-      const updateResponseQuery = `
-        UPDATE form_responses
-        SET data = $1, last_updated = CURRENT_TIMESTAMP
-        WHERE form_id = $2;
-      `;
-      await pool.query(updateResponseQuery, [JSON.stringify(cleanedData), formId]);
+    const result = await withTransaction(client => saveFormFields(client, { formId, fields, adminId, adminName: req.admin.username, expectedVersion }));
+    if (!result.saved) {
+      return res.status(409).json({ error: 'The form was changed in another window since you opened it. Reload it and apply your changes again.', currentVersion: result.currentVersion });
     }
 
-    console.log(`🔧 Form fields updated for form "${updatedForm.title}" by admin ${adminId}`);
-    io.to(`form-${formId}`).emit('formStructureUpdated', { fields: updatedForm.fields });
-    res.json({ success: true, form: updatedForm });
+    console.log(`🔧 Form fields updated for form "${result.form.title}" by admin ${adminId} (version ${result.form.version})`);
+    broadcastFormVersion(result);
+    res.json({ success: true, form: result.form, diff: result.diff });
   } catch (error) {
     console.error('Error updating form fields:', error);
     res.status(500).json({ error: 'Failed to update form fields.' });
@@ -461,15 +1706,11 @@ app.put('/api/forms/:formId/fields', async (req, res) => {
 });
 
 // PUT /api/forms/:formId/status: Toggle form active status (Admin action)
-// Expects isActive and adminId in request body.
-app.put('/api/forms/:formId/status', async (req, res) => {
+// Expects isActive in request body. Requires a valid admin access token.
+app.put('/api/forms/:formId/status', authenticateAdmin, async (req, res) => {
   const { formId } = req.params;
-  const { isActive, adminId } = req.body;
-  // --- Validation: Check if adminId is provided for this protected route ---
-  if (!adminId) {
-    return res.status(400).json({ error: 'Admin ID is required for this action.' });
-  }
-
+  const { isActive } = req.body;
+  const adminId = req.admin.id;
   try {
     // --- Authorization check: Verify admin ownership ---
     const formCheckQuery = `SELECT admin_id, title, code FROM forms WHERE id = $1;`;
@@ -483,7 +1724,7 @@ app.put('/api/forms/:formId/status', async (req, res) => {
       UPDATE forms
       SET is_active = $1, updated_at = CURRENT_TIMESTAMP
       WHERE id = $2
-      RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active;
+      RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active, mode, version;
     `;
     const { rows } = await pool.query(updateQuery, [Boolean(isActive), formId]);
     const updatedForm = rows[0];
@@ -500,15 +1741,10 @@ app.put('/api/forms/:formId/status', async (req, res) => {
 });
 
 // DELETE /api/forms/:formId: Delete a form (Admin action)
-// Expects adminId as query parameter.
-app.delete('/api/forms/:formId', async (req, res) => {
+// Requires a valid admin access token.
+app.delete('/api/forms/:formId', authenticateAdmin, async (req, res) => {
   const { formId } = req.params;
-  const { adminId } = req.query; 
-  // --- Validation: Check if adminId is provided for this protected route ---
-  if (!adminId) {
-    return res.status(400).json({ error: 'Admin ID is required for this action.' });
-  }
-
+  const adminId = req.admin.id;
   try {
     // --- Authorization check: Verify admin ownership before deleting ---
     const formCheckQuery = `SELECT admin_id, title, code FROM forms WHERE id = $1;`;
@@ -519,11 +1755,20 @@ app.delete('/api/forms/:formId', async (req, res) => {
     if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to delete this form.' });
 
     io.to(`form-${formId}`).emit('formDeleted', { message: 'This form has been deleted by the admin.' });
+    io.in(`form-${formId}`).socketsLeave(`form-${formId}`);
     activeSessions.delete(formId); 
+    await presenceStore.removeForm(formId);
 
     const deleteFormQuery = `DELETE FROM forms WHERE id = $1 RETURNING id;`;
     await pool.query(deleteFormQuery, [formId]);
 
+    // form_files rows go with the form (ON DELETE CASCADE); the stored files have to be removed separately
+    try {
+      await fileStorage.removeForm(formId);
+    } catch (error) {
+      console.error(`Error removing uploaded files of form ${formId}:`, error);
+    }
+
     console.log(`🗑️ Form deleted: "${form.title}" (Code: ${form.code}) by admin ${adminId}`);
     res.json({ success: true, message: 'Form deleted successfully.' });
   } catch (error) {
@@ -533,18 +1778,13 @@ app.delete('/api/forms/:formId', async (req, res) => {
 });
 
 // GET /api/forms/:formId/stats: Get statistics for a specific form (Admin action)
-// Expects adminId as query parameter.
-app.get('/api/forms/:formId/stats', async (req, res) => {
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/stats', authenticateAdmin, async (req, res) => {
   const { formId } = req.params;
-  const { adminId } = req.query;
-  // --- Validation: Check if adminId is provided for this protected route ---
-  if (!adminId) {
-    return res.status(400).json({ error: 'Admin ID is required for this action.' });
-  }
-
+  const adminId = req.admin.id;
   try {
     // --- Authorization check: Retrieve form details and verify admin ownership ---
-    const formQuery = `SELECT id, code, title, fields, admin_id, created_at FROM forms WHERE id = $1;`;
+    const formQuery = `SELECT id, code, title, fields, admin_id, created_at, mode FROM forms WHERE id = $1;`;
     const { rows: formRows } = await pool.query(formQuery, [formId]);
     const form = formRows[0];
 
@@ -559,7 +1799,24 @@ app.get('/api/forms/:formId/stats', async (req, res) => {
       last_updated: responseRows[0].last_updated
     } : { data: {}, contributors: [], last_updated: form.created_at };
 
-    const activeSessionsForForm = activeSessions.get(formId) || new Map();
+    const { rows: submissionRows } = await pool.query(`SELECT COUNT(*)::int AS count FROM form_submissions WHERE form_id = $1;`, [formId]);
+
+
+    // Completion per assignee: the fields assigned to them, directly or through a section, that have an answer
+    const assignedFields = formRules.resolveAssignments(form.fields, Object.fromEntries((await listFormAssignments(formId)).map(a => [a.fieldId, a])));
+    const assignees = new Map();
+    for (const field of form.fields || []) {
+      const assignment = assignedFields[field.id];
+      if (!assignment) continue;
+      const key = assignment.assigneeName.toLowerCase(); // Assignments by name and by picking the participant count together
+      if (!assignees.has(key)) {
+        assignees.set(key, { assigneeName: assignment.assigneeName, assigneeId: null, assignedFields: 0, completedFields: 0, pendingFieldIds: [] });
+      }
+      const entry = assignees.get(key);
+      entry.assigneeId = entry.assigneeId || assignment.assigneeId;
+      entry.assignedFields += 1;
+      if (formRules.isEmptyValue(field, response.data[field.id])) { entry.pendingFieldIds.push(field.id); } else { entry.completedFields += 1; }
+    }
 
     const stats = {
       formId: form.id,
@@ -569,8 +1826,11 @@ app.get('/api/forms/:formId/stats', async (req, res) => {
       totalFields: form.fields ? form.fields.length : 0,
       filledFields: response.data ? Object.keys(response.data).filter(key => response.data[key] !== '' && response.data[key] !== null).length : 0,
       contributors: response.contributors ? response.contributors.length : 0,
-      activeUsers: activeSessionsForForm.size,
-      lastUpdated: response.last_updated
+      activeUsers: await countPresence(formId),
+      mode: form.mode,
+      submissions: submissionRows[0].count,
+      lastUpdated: response.last_updated,
+      assignees: [...assignees.values()].map(entry => ({ ...entry, completion: Math.round((entry.completedFields / entry.assignedFields) * 100) }))
     };
 
     res.json({ success: true, stats });
@@ -580,186 +1840,2198 @@ app.get('/api/forms/:formId/stats', async (req, res) => {
   }
 });
 
+// POST /api/forms/:formId/finalize: Finalize the collaborative response (Admin action)
+// Requires a valid admin access token. Collaborators finalize through the 'finalizeResponse' socket event.
+app.post('/api/forms/:formId/finalize', authenticateAdmin, async (req, res) => {
+  const { formId } = req.params;
+  const adminId = req.admin.id;
 
-// ----------------------
-// 🔄 SOCKET.IO EVENTS (Real-time collaborative updates)
-// These events directly handle real-time data synchronization.
-// ----------------------
-io.on('connection', (socket) => {
-  console.log('🔌 User connected:', socket.id);
+  try {
+    // --- Authorization check: Verify admin ownership ---
+    const formCheckQuery = `SELECT id, admin_id, title, fields, mode FROM forms WHERE id = $1;`;
+    const { rows: formCheckRows } = await pool.query(formCheckQuery, [formId]);
+    const form = formCheckRows[0];
 
-  // Event: User joins a specific form room
-  socket.on('joinForm', async ({ formId, userId, userName }) => {
-    try {
-      // Fetch form details to validate existence and active status
-      const formQuery = `SELECT id, code, title, is_active, fields FROM forms WHERE id = $1;`;
-      const { rows: formRows } = await pool.query(formQuery, [formId]);
-      const form = formRows[0];
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to finalize this form.' });
+    if (form.mode === 'individual') return res.status(400).json({ error: 'Individual-mode forms have no shared response to finalize.' });
 
-      // --- Validation: Check if form exists or is active when joining via socket ---
-      if (!form || !form.is_active) {
-        socket.emit('error', { message: 'Form not found or inactive. Cannot join.' });
-        return;
-      }
+    const result = await finalizeResponse(form, req.admin.username);
+    if (!result.finalized) {
+      return res.status(409).json({ error: result.reason, missingFields: result.missingFields || [], errors: result.errors || {} });
+    }
 
-      socket.join(`form-${formId}`); 
-      
-      if (!activeSessions.has(formId)) activeSessions.set(formId, new Map());
-      
-      activeSessions.get(formId).set(socket.id, { 
-        userId, 
-        userName, 
-        joinedAt: new Date().toISOString(),
-        socketId: socket.id
-      });
+    await presenceStore.removeLocks({ formId });
+    io.to(`form-${formId}`).emit('responseFinalized', { finalizedBy: result.finalizedBy, finalizedAt: result.finalizedAt });
+    console.log(`🏁 Response of form "${form.title}" finalized by admin ${req.admin.username}`);
+    res.json({ success: true, finalizedBy: result.finalizedBy, finalizedAt: result.finalizedAt });
+  } catch (error) {
+    console.error('Error finalizing response:', error);
+    res.status(500).json({ error: 'Failed to finalize response.' });
+  }
+});
 
-      const users = [...activeSessions.get(formId).values()];
-      socket.to(`form-${formId}`).emit('userJoined', { userId, userName, activeUsers: users });
-      socket.emit('activeUsers', { activeUsers: users });
+// POST /api/forms/:formId/reopen: Reopen a finalized collaborative response for editing (Admin action)
+// Expects an optional reason in request body. Requires a valid admin access token.
+app.post('/api/forms/:formId/reopen', authenticateAdmin, async (req, res) => {
+  const { formId } = req.params;
+  const { reason } = req.body;
+  const adminId = req.admin.id;
 
-      console.log(`👥 ${userName} joined form "${form.title}" (Code: ${form.code})`);
-    } catch (error) {
-      console.error('Error joining form (socket):', error);
-      socket.emit('error', { message: 'Failed to join form.' });
-    }
-  });
+  try {
+    // --- Authorization check: Verify admin ownership ---
+    const formCheckQuery = `SELECT admin_id, title FROM forms WHERE id = $1;`;
+    const { rows: formCheckRows } = await pool.query(formCheckQuery, [formId]);
+    const form = formCheckRows[0];
 
-  // Event: A field's value is updated by a user
-  socket.on('updateField', async ({ formId, fieldId, value, userId, userName }) => {
-    try {
-      const formQuery = `SELECT id, title, code, fields, is_active FROM forms WHERE id = $1;`;
-      const { rows: formRows } = await pool.query(formQuery, [formId]);
-      const form = formRows[0];
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to reopen this form.' });
 
-      // --- Validation: Check if form exists or is active before updating a field ---
-      if (!form || !form.is_active) {
-        socket.emit('error', { message: 'Form not found or inactive. Cannot update.' });
-        return;
-      }
+    const trimmedReason = reason ? String(reason).trim().substring(0, 1000) : null;
+    const reopened = await withTransaction(async (client) => {
+      const { rows } = await client.query(`
+        UPDATE form_responses
+        SET status = 'open', finalized_by = NULL, finalized_at = NULL
+        WHERE form_id = $1 AND status = 'finalized'
+        RETURNING form_id;
+      `, [formId]);
+      if (rows.length === 0) return false;
+
+      // Every reopen is kept in the audit log, with the admin and their reason
+      await client.query(
+        `INSERT INTO form_response_events (form_id, event_type, actor, reason) VALUES ($1, 'reopened', $2, $3);`,
+        [formId, req.admin.username, trimmedReason || null]
+      );
+      return true;
+    });
 
-      const field = form.fields.find(f => f.id === fieldId);
-      // --- Validation: Check if the field exists in the form's definition ---
-      if (!field) {
-        socket.emit('error', { message: 'Field not found in form definition.' });
-        return;
-      }
+    if (!reopened) return res.status(409).json({ error: 'This response is not finalized.' });
 
-      let sanitizedValue = value;
-      if (field.type === 'number') {
-        sanitizedValue = value === '' ? '' : String(Number(value) || 0);
-      } else if (field.type === 'email') {
-        sanitizedValue = String(value).toLowerCase().trim();
-      } else if (field.type === 'checkbox') {
-        sanitizedValue = value === 'true' ? 'true' : 'false';
-      } else {
-        sanitizedValue = String(value).substring(0, 10000); 
-      }
-
-      const currentResponseQuery = `SELECT data, contributors FROM form_responses WHERE form_id = $1;`;
-      const { rows: currentResponseRows } = await pool.query(currentResponseQuery, [formId]);
-      let currentResponse = currentResponseRows[0];
-
-      if (!currentResponse) {
-        console.warn(`No response entry found for formId: ${formId}. Creating a new one for update.`);
-        const insertResponseQuery = `
-          INSERT INTO form_responses (form_id, data, last_updated, contributors)
-          VALUES ($1, $2, CURRENT_TIMESTAMP, $3)
-          RETURNING form_id, data, last_updated, contributors;
-        `;
-        const initialData = {};
-        initialData[fieldId] = sanitizedValue;
-        const initialContributors = [userName]; 
-        const { rows: newRespRows } = await pool.query(insertResponseQuery, [formId, initialData, initialContributors]);
-        currentResponse = newRespRows[0];
-      } else {
-        currentResponse.data[fieldId] = sanitizedValue;
+    io.to(`form-${formId}`).emit('responseReopened', { reopenedBy: req.admin.username, reason: trimmedReason || null });
+    console.log(`🔓 Response of form "${form.title}" reopened by admin ${req.admin.username}${trimmedReason ? `: ${trimmedReason}` : ''}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error reopening response:', error);
+    res.status(500).json({ error: 'Failed to reopen response.' });
+  }
+});
 
-        if (!currentResponse.contributors.includes(userName)) {
-          currentResponse.contributors.push(userName);
-        }
+// GET /api/forms/:formId/response-events: Finalize/reopen history of the collaborative response (Admin action)
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/response-events', authenticateAdmin, async (req, res) => {
+  const { formId } = req.params;
+  const adminId = req.admin.id;
 
-        const updateResponseQuery = `
-          UPDATE form_responses
-          SET data = $1, last_updated = CURRENT_TIMESTAMP, contributors = $2
-          WHERE form_id = $3
-          RETURNING last_updated;
-        `;
-        const { rows: updatedRows } = await pool.query(updateResponseQuery, [
-          currentResponse.data, 
-          currentResponse.contributors, 
-          formId
-        ]);
-        currentResponse.last_updated = updatedRows[0].last_updated;
-      }
-      
-      io.to(`form-${formId}`).emit('fieldUpdated', {
-        fieldId,
-        fieldLabel: field.label, 
-        value: sanitizedValue,
-        updatedBy: userName,
-        timestamp: currentResponse.last_updated
+  try {
+    // --- Authorization check: Verify admin ownership ---
+    const { rows: formCheckRows } = await pool.query(`SELECT admin_id FROM forms WHERE id = $1;`, [formId]);
+    const form = formCheckRows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to view this form\'s history.' });
+
+    const { rows } = await pool.query(`
+      SELECT id, event_type, actor, reason, created_at FROM form_response_events
+      WHERE form_id = $1
+      ORDER BY created_at DESC;
+    `, [formId]);
+    res.json({ success: true, events: rows.map(row => ({ id: row.id, type: row.event_type, actor: row.actor, reason: row.reason, createdAt: row.created_at })) });
+  } catch (error) {
+    console.error('Error listing response events:', error);
+    res.status(500).json({ error: 'Failed to retrieve response history.' });
+  }
+});
+
+
+// ----------------------
+// 🗂️ FORM VERSIONS (every structure change is kept with its diff and can be rolled back)
+// ----------------------
+
+/**
+ * Describes how a form's fields changed between two versions.
+ * Fields are matched by ID; a field whose ID changed counts as removed and added.
+ * @param {Array<object>} previousFields - The older field array.
+ * @param {Array<object>} nextFields - The newer field array.
+ * @returns {{added: Array<object>, removed: Array<object>, changed: Array<object>, reordered: boolean}}
+ *   added/removed hold { id, label, type }; changed also lists { property, from, to } for every changed property.
+ */
+function diffFields(previousFields = [], nextFields = []) {
+  const previousById = new Map(previousFields.map(field => [field.id, field]));
+  const nextById = new Map(nextFields.map(field => [field.id, field]));
+  const summarize = field => ({ id: field.id, label: field.label, type: field.type });
+
+  const changed = nextFields.filter(field => previousById.has(field.id)).map(field => {
+    const previous = previousById.get(field.id);
+    const properties = [...new Set([...Object.keys(previous), ...Object.keys(field)])].sort();
+    const changes = properties
+      .filter(property => JSON.stringify(previous[property]) !== JSON.stringify(field[property]))
+      .map(property => ({ property, from: previous[property] ?? null, to: field[property] ?? null }));
+    return { ...summarize(field), changes };
+  }).filter(field => field.changes.length > 0);
+
+  const keptOrder = fields => fields.filter(field => previousById.has(field.id) && nextById.has(field.id)).map(field => field.id).join('\n');
+  return {
+    added: nextFields.filter(field => !previousById.has(field.id)).map(summarize),
+    removed: previousFields.filter(field => !nextById.has(field.id)).map(summarize),
+    changed,
+    reordered: keptOrder(previousFields) !== keptOrder(nextFields)
+  };
+}
+
+/**
+ * Saves a new field structure as the form's next version and adapts the collaborative response to it.
+ * Answers of removed fields move to form_archived_values; a field that comes back (e.g. after a rollback) gets its
+ * last archived answer again if it is still valid, new fields start with their default value. Each of these changes
+ * is written to the response's change log and bumps the response version and the field's version, so the text
+ * operations of the change log stay numbered one per field version.
+ * @param {object} client - A pg client with an open transaction.
+ * @param {{formId: string, fields: Array<object>, adminId: string, adminName: string, expectedVersion?: number, rolledBackFrom?: number}} change
+ *   expectedVersion: the form version the admin edited; the save is refused if the form has moved on since.
+ * @returns {Promise<object>} { saved: true, form, diff, restoredValues: [{ fieldId, value, version }] } or { saved: false, currentVersion }.
+ *   restoredValues are the answers brought back from the archive and the default values of new fields.
+ */
+async function saveFormFields(client, { formId, fields, adminId, adminName, expectedVersion, rolledBackFrom = null }) {
+  const { rows: formRows } = await client.query(`SELECT fields, version FROM forms WHERE id = $1 FOR UPDATE;`, [formId]);
+  const current = formRows[0];
+  if (expectedVersion !== undefined && expectedVersion !== current.version) {
+    return { saved: false, currentVersion: current.version };
+  }
+  const previousFields = current.fields || [];
+  const version = current.version + 1;
+  const diff = diffFields(previousFields, fields);
+
+  // Forms created before versioning have no row for their current structure yet
+  await client.query(
+    `INSERT INTO form_versions (form_id, version, fields) VALUES ($1, $2, $3) ON CONFLICT (form_id, version) DO NOTHING;`,
+    [formId, current.version, JSON.stringify(previousFields)]
+  );
+  const { rows: updatedFormRows } = await client.query(`
+    UPDATE forms
+    SET fields = $1, version = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+    RETURNING id, code, title, fields, admin_id, created_at, updated_at, is_active, mode, version;
+  `, [JSON.stringify(fields), version, formId]);
+  await client.query(`
+    INSERT INTO form_versions (form_id, version, fields, diff, created_by, rolled_back_from)
+    VALUES ($1, $2, $3, $4, $5, $6);
+  `, [formId, version, JSON.stringify(fields), JSON.stringify(diff), adminId, rolledBackFrom]);
+
+  const { rows: responseRows } = await client.query(`SELECT data, field_versions FROM form_responses WHERE form_id = $1 FOR UPDATE;`, [formId]);
+  const restoredValues = [];
+  if (responseRows[0]) {
+    const data = { ...(responseRows[0].data || {}) };
+    const fieldVersions = { ...(responseRows[0].field_versions || {}) };
+    const previousById = new Map(previousFields.map(field => [field.id, field]));
+    const nextIds = new Set(fields.map(field => field.id));
+    let changeCount = 0;
+    const logChange = (fieldId, oldValue, newValue, changeType) => {
+      changeCount += 1;
+      return recordResponseChange(client, {
+        formId, fieldId, oldValue, newValue, userId: adminId, userName: adminName, socketId: null, changeType, version: fieldVersions[fieldId] || 0
       });
+    };
 
-      console.log(`📝 Field "${field.label}" (${fieldId}) updated in form "${form.title}" by ${userName}. Data saved:`, JSON.stringify(currentResponse.data));
-    } catch (error) {
-      console.error('Error updating field via socket:', error);
-      socket.emit('error', { message: 'Failed to update field.' });
+    // Answers of removed fields are archived with the definition they were given for
+    for (const fieldId of Object.keys(data).filter(id => !nextIds.has(id))) {
+      await client.query(
+        `INSERT INTO form_archived_values (form_id, field_id, field, value, form_version) VALUES ($1, $2, $3, $4, $5);`,
+        [formId, fieldId, JSON.stringify(previousById.get(fieldId) || null), JSON.stringify(data[fieldId]), version]
+      );
+      fieldVersions[fieldId] = (fieldVersions[fieldId] || 0) + 1;
+      await logChange(fieldId, data[fieldId], null, 'archive');
+      delete data[fieldId];
     }
-  });
 
-  socket.on('lockField', ({ formId, fieldId, userId, userName }) => {
-    socket.to(`form-${formId}`).emit('fieldLocked', { fieldId, lockedBy: userName, userId });
-  });
+    const addedFields = fields.filter(field => !previousById.has(field.id) && !formRules.isLayoutField(field));
+    const { rows: archivedRows } = addedFields.length === 0 ? { rows: [] } : await client.query(`
+      SELECT DISTINCT ON (field_id) field_id, value FROM form_archived_values
+      WHERE form_id = $1 AND field_id = ANY($2::text[])
+      ORDER BY field_id, id DESC;
+    `, [formId, addedFields.map(field => field.id)]);
+    const archivedValues = new Map(archivedRows.map(row => [row.field_id, row.value]));
+    const defaults = formRules.getDefaultValues(addedFields);
+    for (const field of addedFields) {
+      const archived = archivedValues.get(field.id);
+      // The field may come back with different rules; an answer that no longer fits stays in the archive
+      if (archived !== undefined && !formRules.validateFieldValue(field, archived).errors.some(error => error.code !== 'required')) {
+        fieldVersions[field.id] = (fieldVersions[field.id] || 0) + 1;
+        data[field.id] = archived;
+        await logChange(field.id, null, archived, 'unarchive');
+        restoredValues.push({ fieldId: field.id, value: archived, version: fieldVersions[field.id] });
+      } else if (defaults[field.id] !== undefined && data[field.id] === undefined) {
+        fieldVersions[field.id] = (fieldVersions[field.id] || 0) + 1;
+        data[field.id] = defaults[field.id];
+        await logChange(field.id, null, defaults[field.id], 'default');
+        restoredValues.push({ fieldId: field.id, value: defaults[field.id], version: fieldVersions[field.id] });
+      }
+    }
 
-  socket.on('unlockField', ({ formId, fieldId, userId }) => {
-    socket.to(`form-${formId}`).emit('fieldUnlocked', { fieldId, userId });
-  });
+    await client.query(`
+      UPDATE form_responses
+      SET data = $1, field_versions = $2, version = COALESCE(version, 0) + $3, last_updated = CURRENT_TIMESTAMP
+      WHERE form_id = $4;
+    `, [JSON.stringify(data), JSON.stringify(fieldVersions), changeCount, formId]);
+  }
+
+  return { saved: true, form: updatedFormRows[0], diff, restoredValues };
+}
 
-  socket.on('userTyping', ({ formId, fieldId, userName, isTyping }) => {
-    socket.to(`form-${formId}`).emit('userTypingUpdate', { fieldId, userName, isTyping });
+/**
+ * Tells everyone in a form's room about its new structure and version, plus the answers it brought back from the archive
+ * and the default values of new fields.
+ * @param {{form: object, restoredValues: Array<object>}} result - What saveFormFields returned.
+ */
+function broadcastFormVersion({ form, restoredValues }) {
+  io.to(`form-${form.id}`).emit('formStructureUpdated', { fields: form.fields, version: form.version });
+  const timestamp = new Date().toISOString();
+  restoredValues.forEach(({ fieldId, value, version }) => {
+    const field = form.fields.find(f => f.id === fieldId);
+    io.to(`form-${form.id}`).emit('fieldUpdated', { fieldId, fieldLabel: field?.label, value, version, updatedBy: 'form version change', timestamp });
   });
+}
 
-  socket.on('disconnect', () => {
-    console.log('❌ Disconnected:', socket.id);
-    for (const [formId, sessions] of activeSessions.entries()) {
-      if (sessions.has(socket.id)) {
-        const user = sessions.get(socket.id);
-        sessions.delete(socket.id); 
-
-        (async () => {
-          let formTitle = 'Unknown Form';
-          try {
-            const formQuery = `SELECT title FROM forms WHERE id = $1;`;
-            const { rows } = await pool.query(formQuery, [formId]);
-            if (rows[0]) formTitle = rows[0].title;
-          } catch (error) {
-            console.error('Error fetching form title on disconnect:', error);
-          }
-
-          socket.to(`form-${formId}`).emit('userLeft', {
-            userId: user.userId,
-            userName: user.userName,
-            activeUsers: [...sessions.values()] 
-          });
+/**
+ * Reads the fields of one version of a form. The current version is taken from the form itself,
+ * so forms created before versioning can still be compared against.
+ * @param {{id: string, fields: Array<object>, version: number}} form - The form row.
+ * @param {number} version - The version number.
+ * @returns {Promise<Array<object>|null>} The fields, or null if the version does not exist.
+ */
+async function getVersionFields(form, version) {
+  if (version === form.version) return form.fields || [];
+  const { rows } = await pool.query(`SELECT fields FROM form_versions WHERE form_id = $1 AND version = $2;`, [form.id, version]);
+  return rows[0]?.fields || null;
+}
 
-          io.to(`form-${formId}`).emit('unlockAllFieldsForUser', { userId: user.userId });
-          
-          console.log(`👋 ${user.userName} left form "${formTitle}"`);
-        })();
-      }
+/**
+ * Loads a form for the version routes and checks that the requesting admin owns it.
+ * Sends the 404/403 response itself and resolves to null in that case.
+ */
+async function getOwnedFormForVersions(req, res) {
+  const { rows } = await pool.query(`SELECT id, title, fields, admin_id, version FROM forms WHERE id = $1;`, [req.params.formId]);
+  const form = rows[0];
+  if (!form) {
+    res.status(404).json({ error: 'Form not found.' });
+    return null;
+  }
+  if (form.admin_id !== req.admin.id) {
+    res.status(403).json({ error: 'Not authorized to view the versions of this form.' });
+    return null;
+  }
+  return form;
+}
+
+// GET /api/forms/:formId/versions: List the versions of a form's structure, newest first (Admin action)
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/versions', authenticateAdmin, async (req, res) => {
+  try {
+    const form = await getOwnedFormForVersions(req, res);
+    if (!form) return;
+
+    const { rows } = await pool.query(`
+      SELECT v.version, v.diff, v.rolled_back_from, v.created_at, jsonb_array_length(v.fields) AS field_count, a.username
+      FROM form_versions v
+      LEFT JOIN admins a ON a.id = v.created_by
+      WHERE v.form_id = $1
+      ORDER BY v.version DESC;
+    `, [form.id]);
+    const versions = rows.map(row => ({
+      version: row.version,
+      diff: row.diff,
+      rolledBackFrom: row.rolled_back_from,
+      createdBy: row.username,
+      createdAt: row.created_at,
+      fieldCount: row.field_count
+    }));
+    // Forms created before versioning only have their current structure
+    if (versions[0]?.version !== form.version) {
+      versions.unshift({ version: form.version, diff: null, rolledBackFrom: null, createdBy: null, createdAt: null, fieldCount: (form.fields || []).length });
     }
-  });
+    res.json({ success: true, currentVersion: form.version, versions });
+  } catch (error) {
+    console.error('Error listing form versions:', error);
+    res.status(500).json({ error: 'Failed to retrieve form versions.' });
+  }
 });
 
-// ----------------------
-// 🚀 START SERVER
-// ----------------------
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`✅ Collaborative Forms Server running at http://localhost:${PORT}`);
-  console.log(`📊 Server started at ${new Date().toISOString()}`);
+// GET /api/forms/:formId/versions/compare?from=&to=: Diff between two versions of a form (Admin action)
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/versions/compare', authenticateAdmin, async (req, res) => {
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+  // --- Validation: Both versions must be positive integers ---
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+    return res.status(400).json({ error: 'from and to must be version numbers.' });
+  }
+
+  try {
+    const form = await getOwnedFormForVersions(req, res);
+    if (!form) return;
+
+    const [fromFields, toFields] = await Promise.all([getVersionFields(form, from), getVersionFields(form, to)]);
+    if (!fromFields || !toFields) return res.status(404).json({ error: 'Version not found.' });
+    res.json({ success: true, from, to, diff: diffFields(fromFields, toFields) });
+  } catch (error) {
+    console.error('Error comparing form versions:', error);
+    res.status(500).json({ error: 'Failed to compare form versions.' });
+  }
+});
+
+// GET /api/forms/:formId/versions/:version: The fields of one version of a form (Admin action)
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/versions/:version', authenticateAdmin, async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) return res.status(400).json({ error: 'Invalid version number.' });
+
+  try {
+    const form = await getOwnedFormForVersions(req, res);
+    if (!form) return;
+
+    const fields = await getVersionFields(form, version);
+    if (!fields) return res.status(404).json({ error: 'Version not found.' });
+    res.json({ success: true, version, current: version === form.version, fields });
+  } catch (error) {
+    console.error('Error reading form version:', error);
+    res.status(500).json({ error: 'Failed to retrieve the form version.' });
+  }
 });
 
+// POST /api/forms/:formId/versions/:version/rollback: Make an earlier structure current again (Admin action)
+// The rollback is saved as a new version, so it can itself be rolled back. Answers archived when fields
+// were removed come back with them. Requires a valid admin access token.
+app.post('/api/forms/:formId/versions/:version/rollback', authenticateAdmin, async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) return res.status(400).json({ error: 'Invalid version number.' });
+
+  try {
+    const form = await getOwnedFormForVersions(req, res);
+    if (!form) return;
+    if (version === form.version) return res.status(400).json({ error: 'This version is already current.' });
+
+    const fields = await getVersionFields(form, version);
+    if (!fields) return res.status(404).json({ error: 'Version not found.' });
+
+    const result = await withTransaction(client => saveFormFields(client, {
+      formId: form.id,
+      fields,
+      adminId: req.admin.id,
+      adminName: req.admin.username,
+      expectedVersion: form.version,
+      rolledBackFrom: version
+    }));
+    if (!result.saved) {
+      return res.status(409).json({ error: 'The form was changed while rolling back. Please try again.', currentVersion: result.currentVersion });
+    }
+
+    console.log(`↩️ Form "${form.title}" rolled back to version ${version} by admin ${req.admin.username} (now version ${result.form.version})`);
+    broadcastFormVersion(result);
+    res.json({ success: true, form: result.form, diff: result.diff });
+  } catch (error) {
+    console.error('Error rolling back form version:', error);
+    res.status(500).json({ error: 'Failed to roll back the form.' });
+  }
+});
+
+// ----------------------
+// 📎 FILE UPLOADS (fields of type 'file')
+// ----------------------
+
+// POST /api/forms/:code/upload-token: Hand out an upload token for an individual form (UNPROTECTED - accessible by any user)
+app.post('/api/forms/:code/upload-token', async (req, res) => {
+  const { code } = req.params;
+  try {
+    const { rows } = await pool.query(`SELECT id, mode FROM forms WHERE code = $1 AND is_active = TRUE;`, [code.toUpperCase()]);
+    const form = rows[0];
+
+    // --- Validation: Check if form was found, is active and collects individual submissions ---
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found or inactive. Please check the code.' });
+    }
+    if (form.mode !== 'individual') {
+      return res.status(400).json({ error: 'Uploads to shared responses use the participant token.' });
+    }
+
+    res.json({ success: true, uploadToken: issueUploadToken(form.id), expiresIn: UPLOAD_TOKEN_TTL });
+  } catch (error) {
+    console.error('Error issuing upload token:', error);
+    res.status(500).json({ error: 'Failed to prepare the upload.' });
+  }
+});
+
+// POST /api/forms/:formId/fields/:fieldId/files: Upload a file for a 'file' field (UNPROTECTED - accessible by any user)
+// Expects multipart/form-data with a 'file' part. For collaborative forms also the uploader's participantToken and the
+// field's expectedVersion: the upload then becomes the field's value and is broadcast with 'fieldUpdated'.
+// For individual forms also an uploadToken (see above); the file is only stored and the returned metadata goes into
+// the submission. Files that no submission uses are removed after UNSUBMITTED_UPLOAD_TTL_HOURS.
+app.post('/api/forms/:formId/fields/:fieldId/files', (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `Files can be at most ${MAX_UPLOAD_SIZE_MB} MB.` : error.message });
+    }
+    next(error);
+  });
+}, async (req, res) => {
+  const { formId, fieldId } = req.params;
+  const expectedVersion = Number(req.body.expectedVersion);
+  // --- Validation: Check that a file was attached ---
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file was uploaded.' });
+  }
+  if (!isUuid(formId)) {
+    return res.status(404).json({ error: 'Form not found or inactive.' });
+  }
+
+  let unrecordedKey = null; // A saved file that has no form_files row yet
+  try {
+    const formQuery = `SELECT id, title, fields, is_active, mode FROM forms WHERE id = $1;`;
+    const { rows: formRows } = await pool.query(formQuery, [formId]);
+    const form = formRows[0];
+
+    // --- Validation: Check if form exists, is active and the field accepts files ---
+    if (!form || !form.is_active) {
+      return res.status(404).json({ error: 'Form not found or inactive.' });
+    }
+    const field = form.fields.find(f => f.id === fieldId);
+    if (!field || field.type !== 'file') {
+      return res.status(400).json({ error: 'This field does not accept files.' });
+    }
+
+    const fileId = uuidv4();
+    const value = { fileId, name: req.file.originalname.substring(0, 255), size: req.file.size, mimeType: req.file.mimetype };
+
+    // --- Validation: The file's type and size must be allowed by the field ---
+    const fileErrors = formRules.validateFieldValue(field, value).errors;
+    if (fileErrors.length > 0) {
+      return res.status(400).json({ error: fileErrors[0].message, errors: fileErrors });
+    }
+
+    const isCollaborative = form.mode !== 'individual';
+    // --- Authorization check: Respondents of an individual form upload with the token handed out for it ---
+    if (!isCollaborative && !isValidUploadToken(req.body.uploadToken, formId)) {
+      return res.status(401).json({ error: 'The upload session expired. Please try again.', uploadTokenExpired: true });
+    }
+    // --- Authorization check: Changes to a shared response are made by an identified participant ---
+    const uploader = isCollaborative ? await identifyClient({ participantToken: req.body.participantToken }) : null;
+    if (isCollaborative && !uploader) {
+      return res.status(401).json({ error: 'A valid participant token is required to upload to a shared response.' });
+    }
+    const { userId = null, userName = null } = uploader || {};
+    if (isCollaborative) {
+      // --- Validation: Like updateField, uploads are versioned and respect field locks ---
+      if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+        return res.status(400).json({ error: 'expectedVersion is required to update a field.' });
+      }
+      const lock = await getActiveLock(formId, fieldId);
+      if (lock && lock.userId !== userId) {
+        return res.status(423).json({ error: `${lock.userName} is editing this field.`, locked: true, lockedBy: lock.userName });
+      }
+    }
+
+    const storageKey = `${formId}/${fileId}`;
+    await fileStorage.save(storageKey, req.file.buffer);
+    unrecordedKey = storageKey;
+
+    const recordFile = (client) => client.query(`
+      INSERT INTO form_files (id, form_id, field_id, original_name, mime_type, size, storage_key, uploaded_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8);
+    `, [fileId, formId, fieldId, value.name, value.mimeType, value.size, storageKey, userName]);
+
+    if (!isCollaborative) {
+      await recordFile(pool);
+      unrecordedKey = null;
+      console.log(`📎 File "${value.name}" uploaded to form "${form.title}"`);
+      return res.status(201).json({ success: true, file: value });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const update = await applyFieldUpdate(client, { formId, fieldId, value, userName, expectedVersion, userId, changeType: 'upload' });
+      if (update.applied) await recordFile(client);
+      return update;
+    });
+
+    if (!result.applied) {
+      await fileStorage.remove(storageKey); // Nothing references the file
+      if (result.finalized) {
+        return res.status(409).json({ error: 'This response has been finalized and is read-only.', finalized: true });
+      }
+      return res.status(409).json({ error: 'Someone else changed this field first.', conflict: true, currentValue: result.currentValue, currentVersion: result.currentVersion });
+    }
+    unrecordedKey = null;
+
+    // Everyone in the room, the uploader included, gets the new value through the usual event
+    io.to(`form-${formId}`).emit('fieldUpdated', {
+      fieldId,
+      fieldLabel: field.label,
+      value,
+      version: result.version,
+      updatedBy: userName,
+      timestamp: result.lastUpdated
+    });
+
+    console.log(`📎 File "${value.name}" uploaded to field "${field.label}" in form "${form.title}" by ${userName} (v${result.version})`);
+    res.status(201).json({ success: true, file: value, version: result.version, timestamp: result.lastUpdated });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    // The cleanup jobs only look at form_files rows, so nothing else would remove the file
+    if (unrecordedKey) {
+      await fileStorage.remove(unrecordedKey).catch(removeError => console.error('Error removing the file of a failed upload:', removeError));
+    }
+    res.status(500).json({ error: 'Failed to upload file.' });
+  }
+});
+
+// GET /api/forms/:formId/files/:fileId: Download an uploaded file (Admin action)
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/files/:fileId', authenticateAdmin, async (req, res) => {
+  const { formId, fileId } = req.params;
+  const adminId = req.admin.id;
+  if (!isUuid(formId) || !isUuid(fileId)) {
+    return res.status(404).json({ error: 'File not found.' });
+  }
+
+  try {
+    // --- Authorization check: Verify admin ownership ---
+    const { rows: formCheckRows } = await pool.query(`SELECT admin_id FROM forms WHERE id = $1;`, [formId]);
+    const form = formCheckRows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to download files of this form.' });
+
+    const { rows } = await pool.query(
+      `SELECT original_name, mime_type, size, storage_key FROM form_files WHERE id = $1 AND form_id = $2;`,
+      [fileId, formId]
+    );
+    const file = rows[0];
+    if (!file) return res.status(404).json({ error: 'File not found.' });
+
+    const stream = fileStorage.createReadStream(file.storage_key);
+    stream.on('error', (error) => {
+      console.error('Error reading uploaded file:', error);
+      if (!res.headersSent) res.status(404).json({ error: 'File not found.' });
+      else res.end();
+    });
+    stream.once('open', () => {
+      res.setHeader('Content-Type', file.mime_type);
+      res.setHeader('Content-Length', file.size);
+      res.attachment(file.original_name);
+      stream.pipe(res);
+    });
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).json({ error: 'Failed to download file.' });
+  }
+});
+
+// ----------------------
+// 🕘 RESPONSE HISTORY (append-only change log of the collaborative response)
+// ----------------------
+
+/**
+ * Answers a history request for a whole form or one of its fields (Admin action).
+ * Accepts before (a change ID, to page back) and limit query parameters.
+ * @param {object} req - The Express request (formId param, authenticated admin).
+ * @param {object} res - The Express response.
+ * @param {string|null} fieldId - The field to list, or null for every field.
+ */
+async function sendResponseHistory(req, res, fieldId) {
+  const { formId } = req.params;
+  const adminId = req.admin.id;
+  const limit = Math.min(HISTORY_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const before = parseInt(req.query.before, 10) || null;
+
+  try {
+    // --- Authorization check: Retrieve form details and verify admin ownership ---
+    const { rows } = await pool.query(`SELECT admin_id, fields FROM forms WHERE id = $1;`, [formId]);
+    const form = rows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to view the history of this form.' });
+
+    const changes = await listResponseChanges(formId, { fieldId, before, limit });
+    const labels = new Map((form.fields || []).map(field => [field.id, field.label]));
+    res.json({
+      success: true,
+      changes: changes.map(change => ({ ...change, fieldLabel: labels.get(change.fieldId) || null })),
+      // Pass as before= to get the next (older) page
+      nextBefore: changes.length === limit ? changes[changes.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error listing response history:', error);
+    res.status(500).json({ error: 'Failed to retrieve response history.' });
+  }
+}
+
+// GET /api/forms/:formId/history: List every change to the collaborative response, newest first (Admin action)
+// Accepts before and limit query parameters. Requires a valid admin access token.
+app.get('/api/forms/:formId/history', authenticateAdmin, (req, res) => sendResponseHistory(req, res, null));
+
+// GET /api/forms/:formId/fields/:fieldId/history: List the changes to one field, newest first (Admin action)
+// Accepts before and limit query parameters. Requires a valid admin access token.
+app.get('/api/forms/:formId/fields/:fieldId/history', authenticateAdmin, (req, res) => sendResponseHistory(req, res, req.params.fieldId));
+
+// POST /api/forms/:formId/history/restore: Restore the collaborative response to a point in time (Admin action)
+// Expects changeId (restore to right after that change) or at (an ISO timestamp) in the request body.
+// The restored fields are broadcast to the form room like any other update (null for a cleared value); fields that
+// are locked or whose old value breaks the current rules are listed in skippedFields. Requires a valid admin access token.
+app.post('/api/forms/:formId/history/restore', authenticateAdmin, async (req, res) => {
+  const { formId } = req.params;
+  const adminId = req.admin.id;
+  const { changeId, at } = req.body;
+
+  // --- Validation: Exactly one way of naming the point in time ---
+  const hasChangeId = Number.isInteger(changeId) && changeId >= 0;
+  const hasTimestamp = typeof at === 'string' && !Number.isNaN(Date.parse(at));
+  if (hasChangeId === hasTimestamp) {
+    return res.status(400).json({ error: 'Provide either changeId (an integer) or at (an ISO timestamp).' });
+  }
+
+  try {
+    // --- Authorization check: Retrieve form details and verify admin ownership ---
+    const { rows } = await pool.query(`SELECT id, title, fields, admin_id, mode FROM forms WHERE id = $1;`, [formId]);
+    const form = rows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to restore this form.' });
+    if (form.mode === 'individual') return res.status(400).json({ error: 'Individual-mode forms have no shared response to restore.' });
+
+    const result = await withTransaction(client => restoreResponse(client, {
+      form,
+      ...(hasChangeId ? { changeId } : { at: new Date(at).toISOString() }),
+      userId: adminId,
+      userName: req.admin.username
+    }));
+    if (!result.restored) {
+      return res.status(409).json({ error: 'This response has been finalized and is read-only. Reopen it first.', finalized: true });
+    }
+
+    const labels = new Map(form.fields.map(field => [field.id, field.label]));
+    for (const { fieldId, value, version } of result.fields) {
+      io.to(`form-${formId}`).emit('fieldUpdated', {
+        fieldId,
+        fieldLabel: labels.get(fieldId),
+        value,
+        version,
+        updatedBy: req.admin.username,
+        timestamp: result.lastUpdated
+      });
+    }
+
+    console.log(`⏪ Response of form "${form.title}" restored by ${req.admin.username} (${result.fields.length} fields, ${result.skippedFields.length} skipped)`);
+    res.json({ success: true, restoredFields: result.fields, skippedFields: result.skippedFields, timestamp: result.lastUpdated });
+  } catch (error) {
+    console.error('Error restoring response:', error);
+    res.status(500).json({ error: 'Failed to restore response.' });
+  }
+});
+
+// ----------------------
+// 📥 INDIVIDUAL SUBMISSIONS (forms in 'individual' mode)
+// ----------------------
+
+// POST /api/forms/:code/submissions: Submit one respondent's response (UNPROTECTED - accessible by any user)
+// Expects data (field values keyed by field ID) and an optional respondentName in request body.
+app.post('/api/forms/:code/submissions', async (req, res) => {
+  const { code } = req.params;
+  const { data, respondentName } = req.body;
+  // --- Validation: Check the submitted data shape ---
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return res.status(400).json({ error: 'Submission data is required.' });
+  }
+
+  try {
+    const formQuery = `SELECT id, title, fields, is_active, mode FROM forms WHERE code = $1 AND is_active = TRUE;`;
+    const { rows: formRows } = await pool.query(formQuery, [code.toUpperCase()]);
+    const form = formRows[0];
+
+    // --- Validation: Check if form was found, is active and accepts individual submissions ---
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found or inactive. Please check the code.' });
+    }
+    if (form.mode !== 'individual') {
+      return res.status(400).json({ error: 'This form does not accept individual submissions.' });
+    }
+
+    // Keep only values for fields that exist in the form definition, normalized and checked against their rules
+    const { data: cleanedData, errors } = formRules.validateResponse(form.fields, data);
+
+    // --- Validation: Every field must satisfy its rules (required, format, ranges, options) ---
+    if (Object.keys(errors).length > 0) {
+      const missingFields = findMissingRequiredFields(form.fields, cleanedData);
+      return res.status(400).json({ error: 'Some answers are missing or invalid.', errors, missingFields });
+    }
+
+    const fileFields = (form.fields || []).filter(field => field.type === 'file' && cleanedData[field.id]);
+    const fileIds = fileFields.map(field => cleanedData[field.id].fileId);
+    const name = respondentName ? String(respondentName).trim().substring(0, 255) : null;
+
+    const result = await withTransaction(async (client) => {
+      // --- Validation: File answers must point to files uploaded to this form and field that no other submission uses ---
+      // The rows stay locked until the submission claims them, so two submissions cannot take the same file
+      const { rows: fileRows } = fileIds.length === 0 ? { rows: [] } : await client.query(
+        `SELECT id, field_id, original_name, mime_type, size FROM form_files WHERE form_id = $1 AND id::text = ANY($2) AND submission_id IS NULL FOR UPDATE;`,
+        [form.id, fileIds]
+      );
+      for (const field of fileFields) {
+        const file = fileRows.find(row => row.id === cleanedData[field.id].fileId && row.field_id === field.id);
+        if (!file) return { missingFileField: field };
+        // Keep the metadata recorded at upload time rather than what the client sent
+        cleanedData[field.id] = { fileId: file.id, name: file.original_name, size: file.size, mimeType: file.mime_type };
+      }
+
+      const insertQuery = `
+        INSERT INTO form_submissions (form_id, respondent_name, data)
+        VALUES ($1, $2, $3)
+        RETURNING id, submitted_at;
+      `;
+      const { rows } = await client.query(insertQuery, [form.id, name || null, cleanedData]);
+      if (fileIds.length > 0) {
+        await client.query(`UPDATE form_files SET submission_id = $1 WHERE form_id = $2 AND id::text = ANY($3);`, [rows[0].id, form.id, fileIds]);
+      }
+      return { submission: rows[0] };
+    });
+
+    if (result.missingFileField) {
+      return res.status(400).json({ error: `The file for "${result.missingFileField.label}" was not found. Please upload it again.` });
+    }
+
+    console.log(`📥 Submission received for form "${form.title}" from ${name || 'anonymous respondent'}`);
+    res.status(201).json({ success: true, submission: { id: result.submission.id, submittedAt: result.submission.submitted_at } });
+  } catch (error) {
+    console.error('Error creating submission:', error);
+    res.status(500).json({ error: 'Failed to save submission.' });
+  }
+});
+
+// GET /api/forms/:formId/submissions: Page through a form's individual submissions (Admin action)
+// Accepts page and pageSize query parameters. Requires a valid admin access token.
+app.get('/api/forms/:formId/submissions', authenticateAdmin, async (req, res) => {
+  const { formId } = req.params;
+  const adminId = req.admin.id;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(SUBMISSIONS_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+
+  try {
+    // --- Authorization check: Verify admin ownership ---
+    const formCheckQuery = `SELECT admin_id FROM forms WHERE id = $1;`;
+    const { rows: formCheckRows } = await pool.query(formCheckQuery, [formId]);
+    const form = formCheckRows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to view submissions for this form.' });
+
+    const { rows: countRows } = await pool.query(`SELECT COUNT(*)::int AS total FROM form_submissions WHERE form_id = $1;`, [formId]);
+    const total = countRows[0].total;
+
+    const listQuery = `
+      SELECT id, respondent_name, data, submitted_at FROM form_submissions
+      WHERE form_id = $1
+      ORDER BY submitted_at DESC
+      LIMIT $2 OFFSET $3;
+    `;
+    const { rows } = await pool.query(listQuery, [formId, pageSize, (page - 1) * pageSize]);
+
+    res.json({
+      success: true,
+      submissions: rows.map(row => ({ id: row.id, respondentName: row.respondent_name, data: row.data || {}, submittedAt: row.submitted_at })),
+      pagination: { page, pageSize, total, totalPages: Math.max(1, Math.ceil(total / pageSize)) }
+    });
+  } catch (error) {
+    console.error('Error listing submissions:', error);
+    res.status(500).json({ error: 'Failed to retrieve submissions.' });
+  }
+});
+
+// GET /api/forms/:formId/submissions/:submissionId: Retrieve a single submission (Admin action)
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/submissions/:submissionId', authenticateAdmin, async (req, res) => {
+  const { formId, submissionId } = req.params;
+  const adminId = req.admin.id;
+  // --- Validation: IDs are UUIDs; anything else cannot match a row ---
+  if (!isUuid(formId)) {
+    return res.status(404).json({ error: 'Form not found.' });
+  }
+  if (!isUuid(submissionId)) {
+    return res.status(404).json({ error: 'Submission not found.' });
+  }
+
+  try {
+    // --- Authorization check: Verify admin ownership ---
+    const formCheckQuery = `SELECT admin_id, fields FROM forms WHERE id = $1;`;
+    const { rows: formCheckRows } = await pool.query(formCheckQuery, [formId]);
+    const form = formCheckRows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to view submissions for this form.' });
+
+    const submissionQuery = `
+      SELECT id, respondent_name, data, submitted_at FROM form_submissions
+      WHERE id = $1 AND form_id = $2;
+    `;
+    const { rows } = await pool.query(submissionQuery, [submissionId, formId]);
+    const submission = rows[0];
+
+    if (!submission) return res.status(404).json({ error: 'Submission not found.' });
+
+    res.json({
+      success: true,
+      fields: form.fields,
+      submission: { id: submission.id, respondentName: submission.respondent_name, data: submission.data || {}, submittedAt: submission.submitted_at }
+    });
+  } catch (error) {
+    console.error('Error getting submission:', error);
+    res.status(500).json({ error: 'Failed to retrieve submission.' });
+  }
+});
+
+
+// ----------------------
+// 📤 EXPORTS (shared response and individual submissions as CSV, JSON or XLSX)
+// ----------------------
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+const EXPORT_METADATA_HEADERS = ['Source', 'Submission ID', 'Respondent', 'Contributors', 'Updated At', 'Status'];
+
+/**
+ * Works out the answer columns of an export: one per question, headed by its label.
+ * Layout fields are skipped; a label shared by several fields gets the field ID appended so headers stay unique.
+ * @param {Array<object>} fields - The form's field definitions.
+ * @returns {Array<{field: object, header: string}>} The columns in form order.
+ */
+function getExportColumns(fields) {
+  const questions = (fields || []).filter(field => !formRules.isLayoutField(field));
+  return questions.map(field => ({
+    field,
+    header: questions.filter(f => f.label === field.label).length > 1 ? `${field.label} (${field.id})` : field.label
+  }));
+}
+
+/**
+ * Turns the contributors of a response (participant or admin IDs) into display names.
+ * Entries that match neither, such as names stored before participants had IDs, are kept as they are.
+ * @param {Array<string>} contributors - The response's contributors column.
+ * @returns {Promise<Array<string>>} One display name per contributor, in the same order.
+ */
+async function resolveContributorNames(contributors) {
+  if (contributors.length === 0) return [];
+  const { rows } = await pool.query(`
+    SELECT id::text AS id, display_name AS name FROM participants WHERE id::text = ANY($1::text[])
+    UNION ALL
+    SELECT id::text AS id, username AS name FROM admins WHERE id::text = ANY($1::text[]);
+  `, [contributors]);
+  const names = new Map(rows.map(row => [row.id, row.name]));
+  return contributors.map(contributor => names.get(contributor) || contributor);
+}
+
+/**
+ * Loads the records of a form export: the shared response (collaborative forms) followed by every individual submission.
+ * Answers of fields hidden by conditional rules are left out, as they are on submit.
+ * @param {object} form - The form row (id, fields, mode).
+ * @returns {Promise<Array<object>>} { source, submissionId, respondent, contributors, updatedAt, status, answers } per record,
+ *   with answers keyed by field ID.
+ */
+async function loadExportRecords(form) {
+  const visibleAnswers = (data) => {
+    const states = formRules.resolveFieldStates(form.fields, data);
+    return Object.fromEntries(Object.entries(data).filter(([fieldId]) => states[fieldId]?.visible));
+  };
+  const records = [];
+
+  if (form.mode !== 'individual') {
+    const { rows } = await pool.query(`SELECT data, contributors, last_updated, status FROM form_responses WHERE form_id = $1;`, [form.id]);
+    if (rows[0]) {
+      records.push({
+        source: 'shared',
+        submissionId: null,
+        respondent: null,
+        contributors: await resolveContributorNames(rows[0].contributors || []),
+        updatedAt: rows[0].last_updated,
+        status: rows[0].status,
+        answers: visibleAnswers(rows[0].data || {})
+      });
+    }
+  }
+
+  const { rows: submissions } = await pool.query(
+    `SELECT id, respondent_name, data, submitted_at FROM form_submissions WHERE form_id = $1 ORDER BY submitted_at;`,
+    [form.id]
+  );
+  for (const submission of submissions) {
+    records.push({
+      source: 'submission',
+      submissionId: submission.id,
+      respondent: submission.respondent_name,
+      contributors: [],
+      updatedAt: submission.submitted_at,
+      status: 'submitted',
+      answers: visibleAnswers(submission.data || {})
+    });
+  }
+  return records;
+}
+
+/**
+ * Turns a stored value into its JSON export form: group rows are keyed by column label instead of child field ID.
+ * @param {object} field - The field definition.
+ * @param {*} value - The stored value.
+ * @returns {*} The value to export.
+ */
+function toExportValue(field, value) {
+  if (field.type !== 'group' || !Array.isArray(value)) return value;
+  return value.map(row => Object.fromEntries(
+    (field.fields || []).filter(child => row.values?.[child.id] !== undefined).map(child => [child.label, row.values[child.id]])
+  ));
+}
+
+/**
+ * Formats one line of a CSV file (RFC 4180 quoting).
+ * Text starting with =, +, - or @ is prefixed with an apostrophe so spreadsheet apps do not run it as a formula.
+ * @param {Array<string>} values - The cell values.
+ * @returns {string} The CSV line, without the line break.
+ */
+function toCsvLine(values) {
+  return values.map(value => {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+// GET /api/forms/:formId/export: Download a form's collected data (Admin action)
+// Accepts format=csv|json|xlsx (default csv). One record per row: the shared response and each individual submission,
+// with source, respondent, contributors, timestamp and status metadata. Requires a valid admin access token.
+app.get('/api/forms/:formId/export', authenticateAdmin, async (req, res) => {
+  const { formId } = req.params;
+  const adminId = req.admin.id;
+  const format = String(req.query.format || 'csv').toLowerCase();
+
+  // --- Validation: Only the supported file formats ---
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}.` });
+  }
+
+  try {
+    // --- Authorization check: Retrieve form details and verify admin ownership ---
+    const { rows: formRows } = await pool.query(`SELECT id, title, fields, admin_id, mode FROM forms WHERE id = $1;`, [formId]);
+    const form = formRows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to export this form.' });
+
+    const columns = getExportColumns(form.fields);
+    const records = await loadExportRecords(form);
+    const fileName = `${form.title.replace(/[^\w-]+/g, '_') || 'form'}-responses.${format}`;
+    const exportedAt = new Date().toISOString();
+
+    if (format === 'json') {
+      res.attachment(fileName);
+      return res.json({
+        form: { id: form.id, title: form.title, mode: form.mode, exportedAt },
+        fields: columns.map(({ field, header }) => ({ id: field.id, label: header, type: field.type })),
+        records: records.map(({ answers, ...metadata }) => ({
+          ...metadata,
+          answers: Object.fromEntries(columns
+            .filter(({ field }) => answers[field.id] !== undefined)
+            .map(({ field, header }) => [header, toExportValue(field, answers[field.id])]))
+        }))
+      });
+    }
+
+    // CSV and XLSX share the same table; values are formatted as text the way the admin views show them
+    const header = [...EXPORT_METADATA_HEADERS, ...columns.map(({ header }) => header)];
+    const table = records.map(record => [
+      record.source === 'shared' ? 'Shared response' : 'Submission',
+      record.submissionId || '',
+      record.respondent || '',
+      record.contributors.join('; '),
+      record.updatedAt ? new Date(record.updatedAt).toISOString() : '',
+      record.status,
+      ...columns.map(({ field }) => formRules.formatFieldValue(field, record.answers[field.id]))
+    ]);
+
+    if (format === 'csv') {
+      res.attachment(fileName);
+      res.type('text/csv; charset=utf-8');
+      // The byte order mark makes Excel read the file as UTF-8
+      return res.send(`\uFEFF${[header, ...table].map(toCsvLine).join('\r\n')}\r\n`);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(exportedAt);
+    const sheet = workbook.addWorksheet('Responses');
+    sheet.addRow(header).font = { bold: true };
+    table.forEach(row => sheet.addRow(row));
+    sheet.columns.forEach(column => {
+      column.width = 20;
+      column.alignment = { vertical: 'top', wrapText: true };
+    });
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    res.attachment(fileName);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting form responses:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to export form responses.' });
+  }
+});
+
+// ----------------------
+// 📦 FORM DEFINITIONS (import/export of a form's structure, see form-definition.schema.json)
+// ----------------------
+
+/**
+ * Checks an uploaded form definition against the schema, with the same field rules as form creation.
+ * @param {object} definition - The parsed definition file.
+ * @returns {Array<{path: string, fieldId?: string, message: string}>} Every problem found (empty when valid).
+ */
+function getDefinitionProblems(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return [{ path: '', message: 'The definition must be a JSON object.' }];
+  }
+  const problems = [];
+  if (definition.format !== FORM_DEFINITION_FORMAT) {
+    problems.push({ path: 'format', message: `format must be "${FORM_DEFINITION_FORMAT}".` });
+  }
+  if (definition.schemaVersion !== FORM_DEFINITION_SCHEMA_VERSION) {
+    problems.push({ path: 'schemaVersion', message: `Unsupported schemaVersion ${JSON.stringify(definition.schemaVersion)}; this server reads version ${FORM_DEFINITION_SCHEMA_VERSION}.` });
+  }
+  if (typeof definition.title !== 'string' || !definition.title.trim() || definition.title.trim().length > 255) {
+    problems.push({ path: 'title', message: 'title must be a non-empty string of at most 255 characters.' });
+  }
+  if (definition.mode !== undefined && !FORM_MODES.includes(definition.mode)) {
+    problems.push({ path: 'mode', message: `mode must be one of: ${FORM_MODES.join(', ')}.` });
+  }
+  if (!Array.isArray(definition.fields)) {
+    problems.push({ path: 'fields', message: 'fields must be an array.' });
+    return problems;
+  }
+
+  const seenIds = new Set();
+  definition.fields.forEach((field, index) => {
+    const problem = getFieldProblem(field, definition.fields.slice(0, index));
+    if (problem) problems.push({ path: `fields[${index}]`, fieldId: field?.id, message: problem });
+    if (field?.id && seenIds.has(field.id)) problems.push({ path: `fields[${index}].id`, fieldId: field.id, message: `Duplicate field id "${field.id}".` });
+    if (field?.id) seenIds.add(field.id);
+  });
+  return problems;
+}
+
+/**
+ * Gives every field of an imported definition a new ID and points conditional rules at the new IDs.
+ * @param {Array<object>} fields - The validated fields of the definition.
+ * @returns {Array<object>} Copies of the fields with new IDs.
+ */
+function withNewFieldIds(fields) {
+  const newIds = new Map(fields.map(field => [field.id, `field_${uuidv4()}`]));
+  const remapRule = (rule) => rule && {
+    ...rule,
+    conditions: rule.conditions.map(condition => ({ ...condition, fieldId: newIds.get(condition.fieldId) }))
+  };
+  return fields.map(field => ({
+    ...field,
+    id: newIds.get(field.id),
+    ...(field.visibleWhen ? { visibleWhen: remapRule(field.visibleWhen) } : {}),
+    ...(field.requiredWhen ? { requiredWhen: remapRule(field.requiredWhen) } : {})
+  }));
+}
+
+// GET /api/forms/:formId/definition: Download a form's structure as a definition file (Admin action)
+// The file follows form-definition.schema.json and can be imported again with POST /api/forms/import.
+// Requires a valid admin access token.
+app.get('/api/forms/:formId/definition', authenticateAdmin, async (req, res) => {
+  const { formId } = req.params;
+  const adminId = req.admin.id;
+
+  try {
+    // --- Authorization check: Retrieve form details and verify admin ownership ---
+    const { rows } = await pool.query(`SELECT id, title, fields, admin_id, mode FROM forms WHERE id = $1;`, [formId]);
+    const form = rows[0];
+
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== adminId) return res.status(403).json({ error: 'Not authorized to export this form.' });
+
+    res.attachment(`${form.title.replace(/[^\w-]+/g, '_') || 'form'}-definition.json`);
+    res.json({
+      format: FORM_DEFINITION_FORMAT,
+      schemaVersion: FORM_DEFINITION_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      title: form.title,
+      mode: form.mode,
+      fields: form.fields || []
+    });
+  } catch (error) {
+    console.error('Error exporting form definition:', error);
+    res.status(500).json({ error: 'Failed to export form definition.' });
+  }
+});
+
+// POST /api/forms/import: Create a new form from a definition file (Admin action)
+// Expects the definition (see form-definition.schema.json) as the request body. The form gets a new ID, share code
+// and field IDs. An invalid file is rejected with every problem found. Requires a valid admin access token.
+app.post('/api/forms/import', authenticateAdmin, async (req, res) => {
+  const definition = req.body;
+  const adminId = req.admin.id;
+
+  // --- Validation: The whole file is checked so all problems can be fixed at once ---
+  const problems = getDefinitionProblems(definition);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'The form definition is invalid.', errors: problems });
+  }
+
+  try {
+    const { form, response } = await createForm({
+      adminId,
+      title: definition.title,
+      fields: withNewFieldIds(definition.fields),
+      mode: definition.mode || 'collaborative'
+    });
+
+    console.log(`📦 Form imported: "${form.title}" (Code: ${form.code}) by admin ${adminId}`);
+    res.status(201).json({ success: true, form, shareCode: form.code, response });
+  } catch (error) {
+    console.error('Error importing form:', error);
+    if (error.code === '23505') { // Share code collision
+      res.status(409).json({ error: 'A form with a similar code already exists. Please try again.' });
+    } else {
+      res.status(500).json({ error: 'Failed to import form.' });
+    }
+  }
+});
+
+// ----------------------
+// 📋 FIELD ASSIGNMENTS (who should fill which field or section of a shared response)
+// A field or section has at most one assignee, named by name and, when picked from the participants in the form,
+// by their user ID. A section's assignee covers its fields unless they are assigned themselves (see formRules.resolveAssignments).
+// ----------------------
+
+/**
+ * Converts a form_assignments row to the shape sent to clients.
+ * @param {object} row - The database row.
+ * @returns {object} { fieldId, assigneeName, assigneeId, assignedBy, assignedAt }.
+ */
+function formatAssignment(row) {
+  return {
+    fieldId: row.field_id,
+    assigneeName: row.assignee_name,
+    assigneeId: row.assignee_id,
+    assignedBy: row.assigned_by,
+    assignedAt: row.assigned_at
+  };
+}
+
+/**
+ * Lists the assignments of a form's fields and sections.
+ * @param {string} formId - The form's ID.
+ * @returns {Promise<Array<object>>} Assignments as returned by formatAssignment.
+ */
+async function listFormAssignments(formId) {
+  const { rows } = await pool.query(`SELECT * FROM form_assignments WHERE form_id = $1 ORDER BY assigned_at;`, [formId]);
+  return rows.map(formatAssignment);
+}
+
+/**
+ * Assigns a field or section of a collaborative form to a participant, or removes its assignee (empty assigneeName),
+ * and tells everyone in the form's room with 'assignmentUpdated'.
+ * @param {object} form - The form row (id, mode, fields).
+ * @param {string} fieldId - The field or section to assign.
+ * @param {{assigneeName: string, assigneeId: string|null}} assignee - Who should fill it.
+ * @param {string} assignedBy - Name of the admin or collaborator making the change.
+ * @returns {Promise<object>} { assignment } (null when removed), or { status, error } when the request is invalid.
+ */
+async function setFieldAssignment(form, fieldId, { assigneeName, assigneeId = null }, assignedBy) {
+  // --- Validation: Only answers of a shared response and whole sections can be assigned ---
+  if (form.mode === 'individual') return { status: 400, error: 'Individual-mode forms have no shared response to assign.' };
+  const field = form.fields.find(f => f.id === fieldId);
+  if (!field || (formRules.isLayoutField(field) && field.type !== 'section')) {
+    return { status: 404, error: 'Only fields and sections of the form can be assigned.' };
+  }
+  const name = typeof assigneeName === 'string' ? assigneeName.trim() : '';
+  if (name.length > 255) return { status: 400, error: 'Assignee names can be at most 255 characters long.' };
+
+  const { rows: previousRows } = await pool.query(`SELECT * FROM form_assignments WHERE form_id = $1 AND field_id = $2;`, [form.id, fieldId]);
+  let assignment = null;
+  if (name) {
+    const { rows } = await pool.query(`
+      INSERT INTO form_assignments (form_id, field_id, assignee_name, assignee_id, assigned_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (form_id, field_id) DO UPDATE
+      SET assignee_name = EXCLUDED.assignee_name, assignee_id = EXCLUDED.assignee_id,
+          assigned_by = EXCLUDED.assigned_by, assigned_at = CURRENT_TIMESTAMP
+      RETURNING *;
+    `, [form.id, fieldId, name, typeof assigneeId === 'string' && assigneeId ? assigneeId : null, assignedBy]);
+    assignment = formatAssignment(rows[0]);
+  } else {
+    await pool.query(`DELETE FROM form_assignments WHERE form_id = $1 AND field_id = $2;`, [form.id, fieldId]);
+  }
+
+  io.to(`form-${form.id}`).emit('assignmentUpdated', {
+    fieldId,
+    fieldLabel: field.label,
+    assignment,
+    previous: previousRows[0] ? formatAssignment(previousRows[0]) : null,
+    changedBy: assignedBy
+  });
+  console.log(`📋 "${field.label}" (${fieldId}) ${assignment ? `assigned to ${assignment.assigneeName}` : 'unassigned'} by ${assignedBy}`);
+  return { assignment };
+}
+
+// PUT /api/forms/:formId/assignments/:fieldId: Assign a field or section to a participant (Admin action)
+// Expects assigneeName (empty to remove the assignee) and optionally assigneeId in request body.
+// Requires a valid admin access token. Collaborators assign through the 'assignField' socket event.
+app.put('/api/forms/:formId/assignments/:fieldId', authenticateAdmin, async (req, res) => {
+  const { formId, fieldId } = req.params;
+  const { assigneeName, assigneeId } = req.body;
+
+  try {
+    // --- Authorization check: Verify admin ownership ---
+    const { rows } = await pool.query(`SELECT id, admin_id, mode, fields FROM forms WHERE id = $1;`, [formId]);
+    const form = rows[0];
+    if (!form) return res.status(404).json({ error: 'Form not found.' });
+    if (form.admin_id !== req.admin.id) return res.status(403).json({ error: 'Not authorized to assign fields of this form.' });
+
+    const result = await setFieldAssignment(form, fieldId, { assigneeName, assigneeId }, req.admin.username);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, assignment: result.assignment });
+  } catch (error) {
+    console.error('Error assigning field:', error);
+    res.status(500).json({ error: 'Failed to update the assignment.' });
+  }
+});
+
+// ----------------------
+// 💬 FIELD COMMENTS (discussion threads anchored to fields)
+// A thread is a top-level comment on a field plus its replies. Comments are read and written over the socket
+// by users who joined the form; only threads (not single replies) are resolved.
+// ----------------------
+const COMMENT_MAX_LENGTH = 2000;
+
+/**
+ * Converts a form_comments row to the shape sent to clients.
+ * @param {object} row - The database row.
+ * @returns {object} { id, fieldId, parentId, authorId, authorName, body, mentions, resolved, resolvedBy, resolvedAt, createdAt }.
+ */
+function formatComment(row) {
+  return {
+    id: Number(row.id),
+    fieldId: row.field_id,
+    parentId: row.parent_id === null ? null : Number(row.parent_id),
+    authorId: row.author_id,
+    authorName: row.author_name,
+    body: row.body,
+    mentions: row.mentions || [],
+    resolved: row.resolved_at !== null,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Lists every comment of a form, oldest first; clients group them into threads per field.
+ * @param {string} formId - The form's ID.
+ * @returns {Promise<Array<object>>} Comments as returned by formatComment.
+ */
+async function listFormComments(formId) {
+  const { rows } = await pool.query(`SELECT * FROM form_comments WHERE form_id = $1 ORDER BY id;`, [formId]);
+  return rows.map(formatComment);
+}
+
+// ----------------------
+// 🔄 SOCKET.IO EVENTS (Real-time collaborative updates)
+// These events directly handle real-time data synchronization.
+// ----------------------
+io.on('connection', (socket) => {
+  console.log('🔌 User connected:', socket.id);
+
+  // Handlers default a missing payload to {}; a null payload (what clients send for an undefined one) counts as missing
+  socket.use((packet, next) => {
+    if (packet[1] === null) packet[1] = undefined;
+    next();
+  });
+
+  // Event: User joins a specific form room
+  // Participants send their participantToken (from POST /api/participants), admins their accessToken (for their own
+  // forms only; other forms they join as participants). The identity in the token is kept with the session; later
+  // events of this socket act as that user, whatever their payload says.
+  // The optional acknowledgement callback receives { success, userId, userName } or { success: false, error }.
+  socket.on('joinForm', async ({ formId, participantToken, accessToken } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    try {
+      // --- Authorization check: Only identified users can join a form ---
+      const identity = await identifyClient({ participantToken, accessToken });
+      if (!identity) {
+        socket.emit('error', { message: 'Your identity could not be verified. Please join the form again.', invalidIdentity: true });
+        respond({ success: false, error: 'Your identity could not be verified.' });
+        return;
+      }
+      const { userId, userName, isAdmin } = identity;
+
+      // Fetch form details to validate existence and active status
+      const formQuery = `SELECT id, code, title, is_active, fields, admin_id FROM forms WHERE id = $1;`;
+      const { rows: formRows } = await pool.query(formQuery, [formId]);
+      const form = formRows[0];
+
+      // --- Validation: Check if form exists or is active when joining via socket ---
+      if (!form || !form.is_active) {
+        socket.emit('error', { message: 'Form not found or inactive. Cannot join.' });
+        respond({ success: false, error: 'Form not found or inactive.' });
+        return;
+      }
+
+      // --- Authorization check: Admins join only their own forms with their access token (like the REST routes) ---
+      if (isAdmin && form.admin_id !== userId) {
+        socket.emit('error', { message: 'Not authorized to join this form as its admin.' });
+        respond({ success: false, error: 'Not authorized to join this form as its admin.' });
+        return;
+      }
+
+      socket.join(`form-${formId}`); 
+      
+      if (!activeSessions.has(formId)) activeSessions.set(formId, new Map());
+      // Another tab of the same user (on any instance) joins their existing presence instead of adding a new one
+      const isNewPresence = !(await listPresence(formId)).some(user => user.userId === userId);
+      
+      const session = { 
+        userId, 
+        userName, 
+        joinedAt: new Date().toISOString(),
+        socketId: socket.id,
+        page: 0, // Page of a multi-page form the user is looking at
+        pageChangedAt: Date.now()
+      };
+      activeSessions.get(formId).set(socket.id, session);
+      await presenceStore.addSession(formId, session);
+
+      const users = await listPresence(formId);
+      if (isNewPresence) {
+        socket.to(`form-${formId}`).emit('userJoined', { userId, userName, activeUsers: users });
+      } else {
+        socket.to(`form-${formId}`).emit('activeUsers', { activeUsers: users });
+      }
+      socket.emit('activeUsers', { activeUsers: users });
+      socket.emit('lockSnapshot', { locks: await getLockSnapshot(formId) });
+      socket.emit('commentSnapshot', { comments: await listFormComments(formId) });
+      socket.emit('assignmentSnapshot', { assignments: await listFormAssignments(formId) });
+
+      respond({ success: true, userId, userName });
+      console.log(`👥 ${userName} joined form "${form.title}" (Code: ${form.code})`);
+    } catch (error) {
+      console.error('Error joining form (socket):', error);
+      socket.emit('error', { message: 'Failed to join form.' });
+      respond({ success: false, error: 'Failed to join form.' });
+    }
+  });
+
+  // Event: A client catches up after its connection dropped and it joined the form again
+  // fieldVersions are the field versions it saw last; only the fields changed since come back, with their current
+  // value and version. previousSocketId is the client's connection before the drop: changedByOthers is false when every
+  // change since was written by this user through it, i.e. the change is the client's own write whose acknowledgement
+  // got lost. The socket ID comes from the client, so changes are only counted as its own if the log has them under its user.
+  // The acknowledgement receives { success, changes, formVersion, status, finalizedBy, finalizedAt } or { success: false, error }.
+  socket.on('resyncResponse', async ({ formId, fieldVersions, formVersion, previousSocketId = null } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    // --- Authorization check: Only users who joined the form can read its response ---
+    if (!session) {
+      respond({ success: false, error: 'Join the form before resyncing it.' });
+      return;
+    }
+    // --- Validation: The client must say which versions it has ---
+    if (!fieldVersions || Object.getPrototypeOf(fieldVersions) !== Object.prototype) {
+      respond({ success: false, error: 'fieldVersions is required to resync.' });
+      return;
+    }
+    // Only whole, non-negative versions go into the query; other entries count as version 0
+    const knownVersions = Object.fromEntries(Object.entries(fieldVersions).filter(([, version]) => Number.isInteger(version) && version >= 0));
+    const previousSocket = typeof previousSocketId === 'string' ? previousSocketId : null;
+
+    try {
+      const { rows: formRows } = await pool.query(`SELECT id, fields, mode, version FROM forms WHERE id = $1;`, [formId]);
+      const form = formRows[0];
+      if (!form || form.mode === 'individual') {
+        respond({ success: false, error: 'Form not found or without a shared response.' });
+        return;
+      }
+      // Writes based on an older structure would be refused, so the client gets the current one first
+      if (formVersion !== undefined && formVersion !== form.version) {
+        socket.emit('formStructureUpdated', { fields: form.fields, version: form.version });
+      }
+
+      const { rows } = await pool.query(
+        `SELECT data, field_versions, status, finalized_by, finalized_at FROM form_responses WHERE form_id = $1;`,
+        [formId]
+      );
+      const response = rows[0] || { data: {}, field_versions: {}, status: 'open', finalized_by: null, finalized_at: null };
+      const data = response.data || {};
+      const serverVersions = response.field_versions || {};
+      const changedFieldIds = form.fields
+        .filter(field => !formRules.isLayoutField(field) && (serverVersions[field.id] || 0) !== (knownVersions[field.id] || 0))
+        .map(field => field.id);
+
+      // Who wrote the changes the client missed; a field without logged changes counts as changed by others
+      const { rows: writerRows } = await pool.query(`
+        SELECT field_id, bool_or(user_id IS DISTINCT FROM $3 OR socket_id IS DISTINCT FROM $4) AS changed_by_others
+        FROM form_response_changes
+        WHERE form_id = $1 AND field_id = ANY($5::text[]) AND field_version > COALESCE(($2::jsonb->>field_id)::int, 0)
+        GROUP BY field_id;
+      `, [formId, JSON.stringify(knownVersions), session.userId, previousSocket, changedFieldIds]);
+      const changedByOthers = new Map(writerRows.map(row => [row.field_id, row.changed_by_others]));
+
+      respond({
+        success: true,
+        changes: changedFieldIds.map(fieldId => ({
+          fieldId,
+          value: data[fieldId] === undefined ? null : data[fieldId],
+          version: serverVersions[fieldId] || 0,
+          changedByOthers: !previousSocket || changedByOthers.get(fieldId) !== false
+        })),
+        formVersion: form.version,
+        status: response.status || 'open',
+        finalizedBy: response.finalized_by,
+        finalizedAt: response.finalized_at
+      });
+      console.log(`🔁 Socket ${socket.id} resynced form ${formId}: ${changedFieldIds.length} field(s) changed`);
+    } catch (error) {
+      console.error('Error resyncing response:', error);
+      respond({ success: false, error: 'Failed to resync the response.' });
+    }
+  });
+
+  // Event: A field's value is updated by a user
+  // Clients send the field version they last saw as expectedVersion; stale writes are rejected with a 'conflict' event.
+  // The optional acknowledgement callback receives { success, version } or { success: false, conflict: true },
+  // or { success: false, errors } when the value breaks the field's validation rules.
+  socket.on('updateField', async ({ formId, fieldId, value, expectedVersion, formVersion } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    // --- Authorization check: Only users who joined the form can edit it ---
+    if (!session) {
+      respond({ success: false, error: 'Join the form before editing it.' });
+      return;
+    }
+    const { userId, userName } = session;
+    try {
+      const formQuery = `SELECT id, title, code, fields, is_active, mode, version FROM forms WHERE id = $1;`;
+      const { rows: formRows } = await pool.query(formQuery, [formId]);
+      const form = formRows[0];
+
+      // --- Validation: Check if form exists or is active before updating a field ---
+      if (!form || !form.is_active) {
+        socket.emit('error', { message: 'Form not found or inactive. Cannot update.' });
+        return;
+      }
+
+      // --- Validation: Individual-mode forms have no shared response to edit ---
+      if (form.mode === 'individual') {
+        socket.emit('error', { message: 'This form collects individual submissions and has no shared response.' });
+        respond({ success: false, error: 'This form collects individual submissions.' });
+        return;
+      }
+
+      if (rejectStaleFormVersion(socket, form, formVersion, respond)) return;
+
+      const field = form.fields.find(f => f.id === fieldId);
+      // --- Validation: Check if the field exists in the form's definition (layout fields hold no value) ---
+      if (!field || formRules.isLayoutField(field)) {
+        socket.emit('error', { message: 'Field not found in form definition.' });
+        respond({ success: false, error: 'Field not found in form definition.' });
+        return;
+      }
+
+      // --- Validation: Every update must say which field version it was based on ---
+      if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+        socket.emit('error', { message: 'expectedVersion is required to update a field.' });
+        respond({ success: false, error: 'expectedVersion is required to update a field.' });
+        return;
+      }
+
+      // --- Validation: Group rows are changed one operation at a time through 'updateGroup' ---
+      if (field.type === 'group') {
+        socket.emit('error', { message: 'Group fields are edited through updateGroup.' });
+        respond({ success: false, error: 'Group fields are edited through updateGroup.' });
+        return;
+      }
+
+      // --- Validation: Files are attached through the upload endpoint; over the socket they can only be cleared ---
+      if (field.type === 'file' && !formRules.isEmptyValue(field, value)) {
+        socket.emit('error', { message: 'Files must be uploaded through the upload endpoint.' });
+        respond({ success: false, error: 'Files must be uploaded through the upload endpoint.' });
+        return;
+      }
+
+      // --- Validation: The value must satisfy the field's rules ---
+      // An empty value is still accepted for a required field so collaborators can clear and retype a draft;
+      // required fields are enforced when the response is finalized.
+      const { value: sanitizedValue, errors } = formRules.validateFieldValue(field, value);
+      const blockingErrors = errors.filter(error => error.code !== 'required');
+      if (blockingErrors.length > 0) {
+        socket.emit('validationError', { fieldId, errors: blockingErrors });
+        respond({ success: false, errors: blockingErrors });
+        return;
+      }
+
+      // --- Lock check: only the lock owner may write to a locked field ---
+      const lock = await getActiveLock(formId, fieldId);
+      if (lock && lock.userId !== userId) {
+        socket.emit('fieldLockRejected', { fieldId, lockedBy: lock.userName, userId: lock.userId });
+        respond({ success: false, locked: true, lockedBy: lock.userName });
+        return;
+      }
+      if (lock) await presenceStore.renewLock(formId, fieldId, Date.now() + FIELD_LOCK_TTL_MS); // Writing counts as activity
+
+      // Write only this field's key (plus its version and the contributor list) in one transaction,
+      // so concurrent updates to other fields of the same response are never overwritten.
+      const result = await withTransaction(client => applyFieldUpdate(client, {
+        formId,
+        fieldId,
+        value: sanitizedValue,
+        userName,
+        expectedVersion,
+        userId,
+        socketId: socket.id
+      }));
+
+      if (!result.applied && result.finalized) {
+        socket.emit('error', { message: 'This response has been finalized and is read-only.' });
+        respond({ success: false, finalized: true });
+        return;
+      }
+      if (!result.applied) {
+        emitConflict(socket, { fieldId, fieldLabel: field.label, currentValue: result.currentValue, currentVersion: result.currentVersion, yourValue: sanitizedValue });
+        respond({ success: false, conflict: true });
+        return;
+      }
+      const newVersion = result.version;
+      
+      // Other collaborators get the broadcast; the sender is answered through the acknowledgement
+      socket.to(`form-${formId}`).emit('fieldUpdated', {
+        fieldId,
+        fieldLabel: field.label, 
+        value: sanitizedValue,
+        version: newVersion,
+        updatedBy: userName,
+        timestamp: result.lastUpdated
+      });
+      respond({ success: true, fieldId, value: sanitizedValue, version: newVersion, timestamp: result.lastUpdated, changeId: result.changeId });
+
+      console.log(`📝 Field "${field.label}" (${fieldId}) updated in form "${form.title}" by ${userName} (v${newVersion})`);
+    } catch (error) {
+      console.error('Error updating field via socket:', error);
+      socket.emit('error', { message: 'Failed to update field.' });
+      respond({ success: false, error: 'Failed to update field.' });
+    }
+  });
+
+  // Event: A collaborator undoes their own edits to a field, or redoes what they undid
+  // firstChangeId..lastChangeId name a run of the user's consecutive changes to the field (from updateField acks,
+  // or the changeId of an earlier undo/redo ack); direction is 'undo' or 'redo'. If someone else changed the
+  // field since, nothing is written and the usual 'conflict' event lets the user decide.
+  socket.on('revertEdit', async ({ formId, fieldId, firstChangeId, lastChangeId, direction, formVersion } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) {
+      respond({ success: false, error: 'Join the form before editing it.' });
+      return;
+    }
+    const { userId, userName } = session;
+    try {
+      const { rows: formRows } = await pool.query(`SELECT id, title, fields, is_active, mode, version FROM forms WHERE id = $1;`, [formId]);
+      const form = formRows[0];
+
+      // --- Validation: Check the form, the field and the request ---
+      if (!form || !form.is_active || form.mode === 'individual') {
+        respond({ success: false, error: 'Form not found, inactive or without a shared response.' });
+        return;
+      }
+      if (rejectStaleFormVersion(socket, form, formVersion, respond)) return;
+      const field = form.fields.find(f => f.id === fieldId);
+      if (!field || formRules.isLayoutField(field)) {
+        respond({ success: false, error: 'Field not found in form definition.' });
+        return;
+      }
+      // Change IDs are positive bigints, and a run starts at or before its last change
+      const validRun = Number.isSafeInteger(firstChangeId) && Number.isSafeInteger(lastChangeId) && firstChangeId > 0 && lastChangeId >= firstChangeId;
+      if (!['undo', 'redo'].includes(direction) || !validRun) {
+        respond({ success: false, error: 'direction must be undo or redo, with firstChangeId and lastChangeId.' });
+        return;
+      }
+
+      // --- Lock check: only the lock owner may write to a locked field ---
+      const lock = await getActiveLock(formId, fieldId);
+      if (lock && lock.userId !== userId) {
+        socket.emit('fieldLockRejected', { fieldId, lockedBy: lock.userName, userId: lock.userId });
+        respond({ success: false, locked: true, lockedBy: lock.userName });
+        return;
+      }
+
+      const result = await withTransaction(client => revertOwnEdit(client, {
+        formId, field, firstChangeId, lastChangeId, userId, userName, socketId: socket.id, direction
+      }));
+
+      if (result.notFound || result.notOwn) {
+        respond({ success: false, error: result.notOwn ? 'Only your own edits can be undone.' : 'That change no longer exists.' });
+        return;
+      }
+      if (result.errors) {
+        respond({ success: false, errors: result.errors, error: 'The earlier value no longer fits the field\'s rules.' });
+        return;
+      }
+      if (!result.applied && result.finalized) {
+        respond({ success: false, finalized: true, error: 'This response has been finalized and is read-only.' });
+        return;
+      }
+      if (!result.applied) {
+        emitConflict(socket, { fieldId, fieldLabel: field.label, currentValue: result.currentValue, currentVersion: result.currentVersion, yourValue: result.value ?? null });
+        respond({ success: false, conflict: true });
+        return;
+      }
+
+      socket.to(`form-${formId}`).emit('fieldUpdated', {
+        fieldId,
+        fieldLabel: field.label,
+        value: result.value,
+        version: result.version,
+        updatedBy: userName,
+        timestamp: result.lastUpdated
+      });
+      respond({ success: true, fieldId, value: result.value, version: result.version, timestamp: result.lastUpdated, changeId: result.changeId });
+      console.log(`↩️ ${direction} of field "${field.label}" (${fieldId}) in form "${form.title}" by ${userName} (v${result.version})`);
+    } catch (error) {
+      console.error('Error reverting edit via socket:', error);
+      respond({ success: false, error: 'Failed to revert the edit.' });
+    }
+  });
+
+  // Event: A collaborator types in a text or textarea field
+  // ops is a text operation (see textOps.mjs) made on the field's text at version `revision`, the last version the
+  // client saw. Text fields are not locked: operations written since are transformed into it, so everyone can type
+  // at once. Others receive 'textOp' with the transformed ops; the acknowledgement receives { success, revision, changeId },
+  // or { success: false, resync: true, value, revision } when the client has to start over from the stored text.
+  socket.on('textOp', ({ formId, fieldId, revision, ops, formVersion } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) {
+      respond({ success: false, error: 'Join the form before editing it.' });
+      return;
+    }
+    const { userId, userName } = session;
+    return enqueueTextOperation(`${formId}:${fieldId}`, async () => {
+      try {
+        const { rows: formRows } = await pool.query(`SELECT id, title, fields, is_active, mode, version FROM forms WHERE id = $1;`, [formId]);
+        const form = formRows[0];
+
+        // --- Validation: Check the form, the field and the operation ---
+        if (!form || !form.is_active || form.mode === 'individual') {
+          respond({ success: false, error: 'Form not found, inactive or without a shared response.' });
+          return;
+        }
+        if (rejectStaleFormVersion(socket, form, formVersion, respond)) return;
+        const field = form.fields.find(f => f.id === fieldId);
+        if (!field || !textOps.isCollaborativeText(field)) {
+          respond({ success: false, error: 'Only text and textarea fields are edited with text operations.' });
+          return;
+        }
+        if (!Number.isInteger(revision) || revision < 0 || !textOps.isValidOperation(ops)) {
+          respond({ success: false, error: 'A revision and a valid text operation are required.' });
+          return;
+        }
+
+        const result = await withTransaction(client => applyTextOperation(client, {
+          formId, field, revision, ops, userId, userName, socketId: socket.id
+        }));
+
+        if (result.finalized) {
+          respond({ success: false, finalized: true, error: 'This response has been finalized and is read-only.' });
+          return;
+        }
+        if (!result.applied) {
+          respond({
+            success: false,
+            resync: true,
+            value: result.currentValue,
+            revision: result.currentVersion,
+            errors: result.errors,
+            error: result.errors ? 'This edit breaks the field\'s rules.' : 'Your copy of this field was out of date and has been reloaded.'
+          });
+          return;
+        }
+
+        socket.to(`form-${formId}`).emit('textOp', {
+          fieldId,
+          ops: result.ops,
+          revision: result.version,
+          userId,
+          userName,
+          socketId: socket.id,
+          timestamp: result.lastUpdated
+        });
+        respond({ success: true, fieldId, revision: result.version, timestamp: result.lastUpdated, changeId: result.changeId });
+      } catch (error) {
+        console.error('Error applying text operation via socket:', error);
+        respond({ success: false, error: 'Failed to apply the edit.' });
+      }
+    });
+  });
+
+  // Event: A collaborator's caret or selection in a text field moved
+  // selection is { start, end } or null when they left the field. Others draw it inside the field;
+  // selections of sockets that leave the form are dropped by the clients.
+  socket.on('textSelection', ({ formId, fieldId, selection } = {}) => {
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session || typeof fieldId !== 'string') return; // Only users who joined the form have a caret to show
+    const valid = selection && Number.isInteger(selection.start) && Number.isInteger(selection.end) && selection.start >= 0 && selection.end >= selection.start;
+    socket.to(`form-${formId}`).emit('textSelection', {
+      fieldId,
+      socketId: socket.id,
+      userId: session.userId,
+      userName: session.userName,
+      selection: valid ? { start: selection.start, end: selection.end } : null
+    });
+  });
+
+  // Event: A collaborator adds, removes, moves or edits a row of a group (repeating) field
+  // action is 'addRow', 'removeRow', 'moveRow' (with toIndex) or 'updateCell' (with childId and value).
+  // Rows are changed one operation at a time on the latest stored rows, so no expectedVersion is needed;
+  // rows locked by another collaborator cannot be edited or removed.
+  // The optional acknowledgement callback receives { success, value, version, rowId } or { success: false, error, errors }.
+  socket.on('updateGroup', async ({ formId, fieldId, action, rowId, toIndex, childId, value, formVersion } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) {
+      respond({ success: false, error: 'Join the form before editing it.' });
+      return;
+    }
+    const { userId, userName } = session;
+    try {
+      const { rows: formRows } = await pool.query(`SELECT id, title, fields, is_active, mode, version FROM forms WHERE id = $1;`, [formId]);
+      const form = formRows[0];
+
+      // --- Validation: Check if the form exists, is active and has a shared response ---
+      if (!form || !form.is_active) {
+        respond({ success: false, error: 'Form not found or inactive.' });
+        return;
+      }
+      if (form.mode === 'individual') {
+        respond({ success: false, error: 'This form collects individual submissions.' });
+        return;
+      }
+      if (rejectStaleFormVersion(socket, form, formVersion, respond)) return;
+      const field = form.fields.find(f => f.id === fieldId);
+      if (!field || field.type !== 'group') {
+        respond({ success: false, error: 'Group field not found in form definition.' });
+        return;
+      }
+      if (!formRules.GROUP_ACTIONS.includes(action)) {
+        respond({ success: false, error: 'Unknown group action.' });
+        return;
+      }
+
+      // --- Lock check: only the row's lock owner may edit or remove a locked row ---
+      if (action === 'updateCell' || action === 'removeRow') {
+        const lock = await getActiveLock(formId, fieldId, rowId);
+        if (lock && lock.userId !== userId) {
+          socket.emit('fieldLockRejected', { fieldId, rowId, lockedBy: lock.userName, userId: lock.userId });
+          respond({ success: false, locked: true, lockedBy: lock.userName });
+          return;
+        }
+        if (lock) await presenceStore.renewLock(formId, lockKey(fieldId, rowId), Date.now() + FIELD_LOCK_TTL_MS); // Writing counts as activity
+      }
+
+      const newRowId = uuidv4();
+      const result = await withTransaction(client => applyGroupChange(client, {
+        formId,
+        fieldId,
+        userId,
+        userName,
+        socketId: socket.id,
+        change: rows => formRules.applyGroupAction(field, rows, { action, rowId, toIndex, childId, value, newRowId })
+      }));
+
+      if (!result.applied && result.finalized) {
+        socket.emit('error', { message: 'This response has been finalized and is read-only.' });
+        respond({ success: false, finalized: true });
+        return;
+      }
+      if (!result.applied) {
+        if (result.errors) socket.emit('validationError', { fieldId, errors: result.errors });
+        respond({ success: false, error: result.error || 'Failed to update group.', errors: result.errors || [] });
+        return;
+      }
+
+      // A removed row can no longer be edited, so its lock goes with it
+      if (action === 'removeRow' && await getActiveLock(formId, fieldId, rowId)) {
+        await presenceStore.removeLock(formId, lockKey(fieldId, rowId));
+        io.to(`form-${formId}`).emit('fieldUnlocked', { fieldId, rowId, userId });
+      }
+
+      const changedRowId = action === 'addRow' ? newRowId : rowId;
+      socket.to(`form-${formId}`).emit('fieldUpdated', {
+        fieldId,
+        fieldLabel: field.label,
+        value: result.rows,
+        version: result.version,
+        updatedBy: userName,
+        timestamp: result.lastUpdated,
+        action,
+        rowId: changedRowId
+      });
+      respond({ success: true, fieldId, value: result.rows, version: result.version, timestamp: result.lastUpdated, rowId: changedRowId });
+
+      console.log(`📝 Group "${field.label}" (${fieldId}): ${action} by ${userName} in form "${form.title}" (v${result.version})`);
+    } catch (error) {
+      console.error('Error updating group via socket:', error);
+      respond({ success: false, error: 'Failed to update group.' });
+    }
+  });
+
+  // Event: A collaborator finalizes the shared response
+  // The optional acknowledgement callback receives { success } or { success: false, error, missingFields, errors }.
+  socket.on('finalizeResponse', async ({ formId } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) {
+      respond({ success: false, error: 'Join the form before finalizing it.' });
+      return;
+    }
+    const { userName } = session;
+    try {
+      const { rows } = await pool.query(`SELECT id, title, fields, is_active, mode FROM forms WHERE id = $1;`, [formId]);
+      const form = rows[0];
+
+      // --- Validation: Check if form exists, is active and has a shared response ---
+      if (!form || !form.is_active) {
+        respond({ success: false, error: 'Form not found or inactive.' });
+        return;
+      }
+      if (form.mode === 'individual') {
+        respond({ success: false, error: 'Individual-mode forms have no shared response to finalize.' });
+        return;
+      }
+
+      const result = await finalizeResponse(form, userName);
+      if (!result.finalized) {
+        respond({ success: false, error: result.reason, missingFields: result.missingFields || [], errors: result.errors || {} });
+        return;
+      }
+
+      await presenceStore.removeLocks({ formId });
+      io.to(`form-${formId}`).emit('responseFinalized', { finalizedBy: result.finalizedBy, finalizedAt: result.finalizedAt });
+      respond({ success: true });
+      console.log(`🏁 Response of form "${form.title}" finalized by ${userName}`);
+    } catch (error) {
+      console.error('Error finalizing response via socket:', error);
+      respond({ success: false, error: 'Failed to finalize response.' });
+    }
+  });
+
+  // Event: A user starts editing a field and asks for its lock
+  // For group fields the lock is per row: the client sends the rowId it is editing, and every lock event echoes it.
+  // Locks belong to the user ID of the session, so two people with the same name never share one.
+  socket.on('lockField', async ({ formId, fieldId, rowId = null } = {}) => {
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session || !isLockTarget(fieldId, rowId)) return;
+    const { userId, userName } = session;
+    try {
+      const { acquired, lock } = await acquireFieldLock(formId, fieldId, { userId, userName, socketId: socket.id }, rowId);
+      if (!acquired) {
+        // Without a lock to report the key was contested; the client's heartbeat asks again
+        if (lock) socket.emit('lockDenied', { fieldId, rowId, lockedBy: lock.userName, userId: lock.userId });
+        return;
+      }
+      socket.to(`form-${formId}`).emit('fieldLocked', { fieldId, rowId, lockedBy: userName, userId });
+    } catch (error) {
+      console.error('Error locking field:', error);
+    }
+  });
+
+  // Event: The lock owner is still editing; keeps the lock from expiring (re-acquires it if it already has)
+  socket.on('lockHeartbeat', async ({ formId, fieldId, rowId = null } = {}) => {
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session || !isLockTarget(fieldId, rowId)) return;
+    const { userId, userName } = session;
+    try {
+      const hadLock = (await getActiveLock(formId, fieldId, rowId))?.userId === userId;
+      const { acquired, lock } = await acquireFieldLock(formId, fieldId, { userId, userName, socketId: socket.id }, rowId);
+      if (!acquired) {
+        if (lock) socket.emit('lockDenied', { fieldId, rowId, lockedBy: lock.userName, userId: lock.userId });
+      } else if (!hadLock) {
+        socket.to(`form-${formId}`).emit('fieldLocked', { fieldId, rowId, lockedBy: userName, userId });
+      }
+    } catch (error) {
+      console.error('Error renewing field lock:', error);
+    }
+  });
+
+  socket.on('unlockField', async ({ formId, fieldId, rowId = null } = {}) => {
+    const userId = activeSessions.get(formId)?.get(socket.id)?.userId;
+    if (!userId || !isLockTarget(fieldId, rowId)) return;
+    try {
+      // --- Validation: Only the lock owner can release it ---
+      const lock = await getActiveLock(formId, fieldId, rowId);
+      if (lock && lock.userId !== userId) return;
+
+      await presenceStore.removeLock(formId, lockKey(fieldId, rowId));
+      socket.to(`form-${formId}`).emit('fieldUnlocked', { fieldId, rowId, userId });
+    } catch (error) {
+      console.error('Error unlocking field:', error);
+    }
+  });
+
+  // Event: A collaborator opens the history sidebar
+  // Only users who joined the form can read its history; socket IDs stay admin-only.
+  // The acknowledgement receives { success, changes } (newest first) or { success: false, error }.
+  socket.on('getHistory', async ({ formId, fieldId = null, before = null } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    if (!activeSessions.get(formId)?.has(socket.id)) {
+      respond({ success: false, error: 'Join the form to see its history.' });
+      return;
+    }
+    try {
+      const { rows } = await pool.query(`SELECT fields FROM forms WHERE id = $1;`, [formId]);
+      const labels = new Map((rows[0]?.fields || []).map(field => [field.id, field.label]));
+      const changes = await listResponseChanges(formId, {
+        fieldId: typeof fieldId === 'string' ? fieldId : null,
+        before: Number.isSafeInteger(before) ? before : null,
+        limit: 50
+      });
+      respond({
+        success: true,
+        changes: changes.map(({ socketId, ...change }) => ({ ...change, fieldLabel: labels.get(change.fieldId) || null })),
+        nextBefore: changes.length === 50 ? changes[changes.length - 1].id : null
+      });
+    } catch (error) {
+      console.error('Error reading history via socket:', error);
+      respond({ success: false, error: 'Failed to retrieve history.' });
+    }
+  });
+
+  // Event: A collaborator comments on a field, or replies to one of its threads (parentId)
+  // The author is taken from the user's session. mentions lists the userIds named with @; only collaborators who are
+  // in the form are kept, and they also receive 'commentMention'. The others in the room receive 'commentAdded';
+  // the acknowledgement receives { success, comment } or { success: false, error }.
+  socket.on('addComment', async ({ formId, fieldId, parentId = null, body, mentions = [] } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) {
+      respond({ success: false, error: 'Join the form to comment on it.' });
+      return;
+    }
+    try {
+      const { rows: formRows } = await pool.query(`SELECT title, fields FROM forms WHERE id = $1;`, [formId]);
+      const field = formRows[0]?.fields.find(f => f.id === fieldId);
+
+      // --- Validation: Comments belong to a field that holds an answer ---
+      if (!field || formRules.isLayoutField(field)) {
+        respond({ success: false, error: 'Field not found in form definition.' });
+        return;
+      }
+      // --- Validation: Check the text and the thread replied to ---
+      const text = typeof body === 'string' ? body.trim() : '';
+      if (!text || text.length > COMMENT_MAX_LENGTH) {
+        respond({ success: false, error: `Comments must be 1 to ${COMMENT_MAX_LENGTH} characters long.` });
+        return;
+      }
+      if (parentId !== null) {
+        const { rows: parentRows } = Number.isSafeInteger(parentId)
+          ? await pool.query(`SELECT field_id, parent_id FROM form_comments WHERE id = $1 AND form_id = $2;`, [parentId, formId])
+          : { rows: [] };
+        if (!parentRows[0] || parentRows[0].field_id !== fieldId || parentRows[0].parent_id !== null) {
+          respond({ success: false, error: 'Replies must answer a thread on the same field.' });
+          return;
+        }
+      }
+
+      // Only collaborators who are in the form (on any instance) can be mentioned, each once, and not the author
+      const sessions = await presenceStore.listSessions(formId);
+      const mentionedIds = Array.isArray(mentions) ? mentions.filter(userId => typeof userId === 'string') : [];
+      const mentioned = new Map(sessions
+        .filter(other => mentionedIds.includes(other.userId) && other.userId !== session.userId)
+        .map(other => [other.userId, { userId: other.userId, userName: other.userName }]));
+
+      const { rows } = await pool.query(`
+        INSERT INTO form_comments (form_id, field_id, parent_id, author_id, author_name, body, mentions)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *;
+      `, [formId, fieldId, parentId, session.userId, session.userName, text, JSON.stringify([...mentioned.values()])]);
+      const comment = formatComment(rows[0]);
+
+      socket.to(`form-${formId}`).emit('commentAdded', { comment });
+      sessions
+        .filter(other => mentioned.has(other.userId))
+        .forEach(other => io.to(other.socketId).emit('commentMention', { comment, fieldLabel: field.label }));
+      respond({ success: true, comment });
+      console.log(`💬 ${session.userName} commented on field "${field.label}" (${fieldId}) in form "${formRows[0].title}"`);
+    } catch (error) {
+      console.error('Error adding comment via socket:', error);
+      respond({ success: false, error: 'Failed to add the comment.' });
+    }
+  });
+
+  // Event: A collaborator assigns a field or section to a participant, or removes its assignee (empty assigneeName)
+  // assigneeId is the participant's userId when they were picked from the users in the form.
+  // Everyone in the room (the sender included) receives 'assignmentUpdated'; the acknowledgement receives { success, assignment }.
+  socket.on('assignField', async ({ formId, fieldId, assigneeName, assigneeId } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) {
+      respond({ success: false, error: 'Join the form to assign its fields.' });
+      return;
+    }
+    try {
+      const { rows } = await pool.query(`SELECT id, mode, fields FROM forms WHERE id = $1;`, [formId]);
+      if (!rows[0]) {
+        respond({ success: false, error: 'Form not found.' });
+        return;
+      }
+      const result = await setFieldAssignment(rows[0], fieldId, { assigneeName, assigneeId }, session.userName);
+      respond(result.error ? { success: false, error: result.error } : { success: true, assignment: result.assignment });
+    } catch (error) {
+      console.error('Error assigning field via socket:', error);
+      respond({ success: false, error: 'Failed to update the assignment.' });
+    }
+  });
+
+  // Event: A collaborator resolves a thread, or reopens it (resolved false)
+  // The others in the room receive 'commentUpdated' with the thread's top-level comment;
+  // the acknowledgement receives { success, comment } or { success: false, error }.
+  socket.on('resolveComment', async ({ formId, commentId, resolved } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) {
+      respond({ success: false, error: 'Join the form to resolve comments.' });
+      return;
+    }
+    if (!Number.isSafeInteger(commentId) || typeof resolved !== 'boolean') {
+      respond({ success: false, error: 'commentId and resolved (true or false) are required.' });
+      return;
+    }
+    try {
+      const { rows } = await pool.query(`
+        UPDATE form_comments
+        SET resolved_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP END,
+            resolved_by = CASE WHEN $3 THEN $4 END
+        WHERE id = $1 AND form_id = $2 AND parent_id IS NULL
+        RETURNING *;
+      `, [commentId, formId, resolved, session.userName]);
+      if (!rows[0]) {
+        respond({ success: false, error: 'Thread not found. Replies are resolved with their thread.' });
+        return;
+      }
+      const comment = formatComment(rows[0]);
+      socket.to(`form-${formId}`).emit('commentUpdated', { comment });
+      respond({ success: true, comment });
+    } catch (error) {
+      console.error('Error resolving comment via socket:', error);
+      respond({ success: false, error: 'Failed to update the thread.' });
+    }
+  });
+
+  // Event: A collaborator moved to another page of a multi-page form
+  // Everyone gets the updated active user list, so collaborators can see who works on which page.
+  socket.on('changePage', async ({ formId, page } = {}) => {
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session) return; // Only users who joined the form have a presence to update
+    session.page = Number.isInteger(page) && page >= 0 ? page : 0;
+    session.pageChangedAt = Date.now();
+    try {
+      await presenceStore.updateSession(formId, socket.id, { page: session.page, pageChangedAt: session.pageChangedAt });
+      io.to(`form-${formId}`).emit('activeUsers', { activeUsers: await listPresence(formId) });
+    } catch (error) {
+      console.error('Error updating page presence:', error);
+    }
+  });
+
+  socket.on('userTyping', ({ formId, fieldId, isTyping } = {}) => {
+    const session = activeSessions.get(formId)?.get(socket.id);
+    if (!session || typeof fieldId !== 'string') return;
+    socket.to(`form-${formId}`).emit('userTypingUpdate', { fieldId, userId: session.userId, userName: session.userName, isTyping: isTyping === true });
+  });
+
+  // Event: A user navigates away from a form without closing the connection
+  // The socket may stay in other forms it joined; only this form's session, room and locks are dropped.
+  socket.on('leaveForm', async ({ formId } = {}) => {
+    try {
+      await leaveFormRoom(socket, formId);
+    } catch (error) {
+      console.error('Error leaving form:', error);
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    console.log('❌ Disconnected:', socket.id);
+    try {
+      // A socket can be in several forms at once (e.g. an admin who opened one form after another)
+      for (const [formId, sessions] of [...activeSessions.entries()]) {
+        if (sessions.has(socket.id)) await leaveFormRoom(socket, formId);
+      }
+      await releaseLocksForSocket(socket.id);
+    } catch (error) {
+      console.error('Error cleaning up after disconnect:', error);
+    }
+  });
+});
+
+// Expire locks whose owner went silent (no heartbeat) without disconnecting
+// With a shared presence store, each expired lock is removed (and announced) by exactly one instance.
+setInterval(async () => {
+  try {
+    for (const lock of await presenceStore.removeExpiredLocks()) {
+      io.to(`form-${lock.formId}`).emit('fieldUnlocked', { fieldId: lock.fieldId, rowId: lock.rowId, userId: lock.userId, expired: true });
+      console.log(`⏱️ Lock on ${lockKey(lock.fieldId, lock.rowId)} held by ${lock.userName} expired`);
+    }
+  } catch (error) {
+    console.error('Error expiring field locks:', error);
+  }
+}, FIELD_LOCK_SWEEP_INTERVAL_MS).unref();
+
+// Keep this instance's sessions alive in the presence store; forms that lost the sessions of an instance
+// that went away get the updated presence
+setInterval(async () => {
+  try {
+    for (const formId of await presenceStore.refresh()) {
+      io.to(`form-${formId}`).emit('activeUsers', { activeUsers: await listPresence(formId) });
+    }
+  } catch (error) {
+    console.error('Error refreshing presence:', error);
+  }
+}, PRESENCE_REFRESH_INTERVAL_MS).unref();
+
+// Remove files uploaded to individual forms that were never submitted (the respondent left or uploaded another file)
+// DELETE ... RETURNING hands each row to one instance, which then removes the stored file.
+setInterval(async () => {
+  try {
+    const { rows } = await pool.query(`
+      DELETE FROM form_files USING forms
+      WHERE form_files.form_id = forms.id AND forms.mode = 'individual' AND form_files.submission_id IS NULL
+        AND form_files.created_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 hour'
+      RETURNING form_files.storage_key;
+    `, [UNSUBMITTED_UPLOAD_TTL_HOURS]);
+    for (const file of rows) await fileStorage.remove(file.storage_key);
+    if (rows.length > 0) console.log(`🧹 Removed ${rows.length} uploaded files that no submission uses`);
+  } catch (error) {
+    console.error('Error removing unsubmitted uploads:', error);
+  }
+}, UNSUBMITTED_UPLOAD_SWEEP_INTERVAL_MS).unref();
+
+// ----------------------
+// 🚀 START SERVER
+// ----------------------
+const PORT = process.env.PORT || 3001;
+Promise.all([import('./formRules.mjs'), import('./textOps.mjs')])
+  .then(([rules, operations]) => {
+    formRules = rules;
+    textOps = operations;
+    server.listen(PORT, () => {
+      console.log(`✅ Collaborative Forms Server running at http://localhost:${PORT}`);
+      console.log(`📊 Server started at ${new Date().toISOString()}`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Failed to load shared modules:', error);
+    process.exit(1);
+  });
+
 // Graceful shutdown on SIGTERM (e.g., from process manager or Kubernetes)
 process.on('SIGTERM', () => {
   console.log('🔻 SIGTERM received. Gracefully shutting down...');
@@ -796,14 +4068,16 @@ app.get('/health', async (req, res) => {
     const { rows: formCountRows } = await pool.query('SELECT COUNT(*) FROM forms WHERE is_active = TRUE;');
     const activeFormsCount = parseInt(formCountRows[0].count, 10);
 
-    const totalActiveSessions = [...activeSessions.values()].reduce((sum, sessions) => sum + sessions.size, 0);
+    const totalActiveSessions = await presenceStore.countSessions(); // Of every instance
 
     res.json({ 
       status: 'healthy', 
       timestamp: new Date().toISOString(),
       dbStatus: dbStatus,
       persistedForms: activeFormsCount,
-      totalActiveSessions: totalActiveSessions
+      totalActiveSessions: totalActiveSessions,
+      socketAdapter: SOCKET_ADAPTER,
+      instanceId: INSTANCE_ID
     });
   } catch (error) {
     console.error('Error in health check while querying forms:', error);
@@ -0,0 +1,57 @@
+// test/concurrency.test.js
+// Writes to different fields of the shared response must never overwrite each other: each updateField only
+// touches its own key, field version and contributor entry inside one transaction.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, applySchema, startServer, registerAdmin, createForm, connect, emitWithAck, joinAsParticipant, DATABASE_SKIP_REASON } = require('./helpers');
+
+const SOCKET_COUNT = 12;
+const PORT = Number(process.env.TEST_PORT) || 4101;
+
+let server;
+const sockets = [];
+
+describe('concurrent writes', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    server = await startServer({ port: PORT });
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server?.stop();
+  });
+
+  test(`${SOCKET_COUNT} sockets writing different fields at the same moment all persist`, async () => {
+    const token = await registerAdmin(server.url);
+    const fields = Array.from({ length: SOCKET_COUNT }, (_, index) => ({ id: `field_${index}`, type: 'text', label: `Field ${index}` }));
+    const form = await createForm(server.url, token, fields);
+
+    for (let index = 0; index < SOCKET_COUNT; index++) {
+      const socket = await connect(server.url);
+      sockets.push(socket);
+      await joinAsParticipant(server.url, socket, form.id, `Writer ${index}`);
+    }
+
+    const acks = await Promise.all(sockets.map((socket, index) => emitWithAck(socket, 'updateField', {
+      formId: form.id,
+      fieldId: `field_${index}`,
+      value: `value ${index}`,
+      expectedVersion: 0,
+      formVersion: form.version
+    })));
+    acks.forEach((ack, index) => assert.equal(ack.success, true, `write to field_${index} failed: ${JSON.stringify(ack)}`));
+
+    const { rows } = await query(`SELECT data, field_versions, version FROM form_responses WHERE form_id = $1;`, [form.id]);
+    const [response] = rows;
+    for (let index = 0; index < SOCKET_COUNT; index++) {
+      assert.equal(response.data[`field_${index}`], `value ${index}`, `field_${index} lost its value`);
+      assert.equal(response.field_versions[`field_${index}`], 1, `field_${index} lost its version`);
+    }
+    assert.equal(response.version, SOCKET_COUNT);
+
+    const { rows: changes } = await query(`SELECT COUNT(*)::int AS count FROM form_response_changes WHERE form_id = $1;`, [form.id]);
+    assert.equal(changes[0].count, SOCKET_COUNT);
+  });
+});
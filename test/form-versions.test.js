@@ -0,0 +1,93 @@
+// test/form-versions.test.js
+// A field added to a form with a default value gets it in the shared response like any other write: with a field
+// version, a new response version, a change-log entry and a broadcast.
+// Field settings are checked before a form's fields are saved.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, applySchema, startServer, api, registerAdmin, createForm, connect, emitWithAck, joinAsParticipant, waitForEvent, DATABASE_SKIP_REASON } = require('./helpers');
+
+const PORT = (Number(process.env.TEST_PORT) || 4101) + 3; // Next to the servers of the other test files
+
+let server;
+let socket;
+
+describe('form versions', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    server = await startServer({ port: PORT });
+  });
+
+  after(async () => {
+    socket?.disconnect();
+    await server?.stop();
+  });
+
+  test('the default value of a new field is versioned, logged and broadcast', async () => {
+    const token = await registerAdmin(server.url);
+    const fields = [{ id: 'name', type: 'text', label: 'Name' }];
+    const form = await createForm(server.url, token, fields);
+    socket = await connect(server.url);
+    await joinAsParticipant(server.url, socket, form.id, 'Writer');
+    const written = await emitWithAck(socket, 'updateField', { formId: form.id, fieldId: 'name', value: 'Ada', expectedVersion: 0, formVersion: form.version });
+    assert.equal(written.success, true);
+
+    const saved = await api(server.url, `/api/forms/${form.id}/fields`, {
+      method: 'PUT',
+      token,
+      body: { fields: [...fields, { id: 'country', type: 'text', label: 'Country', defaultValue: 'Norway' }], expectedVersion: form.version }
+    });
+    assert.equal(saved.success, true);
+
+    const update = await waitForEvent(socket, 'fieldUpdated', payload => payload.fieldId === 'country');
+    assert.deepEqual({ value: update.value, version: update.version }, { value: 'Norway', version: 1 });
+
+    const { rows } = await query(`SELECT data, field_versions, version FROM form_responses WHERE form_id = $1;`, [form.id]);
+    assert.equal(rows[0].data.country, 'Norway');
+    assert.equal(rows[0].field_versions.country, 1);
+    assert.equal(rows[0].version, 2);
+    const { rows: changes } = await query(`SELECT new_value FROM form_response_changes WHERE form_id = $1 AND field_id = 'country' AND change_type = 'default';`, [form.id]);
+    assert.deepEqual(changes.map(change => change.new_value), ['Norway']);
+  });
+
+  test('minLength must be a whole number between 0 and maxLength', async () => {
+    const token = await registerAdmin(server.url);
+    for (const field of [{ minLength: -1 }, { minLength: 1.5 }, { minLength: 6, maxLength: 5 }, { minLength: 2, type: 'number' }]) {
+      const created = await api(server.url, '/api/forms', { method: 'POST', token, body: { title: 'Lengths', fields: [{ id: 'name', type: 'text', label: 'Name', ...field }] } });
+      assert.equal(created.status, 400, JSON.stringify(field));
+    }
+    assert.match(server.output(), /Invalid minLength/);
+    const created = await api(server.url, '/api/forms', { method: 'POST', token, body: { title: 'Lengths', fields: [{ id: 'name', type: 'text', label: 'Name', minLength: 5, maxLength: 5 }] } });
+    assert.equal(created.status, 201);
+  });
+
+  test('archiving and restoring an answer each bump the field version, so older text revisions still transform', async () => {
+    const token = await registerAdmin(server.url);
+    const fields = [{ id: 'name', type: 'text', label: 'Name' }, { id: 'city', type: 'text', label: 'City' }];
+    const form = await createForm(server.url, token, fields);
+    const writer = await connect(server.url);
+    await joinAsParticipant(server.url, writer, form.id, 'Writer');
+    const typed = await emitWithAck(writer, 'textOp', { formId: form.id, fieldId: 'name', ops: ['Ada'], revision: 0, formVersion: form.version });
+    writer.disconnect();
+    assert.equal(typed.revision, 1);
+
+    const save = async (nextFields, expectedVersion) => {
+      const saved = await api(server.url, `/api/forms/${form.id}/fields`, { method: 'PUT', token, body: { fields: nextFields, expectedVersion } });
+      assert.equal(saved.success, true);
+      return saved.form.version;
+    };
+    const withoutName = await save(fields.slice(1), form.version);
+    const formVersion = await save(fields, withoutName);
+
+    const { rows } = await query(`SELECT field_version, change_type FROM form_response_changes WHERE form_id = $1 AND field_id = 'name' ORDER BY id;`, [form.id]);
+    assert.deepEqual(rows.map(row => [row.field_version, row.change_type]), [[1, 'text'], [2, 'archive'], [3, 'unarchive']]);
+
+    // An edit made on the empty text is transformed against everything since instead of forcing a resync
+    const late = await connect(server.url);
+    await joinAsParticipant(server.url, late, form.id, 'Late');
+    const result = await emitWithAck(late, 'textOp', { formId: form.id, fieldId: 'name', ops: ['>'], revision: 0, formVersion });
+    late.disconnect();
+    assert.equal(result.success, true);
+    assert.equal(result.revision, 4);
+  });
+});
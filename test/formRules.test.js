@@ -0,0 +1,122 @@
+// test/formRules.test.js
+// Unit tests of the field rules shared by server and frontend (formRules.mjs); no server or database needed.
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let formRules;
+
+before(async () => {
+  formRules = await import('../formRules.mjs');
+});
+
+test('checkPattern refuses patterns that can take exponential or high polynomial time', () => {
+  const unsafe = {
+    '^(a+)+$': /contains \*, \+ or \{n,\}/,
+    '(a|a)+$': /alternatives/,
+    '(a|aa)+$': /alternatives/,
+    '(a?){25}': /match nothing/,
+    '(\\w{1,10}){1,10}!': /split up/,
+    '\\w*\\w*\\w*\\w*!': /three or more repeats/,
+    '(\\w*)(\\w*)(\\w*)!': /three or more repeats/,
+    '(a)\\1': /back-references/,
+    '(?<a>x)\\k<a>': /back-references/,
+    '[a-': /not a valid regular expression/,
+    ['a'.repeat(formRules.MAX_PATTERN_LENGTH + 1)]: /at most/
+  };
+  for (const [pattern, problem] of Object.entries(unsafe)) {
+    assert.match(formRules.checkPattern(pattern) || '', problem, pattern);
+  }
+});
+
+test('checkPattern accepts common patterns', () => {
+  const safe = [
+    '^[a-z0-9._%+-]+@[a-z0-9.-]+\\.[a-z]{2,}$',
+    '\\d{3}-\\d{3}-\\d{4}',
+    '(\\d{1,3}\\.){3}\\d{1,3}',
+    '[A-Z]{2}\\d{6}',
+    '(com|org|net)',
+    '\\d+(\\.\\d{1,2})?',
+    '.*@.*',
+    '(?<year>\\d{4})-\\d{2}',
+    '[(]+[)]+',
+    '\\\\1'
+  ];
+  for (const pattern of safe) assert.equal(formRules.checkPattern(pattern), null, pattern);
+});
+
+test('patterns are not matched against answers longer than MAX_PATTERN_INPUT_LENGTH', () => {
+  const field = { id: 'code', type: 'text', label: 'Code', pattern: 'a+' };
+  assert.deepEqual(formRules.validateFieldValue(field, 'a'.repeat(formRules.MAX_PATTERN_INPUT_LENGTH)).errors, []);
+  assert.deepEqual(formRules.validateFieldValue(field, 'a'.repeat(formRules.MAX_PATTERN_INPUT_LENGTH + 1)).errors.map(error => error.code), ['pattern']);
+});
+
+/**
+ * Validates a value and lists the codes of the rules it breaks.
+ * @param {object} field - The field definition (id and label are filled in).
+ * @param {*} value - The value to check.
+ * @param {object} [options] - Passed on to validateFieldValue.
+ * @returns {Array<string>} The error codes.
+ */
+function errorCodes(field, value, options) {
+  return formRules.validateFieldValue({ id: 'field', label: 'Field', ...field }, value, options).errors.map(error => error.code);
+}
+
+test('required fields need a value, unless the override says otherwise', () => {
+  assert.deepEqual(errorCodes({ type: 'text', required: true }, '  '), ['required']);
+  assert.deepEqual(errorCodes({ type: 'text', required: true }, 'x'), []);
+  assert.deepEqual(errorCodes({ type: 'text', required: true }, '', { required: false }), []);
+  assert.deepEqual(errorCodes({ type: 'checkbox', multiple: true, options: ['a'], required: true }, []), ['required']);
+  assert.deepEqual(errorCodes({ type: 'text' }, ''), []);
+});
+
+test('numbers are checked against min, max and step', () => {
+  const field = { type: 'number', min: 1, max: 10, step: 0.5 };
+  assert.deepEqual(errorCodes(field, 'ten'), ['type']);
+  assert.deepEqual(errorCodes(field, '0'), ['min']);
+  assert.deepEqual(errorCodes(field, '11'), ['max']);
+  assert.deepEqual(errorCodes(field, '2.25'), ['step']);
+  assert.deepEqual(errorCodes(field, '2.5'), []);
+});
+
+test('text is checked against minLength and maxLength', () => {
+  const field = { type: 'text', minLength: 3, maxLength: 5 };
+  assert.deepEqual(errorCodes(field, 'ab'), ['minLength']);
+  assert.deepEqual(errorCodes(field, 'abcdef'), ['maxLength']);
+  assert.deepEqual(errorCodes(field, 'abcd'), []);
+  assert.deepEqual(errorCodes({ type: 'textarea' }, 'a'.repeat(formRules.MAX_TEXT_LENGTH + 1)), ['maxLength']);
+});
+
+test('the whole value has to match the pattern', () => {
+  const field = { type: 'text', pattern: '[0-9]{4}', patternMessage: 'Four digits, please.' };
+  assert.deepEqual(errorCodes(field, '12345'), ['pattern']);
+  assert.deepEqual(errorCodes(field, '1234'), []);
+  assert.equal(formRules.validateFieldValue({ id: 'field', label: 'Field', ...field }, 'x').errors[0].message, 'Four digits, please.');
+  // A pattern that checkPattern refuses is not applied
+  assert.deepEqual(errorCodes({ type: 'text', pattern: '(a|aa)+' }, 'b'), []);
+});
+
+test('choices must be among the options', () => {
+  assert.deepEqual(errorCodes({ type: 'select', options: ['Yes', 'No'] }, 'Maybe'), ['option']);
+  assert.deepEqual(errorCodes({ type: 'radio', options: ['Yes', 'No'] }, 'No'), []);
+  assert.deepEqual(errorCodes({ type: 'checkbox', multiple: true, options: ['a', 'b'] }, ['a', 'c']), ['option']);
+  assert.deepEqual(errorCodes({ type: 'checkbox', multiple: true, options: ['a', 'b'] }, ['b']), []);
+});
+
+test('dates must be real calendar dates within the range', () => {
+  const field = { type: 'date', min: '2024-01-01', max: '2024-12-31' };
+  assert.deepEqual(errorCodes(field, '2024-02-30'), ['type']);
+  assert.deepEqual(errorCodes(field, '2023-12-31'), ['min']);
+  assert.deepEqual(errorCodes(field, '2025-01-01'), ['max']);
+  assert.deepEqual(errorCodes(field, '2024-02-29'), []);
+});
+
+test('email, URL and phone numbers must be well formed', () => {
+  assert.deepEqual(errorCodes({ type: 'email' }, 'ada@example'), ['type']);
+  assert.deepEqual(errorCodes({ type: 'email' }, 'Ada@Example.org'), []);
+  assert.deepEqual(errorCodes({ type: 'url' }, 'ftp://example.org'), ['type']);
+  assert.deepEqual(errorCodes({ type: 'url' }, 'https://example.org/path'), []);
+  assert.deepEqual(errorCodes({ type: 'tel' }, '12-3'), ['type']);
+  assert.deepEqual(errorCodes({ type: 'tel' }, 'call me'), ['type']);
+  assert.deepEqual(errorCodes({ type: 'tel' }, '+47 (22) 12-34-56'), []);
+});
@@ -0,0 +1,44 @@
+// test/join.test.js
+// An admin's access token lets them join their own forms over the socket, not the forms of other admins;
+// those they can only join as participants, like everyone else.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applySchema, startServer, registerAdmin, createForm, connect, emitWithAck, joinAsParticipant, DATABASE_SKIP_REASON } = require('./helpers');
+
+const PORT = (Number(process.env.TEST_PORT) || 4101) + 8; // Next to the servers of the other test files
+
+let server;
+const sockets = [];
+
+describe('joining a form', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    server = await startServer({ port: PORT });
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server?.stop();
+  });
+
+  test('admins join only their own forms with their access token', async () => {
+    const owner = await registerAdmin(server.url);
+    const otherAdmin = await registerAdmin(server.url);
+    const form = await createForm(server.url, owner, [{ id: 'name', type: 'text', label: 'Name' }]);
+    const joinWith = async (identity) => {
+      const socket = await connect(server.url);
+      sockets.push(socket);
+      return { socket, joined: await emitWithAck(socket, 'joinForm', { formId: form.id, ...identity }) };
+    };
+
+    assert.equal((await joinWith({ accessToken: owner })).joined.success, true);
+
+    const { socket, joined } = await joinWith({ accessToken: otherAdmin });
+    assert.equal(joined.success, false);
+    const written = await emitWithAck(socket, 'updateField', { formId: form.id, fieldId: 'name', value: 'Mallory', expectedVersion: 0, formVersion: form.version });
+    assert.equal(written.success, false);
+
+    await joinAsParticipant(server.url, socket, form.id, 'Other admin');
+  });
+});
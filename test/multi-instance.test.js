@@ -0,0 +1,78 @@
+// test/multi-instance.test.js
+// Two server instances with SOCKET_ADAPTER=postgres share presence, field locks and room broadcasts: users connected
+// to different instances see each other, respect each other's locks and get each other's edits.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, applySchema, startServer, registerAdmin, createForm, connect, emitWithAck, joinAsParticipant, waitForEvent, DATABASE_SKIP_REASON } = require('./helpers');
+
+const FIRST_PORT = (Number(process.env.TEST_PORT) || 4101) + 5; // Next to the servers of the other test files
+
+const servers = [];
+const sockets = [];
+
+describe('several server instances', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    for (const port of [FIRST_PORT, FIRST_PORT + 1]) {
+      servers.push(await startServer({ port, env: { SOCKET_ADAPTER: 'postgres' } }));
+    }
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await Promise.all(servers.map(server => server.stop()));
+  });
+
+  test('presence, locks and room broadcasts are shared by two instances', async () => {
+    const [first, second] = servers;
+    const token = await registerAdmin(first.url);
+    const form = await createForm(first.url, token, [
+      { id: 'count', type: 'number', label: 'Count' },
+      { id: 'title', type: 'text', label: 'Title' }
+    ]);
+    const alice = await connect(first.url);
+    const bob = await connect(second.url);
+    sockets.push(alice, bob);
+    const aliceUser = await joinAsParticipant(first.url, alice, form.id, 'Alice');
+    const bobUser = await joinAsParticipant(second.url, bob, form.id, 'Bob');
+
+    // Presence: each instance lists the user connected to the other one
+    const bothUsers = payload => payload.activeUsers.map(user => user.userId).sort().join() === [aliceUser.userId, bobUser.userId].sort().join();
+    await waitForEvent(alice, 'userJoined', bothUsers);
+    await waitForEvent(bob, 'activeUsers', bothUsers);
+
+    // Field locks: a lock taken on the first instance holds on the second
+    alice.emit('lockField', { formId: form.id, fieldId: 'count' });
+    await waitForEvent(bob, 'fieldLocked', payload => payload.fieldId === 'count' && payload.userId === aliceUser.userId);
+    bob.emit('lockField', { formId: form.id, fieldId: 'count' });
+    await waitForEvent(bob, 'lockDenied', payload => payload.fieldId === 'count' && payload.userId === aliceUser.userId);
+    const refused = await emitWithAck(bob, 'updateField', { formId: form.id, fieldId: 'count', value: '1', expectedVersion: 0, formVersion: form.version });
+    assert.equal(refused.locked, true);
+
+    // fieldUpdated
+    const written = await emitWithAck(alice, 'updateField', { formId: form.id, fieldId: 'count', value: '5', expectedVersion: 0, formVersion: form.version });
+    assert.equal(written.success, true);
+    const update = await waitForEvent(bob, 'fieldUpdated', payload => payload.fieldId === 'count');
+    assert.deepEqual({ value: update.value, version: update.version }, { value: '5', version: 1 });
+
+    // textOp: edits typed on both instances, the last two at the same time, end up in one text
+    const type = (socket, ops, revision) => emitWithAck(socket, 'textOp', { formId: form.id, fieldId: 'title', ops, revision, formVersion: form.version });
+    assert.equal((await type(alice, ['Hello'], 0)).revision, 1);
+    await waitForEvent(bob, 'textOp', payload => payload.fieldId === 'title' && payload.revision === 1);
+    assert.equal((await type(bob, [5, ' world'], 1)).revision, 2);
+    await waitForEvent(alice, 'textOp', payload => payload.fieldId === 'title' && payload.revision === 2);
+    const [aliceTyped, bobTyped] = await Promise.all([type(alice, [11, '!'], 2), type(bob, ['> ', 11], 2)]);
+    assert.deepEqual([aliceTyped.revision, bobTyped.revision].sort(), [3, 4]);
+    await waitForEvent(alice, 'textOp', payload => payload.fieldId === 'title' && payload.revision === bobTyped.revision);
+    await waitForEvent(bob, 'textOp', payload => payload.fieldId === 'title' && payload.revision === aliceTyped.revision);
+    const { rows } = await query(`SELECT data->>'title' AS title FROM form_responses WHERE form_id = $1;`, [form.id]);
+    assert.equal(rows[0].title, '> Hello world!');
+
+    // userLeft: leaving on the second instance is announced on the first, and the lock stays with its owner
+    bob.disconnect();
+    const left = await waitForEvent(alice, 'userLeft', payload => payload.userId === bobUser.userId);
+    assert.deepEqual(left.activeUsers.map(user => user.userId), [aliceUser.userId]);
+    assert.ok(!alice.events.some(({ event, payload }) => event === 'fieldUnlocked' && payload.fieldId === 'count'));
+  });
+});
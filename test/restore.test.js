@@ -0,0 +1,67 @@
+// test/restore.test.js
+// Restoring the shared response to an earlier point leaves fields alone that someone is editing or whose old value
+// breaks the current rules, and sends cleared values as null.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applySchema, startServer, api, registerAdmin, createForm, connect, emitWithAck, joinAsParticipant, waitForEvent, DATABASE_SKIP_REASON } = require('./helpers');
+
+const PORT = (Number(process.env.TEST_PORT) || 4101) + 2; // Next to the servers of the other test files
+
+let server;
+const sockets = [];
+
+describe('restoring a response', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    server = await startServer({ port: PORT });
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server?.stop();
+  });
+
+  test('a restore skips locked fields and values the current rules reject, and broadcasts cleared values as null', async () => {
+    const token = await registerAdmin(server.url);
+    const fields = [
+      { id: 'code', type: 'text', label: 'Code' },
+      { id: 'notes', type: 'text', label: 'Notes' },
+      { id: 'extra', type: 'text', label: 'Extra' }
+    ];
+    const form = await createForm(server.url, token, fields);
+    const writer = await connect(server.url);
+    const observer = await connect(server.url);
+    sockets.push(writer, observer);
+    await joinAsParticipant(server.url, writer, form.id, 'Writer');
+    await joinAsParticipant(server.url, observer, form.id, 'Observer');
+
+    const write = (fieldId, value, expectedVersion) => emitWithAck(writer, 'updateField', { formId: form.id, fieldId, value, expectedVersion, formVersion: form.version });
+    const restorePoint = await write('code', 'abc', 0);
+    await write('notes', 'first', 0);
+    await write('code', '123', 1);
+    await write('extra', 'x', 0);
+
+    // The old code 'abc' no longer matches once the field only takes digits
+    const saved = await api(server.url, `/api/forms/${form.id}/fields`, {
+      method: 'PUT',
+      token,
+      body: { fields: fields.map(field => field.id === 'code' ? { ...field, pattern: '[0-9]+' } : field), expectedVersion: form.version }
+    });
+    assert.equal(saved.success, true);
+
+    writer.emit('lockField', { formId: form.id, fieldId: 'notes' });
+    await waitForEvent(observer, 'fieldLocked', payload => payload.fieldId === 'notes');
+
+    const restored = await api(server.url, `/api/forms/${form.id}/history/restore`, { method: 'POST', token, body: { changeId: restorePoint.changeId } });
+    assert.equal(restored.success, true);
+    assert.deepEqual(restored.restoredFields.map(({ fieldId, value }) => ({ fieldId, value })), [{ fieldId: 'extra', value: null }]);
+    assert.deepEqual(restored.skippedFields.map(({ fieldId, reason }) => ({ fieldId, reason })), [
+      { fieldId: 'code', reason: 'invalid' },
+      { fieldId: 'notes', reason: 'locked' }
+    ]);
+
+    const update = await waitForEvent(observer, 'fieldUpdated', payload => payload.fieldId === 'extra' && payload.updatedBy !== 'Writer');
+    assert.equal(update.value, null);
+  });
+});
@@ -0,0 +1,65 @@
+// test/resync.test.js
+// After a reconnect, a change counts as the client's own only if its user wrote it through the connection it names
+// as previousSocketId; naming another user's connection does not make their changes look like its own.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applySchema, startServer, registerAdmin, createForm, connect, emitWithAck, joinAsParticipant, DATABASE_SKIP_REASON } = require('./helpers');
+
+const PORT = (Number(process.env.TEST_PORT) || 4101) + 4; // Next to the servers of the other test files
+
+let server;
+const sockets = [];
+
+describe('resyncing after a reconnect', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    server = await startServer({ port: PORT });
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server?.stop();
+  });
+
+  test('changedByOthers is decided by the writer\'s user and connection, not by the socket ID alone', async () => {
+    const token = await registerAdmin(server.url);
+    const form = await createForm(server.url, token, [{ id: 'name', type: 'text', label: 'Name' }]);
+
+    const dropped = await connect(server.url);
+    sockets.push(dropped);
+    const writer = await joinAsParticipant(server.url, dropped, form.id, 'Writer');
+    const written = await emitWithAck(dropped, 'updateField', { formId: form.id, fieldId: 'name', value: 'Ada', expectedVersion: 0, formVersion: form.version });
+    assert.equal(written.success, true);
+    const previousSocketId = dropped.id;
+    dropped.disconnect();
+
+    const resyncAs = async (name, participantToken) => {
+      const socket = await connect(server.url);
+      sockets.push(socket);
+      await joinAsParticipant(server.url, socket, form.id, name, participantToken);
+      const result = await emitWithAck(socket, 'resyncResponse', { formId: form.id, fieldVersions: {}, formVersion: form.version, previousSocketId });
+      assert.equal(result.success, true);
+      return result.changes.find(change => change.fieldId === 'name');
+    };
+
+    assert.equal((await resyncAs('Writer', writer.participantToken)).changedByOthers, false);
+    assert.equal((await resyncAs('Someone else')).changedByOthers, true);
+  });
+
+  test('fieldVersions entries that are not versions count as version 0', async () => {
+    const token = await registerAdmin(server.url);
+    const form = await createForm(server.url, token, [{ id: 'name', type: 'text', label: 'Name' }]);
+    const socket = await connect(server.url);
+    sockets.push(socket);
+    await joinAsParticipant(server.url, socket, form.id, 'Writer');
+    await emitWithAck(socket, 'updateField', { formId: form.id, fieldId: 'name', value: 'Ada', expectedVersion: 0, formVersion: form.version });
+
+    const result = await emitWithAck(socket, 'resyncResponse', { formId: form.id, fieldVersions: { name: 'x' }, formVersion: form.version, previousSocketId: { id: socket.id } });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.changes.map(({ fieldId, value, version, changedByOthers }) => ({ fieldId, value, version, changedByOthers })), [
+      { fieldId: 'name', value: 'Ada', version: 1, changedByOthers: true }
+    ]);
+    assert.equal((await emitWithAck(socket, 'resyncResponse', { formId: form.id, fieldVersions: [] })).success, false);
+  });
+});
@@ -0,0 +1,86 @@
+// test/schema.test.js
+// schema.sql brings a database created with an earlier version of the schema up to date: the tables it already has
+// get the columns added since.
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { TEST_DATABASE_URL, DATABASE_SKIP_REASON } = require('./helpers');
+
+const LEGACY_SCHEMA = `legacy_${process.pid}`;
+
+describe('schema.sql', { skip: DATABASE_SKIP_REASON }, () => {
+  test('schema.sql adds the newer columns to existing tables', async () => {
+    const client = new Client({ connectionString: TEST_DATABASE_URL });
+    await client.connect();
+    try {
+      await client.query(`CREATE SCHEMA ${LEGACY_SCHEMA}; SET search_path TO ${LEGACY_SCHEMA};`);
+      // The tables as the first release created them, plus the change log before text co-editing
+      await client.query(`
+        CREATE TABLE admins (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          username VARCHAR(255) UNIQUE NOT NULL,
+          password_hash VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE forms (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          code VARCHAR(6) UNIQUE NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          fields JSONB DEFAULT '[]'::jsonb,
+          admin_id UUID NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          is_active BOOLEAN DEFAULT TRUE
+        );
+        CREATE TABLE form_responses (
+          form_id UUID PRIMARY KEY REFERENCES forms(id) ON DELETE CASCADE,
+          data JSONB DEFAULT '{}'::jsonb,
+          last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          contributors TEXT[] DEFAULT '{}',
+          version INTEGER DEFAULT 0
+        );
+        CREATE TABLE form_response_changes (
+          id BIGSERIAL PRIMARY KEY,
+          form_id UUID NOT NULL REFERENCES forms(id) ON DELETE CASCADE,
+          field_id VARCHAR(255) NOT NULL,
+          old_value JSONB,
+          new_value JSONB,
+          user_id VARCHAR(255),
+          user_name VARCHAR(255),
+          socket_id VARCHAR(255),
+          change_type VARCHAR(20) NOT NULL DEFAULT 'edit',
+          field_version INTEGER,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO admins (id, username, password_hash) VALUES ('00000000-0000-0000-0000-000000000001', 'admin', 'x');
+        INSERT INTO forms (id, code, title, admin_id) VALUES ('00000000-0000-0000-0000-000000000002', 'ABC123', 'Old form', '00000000-0000-0000-0000-000000000001');
+        INSERT INTO form_responses (form_id) VALUES ('00000000-0000-0000-0000-000000000002');
+      `);
+
+      const schema = fs.readFileSync(path.join(__dirname, '..', 'schema.sql'), 'utf8');
+      await client.query(schema);
+      await client.query(schema); // Running it again changes nothing
+
+      const { rows: columns } = await client.query(`
+        SELECT table_name, column_name FROM information_schema.columns
+        WHERE table_schema = $1 AND table_name IN ('forms', 'form_responses', 'form_response_changes');
+      `, [LEGACY_SCHEMA]);
+      const names = new Set(columns.map(column => `${column.table_name}.${column.column_name}`));
+      for (const column of ['forms.mode', 'forms.version', 'form_responses.field_versions', 'form_responses.status',
+        'form_responses.finalized_by', 'form_responses.finalized_at', 'form_response_changes.text_ops']) {
+        assert.ok(names.has(column), `${column} is missing`);
+      }
+
+      const { rows } = await client.query(`
+        SELECT f.mode, f.version, r.field_versions, r.status FROM forms f JOIN form_responses r ON r.form_id = f.id;
+      `);
+      assert.deepEqual(rows, [{ mode: 'collaborative', version: 1, field_versions: {}, status: 'open' }]);
+    } finally {
+      await client.query(`DROP SCHEMA IF EXISTS ${LEGACY_SCHEMA} CASCADE;`);
+      await client.end();
+    }
+  });
+});
@@ -0,0 +1,82 @@
+// test/socket-payloads.test.js
+// A client that sends an event without its payload, with a null one or with only some of its fields gets an error
+// (or nothing) back; the server keeps running for everyone else.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applySchema, startServer, registerAdmin, createForm, connect, emitWithAck, joinAsParticipant, waitForEvent, DATABASE_SKIP_REASON } = require('./helpers');
+
+const PORT = (Number(process.env.TEST_PORT) || 4101) + 7; // Next to the servers of the other test files
+
+// Every client event of server.js
+const EVENTS = ['joinForm', 'resyncResponse', 'updateField', 'revertEdit', 'textOp', 'textSelection', 'getHistory', 'addComment', 'resolveComment', 'assignField', 'updateGroup', 'finalizeResponse', 'lockField', 'lockHeartbeat', 'unlockField', 'changePage', 'userTyping', 'leaveForm'];
+
+let server;
+const sockets = [];
+
+describe('socket event payloads', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    server = await startServer({ port: PORT });
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await server?.stop();
+  });
+
+  test('events without a (complete) payload do not stop the server', async () => {
+    const token = await registerAdmin(server.url);
+    // The empty required field keeps finalizeResponse from closing the response
+    const form = await createForm(server.url, token, [{ id: 'name', type: 'text', label: 'Name' }, { id: 'email', type: 'email', label: 'Email', required: true }]);
+    const sender = await connect(server.url);
+    const other = await connect(server.url);
+    sockets.push(sender, other);
+    // A joined socket gets past the session checks, so the handlers look at the rest of the payload
+    await joinAsParticipant(server.url, sender, form.id, 'Sender');
+    await joinAsParticipant(server.url, other, form.id, 'Other');
+
+    for (const event of EVENTS) {
+      sender.emit(event);
+      sender.emit(event, null);
+      sender.emit(event, { formId: form.id });
+    }
+
+    // Lock events without a field took no lock
+    const late = await connect(server.url);
+    sockets.push(late);
+    await joinAsParticipant(server.url, late, form.id, 'Late');
+    assert.deepEqual((await waitForEvent(late, 'lockSnapshot')).locks, []);
+    const written = await emitWithAck(other, 'updateField', { formId: form.id, fieldId: 'name', value: 'Ada', expectedVersion: 0, formVersion: form.version });
+    assert.equal(written.success, true);
+    assert.doesNotMatch(server.output(), /TypeError/);
+  });
+
+  test('revertEdit refuses change IDs that are not a run of stored changes', async () => {
+    const token = await registerAdmin(server.url);
+    const form = await createForm(server.url, token, [{ id: 'name', type: 'text', label: 'Name' }]);
+    const socket = await connect(server.url);
+    sockets.push(socket);
+    await joinAsParticipant(server.url, socket, form.id, 'Writer');
+
+    for (const [firstChangeId, lastChangeId] of [[1e20, 1e20], [0, 1], [5, 4], ['1', '2']]) {
+      const result = await emitWithAck(socket, 'revertEdit', { formId: form.id, fieldId: 'name', firstChangeId, lastChangeId, direction: 'undo', formVersion: form.version });
+      assert.match(result.error, /firstChangeId and lastChangeId/);
+    }
+  });
+
+  test('comments refuse thread IDs that cannot be stored ones', async () => {
+    const token = await registerAdmin(server.url);
+    const form = await createForm(server.url, token, [{ id: 'name', type: 'text', label: 'Name' }]);
+    const socket = await connect(server.url);
+    sockets.push(socket);
+    await joinAsParticipant(server.url, socket, form.id, 'Writer');
+
+    const reply = await emitWithAck(socket, 'addComment', { formId: form.id, fieldId: 'name', parentId: 1e20, body: 'Hi', mentions: [{}] });
+    assert.match(reply.error, /Replies must answer a thread/);
+    const resolved = await emitWithAck(socket, 'resolveComment', { formId: form.id, commentId: 1e20, resolved: true });
+    assert.match(resolved.error, /commentId and resolved/);
+    const comment = await emitWithAck(socket, 'addComment', { formId: form.id, fieldId: 'name', body: 'Hi', mentions: 'everyone' });
+    assert.equal(comment.success, true);
+  });
+});
@@ -0,0 +1,104 @@
+// test/textOps.test.js
+// Unit tests of the text operations shared by server and frontend (textOps.mjs); no server or database needed.
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let textOps;
+
+before(async () => {
+  textOps = await import('../textOps.mjs');
+});
+
+/**
+ * Makes a pseudo-random number generator, so a failing case can be replayed.
+ * @param {number} seed - The starting state.
+ * @returns {function(number): number} Gives a whole number from 0 up to (not including) its argument.
+ */
+function createRandom(seed) {
+  let state = seed;
+  return (limit) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % limit;
+  };
+}
+
+/**
+ * Makes a random edit of a text: some characters kept, inserted or deleted, in random stretches.
+ * @param {string} text - The text the edit is based on.
+ * @param {function(number): number} random - From createRandom.
+ * @returns {Array<number|string>} The operation.
+ */
+function randomOperation(text, random) {
+  const ops = [];
+  let left = text.length;
+  while (left > 0 || random(3) === 0) {
+    const kind = random(3);
+    if (kind === 0) {
+      ops.push('xyz'.slice(0, random(3) + 1));
+    } else if (left > 0) {
+      const length = random(left) + 1;
+      ops.push(kind === 1 ? length : -length);
+      left -= length;
+    }
+  }
+  return ops;
+}
+
+test('two concurrent edits transformed against each other end in the same text', () => {
+  const cases = [
+    ['hello', [5, ' world'], ['> ', 5]],
+    ['hello', [1, -3, 1], [2, 'XX', 3]],
+    ['hello', [-5], [-5]],
+    ['hello', [2, -2, 1], [1, -3, 'abc', 1]],
+    ['', ['a'], ['b']]
+  ];
+  for (const [text, a, b] of cases) {
+    const [aPrime, bPrime] = textOps.transform(a, b);
+    assert.equal(textOps.applyOperation(textOps.applyOperation(text, a), bPrime), textOps.applyOperation(textOps.applyOperation(text, b), aPrime), JSON.stringify([text, a, b]));
+  }
+});
+
+test('inserts at the same position put the first operation\'s text first', () => {
+  const [aPrime, bPrime] = textOps.transform([2, 'A', 1], [2, 'B', 1]);
+  assert.equal(textOps.applyOperation(textOps.applyOperation('abc', [2, 'A', 1]), bPrime), 'abABc');
+  assert.equal(textOps.applyOperation(textOps.applyOperation('abc', [2, 'B', 1]), aPrime), 'abABc');
+});
+
+test('random concurrent edits converge, and composed edits equal the edits applied one after the other', () => {
+  const random = createRandom(42);
+  for (let round = 0; round < 500; round++) {
+    const text = 'abcdefghij'.slice(0, random(11));
+    const a = randomOperation(text, random);
+    const b = randomOperation(text, random);
+    const [aPrime, bPrime] = textOps.transform(a, b);
+    const afterA = textOps.applyOperation(text, a);
+    const merged = textOps.applyOperation(afterA, bPrime);
+    assert.equal(textOps.applyOperation(textOps.applyOperation(text, b), aPrime), merged, JSON.stringify([text, a, b]));
+    assert.equal(textOps.applyOperation(text, textOps.compose(a, bPrime)), merged, JSON.stringify([text, a, bPrime]));
+
+    const next = randomOperation(afterA, random);
+    assert.equal(textOps.applyOperation(text, textOps.compose(a, next)), textOps.applyOperation(afterA, next), JSON.stringify([text, a, next]));
+  }
+});
+
+test('operations for texts of another length are refused', () => {
+  assert.throws(() => textOps.transform([3], [4]), /same text/);
+  assert.throws(() => textOps.compose([3, 'a'], [3]), /text the first one produces/);
+  assert.throws(() => textOps.applyOperation('abc', [2]), /length of the text/);
+});
+
+test('transformIndex keeps a position on the same character', () => {
+  const insert = [2, 'XY', 3]; // "abcde" -> "abXYcde"
+  assert.equal(textOps.transformIndex(insert, 1), 1);
+  assert.equal(textOps.transformIndex(insert, 2), 4); // Text inserted at the position ends up before it
+  assert.equal(textOps.transformIndex(insert, 5), 7);
+
+  const remove = [1, -2, 2]; // "abcde" -> "ade"
+  assert.equal(textOps.transformIndex(remove, 1), 1);
+  assert.equal(textOps.transformIndex(remove, 2), 1); // Inside the deleted stretch
+  assert.equal(textOps.transformIndex(remove, 4), 2);
+
+  assert.equal(textOps.transformIndex(['>', -1, 4], 3), 3);
+  assert.equal(textOps.transformIndex([5], 5), 5);
+});
@@ -0,0 +1,83 @@
+// test/uploads.test.js
+// Respondents of an individual form upload files with a short-lived upload token, and a file belongs to the one
+// submission that used it.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { query, applySchema, startServer, api, registerAdmin, DATABASE_SKIP_REASON } = require('./helpers');
+
+const PORT = (Number(process.env.TEST_PORT) || 4101) + 1; // Next to the server of concurrency.test.js
+
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'forms-uploads-'));
+let server;
+
+describe('file uploads', { skip: DATABASE_SKIP_REASON }, () => {
+  before(async () => {
+    await applySchema();
+    server = await startServer({ port: PORT, env: { UPLOAD_DIR } });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  /**
+   * Uploads a small text file to a field.
+   * @param {string} formId - The form's ID.
+   * @param {string} fieldId - The 'file' field's ID.
+   * @param {string} [uploadToken] - The upload token to send.
+   * @returns {Promise<object>} The parsed JSON body plus the HTTP status.
+   */
+  async function uploadFile(formId, fieldId, uploadToken) {
+    const body = new FormData();
+    body.append('file', new Blob(['hello'], { type: 'text/plain' }), 'hello.txt');
+    if (uploadToken) body.append('uploadToken', uploadToken);
+    const response = await fetch(`${server.url}/api/forms/${formId}/fields/${fieldId}/files`, { method: 'POST', body });
+    return { status: response.status, ...(await response.json()) };
+  }
+
+  test('uploads to an individual form need an upload token, and a file is used by one submission only', async () => {
+    const token = await registerAdmin(server.url);
+    const { form } = await api(server.url, '/api/forms', {
+      method: 'POST',
+      token,
+      body: { title: 'Applications', mode: 'individual', fields: [{ id: 'cv', type: 'file', label: 'CV' }] }
+    });
+
+    const withoutToken = await uploadFile(form.id, 'cv');
+    assert.equal(withoutToken.status, 401);
+    assert.equal(withoutToken.uploadTokenExpired, true);
+
+    const { uploadToken } = await api(server.url, `/api/forms/${form.code}/upload-token`, { method: 'POST' });
+    const uploaded = await uploadFile(form.id, 'cv', uploadToken);
+    assert.equal(uploaded.status, 201);
+
+    const first = await api(server.url, `/api/forms/${form.code}/submissions`, { method: 'POST', body: { data: { cv: uploaded.file } } });
+    assert.equal(first.status, 201);
+    const { rows } = await query(`SELECT submission_id FROM form_files WHERE id = $1;`, [uploaded.file.fileId]);
+    assert.equal(rows[0].submission_id, first.submission.id);
+
+    const second = await api(server.url, `/api/forms/${form.code}/submissions`, { method: 'POST', body: { data: { cv: uploaded.file } } });
+    assert.equal(second.status, 400);
+  });
+
+  test('a file whose row cannot be stored is removed again', async () => {
+    const token = await registerAdmin(server.url);
+    // form_files.field_id holds at most 255 characters, so recording the upload fails
+    const fieldId = 'f'.repeat(300);
+    const { form } = await api(server.url, '/api/forms', {
+      method: 'POST',
+      token,
+      body: { title: 'Applications', mode: 'individual', fields: [{ id: fieldId, type: 'file', label: 'CV' }] }
+    });
+
+    const { uploadToken } = await api(server.url, `/api/forms/${form.code}/upload-token`, { method: 'POST' });
+    const uploaded = await uploadFile(form.id, fieldId, uploadToken);
+    assert.equal(uploaded.status, 500);
+    const formDir = path.join(UPLOAD_DIR, form.id);
+    assert.deepEqual(fs.existsSync(formDir) ? fs.readdirSync(formDir) : [], []);
+  });
+});
@@ -0,0 +1,260 @@
+// textOps.mjs
+// Operational transformation for co-authored text fields, shared by the backend (server.js, loaded with a dynamic
+// import) and the frontend (App.jsx).
+// An operation walks over the whole text and is a list of components:
+//   a positive integer retains (skips) that many characters,
+//   a string inserts it,
+//   a negative integer deletes that many characters.
+// For example [3, 'abc', -2, 4] keeps 3 characters, inserts "abc", deletes 2 and keeps the remaining 4.
+// The server is the single authority: every operation is based on a field version (revision) and is transformed
+// against the operations applied since, so all copies converge to the same text.
+
+// Field types edited character by character instead of by whole value
+export const COLLABORATIVE_TEXT_TYPES = ['text', 'textarea'];
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+
+/**
+ * Tells whether a field's answer is co-authored with text operations.
+ * @param {object} field - The field definition.
+ * @returns {boolean} True for text and textarea fields.
+ */
+export function isCollaborativeText(field) {
+  return COLLABORATIVE_TEXT_TYPES.includes(field?.type);
+}
+
+/**
+ * Collects components into an operation, merging neighbours of the same kind and keeping an insert
+ * in front of a delete at the same position, so equal edits always produce equal operations.
+ */
+function createOperationBuilder() {
+  const ops = [];
+  return {
+    ops,
+    retain(count) {
+      if (count <= 0) return;
+      if (isRetain(ops[ops.length - 1])) { ops[ops.length - 1] += count; } else { ops.push(count); }
+    },
+    insert(text) {
+      if (!text) return;
+      const last = ops[ops.length - 1];
+      if (isInsert(last)) {
+        ops[ops.length - 1] += text;
+      } else if (isDelete(last)) {
+        if (isInsert(ops[ops.length - 2])) { ops[ops.length - 2] += text; } else { ops.splice(ops.length - 1, 0, text); }
+      } else {
+        ops.push(text);
+      }
+    },
+    delete(count) {
+      if (count <= 0) return;
+      if (isDelete(ops[ops.length - 1])) { ops[ops.length - 1] -= count; } else { ops.push(-count); }
+    }
+  };
+}
+
+/**
+ * Checks that a value received from a client is a well-formed operation.
+ * @param {*} ops - The value to check.
+ * @returns {boolean} True if every component is a retain, insert or delete.
+ */
+export function isValidOperation(ops) {
+  return Array.isArray(ops) && ops.every(component => isRetain(component) || isInsert(component) || isDelete(component));
+}
+
+/**
+ * Length of the text an operation applies to.
+ * @param {Array<number|string>} ops - The operation.
+ * @returns {number} Retained plus deleted characters.
+ */
+export function baseLength(ops) {
+  return ops.reduce((length, component) => length + (isInsert(component) ? 0 : Math.abs(component)), 0);
+}
+
+/**
+ * Length of the text an operation produces.
+ * @param {Array<number|string>} ops - The operation.
+ * @returns {number} Retained plus inserted characters.
+ */
+export function targetLength(ops) {
+  return ops.reduce((length, component) => length + (isRetain(component) ? component : isInsert(component) ? component.length : 0), 0);
+}
+
+/**
+ * Tells whether an operation leaves the text unchanged.
+ * @param {Array<number|string>} ops - The operation.
+ * @returns {boolean} True if it only retains.
+ */
+export function isNoop(ops) {
+  return ops.every(isRetain);
+}
+
+/**
+ * Applies an operation to a text.
+ * @param {string} text - The text the operation is based on.
+ * @param {Array<number|string>} ops - The operation.
+ * @returns {string} The new text.
+ * @throws {Error} If the operation was made for a text of another length.
+ */
+export function applyOperation(text, ops) {
+  if (baseLength(ops) !== text.length) throw new Error('The operation does not match the length of the text.');
+  let result = '';
+  let index = 0;
+  for (const component of ops) {
+    if (isRetain(component)) {
+      result += text.slice(index, index + component);
+      index += component;
+    } else if (isInsert(component)) {
+      result += component;
+    } else {
+      index -= component;
+    }
+  }
+  return result;
+}
+
+/**
+ * Builds the operation that turns one text into another: the changed middle part between their common
+ * prefix and suffix is replaced. Used for edits made in an input element, which only report the new value.
+ * @param {string} oldText - The text before the edit.
+ * @param {string} newText - The text after the edit.
+ * @returns {Array<number|string>} The operation.
+ */
+export function diffToOperation(oldText, newText) {
+  const shorter = Math.min(oldText.length, newText.length);
+  let prefix = 0;
+  while (prefix < shorter && oldText[prefix] === newText[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < shorter - prefix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+  const builder = createOperationBuilder();
+  builder.retain(prefix);
+  builder.insert(newText.slice(prefix, newText.length - suffix));
+  builder.delete(oldText.length - prefix - suffix);
+  builder.retain(suffix);
+  return builder.ops;
+}
+
+/**
+ * Transforms two concurrent operations made on the same text into a pair that can be applied after each other:
+ * applying a and then bPrime gives the same text as applying b and then aPrime.
+ * When both insert at the same position, a's text comes first; the server and the clients always pass the
+ * client's operation as a, so every copy orders such inserts the same way.
+ * @param {Array<number|string>} a - One operation.
+ * @param {Array<number|string>} b - The concurrent operation.
+ * @returns {[Array<number|string>, Array<number|string>]} [aPrime, bPrime].
+ * @throws {Error} If the operations were made for texts of different lengths.
+ */
+export function transform(a, b) {
+  if (baseLength(a) !== baseLength(b)) throw new Error('Concurrent operations must be based on the same text.');
+  const aPrime = createOperationBuilder();
+  const bPrime = createOperationBuilder();
+  let i = 0;
+  let j = 0;
+  let op1 = a[i++];
+  let op2 = b[j++];
+
+  while (op1 !== undefined || op2 !== undefined) {
+    // Inserts go through unchanged; the other side retains over them
+    if (isInsert(op1)) {
+      aPrime.insert(op1);
+      bPrime.retain(op1.length);
+      op1 = a[i++];
+      continue;
+    }
+    if (isInsert(op2)) {
+      aPrime.retain(op2.length);
+      bPrime.insert(op2);
+      op2 = b[j++];
+      continue;
+    }
+
+    // Both sides now cover the same characters of the original text; take the shorter stretch
+    const length = Math.min(Math.abs(op1), Math.abs(op2));
+    if (isRetain(op1) && isRetain(op2)) {
+      aPrime.retain(length);
+      bPrime.retain(length);
+    } else if (isDelete(op1) && isRetain(op2)) {
+      aPrime.delete(length);
+    } else if (isRetain(op1) && isDelete(op2)) {
+      bPrime.delete(length);
+    }
+    // Characters deleted by both sides are already gone for the other one
+
+    op1 = Math.abs(op1) === length ? a[i++] : op1 - Math.sign(op1) * length;
+    op2 = Math.abs(op2) === length ? b[j++] : op2 - Math.sign(op2) * length;
+  }
+  return [aPrime.ops, bPrime.ops];
+}
+
+/**
+ * Combines two consecutive operations into one with the same effect as applying a and then b.
+ * Clients use it to collect the edits typed while an earlier operation awaits the server.
+ * @param {Array<number|string>} a - The first operation.
+ * @param {Array<number|string>} b - The operation applied after it.
+ * @returns {Array<number|string>} The combined operation.
+ * @throws {Error} If b was not made for the text a produces.
+ */
+export function compose(a, b) {
+  if (targetLength(a) !== baseLength(b)) throw new Error('The second operation must be based on the text the first one produces.');
+  const result = createOperationBuilder();
+  let i = 0;
+  let j = 0;
+  let op1 = a[i++];
+  let op2 = b[j++];
+
+  while (op1 !== undefined || op2 !== undefined) {
+    if (isDelete(op1)) {
+      result.delete(-op1);
+      op1 = a[i++];
+      continue;
+    }
+    if (isInsert(op2)) {
+      result.insert(op2);
+      op2 = b[j++];
+      continue;
+    }
+
+    // op1 retains or inserts, op2 retains or deletes what op1 left behind
+    const length1 = isInsert(op1) ? op1.length : op1;
+    const length = Math.min(length1, Math.abs(op2));
+    if (isInsert(op1) && isRetain(op2)) {
+      result.insert(op1.slice(0, length));
+    } else if (isRetain(op1) && isRetain(op2)) {
+      result.retain(length);
+    } else if (isRetain(op1) && isDelete(op2)) {
+      result.delete(length);
+    }
+    // Text inserted by a and deleted by b never appears
+
+    op1 = length1 === length ? a[i++] : isInsert(op1) ? op1.slice(length) : op1 - length;
+    op2 = Math.abs(op2) === length ? b[j++] : op2 - Math.sign(op2) * length;
+  }
+  return result.ops;
+}
+
+/**
+ * Moves a cursor position through an operation, so a caret or selection stays on the same character
+ * while other people's edits come in. Text inserted exactly at the position ends up before it.
+ * @param {Array<number|string>} ops - The operation applied to the text.
+ * @param {number} index - The position in the text before the operation.
+ * @returns {number} The position in the text after the operation.
+ */
+export function transformIndex(ops, index) {
+  let position = 0; // Position in the text before the operation
+  let shifted = index;
+  for (const component of ops) {
+    if (position > index) break;
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      shifted += component.length;
+    } else {
+      shifted -= Math.min(-component, index - position);
+      position -= component;
+    }
+  }
+  return shifted;
+}